@@ -8,10 +8,18 @@ CREATE TABLE IF NOT EXISTS learning_tracks (
     description TEXT,
     difficulty_level VARCHAR(50) DEFAULT 'beginner',
     estimated_hours INTEGER DEFAULT 0,
-    is_published BOOLEAN DEFAULT false,
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'in_review', 'approved', 'published', 'archived')),
+    is_published BOOLEAN GENERATED ALWAYS AS (status = 'published' AND deleted_at IS NULL) STORED,
+    publish_at TIMESTAMP, -- Approved content goes live at this time via the publish scheduler
     created_by_user_id INTEGER NOT NULL, -- Reference to user, stored as ID only
+    deleted_at TIMESTAMP, -- Set while the track is in the trash
+    deleted_by_user_id INTEGER,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED
 );
 
 -- Courses table
@@ -22,12 +30,21 @@ CREATE TABLE IF NOT EXISTS courses (
     description TEXT,
     content TEXT,
     order_index INTEGER DEFAULT 0,
-    is_published BOOLEAN DEFAULT false,
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'in_review', 'approved', 'published', 'archived')),
+    is_published BOOLEAN GENERATED ALWAYS AS (status = 'published' AND deleted_at IS NULL) STORED,
+    publish_at TIMESTAMP, -- Approved content goes live at this time via the publish scheduler
     estimated_minutes INTEGER DEFAULT 0,
     difficulty_level VARCHAR(50) DEFAULT 'beginner',
     created_by_user_id INTEGER NOT NULL, -- Reference to user, stored as ID only
+    deleted_at TIMESTAMP, -- Set while the course is in the trash
+    deleted_by_user_id INTEGER,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(content, '')), 'C')
+    ) STORED
 );
 
 -- Course lessons/modules
@@ -37,11 +54,17 @@ CREATE TABLE IF NOT EXISTS lessons (
     title VARCHAR(255) NOT NULL,
     content TEXT,
     order_index INTEGER DEFAULT 0,
-    lesson_type VARCHAR(50) DEFAULT 'text', -- text, video, quiz, assignment
+    lesson_type VARCHAR(50) DEFAULT 'text' CHECK (lesson_type IN ('text', 'video', 'quiz', 'assignment')),
     duration_minutes INTEGER DEFAULT 0,
     is_published BOOLEAN DEFAULT false,
+    deleted_at TIMESTAMP, -- Set while the lesson is in the trash
+    deleted_by_user_id INTEGER,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(content, '')), 'C')
+    ) STORED
 );
 
 -- Quizzes and assessments
@@ -53,8 +76,25 @@ CREATE TABLE IF NOT EXISTS quizzes (
     time_limit_minutes INTEGER,
     passing_score INTEGER DEFAULT 70,
     max_attempts INTEGER DEFAULT 3,
+    scoring_policy JSONB DEFAULT '{}', -- partialCredit, negativeMarking, sectionWeights
+    shuffle_options BOOLEAN DEFAULT false, -- Shuffle answer_options per attempt
     is_published BOOLEAN DEFAULT false,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED
+);
+
+-- Question pools (each attempt draws draw_count questions from the pool)
+CREATE TABLE IF NOT EXISTS question_pools (
+    id SERIAL PRIMARY KEY,
+    quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    draw_count INTEGER NOT NULL CHECK (draw_count > 0),
+    difficulty_quotas JSONB DEFAULT '{}', -- Optional minimum per difficulty, e.g. {"easy": 2, "hard": 1}
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -63,14 +103,41 @@ CREATE TABLE IF NOT EXISTS quiz_questions (
     id SERIAL PRIMARY KEY,
     quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
     question_text TEXT NOT NULL,
-    question_type VARCHAR(50) DEFAULT 'multiple_choice', -- multiple_choice, true_false, text
-    correct_answer TEXT,
-    answer_options JSONB, -- For multiple choice options
+    question_type VARCHAR(50) DEFAULT 'multiple_choice', -- multiple_choice, true_false, text, multi_select, ordering, matching, fill_blank, numeric, regex
+    correct_answer TEXT, -- Plain text, or JSON for structured question types
+    answer_options JSONB, -- Options, items or prompts/choices depending on question type
     points INTEGER DEFAULT 1,
+    section VARCHAR(100), -- Optional grouping used for weighted scoring
+    pool_id INTEGER REFERENCES question_pools(id) ON DELETE SET NULL, -- NULL means asked on every attempt
+    difficulty VARCHAR(20) DEFAULT 'medium' CHECK (difficulty IN ('easy', 'medium', 'hard')),
     order_index INTEGER DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Quiz attempts (one row per submission, graded results kept for review)
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+    id SERIAL PRIMARY KEY,
+    quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL, -- Reference to user, stored as ID only
+    attempt_number INTEGER NOT NULL,
+    answers JSONB NOT NULL DEFAULT '[]', -- Answers as submitted by the learner
+    results JSONB NOT NULL DEFAULT '[]', -- Per-question grading breakdown
+    correct_answers INTEGER DEFAULT 0,
+    total_points INTEGER DEFAULT 0,
+    earned_points NUMERIC(10, 2) DEFAULT 0, -- Fractional with partial credit or negative marking
+    score_percentage INTEGER DEFAULT 0 CHECK (score_percentage >= 0 AND score_percentage <= 100),
+    passed BOOLEAN DEFAULT false,
+    status VARCHAR(20) DEFAULT 'submitted', -- in_progress, submitted, expired
+    time_spent_seconds INTEGER DEFAULT 0,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP, -- Deadline for timed quizzes, NULL when untimed
+    seed INTEGER, -- Drives the option shuffle so review shows what the learner saw
+    question_ids JSONB, -- Questions drawn for this attempt, in presentation order
+    submitted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(quiz_id, user_id, attempt_number)
+);
+
 -- Achievements table
 CREATE TABLE IF NOT EXISTS achievements (
     id SERIAL PRIMARY KEY,
@@ -105,21 +172,149 @@ CREATE TABLE IF NOT EXISTS course_tags (
     PRIMARY KEY (course_id, tag_id)
 );
 
+-- Revision history: the state of a track, course or lesson after every edit
+CREATE TABLE IF NOT EXISTS content_revisions (
+    id SERIAL PRIMARY KEY,
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('track', 'course', 'lesson')),
+    content_id INTEGER NOT NULL,
+    revision_number INTEGER NOT NULL,
+    snapshot JSONB NOT NULL, -- Versioned fields as they were after this revision
+    changed_fields TEXT[] NOT NULL DEFAULT '{}',
+    change_summary TEXT,
+    author_user_id INTEGER, -- Reference to user, stored as ID only
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(content_type, content_id, revision_number)
+);
+
+-- Editorial workflow history for tracks and courses
+CREATE TABLE IF NOT EXISTS content_workflow_events (
+    id SERIAL PRIMARY KEY,
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('track', 'course')),
+    content_id INTEGER NOT NULL,
+    action VARCHAR(30) NOT NULL, -- submit, approve, request_changes, schedule, publish, ...
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    publish_at TIMESTAMP,
+    notes TEXT,
+    user_id INTEGER, -- NULL when performed by the publish scheduler
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reusable course outlines with {{variable}} placeholders
+CREATE TABLE IF NOT EXISTS content_templates (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(100) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    content TEXT NOT NULL DEFAULT '', -- Course content (markdown)
+    sections JSONB DEFAULT '[]', -- Section names shown when picking a template
+    variables JSONB DEFAULT '[]', -- [{ "name": "toolName", "label": "...", "default": null, "required": true }]
+    lessons JSONB DEFAULT '[]', -- [{ "title": "...", "content": "...", "lessonType": "text", "durationMinutes": 10 }]
+    created_by_user_id INTEGER, -- Reference to user, stored as ID only; NULL for built-in templates
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Prerequisites: content_type/content_id needs prerequisite_type/prerequisite_id first.
+-- Required prerequisites lock the content; optional ones are recommendations.
+CREATE TABLE IF NOT EXISTS prerequisites (
+    id SERIAL PRIMARY KEY,
+    content_type VARCHAR(50) NOT NULL CHECK (content_type IN ('course', 'track', 'skill')),
+    content_id INTEGER NOT NULL,
+    prerequisite_type VARCHAR(50) NOT NULL CHECK (prerequisite_type IN ('course', 'track', 'skill')),
+    prerequisite_id INTEGER NOT NULL,
+    is_required BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(content_type, content_id, prerequisite_type, prerequisite_id)
+);
+
+-- Translated text fields of tracks, courses, lessons and quizzes. source_hash is the md5 of
+-- the source text the translation was made from; when it no longer matches, the translation
+-- is outdated.
+CREATE TABLE IF NOT EXISTS content_translations (
+    id SERIAL PRIMARY KEY,
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('track', 'course', 'lesson', 'quiz')),
+    content_id INTEGER NOT NULL,
+    locale VARCHAR(20) NOT NULL,
+    field VARCHAR(50) NOT NULL,
+    value TEXT NOT NULL,
+    source_hash CHAR(32),
+    updated_by_user_id INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(content_type, content_id, locale, field)
+);
+
+-- Uploaded images and attachments. Files are stored under their SHA-256, so each file is
+-- kept once however often it is uploaded.
+CREATE TABLE IF NOT EXISTS media_assets (
+    id SERIAL PRIMARY KEY,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('image', 'video', 'document', 'attachment')),
+    size_bytes BIGINT NOT NULL,
+    content_hash CHAR(64) NOT NULL UNIQUE,
+    storage_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255),
+    width INTEGER,
+    height INTEGER,
+    uploaded_by_user_id INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Assets referenced from lesson content (media:12 or .../media/12/file). Kept up to date by
+-- the trigger below; an asset cannot be deleted while a lesson, even a trashed one, uses it.
+CREATE TABLE IF NOT EXISTS lesson_media (
+    lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+    asset_id INTEGER NOT NULL REFERENCES media_assets(id),
+    PRIMARY KEY (lesson_id, asset_id)
+);
+
+CREATE OR REPLACE FUNCTION sync_lesson_media() RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM lesson_media WHERE lesson_id = NEW.id;
+    INSERT INTO lesson_media (lesson_id, asset_id)
+    SELECT DISTINCT NEW.id, a.id
+    FROM regexp_matches(COALESCE(NEW.content, ''), '(?:\mmedia:|/media/)(\d+)\M', 'g') AS ref(parts)
+    JOIN media_assets a ON a.id = ref.parts[1]::int;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS lessons_sync_media ON lessons;
+CREATE TRIGGER lessons_sync_media
+    AFTER INSERT OR UPDATE OF content ON lessons
+    FOR EACH ROW EXECUTE FUNCTION sync_lesson_media();
+
+-- Rendered HTML of lesson content, one row per distinct content (source or translated) a
+-- lesson has been shown with. renderer_version changes when the rendering pipeline does.
+CREATE TABLE IF NOT EXISTS lesson_renders (
+    lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+    content_hash CHAR(32) NOT NULL,
+    renderer_version INTEGER NOT NULL,
+    html TEXT NOT NULL,
+    toc JSONB NOT NULL DEFAULT '[]',
+    reading_time JSONB NOT NULL,
+    links JSONB NOT NULL DEFAULT '[]',
+    rendered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lesson_id, content_hash)
+);
+
 -- Insert initial learning tracks for QA engineers
-INSERT INTO learning_tracks (title, description, difficulty_level, estimated_hours, is_published, created_by_user_id) VALUES
-('QA Fundamentals', 'Learn the basics of software testing and quality assurance', 'beginner', 20, true, 1),
-('Test Automation Basics', 'Introduction to automated testing tools and frameworks', 'intermediate', 30, true, 1),
-('Advanced Testing Strategies', 'Advanced techniques for comprehensive software testing', 'advanced', 40, false, 1);
+INSERT INTO learning_tracks (title, description, difficulty_level, estimated_hours, status, created_by_user_id) VALUES
+('QA Fundamentals', 'Learn the basics of software testing and quality assurance', 'beginner', 20, 'published', 1),
+('Test Automation Basics', 'Introduction to automated testing tools and frameworks', 'intermediate', 30, 'published', 1),
+('Advanced Testing Strategies', 'Advanced techniques for comprehensive software testing', 'advanced', 40, 'draft', 1);
 
 -- Insert sample courses for the learning tracks
-INSERT INTO courses (track_id, title, description, content, order_index, is_published, created_by_user_id) VALUES
+INSERT INTO courses (track_id, title, description, content, order_index, status, created_by_user_id) VALUES
 (1, 'Introduction to QA', 'Learn the fundamentals of software testing and quality assurance principles', 
  '# Introduction to Quality Assurance\n\nWelcome to the comprehensive guide to Quality Assurance in software development.\n\n## What is QA?\n\nQuality Assurance (QA) is a systematic process of ensuring that software products meet specified requirements and are free from defects.', 
- 1, true, 1),
+ 1, 'published', 1),
  
 (2, 'Getting Started with Test Automation', 'Your first steps into the world of automated testing', 
  '# Test Automation Fundamentals\n\nTest automation is the practice of running tests automatically, managing test data, and utilizing results to improve software quality.\n\n## Benefits of Automation\n\n- Faster feedback\n- Consistent execution\n- Better test coverage',
- 1, true, 1);
+ 1, 'published', 1);
 
 -- Insert sample achievements
 INSERT INTO achievements (title, description, badge_icon, points) VALUES
@@ -136,6 +331,120 @@ INSERT INTO content_tags (name, description, color) VALUES
 ('Performance', 'Performance Testing', '#EF4444'),
 ('Security', 'Security Testing', '#8B5CF6');
 
+-- Insert built-in content templates
+INSERT INTO content_templates (slug, name, description, content, sections, variables, lessons) VALUES
+('qa-fundamentals', 'QA Fundamentals Course', 'Template for basic QA concepts course',
+'# Course Introduction
+
+Welcome to this comprehensive course on Quality Assurance fundamentals.
+
+## Learning Objectives
+- Understand the role of QA in software development
+- Learn basic testing methodologies
+- Practice essential QA skills
+
+## Course Modules
+
+### Module 1: Introduction to QA
+What is Quality Assurance and why is it important?
+
+### Module 2: Testing Types
+- Unit Testing
+- Integration Testing  
+- System Testing
+- Acceptance Testing
+
+### Module 3: Test Planning
+How to create effective test plans and test cases.
+
+## Exercises
+1. Create your first test case
+2. Execute manual testing scenarios
+3. Document defects effectively
+
+## Assessment
+Complete the quiz to test your understanding of QA fundamentals.',
+ '["Introduction", "Learning Objectives", "Course Modules", "Exercises", "Assessment"]', '[]', '[]'),
+
+('automation-basics', 'Test Automation Basics', 'Template for test automation introduction',
+'# Test Automation Course
+
+Learn the fundamentals of automated testing and tools.
+
+## What You''ll Learn
+- Automation framework concepts
+- Popular automation tools
+- Writing effective automated tests
+
+## Course Content
+
+### Introduction to Automation
+Why automate testing and when to use automation.
+
+### Tools Overview
+- Selenium WebDriver
+- Cypress
+- Postman for API testing
+
+### Hands-on Practice
+Build your first automated test suite.
+
+## Lab Exercises
+1. Set up automation environment
+2. Write your first automated test
+3. Create test reports
+
+## Final Project
+Design and implement an automation strategy for a sample application.',
+ '["Introduction", "Tools Overview", "Hands-on Practice", "Lab Exercises", "Final Project"]', '[]', '[]'),
+
+('api-testing', 'API Testing Course', 'Template for API testing fundamentals',
+'# API Testing Fundamentals
+
+Master the art of testing APIs and web services.
+
+## Course Overview
+Learn to test REST APIs, validate responses, and automate API tests.
+
+### Prerequisites  
+- Basic understanding of HTTP
+- Familiarity with JSON/XML
+
+### Topics Covered
+1. REST API concepts
+2. HTTP methods and status codes
+3. API testing tools (Postman, REST Assured)
+4. Test data management
+5. API automation strategies
+
+### Practical Exercises
+- Manual API testing with Postman
+- Automated API tests with scripts
+- Performance testing APIs
+
+### Assessment Methods
+- Hands-on lab completion
+- API test suite creation
+- Quiz on API testing concepts',
+ '["Overview", "Prerequisites", "Topics", "Exercises", "Assessment"]', '[]', '[]'),
+
+('tool-onboarding', 'Tool Onboarding Course', 'Multi-lesson course for getting started with a testing tool',
+'# {{courseTitle}}
+
+Get productive with {{toolName}} for {{language}} projects.
+
+## What You''ll Learn
+- Installing and configuring {{toolName}}
+- Writing and running your first tests
+- Running {{toolName}} in continuous integration',
+ '["Introduction", "Setup", "First Test", "Continuous Integration"]',
+ '[{"name": "toolName", "label": "Tool name", "required": true}, {"name": "language", "label": "Programming language", "default": "JavaScript", "required": false}]',
+ '[
+  {"title": "Setting up {{toolName}}", "content": "# Setting up {{toolName}}\n\nInstall {{toolName}} and create a {{language}} project for your tests.", "lessonType": "text", "durationMinutes": 20},
+  {"title": "Your first {{toolName}} test", "content": "# Your first {{toolName}} test\n\nWrite, run and debug a first test with {{toolName}}.", "lessonType": "text", "durationMinutes": 30},
+  {"title": "{{toolName}} in CI", "content": "# {{toolName}} in CI\n\nRun the suite on every change and publish the reports.", "lessonType": "assignment", "durationMinutes": 45}
+]');
+
 -- Insert sample lessons for the QA Fundamentals track
 INSERT INTO lessons (course_id, title, content, order_index, lesson_type, duration_minutes, is_published) VALUES
 (1, 'Introduction to QA', 'Welcome to the world of Quality Assurance! In this lesson, we will cover the fundamentals of software testing.', 1, 'text', 30, true),
@@ -189,9 +498,29 @@ CREATE INDEX IF NOT EXISTS idx_learning_tracks_published ON learning_tracks(is_p
 CREATE INDEX IF NOT EXISTS idx_learning_tracks_difficulty ON learning_tracks(difficulty_level);
 CREATE INDEX IF NOT EXISTS idx_courses_track_id ON courses(track_id);
 CREATE INDEX IF NOT EXISTS idx_courses_published ON courses(is_published);
+CREATE INDEX IF NOT EXISTS idx_learning_tracks_scheduled ON learning_tracks(publish_at) WHERE status = 'approved';
+CREATE INDEX IF NOT EXISTS idx_courses_scheduled ON courses(publish_at) WHERE status = 'approved';
+CREATE INDEX IF NOT EXISTS idx_learning_tracks_deleted ON learning_tracks(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_courses_deleted ON courses(deleted_at) WHERE deleted_at IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_lessons_course_id ON lessons(course_id);
+CREATE INDEX IF NOT EXISTS idx_lessons_deleted ON lessons(deleted_at) WHERE deleted_at IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_lessons_order ON lessons(order_index);
 CREATE INDEX IF NOT EXISTS idx_quizzes_lesson_id ON quizzes(lesson_id);
 CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz_id ON quiz_questions(quiz_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_pool_id ON quiz_questions(pool_id);
+CREATE INDEX IF NOT EXISTS idx_question_pools_quiz_id ON question_pools(quiz_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_quiz_user ON quiz_attempts(quiz_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_started_at ON quiz_attempts(started_at);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_open ON quiz_attempts(expires_at) WHERE status = 'in_progress';
+CREATE INDEX IF NOT EXISTS idx_learning_tracks_search ON learning_tracks USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_courses_search ON courses USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_lessons_search ON lessons USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_quizzes_search ON quizzes USING GIN(search_vector);
 CREATE INDEX IF NOT EXISTS idx_achievements_type ON achievements(achievement_type);
-CREATE INDEX IF NOT EXISTS idx_content_tags_name ON content_tags(name); 
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_content_workflow_events_content ON content_workflow_events(content_type, content_id);
+CREATE INDEX IF NOT EXISTS idx_content_tags_name ON content_tags(name); 
+CREATE INDEX IF NOT EXISTS idx_prerequisites_content ON prerequisites(content_type, content_id);
+CREATE INDEX IF NOT EXISTS idx_prerequisites_prerequisite ON prerequisites(prerequisite_type, prerequisite_id);
+CREATE INDEX IF NOT EXISTS idx_content_translations_locale ON content_translations(locale, content_type, content_id);
+CREATE INDEX IF NOT EXISTS idx_lesson_media_asset_id ON lesson_media(asset_id);
+CREATE INDEX IF NOT EXISTS idx_media_assets_created_at ON media_assets(created_at);
\ No newline at end of file
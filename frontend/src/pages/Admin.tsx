@@ -21,6 +21,7 @@ interface Track {
   difficultyLevel: string;
   estimatedHours: number;
   isPublished: boolean;
+  status: WorkflowStatus;
   createdAt: string;
   updatedAt: string;
 }
@@ -33,6 +34,7 @@ interface Course {
   trackTitle: string;
   orderIndex: number;
   isPublished: boolean;
+  status: WorkflowStatus;
   createdAt: string;
   updatedAt: string;
 }
@@ -65,17 +67,38 @@ interface LearningPath {
 }
 
 interface ContentTemplate {
-  id: string;
+  id: number;
+  slug: string;
   name: string;
   description: string;
   content: string;
   sections: string[];
+  variables: { name: string; label?: string; default?: string; required?: boolean }[];
+  lessons: { title: string; content?: string; lessonType?: string; durationMinutes?: number }[];
 }
 
 type AdminTab = 'users' | 'courses' | 'paths' | 'tracks';
 type ContentType = 'tracks' | 'courses';
-type ContentStatus = 'all' | 'published' | 'draft';
+type WorkflowStatus = 'draft' | 'in_review' | 'approved' | 'published' | 'archived';
+type ContentStatus = 'all' | WorkflowStatus;
+type ContentSort = 'updated_at' | 'title' | 'status';
+
+// Paging state the admin content listing returns for each content type
+interface ContentPage {
+  total: number;
+  limit: number;
+  hasMore: boolean;
+  nextCursor: string | null;
+}
 type UserStatus = 'all' | 'active' | 'inactive';
+
+const workflowStatusLabels: Record<WorkflowStatus, string> = {
+  draft: 'Draft',
+  in_review: 'In Review',
+  approved: 'Approved',
+  published: 'Published',
+  archived: 'Archived'
+};
 type UserRole = 'all' | 'admin' | 'instructor' | 'student';
 
 const Admin: React.FC = () => {
@@ -93,6 +116,10 @@ const Admin: React.FC = () => {
   // Filters and search
   const [statusFilter, setStatusFilter] = useState<ContentStatus>('all');
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [sortBy, setSortBy] = useState<ContentSort>('updated_at');
+  const [pagination, setPagination] = useState<ContentPage | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [selectedItems, setSelectedItems] = useState<number[]>([]);
   
   // Modal states
@@ -109,8 +136,7 @@ const Admin: React.FC = () => {
     difficultyLevel: 'beginner',
     estimatedHours: 1,
     orderIndex: 0,
-    trackId: 0,
-    isPublished: false
+    trackId: 0
   });
 
   // Check admin permissions
@@ -126,28 +152,53 @@ const Admin: React.FC = () => {
     }
   }, [isAuthenticated, user, token]);
 
+  // Search on the server once typing pauses instead of on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
   useEffect(() => {
     if (user?.role === 'admin' && token) {
       fetchContent();
     }
-  }, [activeTab, statusFilter, user, token]);
+  }, [activeTab, statusFilter, debouncedSearch, sortBy, user, token]);
 
-  const fetchContent = async () => {
+  // Loads the first page, or appends the page after `cursor` to what is already listed
+  const fetchContent = async (cursor?: string) => {
     try {
-      setLoading(true);
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+        setSelectedItems([]);
+      }
       setError('');
-      
+
+      const options = { q: debouncedSearch, sort: sortBy, cursor };
+
       if (activeTab === 'tracks') {
-        const data = await apiClient.getContent('tracks', statusFilter) as { content: { tracks: Track[] } };
-        setTracks(data.content?.tracks || []);
+        const data = await apiClient.getContent('tracks', statusFilter, options) as {
+          content: { tracks: Track[] };
+          pagination: { tracks: ContentPage };
+        };
+        const page = data.content?.tracks || [];
+        setTracks(previous => (cursor ? [...previous, ...page] : page));
+        setPagination(data.pagination?.tracks || null);
       } else if (activeTab === 'courses') {
-        const data = await apiClient.getContent('courses', statusFilter) as { content: { courses: Course[] } };
-        setCourses(data.content?.courses || []);
+        const data = await apiClient.getContent('courses', statusFilter, options) as {
+          content: { courses: Course[] };
+          pagination: { courses: ContentPage };
+        };
+        const page = data.content?.courses || [];
+        setCourses(previous => (cursor ? [...previous, ...page] : page));
+        setPagination(data.pagination?.courses || null);
       }
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to fetch content');
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
   };
 
@@ -200,16 +251,14 @@ const Admin: React.FC = () => {
           title: formData.title,
           description: formData.description,
           difficultyLevel: formData.difficultyLevel,
-          estimatedHours: formData.estimatedHours,
-          isPublished: formData.isPublished
+          estimatedHours: formData.estimatedHours
         });
       } else {
         await apiClient.updateCourse(editingItem.id, {
           title: formData.title,
           description: formData.description,
           content: formData.content,
-          orderIndex: formData.orderIndex,
-          isPublished: formData.isPublished
+          orderIndex: formData.orderIndex
         });
       }
 
@@ -263,8 +312,7 @@ const Admin: React.FC = () => {
       difficultyLevel: 'difficultyLevel' in item ? (item as Track).difficultyLevel : 'beginner',
       estimatedHours: 'estimatedHours' in item ? (item as Track).estimatedHours : 1,
       orderIndex: 'orderIndex' in item ? (item as Course).orderIndex : 0,
-      trackId: 'trackId' in item ? (item as Course).trackId : 0,
-      isPublished: item.isPublished
+      trackId: 'trackId' in item ? (item as Course).trackId : 0
     });
     setShowEditModal(true);
   };
@@ -287,31 +335,12 @@ const Admin: React.FC = () => {
       difficultyLevel: 'beginner',
       estimatedHours: 1,
       orderIndex: 0,
-      trackId: 0,
-      isPublished: false
+      trackId: 0
     });
   };
 
-  // Filter content based on search and status
-  const filteredTracks = tracks.filter(track => {
-    const matchesSearch = track.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         track.description.toLowerCase().includes(searchQuery.toLowerCase());
-    const matchesStatus = statusFilter === 'all' || 
-                         (statusFilter === 'published' && track.isPublished) ||
-                         (statusFilter === 'draft' && !track.isPublished);
-    return matchesSearch && matchesStatus;
-  });
-
-  const filteredCourses = courses.filter(course => {
-    const matchesSearch = course.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         course.description.toLowerCase().includes(searchQuery.toLowerCase());
-    const matchesStatus = statusFilter === 'all' || 
-                         (statusFilter === 'published' && course.isPublished) ||
-                         (statusFilter === 'draft' && !course.isPublished);
-    return matchesSearch && matchesStatus;
-  });
-
-  const currentData = activeTab === 'tracks' ? filteredTracks : filteredCourses;
+  // Search and status filtering happen on the server; these are the pages loaded so far
+  const currentData = activeTab === 'tracks' ? tracks : courses;
 
   if (!user || user.role !== 'admin') {
     return (
@@ -403,9 +432,23 @@ const Admin: React.FC = () => {
                 >
                   <option value="all">All Content</option>
                   <option value="published">Published</option>
+                  <option value="approved">Approved</option>
+                  <option value="in_review">In Review</option>
                   <option value="draft">Drafts</option>
+                  <option value="archived">Archived</option>
                 </select>
               </div>
+
+              {/* Sort */}
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value as ContentSort)}
+                className="px-4 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-purple-500 focus:outline-none"
+              >
+                <option value="updated_at">Recently Updated</option>
+                <option value="title">Title</option>
+                <option value="status">Status</option>
+              </select>
             </div>
 
             <div className="flex gap-2">
@@ -553,7 +596,7 @@ const Admin: React.FC = () => {
                             <EyeSlashIcon className="h-4 w-4 text-gray-400 mr-2" />
                           )}
                           <span className={`text-sm ${item.isPublished ? 'text-green-400' : 'text-gray-400'}`}>
-                            {item.isPublished ? 'Published' : 'Draft'}
+                            {workflowStatusLabels[item.status] || 'Draft'}
                           </span>
                         </div>
                       </td>
@@ -577,6 +620,22 @@ const Admin: React.FC = () => {
                   ))}
                 </tbody>
               </table>
+              {pagination && (
+                <div className="flex items-center justify-between px-6 py-4 border-t border-gray-700">
+                  <p className="text-sm text-gray-400">
+                    Showing {currentData.length} of {pagination.total} {activeTab}
+                  </p>
+                  {pagination.hasMore && pagination.nextCursor && (
+                    <button
+                      onClick={() => fetchContent(pagination.nextCursor ?? undefined)}
+                      disabled={loadingMore}
+                      className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white rounded-lg text-sm"
+                    >
+                      {loadingMore ? 'Loading...' : 'Load more'}
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -704,19 +763,6 @@ const Admin: React.FC = () => {
                   </div>
                 )}
 
-                <div className="flex items-center">
-                  <input
-                    type="checkbox"
-                    id="publishOnCreate"
-                    checked={formData.isPublished}
-                    onChange={(e) => setFormData({...formData, isPublished: e.target.checked})}
-                    className="rounded border-gray-600 bg-gray-700 text-purple-600 focus:ring-purple-500"
-                  />
-                  <label htmlFor="publishOnCreate" className="ml-2 text-sm text-gray-300">
-                    Publish immediately
-                  </label>
-                </div>
-
                 <div className="flex justify-between">
                   <div className="flex gap-2">
                     <button
@@ -839,19 +885,6 @@ const Admin: React.FC = () => {
                   </div>
                 )}
 
-                <div className="flex items-center">
-                  <input
-                    type="checkbox"
-                    id="publishStatus"
-                    checked={formData.isPublished}
-                    onChange={(e) => setFormData({...formData, isPublished: e.target.checked})}
-                    className="rounded border-gray-600 bg-gray-700 text-purple-600 focus:ring-purple-500"
-                  />
-                  <label htmlFor="publishStatus" className="ml-2 text-sm text-gray-300">
-                    Published
-                  </label>
-                </div>
-
                 <div className="flex justify-end gap-2">
                   <button
                     type="button"
@@ -59,6 +59,18 @@ interface LearningPath {
 
 type AdminTab = 'users' | 'courses' | 'paths' | 'analytics';
 
+// Paging state the admin content listing returns for each content type
+interface ContentPage {
+  total: number;
+  limit: number;
+  hasMore: boolean;
+  nextCursor: string | null;
+}
+
+// The courses filter's "Drafts" option means anything not yet published
+const courseStatusParam = (filter: string) =>
+  filter === 'published' ? 'published' : filter === 'draft' ? 'unpublished' : 'all';
+
 const AdminDashboard: React.FC = () => {
   const { user, token, isAuthenticated } = useAuthStore();
   
@@ -67,12 +79,15 @@ const AdminDashboard: React.FC = () => {
   const [activeTab, setActiveTab] = useState<AdminTab>('users');
   const [users, setUsers] = useState<User[]>([]);
   const [courses, setCourses] = useState<Course[]>([]);
+  const [coursesPage, setCoursesPage] = useState<ContentPage | null>(null);
   const [paths, setPaths] = useState<LearningPath[]>([]);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState<string>('');
   
   // Search and filter states
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [selectedItems, setSelectedItems] = useState<number[]>([]);
   
@@ -121,6 +136,18 @@ const AdminDashboard: React.FC = () => {
     }
   }, [activeTab, user, token]);
 
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Courses are searched and filtered on the server, so refetch them when either changes
+  useEffect(() => {
+    if (activeTab === 'courses' && user?.role === 'admin' && token) {
+      fetchData();
+    }
+  }, [debouncedSearch, statusFilter]);
+
   const fetchData = async () => {
     try {
       setLoading(true);
@@ -154,9 +181,27 @@ const AdminDashboard: React.FC = () => {
     }
   };
 
-  const fetchCourses = async () => {
-    const data = await apiClient.getContent('courses') as { content: { courses: Course[] } };
-    setCourses(data.content?.courses || []);
+  // Loads the first page of courses, or appends the page after `cursor`
+  const fetchCourses = async (cursor?: string) => {
+    const data = await apiClient.getContent('courses', courseStatusParam(statusFilter), {
+      q: debouncedSearch,
+      cursor
+    }) as { content: { courses: Course[] }; pagination: { courses: ContentPage } };
+    const page = data.content?.courses || [];
+    setCourses(previous => (cursor ? [...previous, ...page] : page));
+    setCoursesPage(data.pagination?.courses || null);
+  };
+
+  const loadMoreCourses = async () => {
+    if (!coursesPage?.nextCursor) return;
+    try {
+      setLoadingMore(true);
+      await fetchCourses(coursesPage.nextCursor);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch data');
+    } finally {
+      setLoadingMore(false);
+    }
   };
 
   const fetchPaths = async () => {
@@ -333,8 +378,8 @@ const AdminDashboard: React.FC = () => {
         data = users;
         break;
       case 'courses':
-        data = courses;
-        break;
+        // Already searched and filtered by the server
+        return courses;
       case 'paths':
         data = paths;
         break;
@@ -658,6 +703,22 @@ const AdminDashboard: React.FC = () => {
                       ))}
                     </tbody>
                   </table>
+                  {activeTab === 'courses' && coursesPage && (
+                    <div className="flex items-center justify-between px-6 py-4 border-t border-gray-700">
+                      <p className="text-sm text-gray-400">
+                        Showing {courses.length} of {coursesPage.total} courses
+                      </p>
+                      {coursesPage.hasMore && coursesPage.nextCursor && (
+                        <button
+                          onClick={loadMoreCourses}
+                          disabled={loadingMore}
+                          className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white rounded-lg text-sm"
+                        >
+                          {loadingMore ? 'Loading...' : 'Load more'}
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -673,7 +734,7 @@ const AdminDashboard: React.FC = () => {
             </div>
             <div className="bg-gray-800 rounded-lg p-6">
               <h3 className="text-lg font-semibold text-white mb-2">Total Courses</h3>
-              <p className="text-3xl font-bold text-blue-400">{courses.length}</p>
+              <p className="text-3xl font-bold text-blue-400">{coursesPage?.total ?? courses.length}</p>
             </div>
             <div className="bg-gray-800 rounded-lg p-6">
               <h3 className="text-lg font-semibold text-white mb-2">Learning Paths</h3>
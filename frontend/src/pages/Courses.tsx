@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 
+interface Tag {
+  id: number;
+  name: string;
+  color: string | null;
+}
+
 interface Track {
   id: number;
   title: string;
@@ -8,6 +14,7 @@ interface Track {
   difficultyLevel: string;
   estimatedHours: number;
   isPublished: boolean;
+  tags?: Tag[];
   createdAt: string;
 }
 
@@ -199,6 +206,20 @@ const Courses: React.FC = () => {
               
               <h3 className="text-xl font-bold text-gray-900 mb-2">{track.title}</h3>
               <p className="text-gray-600 mb-4 line-clamp-3">{track.description}</p>
+
+              {track.tags && track.tags.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-4">
+                  {track.tags.map((tag) => (
+                    <span
+                      key={tag.id}
+                      className="text-xs font-medium px-2 py-1 rounded-full text-white"
+                      style={{ backgroundColor: tag.color || '#6B7280' }}
+                    >
+                      {tag.name}
+                    </span>
+                  ))}
+                </div>
+              )}
               
               <div className="flex space-x-2">
                 <Link
@@ -93,9 +93,38 @@ const Quiz: React.FC = () => {
     }
   };
 
-  const startQuiz = () => {
-    setQuizStarted(true);
-    setStartTime(Date.now());
+  // The server opens the attempt, issues the deadline and draws this attempt's questions
+  const startQuiz = async () => {
+    if (!quiz) return;
+
+    try {
+      const response = await fetch(`/api/content/quizzes/${quizId}/start`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to start quiz');
+      }
+
+      const session = await response.json();
+      setQuiz({
+        ...quiz,
+        questions: session.questions,
+        totalQuestions: session.questions.length
+      });
+      if (session.remainingSeconds !== null) {
+        setTimeLeft(session.remainingSeconds);
+      }
+      setQuizStarted(true);
+      setStartTime(Date.now());
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to start quiz');
+      console.error('Error starting quiz:', error);
+    }
   };
 
   const handleAnswerChange = (questionId: number, answer: string) => {
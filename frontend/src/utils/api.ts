@@ -84,13 +84,17 @@ class ApiClient {
     });
   }
 
-  // Content endpoints - using working endpoints
-  async getContent(type: 'tracks' | 'courses', status = 'all') {
-    if (type === 'tracks') {
-      return this.getTracks();
-    } else {
-      return this.getCourses();
-    }
+  // Admin content listings, paged separately per type
+  async getContent(
+    type: 'tracks' | 'courses' | 'lessons' | 'quizzes',
+    status = 'all',
+    options: { q?: string; sort?: 'title' | 'updated_at' | 'status'; order?: 'asc' | 'desc'; limit?: number; cursor?: string } = {}
+  ) {
+    const params = new URLSearchParams({ type, status });
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') params.set(key, String(value));
+    });
+    return this.request(`/content/admin/content?${params}`);
   }
 
   async getTracks() {
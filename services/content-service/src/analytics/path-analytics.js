@@ -0,0 +1,128 @@
+// Path Analytics
+// GET /admin/paths/:pathId/analytics reports how learners move through a path: a funnel of
+// every lesson in path order (started, completed, in progress, abandoned, median time spent)
+// and daily enrollment and completion counts over a selectable range.
+//
+// A learner has abandoned a lesson when they started it, never completed it and have not
+// touched it for ABANDONED_AFTER_DAYS. The stall point is the lesson most learners abandoned.
+
+const TIMEFRAME_DAYS = { '7d': 7, '30d': 30, '90d': 90, '365d': 365 };
+const DEFAULT_TIMEFRAME = '30d';
+const MAX_RANGE_DAYS = 366;
+const ABANDONED_AFTER_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class AnalyticsRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyticsRequestError';
+  }
+}
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const parseDate = (value, name) => {
+  const date = DATE_PATTERN.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+  if (!date || isNaN(date) || formatDate(date) !== value) {
+    throw new AnalyticsRequestError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return date;
+};
+
+// Days covered by the time series, from ?from=&to= (inclusive, either may be left out) or
+// ?timeframe=7d|30d|90d|365d. Both end today (UTC) unless told otherwise.
+const parseAnalyticsRange = (query = {}, now = new Date()) => {
+  const today = new Date(`${formatDate(now)}T00:00:00Z`);
+
+  if (query.from === undefined && query.to === undefined) {
+    const timeframe = query.timeframe || DEFAULT_TIMEFRAME;
+    const days = TIMEFRAME_DAYS[timeframe];
+    if (!days) {
+      throw new AnalyticsRequestError(`Unknown timeframe "${timeframe}". Supported: ${Object.keys(TIMEFRAME_DAYS).join(', ')}`);
+    }
+    return { timeframe, from: formatDate(new Date(today - (days - 1) * DAY_MS)), to: formatDate(today) };
+  }
+
+  const to = query.to === undefined ? today : parseDate(query.to, 'to');
+  const from = query.from === undefined
+    ? new Date(to - (TIMEFRAME_DAYS[DEFAULT_TIMEFRAME] - 1) * DAY_MS)
+    : parseDate(query.from, 'from');
+  if (from > to) {
+    throw new AnalyticsRequestError('from must not be after to');
+  }
+  if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new AnalyticsRequestError(`Range must not exceed ${MAX_RANGE_DAYS} days`);
+  }
+  return { timeframe: 'custom', from: formatDate(from), to: formatDate(to) };
+};
+
+// One entry per day of the range, with 0 for days without rows. rows: [{ date: 'YYYY-MM-DD', count }]
+const dailySeries = (rows, { from, to }, field) => {
+  const counts = new Map(rows.map(row => [row.date, parseInt(row.count) || 0]));
+  const series = [];
+  for (let day = new Date(`${from}T00:00:00Z`); formatDate(day) <= to; day = new Date(day.getTime() + DAY_MS)) {
+    series.push({ date: formatDate(day), [field]: counts.get(formatDate(day)) || 0 });
+  }
+  return series;
+};
+
+const rate = (part, whole) => (whole > 0 ? ((part / whole) * 100).toFixed(1) : '0.0');
+
+// Funnel over the path's lessons, which must come in path order (course, then lesson order).
+// Learners lost between lessons completed the previous lesson but never started this one.
+const buildLessonFunnel = (rows) => {
+  const firstStarted = rows.length > 0 ? parseInt(rows[0].started) || 0 : 0;
+  let previousCompleted = null;
+
+  const lessons = rows.map(row => {
+    const started = parseInt(row.started) || 0;
+    const completed = parseInt(row.completed) || 0;
+    const abandoned = parseInt(row.abandoned) || 0;
+    const lesson = {
+      id: row.id,
+      title: row.title,
+      courseId: row.course_id,
+      courseTitle: row.course_title,
+      orderIndex: row.order_index,
+      started,
+      completed,
+      inProgress: started - completed - abandoned,
+      abandoned,
+      completionRate: rate(completed, started),
+      abandonRate: rate(abandoned, started),
+      reachRate: rate(started, firstStarted),
+      lostBeforeStart: previousCompleted === null ? 0 : Math.max(previousCompleted - started, 0),
+      medianMinutesSpent: row.median_minutes === null || row.median_minutes === undefined
+        ? null
+        : Math.round(parseFloat(row.median_minutes))
+    };
+    previousCompleted = completed;
+    return lesson;
+  });
+
+  // Earliest lesson with the most abandonments, if anyone abandoned at all
+  const stallPoint = lessons.reduce((worst, lesson) =>
+    (lesson.abandoned > (worst ? worst.abandoned : 0) ? lesson : worst), null);
+
+  return {
+    lessons,
+    stallPoint: stallPoint && {
+      lessonId: stallPoint.id,
+      title: stallPoint.title,
+      abandoned: stallPoint.abandoned,
+      abandonRate: stallPoint.abandonRate
+    }
+  };
+};
+
+module.exports = {
+  TIMEFRAME_DAYS,
+  ABANDONED_AFTER_DAYS,
+  MAX_RANGE_DAYS,
+  AnalyticsRequestError,
+  parseAnalyticsRange,
+  dailySeries,
+  buildLessonFunnel
+};
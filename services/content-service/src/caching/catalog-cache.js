@@ -0,0 +1,219 @@
+// Catalog Cache
+// Track, course and lesson reads are kept in Redis as JSON. Every entry is registered under
+// the dependencies it was built from: the entities it shows (track:3, course:7, lesson:12)
+// and the listings it contains (track:3:courses, course:7:lessons, tracks). A write
+// invalidates the dependencies of the rows it changed (changeDependencies), which deletes
+// exactly the entries that showed them.
+//
+// Redis is optional. Without a client, while it is down, or when a command fails or times
+// out, reads go straight to the database. Invalidations that could not be delivered clear
+// the whole catalog once Redis is back, so nothing stale outlives an outage.
+
+const CACHE_NAME = 'catalog';
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_TIMEOUT_MS = 250;
+
+// A read that was loading while its content changed may have seen the old rows. Entries are
+// not stored for this long after one of their dependencies was invalidated.
+const CHANGE_GRACE_SECONDS = 5;
+
+class CatalogCacheError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogCacheError';
+  }
+}
+
+// Dependencies to invalidate when a track, course or lesson row changes: the entity itself
+// and the listing it appears in (its parent's, when the row says which parent that is)
+const changeDependencies = (type, row) => {
+  switch (type) {
+    case 'track':
+      return [`track:${row.id}`, 'tracks'];
+    case 'course':
+      return [`course:${row.id}`, ...(row.track_id ? [`track:${row.track_id}:courses`] : [])];
+    case 'lesson':
+      return [`lesson:${row.id}`, ...(row.course_id ? [`course:${row.course_id}:lessons`] : [])];
+    default:
+      throw new CatalogCacheError(`Unknown catalog content type "${type}"`);
+  }
+};
+
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new CatalogCacheError(`Redis did not answer within ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// client: a connected node-redis client (or null to disable caching); metrics: a
+// MetricsCollector from shared/monitoring for hit, miss and error counts (or null to count nothing)
+const createCatalogCache = ({
+  client = null,
+  metrics = null,
+  prefix = CACHE_NAME,
+  ttlSeconds = DEFAULT_TTL_SECONDS,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) => {
+  const entryKey = (key) => `${prefix}:entry:${key}`;
+  const dependencyKey = (dependency) => `${prefix}:deps:${dependency}`;
+  const changedKey = (dependency) => `${prefix}:changed:${dependency}`;
+
+  let failing = false;
+  let flushPending = false;
+
+  const count = (name, description, labels = {}, amount = 1) => {
+    if (metrics) {
+      metrics.counter(name, description, { cache: CACHE_NAME, ...labels }).inc(amount);
+    }
+  };
+
+  const available = () => Boolean(client && client.isReady);
+
+  // Run one Redis operation; failures are counted and logged once per outage, then rethrown
+  const run = async (operation, work) => {
+    try {
+      const result = await withTimeout(work(), timeoutMs);
+      if (failing) {
+        failing = false;
+        console.log('✅ Catalog cache is answering again');
+      }
+      return result;
+    } catch (error) {
+      count('cache_errors_total', 'Cache errors', { operation });
+      if (!failing) {
+        failing = true;
+        console.error(`Catalog cache ${operation} failed, reading from the database:`, error.message);
+      }
+      throw error;
+    }
+  };
+
+  const clear = async () => {
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: `${prefix}:*`, COUNT: 500 })) {
+      keys.push(key);
+    }
+    if (keys.length > 0) {
+      await client.del(keys);
+    }
+  };
+
+  const flush = async () => {
+    if (!client) return;
+    if (!available()) {
+      flushPending = true;
+      return;
+    }
+    try {
+      await run('flush', clear);
+      flushPending = false;
+    } catch (error) {
+      flushPending = true;
+    }
+  };
+
+  if (client) {
+    // node-redis reports every failed reconnect attempt; one line per outage is enough
+    client.on('error', (error) => {
+      if (!failing) {
+        failing = true;
+        console.error('Catalog cache unavailable, reading from the database:', error.message);
+      }
+    });
+    client.on('ready', () => {
+      if (failing) {
+        failing = false;
+        console.log('✅ Catalog cache connected to Redis');
+      }
+      if (flushPending) flush();
+    });
+  }
+
+  const store = async (key, json, dependencies) => {
+    const changed = await client.mGet(dependencies.map(changedKey));
+    if (changed.some(value => value !== null)) {
+      return;
+    }
+
+    const transaction = client.multi().set(entryKey(key), json, { EX: ttlSeconds });
+    for (const dependency of dependencies) {
+      transaction.sAdd(dependencyKey(dependency), entryKey(key)).expire(dependencyKey(dependency), ttlSeconds);
+    }
+    await transaction.exec();
+  };
+
+  // Cached value for key, or the value of load() stored for next time. load resolves to
+  // { value, dependsOn }; values without dependencies (e.g. not found) are not stored.
+  const read = async (resource, key, load) => {
+    if (available()) {
+      const startedAt = process.hrtime.bigint();
+      try {
+        const cached = await run('get', () => client.get(entryKey(key)));
+        if (metrics) {
+          metrics.histogram('cache_operation_duration_seconds', 'Cache operation duration', null, {
+            cache: CACHE_NAME, operation: 'get'
+          }).observe(Number(process.hrtime.bigint() - startedAt) / 1e9);
+        }
+        if (cached !== null) {
+          count('cache_hits_total', 'Cache hits', { resource });
+          return JSON.parse(cached);
+        }
+        count('cache_misses_total', 'Cache misses', { resource });
+      } catch (error) {
+        return (await load()).value;
+      }
+    }
+
+    const { value, dependsOn = [] } = await load();
+    if (available() && dependsOn.length > 0) {
+      // Serialized now: callers go on to localize and otherwise change the value
+      run('set', () => store(key, JSON.stringify(value), [...new Set(dependsOn)])).catch(() => {});
+    }
+    return value;
+  };
+
+  // Delete every entry built from any of these dependencies. Call once the change is committed.
+  const invalidate = async (dependencies) => {
+    const unique = [...new Set(dependencies)];
+    if (!client || unique.length === 0) return;
+    if (flushPending || !available()) {
+      return flush();
+    }
+
+    try {
+      await run('invalidate', async () => {
+        const marked = client.multi();
+        for (const dependency of unique) {
+          marked.set(changedKey(dependency), '1', { EX: CHANGE_GRACE_SECONDS });
+        }
+        await marked.exec();
+
+        const members = await Promise.all(unique.map(dependency => client.sMembers(dependencyKey(dependency))));
+        const entries = [...new Set(members.flat())];
+        if (entries.length === 0) return;
+
+        // Entries registered since sMembers stay in their sets for the next invalidation
+        const removal = client.multi().del(entries);
+        unique.forEach((dependency, index) => {
+          if (members[index].length > 0) removal.sRem(dependencyKey(dependency), members[index]);
+        });
+        await removal.exec();
+      });
+      count('cache_invalidations_total', 'Cache invalidations', {}, unique.length);
+    } catch (error) {
+      flushPending = true;
+    }
+  };
+
+  return { read, invalidate, flush };
+};
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  DEFAULT_TIMEOUT_MS,
+  CatalogCacheError,
+  changeDependencies,
+  createCatalogCache
+};
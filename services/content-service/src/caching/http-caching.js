@@ -0,0 +1,61 @@
+// HTTP Caching
+// Catalog reads carry a strong ETag so clients can revalidate with If-None-Match and get a 304
+// instead of the whole body again.
+//
+// The ETag is a hash of the response itself. Every item in it carries its updatedAt, so the
+// tag changes whenever any of them is edited, and also when something without a timestamp
+// changes, like the tags on a course, a learner's lock status or an item leaving a list.
+// Timestamps miss those changes, so Last-Modified (and with it If-Modified-Since) is only sent
+// for responses whose every part is covered by the timestamps the route passes in.
+
+const crypto = require('crypto');
+
+const PUBLIC_MAX_AGE_SECONDS = 60;
+const PUBLIC_STALE_SECONDS = 300;
+
+// Shared caches may keep anonymous responses briefly; responses to signed-in requests can
+// depend on the learner, so only their browser keeps them, and always revalidates
+const CACHE_POLICIES = {
+  public: `public, max-age=${PUBLIC_MAX_AGE_SECONDS}, stale-while-revalidate=${PUBLIC_STALE_SECONDS}`,
+  authenticated: 'private, no-cache'
+};
+
+const entityTag = (body) => `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+
+// Newest of the given timestamps, or null when none is set
+const lastModified = (...timestamps) => timestamps
+  .filter(Boolean)
+  .map(timestamp => new Date(timestamp))
+  .filter(time => !isNaN(time))
+  .reduce((latest, time) => (!latest || time > latest ? time : latest), null);
+
+// "W/\"a\", \"b\"" -> ['"a"', '"b"']; weak tags compare equal to their strong form
+const parseEntityTags = (header) =>
+  String(header || '').split(',').map(tag => tag.trim().replace(/^W\//, '')).filter(Boolean);
+
+// RFC 9110 evaluation for GET: If-None-Match wins, If-Modified-Since is only used without it.
+// HTTP dates have whole seconds, so the comparison drops milliseconds.
+const isNotModified = (headers, { etag, modified }) => {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    const tags = parseEntityTags(ifNoneMatch);
+    return tags.includes('*') || tags.includes(etag);
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since']);
+  if (modified && !isNaN(ifModifiedSince)) {
+    return Math.floor(modified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+  }
+  return false;
+};
+
+const cachePolicy = (headers) => (headers.authorization ? CACHE_POLICIES.authenticated : CACHE_POLICIES.public);
+
+module.exports = {
+  CACHE_POLICIES,
+  entityTag,
+  lastModified,
+  parseEntityTags,
+  isNotModified,
+  cachePolicy
+};
@@ -0,0 +1,165 @@
+// Media Library
+// Lesson images and attachments are uploaded once and referenced from lesson content either
+// as media:<id> or by their URL (/api/content/media/<id>/file). The file type is taken from
+// the bytes rather than from what the client claims, and files are stored under their
+// SHA-256 so uploading the same file twice returns the asset that already exists.
+
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+
+const MB = 1024 * 1024;
+
+const MEDIA_KINDS = ['image', 'video', 'document', 'attachment'];
+
+const MEDIA_TYPES = {
+  'image/png': { kind: 'image', extension: '.png', maxBytes: 10 * MB },
+  'image/jpeg': { kind: 'image', extension: '.jpg', maxBytes: 10 * MB },
+  'image/gif': { kind: 'image', extension: '.gif', maxBytes: 10 * MB },
+  'image/webp': { kind: 'image', extension: '.webp', maxBytes: 10 * MB },
+  'video/mp4': { kind: 'video', extension: '.mp4', maxBytes: 100 * MB },
+  'video/webm': { kind: 'video', extension: '.webm', maxBytes: 100 * MB },
+  'application/pdf': { kind: 'document', extension: '.pdf', maxBytes: 25 * MB },
+  'text/plain': { kind: 'document', extension: '.txt', maxBytes: 5 * MB },
+  'text/csv': { kind: 'document', extension: '.csv', maxBytes: 5 * MB },
+  'text/markdown': { kind: 'document', extension: '.md', maxBytes: 5 * MB },
+  'application/zip': { kind: 'attachment', extension: '.zip', maxBytes: 50 * MB }
+};
+
+// Largest file any type allows; the upload itself is cut off here
+const MAX_MEDIA_BYTES = Math.max(...Object.values(MEDIA_TYPES).map(type => type.maxBytes));
+
+const THUMBNAIL_SIZE = 320;
+
+// Text files have no signature; the extension picks the type
+const TEXT_EXTENSIONS = { '.txt': 'text/plain', '.csv': 'text/csv', '.md': 'text/markdown', '.markdown': 'text/markdown' };
+
+// media:12 or .../media/12/file; sync_lesson_media() in the schema matches the same forms
+const MEDIA_REFERENCE_PATTERN = /(?:\bmedia:|\/media\/)(\d+)\b/g;
+
+class MediaError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MediaError';
+    this.statusCode = statusCode;
+  }
+}
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+const ascii = (text) => [...text].map(character => character.charCodeAt(0));
+
+// MIME type from the file signature, or null when the bytes match none we accept
+const sniffMimeType = (buffer) => {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+  if (startsWith(buffer, ascii('ftyp'), 4)) return 'video/mp4';
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'video/webm';
+  if (startsWith(buffer, ascii('%PDF-'))) return 'application/pdf';
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return 'application/zip';
+  return null;
+};
+
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Decide what an upload is and whether it is allowed; throws MediaError otherwise
+const resolveMediaType = (buffer, fileName) => {
+  if (!buffer || buffer.length === 0) {
+    throw new MediaError('File is empty');
+  }
+
+  const extension = path.extname(fileName || '').toLowerCase();
+  const mimeType = sniffMimeType(buffer) || (TEXT_EXTENSIONS[extension] && isText(buffer) ? TEXT_EXTENSIONS[extension] : null);
+  if (!mimeType) {
+    throw new MediaError(`Unsupported file type. Allowed: ${Object.keys(MEDIA_TYPES).join(', ')}`, 415);
+  }
+
+  const type = MEDIA_TYPES[mimeType];
+  if (buffer.length > type.maxBytes) {
+    throw new MediaError(`${mimeType} files can be at most ${type.maxBytes / MB} MB`, 413);
+  }
+  return { mimeType, ...type };
+};
+
+const contentHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Keys are spread over 256 directories by the first byte of the hash
+const mediaStorageKey = (hash, extension) => `${hash.slice(0, 2)}/${hash}${extension}`;
+const thumbnailStorageKey = (hash) => `thumbnails/${hash.slice(0, 2)}/${hash}.webp`;
+
+const isUnsafeFileNameChar = (char) => char.charCodeAt(0) < 0x20 || char.charCodeAt(0) === 0x7f || char === '"';
+
+// Keep the client's file name for display and downloads, minus any path and control characters
+const sanitizeFileName = (name) => {
+  const base = Array.from(path.basename(String(name || '').replace(/\\/g, '/')))
+    .filter(char => !isUnsafeFileNameChar(char))
+    .join('')
+    .trim();
+  return (base || 'file').slice(0, 255);
+};
+
+// Dimensions of an image and a WebP thumbnail that fits in THUMBNAIL_SIZE on both sides
+const processImage = async (buffer) => {
+  try {
+    const image = sharp(buffer);
+    const { width, height } = await image.metadata();
+    const thumbnail = await image
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    return { width, height, thumbnail };
+  } catch (error) {
+    throw new MediaError('Image could not be read');
+  }
+};
+
+// Asset IDs referenced from a piece of lesson content
+const extractMediaReferences = (content) =>
+  [...new Set([...String(content || '').matchAll(MEDIA_REFERENCE_PATTERN)].map(match => parseInt(match[1])))];
+
+const mediaFileUrl = (id) => `/api/content/media/${id}/file`;
+
+const formatMediaAsset = (row) => ({
+  id: row.id,
+  fileName: row.file_name,
+  mimeType: row.mime_type,
+  kind: row.kind,
+  sizeBytes: parseInt(row.size_bytes),
+  contentHash: row.content_hash,
+  width: row.width,
+  height: row.height,
+  url: mediaFileUrl(row.id),
+  thumbnailUrl: row.thumbnail_key ? `/api/content/media/${row.id}/thumbnail` : null,
+  reference: `media:${row.id}`,
+  usageCount: parseInt(row.usage_count) || 0,
+  uploadedBy: row.uploaded_by_user_id,
+  createdAt: row.created_at
+});
+
+module.exports = {
+  MEDIA_KINDS,
+  MEDIA_TYPES,
+  MAX_MEDIA_BYTES,
+  MediaError,
+  sniffMimeType,
+  resolveMediaType,
+  contentHash,
+  mediaStorageKey,
+  thumbnailStorageKey,
+  sanitizeFileName,
+  processImage,
+  extractMediaReferences,
+  mediaFileUrl,
+  formatMediaAsset
+};
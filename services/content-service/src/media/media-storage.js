@@ -0,0 +1,70 @@
+// Media Storage
+// Uploaded files are handed to a storage driver that only knows keys and bytes, so the media
+// library can move from local disk to an object store without touching the routes. A driver
+// is a factory returning { name, put(key, buffer, { contentType }), get(key), remove(key) };
+// get resolves to null for a key that is not stored.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files live under root at their key; keys never escape the root directory
+const createLocalStorage = ({ root }) => {
+  const base = path.resolve(root);
+  const resolveKey = (key) => {
+    const file = path.resolve(base, String(key));
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    // Written to a temporary file first so readers never see half a file
+    async put(key, buffer) {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const temporary = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.writeFile(temporary, buffer);
+      await fs.rename(temporary, file);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+const STORAGE_DRIVERS = {
+  local: createLocalStorage
+};
+
+// Make another driver available to createMediaStorage, e.g. an S3-backed one
+const registerStorageDriver = (name, factory) => {
+  STORAGE_DRIVERS[name] = factory;
+};
+
+const createMediaStorage = ({ driver = 'local', ...options } = {}) => {
+  const factory = STORAGE_DRIVERS[driver];
+  if (!factory) {
+    throw new Error(`Unknown media storage driver "${driver}". Available: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createLocalStorage,
+  registerStorageDriver,
+  createMediaStorage
+};
@@ -0,0 +1,36 @@
+// Service Metrics
+// The service reports through the shared MetricsCollector (shared/monitoring) when it can be
+// loaded: from the repository checkout, or from /app/shared where docker-compose mounts it.
+// The image itself only ships src/, and the collector needs winston, which this service does
+// not depend on. Without it the service still starts and simply collects no metrics.
+
+const path = require('path');
+
+const COLLECTOR_MODULE = path.join('shared', 'monitoring', 'metrics-collector');
+
+// Repository checkout first, then the docker-compose mount next to src/
+const COLLECTOR_LOCATIONS = [
+  path.join(__dirname, '..', '..', '..', '..', COLLECTOR_MODULE),
+  path.join(__dirname, '..', '..', COLLECTOR_MODULE)
+];
+
+// The shared collector for these options, or null when it (or one of its dependencies) is not
+// installed. Anything else that goes wrong while loading it is a real error and is thrown.
+const loadMetricsCollector = (options, locations = COLLECTOR_LOCATIONS) => {
+  for (const location of locations) {
+    try {
+      return require(location).getMetricsCollector(options);
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+      }
+    }
+  }
+  console.warn('shared/monitoring is not available; service metrics are disabled');
+  return null;
+};
+
+module.exports = {
+  COLLECTOR_LOCATIONS,
+  loadMetricsCollector
+};
@@ -0,0 +1,97 @@
+// Track Cloning
+// A deep clone copies a track's content tree into a new draft track. It reuses the package
+// shape from track-package.js: the source is read into a package, pruned to the subtrees the
+// caller asked for and inserted like an import, so cloning and importing copy the same
+// columns. Tags are shared, so a clone is attached to the existing tags rather than copies.
+
+const DEFAULT_TITLE_SUFFIX = ' (Copy)';
+const MAX_TITLE_LENGTH = 255;
+
+// Parts of the tree that can be left out. Quizzes need lessons and questions (with their
+// pools) need quizzes; tags are independent.
+const CLONE_SUBTREES = ['lessons', 'quizzes', 'questions', 'tags'];
+
+class CloneError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CloneError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Fill in defaults and apply the dependencies between subtrees
+const normalizeCloneOptions = ({ title, description, titleSuffix, suffixChildTitles, include = {}, courseIds } = {}) => {
+  const included = Object.fromEntries(CLONE_SUBTREES.map(subtree => [subtree, include[subtree] !== false]));
+  included.quizzes = included.quizzes && included.lessons;
+  included.questions = included.questions && included.quizzes;
+
+  return {
+    title: title || null,
+    description,
+    titleSuffix: titleSuffix === undefined ? DEFAULT_TITLE_SUFFIX : titleSuffix,
+    suffixChildTitles: Boolean(suffixChildTitles),
+    include: included,
+    courseIds: courseIds ? [...new Set(courseIds)] : null
+  };
+};
+
+// Append suffix, shortening the title if the result would not fit the column
+const withSuffix = (title, suffix) => `${title.slice(0, MAX_TITLE_LENGTH - suffix.length)}${suffix}`;
+
+// Prune a package built from the source track to what the clone should contain.
+// Throws a CloneError when courseIds names courses that are not part of the track.
+const prepareClone = (sourcePackage, options) => {
+  const { track } = sourcePackage;
+  const { include, courseIds, titleSuffix, suffixChildTitles } = options;
+
+  if (courseIds) {
+    const known = new Set(track.courses.map(course => course.sourceId));
+    const missing = courseIds.filter(id => !known.has(id));
+    if (missing.length > 0) {
+      throw new CloneError(`Courses ${missing.join(', ')} do not belong to this learning path`);
+    }
+  }
+
+  const childTitle = (title) => (suffixChildTitles ? withSuffix(title, titleSuffix) : title);
+
+  const courses = track.courses
+    .filter(course => !courseIds || courseIds.includes(course.sourceId))
+    .map(course => ({
+      ...course,
+      title: childTitle(course.title),
+      tags: include.tags ? course.tags : [],
+      lessons: !include.lessons ? [] : course.lessons.map(lesson => ({
+        ...lesson,
+        title: childTitle(lesson.title),
+        quizzes: !include.quizzes ? [] : lesson.quizzes.map(quiz => ({
+          ...quiz,
+          title: childTitle(quiz.title),
+          pools: include.questions ? quiz.pools : [],
+          questions: include.questions ? quiz.questions : []
+        }))
+      }))
+    }));
+
+  // Only tags still attached to something are carried over
+  const usedTags = new Set(include.tags ? [...track.tags, ...courses.flatMap(course => course.tags)] : []);
+
+  return {
+    ...sourcePackage,
+    tags: sourcePackage.tags.filter(tag => usedTags.has(tag.name)),
+    track: {
+      ...track,
+      title: options.title || withSuffix(track.title, titleSuffix),
+      description: options.description === undefined ? track.description : options.description,
+      tags: include.tags ? track.tags : [],
+      courses
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_TITLE_SUFFIX,
+  CLONE_SUBTREES,
+  CloneError,
+  normalizeCloneOptions,
+  prepareClone
+};
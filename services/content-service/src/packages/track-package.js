@@ -0,0 +1,411 @@
+// Track Packages
+// A track package is a self-contained JSON document holding a track with its courses,
+// lessons, quizzes, question pools, questions and tags, so a curriculum can be moved between
+// environments. Items keep their source database IDs: questions point at pools through them
+// and imports report how they were remapped. Tags are carried by name. Packages are
+// versioned; an importer accepts its own version and older ones. Zip packages hold the same
+// document as PACKAGE_FILE_NAME.
+
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { validateQuestion, parseCorrectAnswer } = require('../quiz/grading');
+const { DIFFICULTIES, validatePool } = require('../quiz/question-bank');
+const { validateScoringPolicy } = require('../quiz/scoring');
+const { TAG_COLOR_PATTERN } = require('../tags/content-tags');
+
+const PACKAGE_FORMAT = 'sharklearning.track-package';
+const PACKAGE_VERSION = 1;
+const PACKAGE_FILE_NAME = 'track-package.json';
+
+// Largest package accepted, whether uploaded as JSON or inflated from a zip. The size a zip
+// declares for its entries cannot be trusted, so inflating stops at this limit instead.
+const MAX_PACKAGE_BYTES = 20 * 1024 * 1024;
+
+// Zip compression methods a package entry may use
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Matches the lessons.lesson_type CHECK constraint
+const LESSON_TYPES = ['text', 'video', 'quiz', 'assignment'];
+
+// How an import handles a live track that already has the package's title
+const CONFLICT_STRATEGIES = ['fail', 'rename'];
+
+class PackageError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'PackageError';
+    this.details = details;
+  }
+}
+
+const childrenOf = (rows, column, id) => rows.filter(row => row[column] === id);
+
+// Tags are matched by name, ignoring case and surrounding whitespace (they are stored trimmed)
+const tagKey = (name) => String(name).trim().toLowerCase();
+
+// Build a package from database rows. tags rows carry owner_type ('track' | 'course') and owner_id.
+const buildTrackPackage = ({ track, courses, lessons, quizzes, pools, questions, tags }, { exportedAt = new Date() } = {}) => {
+  const tagNames = (ownerType, ownerId) =>
+    tags.filter(tag => tag.owner_type === ownerType && tag.owner_id === ownerId).map(tag => tag.name);
+
+  const definitions = new Map();
+  tags.forEach(tag => definitions.set(tag.name, { name: tag.name, description: tag.description, color: tag.color }));
+
+  return {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    tags: [...definitions.values()],
+    track: {
+      sourceId: track.id,
+      title: track.title,
+      description: track.description,
+      difficultyLevel: track.difficulty_level,
+      estimatedHours: track.estimated_hours,
+      tags: tagNames('track', track.id),
+      courses: childrenOf(courses, 'track_id', track.id).map(course => ({
+        sourceId: course.id,
+        title: course.title,
+        description: course.description,
+        content: course.content,
+        orderIndex: course.order_index,
+        difficultyLevel: course.difficulty_level,
+        estimatedMinutes: course.estimated_minutes,
+        tags: tagNames('course', course.id),
+        lessons: childrenOf(lessons, 'course_id', course.id).map(lesson => ({
+          sourceId: lesson.id,
+          title: lesson.title,
+          content: lesson.content,
+          orderIndex: lesson.order_index,
+          lessonType: lesson.lesson_type,
+          durationMinutes: lesson.duration_minutes,
+          isPublished: lesson.is_published,
+          quizzes: childrenOf(quizzes, 'lesson_id', lesson.id).map(quiz => ({
+            sourceId: quiz.id,
+            title: quiz.title,
+            description: quiz.description,
+            timeLimitMinutes: quiz.time_limit_minutes,
+            passingScore: quiz.passing_score,
+            maxAttempts: quiz.max_attempts,
+            scoringPolicy: quiz.scoring_policy || {},
+            shuffleOptions: Boolean(quiz.shuffle_options),
+            isPublished: quiz.is_published,
+            pools: childrenOf(pools, 'quiz_id', quiz.id).map(pool => ({
+              sourceId: pool.id,
+              name: pool.name,
+              drawCount: pool.draw_count,
+              difficultyQuotas: pool.difficulty_quotas || {}
+            })),
+            questions: childrenOf(questions, 'quiz_id', quiz.id).map(question => ({
+              sourceId: question.id,
+              questionText: question.question_text,
+              questionType: question.question_type,
+              answerOptions: question.answer_options,
+              correctAnswer: parseCorrectAnswer(question.question_type, question.correct_answer),
+              points: question.points,
+              section: question.section || null,
+              difficulty: question.difficulty,
+              poolSourceId: question.pool_id || null,
+              orderIndex: question.order_index
+            }))
+          }))
+        }))
+      }))
+    }
+  };
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isOptionalInt = (value, min) =>
+  value === undefined || value === null || (Number.isInteger(value) && value >= min);
+
+// Validate a package; returns a list of "path: message" errors (empty when valid)
+const validatePackage = (pkg) => {
+  const errors = [];
+  const fail = (path, message) => errors.push(`${path}: ${message}`);
+
+  if (!isObject(pkg)) {
+    return ['package: must be a JSON object'];
+  }
+  if (pkg.format !== PACKAGE_FORMAT) {
+    fail('format', `must be "${PACKAGE_FORMAT}"`);
+  }
+  if (!Number.isInteger(pkg.version) || pkg.version < 1) {
+    fail('version', 'must be a positive integer');
+  } else if (pkg.version > PACKAGE_VERSION) {
+    fail('version', `package version ${pkg.version} is newer than this server supports (${PACKAGE_VERSION})`);
+  }
+
+  const tagNames = new Set();
+  if (pkg.tags !== undefined && !Array.isArray(pkg.tags)) {
+    fail('tags', 'must be an array');
+  }
+  (Array.isArray(pkg.tags) ? pkg.tags : []).forEach((tag, i) => {
+    const path = `tags[${i}]`;
+    if (!isObject(tag) || typeof tag.name !== 'string' || tag.name.trim() === '' || tag.name.length > 100) {
+      return fail(path, 'name must be 1-100 characters');
+    }
+    if (tagNames.has(tagKey(tag.name))) {
+      fail(path, `duplicate tag "${tag.name.trim()}"`);
+    }
+    tagNames.add(tagKey(tag.name));
+    if (tag.color !== undefined && tag.color !== null && !TAG_COLOR_PATTERN.test(tag.color)) {
+      fail(path, 'color must be a hex color like #3B82F6');
+    }
+  });
+
+  const checkTitle = (path, item) => {
+    if (typeof item.title !== 'string' || item.title.trim() === '' || item.title.length > 255) {
+      fail(path, 'title must be 1-255 characters');
+    }
+  };
+  const checkTags = (path, item) => {
+    if (item.tags === undefined) return;
+    if (!Array.isArray(item.tags)) return fail(path, 'tags must be an array of tag names');
+    item.tags.filter(name => typeof name !== 'string' || !tagNames.has(tagKey(name)))
+      .forEach(name => fail(path, `tag "${name}" is not defined in the package tags`));
+  };
+  const checkList = (path, item, key) => {
+    if (item[key] === undefined) return [];
+    if (!Array.isArray(item[key])) {
+      fail(path, `${key} must be an array`);
+      return [];
+    }
+    return item[key];
+  };
+
+  // Source IDs must be unique per kind so the ID map and pool references are unambiguous
+  const seen = { course: new Set(), lesson: new Set(), quiz: new Set(), pool: new Set(), question: new Set() };
+  const checkSourceId = (path, kind, item) => {
+    if (item.sourceId === undefined || item.sourceId === null) return;
+    if (!Number.isInteger(item.sourceId) && typeof item.sourceId !== 'string') {
+      return fail(path, 'sourceId must be an integer or string');
+    }
+    if (seen[kind].has(item.sourceId)) {
+      fail(path, `duplicate ${kind} sourceId ${item.sourceId}`);
+    }
+    seen[kind].add(item.sourceId);
+  };
+
+  const checkQuiz = (path, quiz) => {
+    checkTitle(path, quiz);
+    checkSourceId(path, 'quiz', quiz);
+    if (!isOptionalInt(quiz.timeLimitMinutes, 1)) fail(path, 'timeLimitMinutes must be a positive integer');
+    if (!isOptionalInt(quiz.maxAttempts, 1)) fail(path, 'maxAttempts must be a positive integer');
+    if (quiz.passingScore !== undefined && (!Number.isInteger(quiz.passingScore) || quiz.passingScore < 0 || quiz.passingScore > 100)) {
+      fail(path, 'passingScore must be an integer between 0 and 100');
+    }
+    validateScoringPolicy(quiz.scoringPolicy).forEach(message => fail(path, message));
+
+    const poolIds = new Set();
+    checkList(path, quiz, 'pools').forEach((pool, i) => {
+      const poolPath = `${path}.pools[${i}]`;
+      if (!isObject(pool)) return fail(poolPath, 'must be an object');
+      checkSourceId(poolPath, 'pool', pool);
+      if (pool.sourceId === undefined || pool.sourceId === null) fail(poolPath, 'sourceId is required');
+      poolIds.add(pool.sourceId);
+      validatePool(pool).forEach(message => fail(poolPath, message));
+    });
+
+    checkList(path, quiz, 'questions').forEach((question, i) => {
+      const questionPath = `${path}.questions[${i}]`;
+      if (!isObject(question)) return fail(questionPath, 'must be an object');
+      checkSourceId(questionPath, 'question', question);
+      if (typeof question.questionText !== 'string' || question.questionText.trim() === '') {
+        fail(questionPath, 'questionText is required');
+      }
+      validateQuestion(question).forEach(message => fail(questionPath, message));
+      if (!isOptionalInt(question.points, 0)) fail(questionPath, 'points must be a non-negative integer');
+      if (question.difficulty !== undefined && !DIFFICULTIES.includes(question.difficulty)) {
+        fail(questionPath, `difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+      }
+      if (question.poolSourceId !== undefined && question.poolSourceId !== null && !poolIds.has(question.poolSourceId)) {
+        fail(questionPath, `poolSourceId ${question.poolSourceId} does not match a pool of this quiz`);
+      }
+    });
+  };
+
+  const { track } = pkg;
+  if (!isObject(track)) {
+    fail('track', 'is required');
+    return errors;
+  }
+  checkTitle('track', track);
+  checkTags('track', track);
+  if (track.difficultyLevel !== undefined && !DIFFICULTY_LEVELS.includes(track.difficultyLevel)) {
+    fail('track', `difficultyLevel must be one of ${DIFFICULTY_LEVELS.join(', ')}`);
+  }
+  if (!isOptionalInt(track.estimatedHours, 0)) fail('track', 'estimatedHours must be a non-negative integer');
+
+  checkList('track', track, 'courses').forEach((course, c) => {
+    const coursePath = `track.courses[${c}]`;
+    if (!isObject(course)) return fail(coursePath, 'must be an object');
+    checkTitle(coursePath, course);
+    checkTags(coursePath, course);
+    checkSourceId(coursePath, 'course', course);
+    if (!isOptionalInt(course.orderIndex, 0)) fail(coursePath, 'orderIndex must be a non-negative integer');
+    if (!isOptionalInt(course.estimatedMinutes, 0)) fail(coursePath, 'estimatedMinutes must be a non-negative integer');
+    if (course.difficultyLevel !== undefined && !DIFFICULTY_LEVELS.includes(course.difficultyLevel)) {
+      fail(coursePath, `difficultyLevel must be one of ${DIFFICULTY_LEVELS.join(', ')}`);
+    }
+
+    checkList(coursePath, course, 'lessons').forEach((lesson, l) => {
+      const lessonPath = `${coursePath}.lessons[${l}]`;
+      if (!isObject(lesson)) return fail(lessonPath, 'must be an object');
+      checkTitle(lessonPath, lesson);
+      checkSourceId(lessonPath, 'lesson', lesson);
+      if (lesson.lessonType !== undefined && !LESSON_TYPES.includes(lesson.lessonType)) {
+        fail(lessonPath, `lessonType must be one of ${LESSON_TYPES.join(', ')}`);
+      }
+      if (!isOptionalInt(lesson.orderIndex, 0)) fail(lessonPath, 'orderIndex must be a non-negative integer');
+      if (!isOptionalInt(lesson.durationMinutes, 0)) fail(lessonPath, 'durationMinutes must be a non-negative integer');
+
+      checkList(lessonPath, lesson, 'quizzes').forEach((quiz, q) => {
+        const quizPath = `${lessonPath}.quizzes[${q}]`;
+        if (!isObject(quiz)) return fail(quizPath, 'must be an object');
+        checkQuiz(quizPath, quiz);
+      });
+    });
+  });
+
+  return errors;
+};
+
+// Item counts of a validated package
+const summarizePackage = (pkg) => {
+  const courses = pkg.track.courses || [];
+  const lessons = courses.flatMap(course => course.lessons || []);
+  const quizzes = lessons.flatMap(lesson => lesson.quizzes || []);
+  return {
+    courses: courses.length,
+    lessons: lessons.length,
+    quizzes: quizzes.length,
+    pools: quizzes.reduce((total, quiz) => total + (quiz.pools || []).length, 0),
+    questions: quizzes.reduce((total, quiz) => total + (quiz.questions || []).length, 0),
+    tags: (pkg.tags || []).length
+  };
+};
+
+// Split package tags into ones that already exist (matched by tagKey) and ones to create.
+// An existing tag is reused as is; differing descriptions or colors are reported as conflicts.
+const planTagImport = (packageTags, existingTags) => {
+  const existingByName = new Map(existingTags.map(tag => [tagKey(tag.name), tag]));
+  const reuse = [];
+  const create = [];
+  const conflicts = [];
+
+  for (const packageTag of packageTags) {
+    const tag = { ...packageTag, name: packageTag.name.trim() };
+    const existing = existingByName.get(tagKey(tag.name));
+    if (!existing) {
+      create.push(tag);
+      continue;
+    }
+    reuse.push({ ...tag, id: existing.id });
+    const differs = ['description', 'color'].filter(field =>
+      tag[field] !== undefined && (tag[field] ?? null) !== (existing[field] ?? null));
+    if (differs.length > 0) {
+      conflicts.push({
+        type: 'tag',
+        name: tag.name,
+        existingId: existing.id,
+        message: `Tag "${existing.name}" already exists with a different ${differs.join(' and ')}; the existing tag is used`,
+        resolution: 'reused_existing'
+      });
+    }
+  }
+
+  return { reuse, create, conflicts };
+};
+
+// First of "Title", "Title (2)", "Title (3)", ... not taken by existingTitles (case-insensitive)
+const uniqueTitle = (title, existingTitles) => {
+  const taken = new Set(existingTitles.map(existing => existing.toLowerCase()));
+  if (!taken.has(title.toLowerCase())) return title;
+  let n = 2;
+  while (taken.has(`${title} (${n})`.toLowerCase())) n++;
+  return `${title} (${n})`;
+};
+
+// Contents of a zip entry, inflated by hand so no more than MAX_PACKAGE_BYTES come out
+// whatever size the entry claims
+const inflateEntry = (entry) => {
+  const tooLarge = () => new PackageError(`${PACKAGE_FILE_NAME} must not exceed ${MAX_PACKAGE_BYTES / (1024 * 1024)}MB`);
+  if (entry.header.size > MAX_PACKAGE_BYTES) {
+    throw tooLarge();
+  }
+
+  try {
+    if (entry.header.encrypted || ![ZIP_STORED, ZIP_DEFLATED].includes(entry.header.method)) {
+      throw new PackageError('Package zip could not be read');
+    }
+    const compressed = entry.getCompressedData();
+    if (entry.header.method === ZIP_STORED) {
+      if (compressed.length > MAX_PACKAGE_BYTES) throw tooLarge();
+      return compressed;
+    }
+    return zlib.inflateRawSync(compressed, { maxOutputLength: MAX_PACKAGE_BYTES });
+  } catch (error) {
+    if (error instanceof PackageError) throw error;
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+    throw new PackageError('Package zip could not be read');
+  }
+};
+
+// Read an uploaded package: a zip holding PACKAGE_FILE_NAME, or the JSON document itself
+const readPackageFile = (buffer) => {
+  let text = buffer.toString('utf8');
+
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    let entry;
+    try {
+      entry = new AdmZip(buffer).getEntry(PACKAGE_FILE_NAME);
+    } catch (error) {
+      throw new PackageError('Package zip could not be read');
+    }
+    if (!entry) {
+      throw new PackageError(`Zip package must contain ${PACKAGE_FILE_NAME}`);
+    }
+    text = inflateEntry(entry).toString('utf8');
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new PackageError('Package is not valid JSON');
+  }
+};
+
+const createPackageZip = (pkg) => {
+  const zip = new AdmZip();
+  zip.addFile(PACKAGE_FILE_NAME, Buffer.from(JSON.stringify(pkg, null, 2), 'utf8'));
+  return zip.toBuffer();
+};
+
+// Download name such as track-3-qa-fundamentals.zip
+const packageFileName = (trackId, title, extension) => {
+  const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `track-${trackId}${slug ? `-${slug}` : ''}.${extension}`;
+};
+
+module.exports = {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  PACKAGE_FILE_NAME,
+  MAX_PACKAGE_BYTES,
+  CONFLICT_STRATEGIES,
+  PackageError,
+  buildTrackPackage,
+  validatePackage,
+  summarizePackage,
+  tagKey,
+  planTagImport,
+  uniqueTitle,
+  readPackageFile,
+  createPackageZip,
+  packageFileName
+};
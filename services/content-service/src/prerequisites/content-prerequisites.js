@@ -0,0 +1,130 @@
+// Content Prerequisites
+// Rows in the prerequisites table say that a course, track or skill needs another course,
+// track or skill first. Required prerequisites lock the content until the learner has met
+// them; optional ones are only recommendations. A course also inherits the prerequisites of
+// its track.
+//
+// For cycle detection every piece of content has two nodes: "unlock" (its prerequisites are
+// met) and "complete". Unlocking needs each prerequisite completed, completing needs the
+// content unlocked, and completing a track needs every course in it completed. A new
+// prerequisite is rejected when completing it would require unlocking the content itself.
+
+const PREREQUISITE_TYPES = ['course', 'track', 'skill'];
+
+class PrerequisiteError extends Error {
+  constructor(message, statusCode = 400, cycle = null) {
+    super(message);
+    this.name = 'PrerequisiteError';
+    this.statusCode = statusCode;
+    this.cycle = cycle;
+  }
+}
+
+const nodeKey = (stage, type, id) => `${stage}:${type}:${id}`;
+
+// prerequisites: [{ content_type, content_id, prerequisite_type, prerequisite_id }]
+// courses: [{ id, track_id }] for every course that is not in the trash
+const buildPrerequisiteGraph = ({ prerequisites, courses }) => {
+  const graph = new Map();
+  const addEdge = (from, to) => {
+    if (!graph.has(from)) graph.set(from, []);
+    graph.get(from).push(to);
+  };
+
+  for (const course of courses) {
+    addEdge(nodeKey('unlock', 'course', course.id), nodeKey('unlock', 'track', course.track_id));
+    addEdge(nodeKey('complete', 'track', course.track_id), nodeKey('complete', 'course', course.id));
+  }
+  for (const row of prerequisites) {
+    addEdge(nodeKey('unlock', row.content_type, row.content_id), nodeKey('complete', row.prerequisite_type, row.prerequisite_id));
+  }
+
+  return graph;
+};
+
+// Completing anything means having unlocked it, so that edge is implied for every item
+const nextNodes = (graph, node) => {
+  const [stage, type, id] = node.split(':');
+  const next = graph.get(node) || [];
+  return stage === 'complete' ? [nodeKey('unlock', type, id), ...next] : next;
+};
+
+// The chain of content that makes the new prerequisite circular, e.g.
+// [{ type: 'course', id: 3 }, { type: 'track', id: 1 }, { type: 'course', id: 3 }], or null
+const findPrerequisiteCycle = (graph, { contentType, contentId, prerequisiteType, prerequisiteId }) => {
+  const start = nodeKey('complete', prerequisiteType, prerequisiteId);
+  const goal = nodeKey('unlock', contentType, contentId);
+
+  // Breadth-first so the reported chain is as short as possible
+  const parents = new Map([[start, null]]);
+  const queue = [start];
+  while (queue.length > 0 && !parents.has(goal)) {
+    const node = queue.shift();
+    for (const next of nextNodes(graph, node)) {
+      if (!parents.has(next)) {
+        parents.set(next, node);
+        queue.push(next);
+      }
+    }
+  }
+  if (!parents.has(goal)) {
+    return null;
+  }
+
+  const path = [];
+  for (let node = goal; node !== null; node = parents.get(node)) {
+    path.unshift(node);
+  }
+
+  // Collapse the unlock/complete pair of each item into one step
+  const chain = [{ type: contentType, id: contentId }];
+  for (const node of path) {
+    const [, type, id] = node.split(':');
+    const last = chain[chain.length - 1];
+    if (last.type !== type || last.id !== parseInt(id)) {
+      chain.push({ type, id: parseInt(id) });
+    }
+  }
+  if (chain.length === 1) {
+    chain.push({ type: contentType, id: contentId });
+  }
+  return chain;
+};
+
+const describeCycle = (chain) => chain.map(item => `${item.type} ${item.id}`).join(' → ');
+
+// Shape status rows ({ content_type, content_id, prerequisite_type, prerequisite_id, title,
+// is_required, satisfied }) into what a learner sees for one piece of content
+const formatPrerequisiteStatus = (row) => ({
+  type: row.prerequisite_type,
+  id: row.prerequisite_id,
+  title: row.title,
+  isRequired: row.is_required,
+  isSatisfied: Boolean(row.satisfied),
+  requiredBy: { type: row.content_type, id: row.content_id }
+});
+
+// Lock status of a piece of content from the status rows of it and of anything it
+// inherits from (a course's track)
+const summarizePrerequisites = (rows, owners) => {
+  const prerequisites = rows
+    .filter(row => owners.some(owner => owner.type === row.content_type && owner.id === row.content_id))
+    .map(formatPrerequisiteStatus);
+  const missingPrerequisites = prerequisites.filter(item => item.isRequired && !item.isSatisfied);
+
+  return {
+    locked: missingPrerequisites.length > 0,
+    prerequisites,
+    missingPrerequisites
+  };
+};
+
+module.exports = {
+  PREREQUISITE_TYPES,
+  PrerequisiteError,
+  buildPrerequisiteGraph,
+  findPrerequisiteCycle,
+  describeCycle,
+  formatPrerequisiteStatus,
+  summarizePrerequisites
+};
@@ -0,0 +1,418 @@
+// Quiz Grading Engine
+// Question types are registered handlers keyed by quiz_questions.question_type.
+// Each handler validates its own answer_options / correct_answer shape and grades answers.
+// grade() returns { isCorrect } and, for multi-answer types, a proportional credit in [0, 1]
+// that scoring policies can use for partial credit.
+
+const vm = require('vm');
+
+const MAX_REGEX_PATTERN_LENGTH = 200;
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+// Longest a regex answer may take to match. Patterns like \d*\d*\d*x pass the static check
+// below but still backtrack polynomially, so every match runs with this limit.
+const REGEX_MATCH_TIMEOUT_MS = 50;
+
+// correct_answer is a TEXT column; structured types store JSON in it
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// The quantifier at pattern[index]: its length (0 if none, including a lazy "?" suffix),
+// whether it can match its atom more than once, and whether the count is variable
+const readQuantifier = (pattern, index) => {
+  const bounded = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+  let quantifier = { length: 0, repeats: false, varies: false };
+  if (pattern[index] === '*' || pattern[index] === '+') {
+    quantifier = { length: 1, repeats: true, varies: true };
+  } else if (pattern[index] === '?') {
+    quantifier = { length: 1, repeats: false, varies: true };
+  } else if (bounded) {
+    const min = parseInt(bounded[1]);
+    const max = bounded[2] === undefined ? min : (bounded[3] === '' ? Infinity : parseInt(bounded[3]));
+    quantifier = { length: bounded[0].length, repeats: max > 1, varies: max !== min };
+  }
+  if (quantifier.length > 0 && pattern[index + quantifier.length] === '?') quantifier.length++;
+  return quantifier;
+};
+
+// Patterns that can backtrack catastrophically on a long answer, like (a+)+ or (a|aa)*: a group
+// repeated more than once that can itself match in more than one way, and backreferences.
+// Returns the reason, or null for a safe pattern.
+const unsafePatternReason = (pattern) => {
+  const groups = [{ varies: false }];
+  let index = 0;
+  while (index < pattern.length) {
+    const char = pattern[index];
+    let atom = { varies: false };
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[index + 1] || '')) return 'backreferences are not supported';
+      index += 2;
+    } else if (char === '[') {
+      index++;
+      while (index < pattern.length && pattern[index] !== ']') {
+        index += pattern[index] === '\\' ? 2 : 1;
+      }
+      index++;
+    } else if (char === '(') {
+      groups.push({ varies: false });
+      index++;
+      continue;
+    } else if (char === ')') {
+      if (groups.length > 1) atom = groups.pop();
+      index++;
+    } else {
+      index++;
+      if (char === '|') {
+        groups[groups.length - 1].varies = true;
+        continue;
+      }
+    }
+
+    const quantifier = readQuantifier(pattern, index);
+    if (quantifier.repeats && atom.varies) {
+      return 'a repeated group may not contain variable repetition or alternation (write [ab]+ rather than (a|b)+)';
+    }
+    if (quantifier.varies || atom.varies) groups[groups.length - 1].varies = true;
+    index += quantifier.length;
+  }
+  return null;
+};
+
+// One context for all matches; the pattern and answer are handed over as globals
+const regexContext = vm.createContext({});
+const regexMatch = new vm.Script('new RegExp(`^(?:${pattern})$`, flags).test(text)');
+
+// Whether text matches the whole pattern; throws when that takes longer than the time limit
+const matchesWithin = (pattern, flags, text, timeoutMs = REGEX_MATCH_TIMEOUT_MS) => {
+  Object.assign(regexContext, { pattern, flags, text });
+  try {
+    return regexMatch.runInContext(regexContext, { timeout: timeoutMs });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`pattern took longer than ${timeoutMs}ms to match`);
+    }
+    throw error;
+  } finally {
+    Object.assign(regexContext, { pattern: null, flags: null, text: null });
+  }
+};
+
+const normalizeText = (value) => String(value).toLowerCase().trim().replace(/\s+/g, ' ');
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const hasDuplicates = (values) => new Set(values.map(normalizeText)).size !== values.length;
+
+const sameItems = (left, right) => {
+  if (!Array.isArray(left) || left.length !== right.length) return false;
+  const expected = new Set(right.map(normalizeText));
+  const actual = new Set(left.map(normalizeText));
+  return actual.size === expected.size && [...actual].every(item => expected.has(item));
+};
+
+// Built-in question types
+const QUESTION_TYPES = {
+  multiple_choice: {
+    parseCorrectAnswer: (raw) => raw,
+    validate(options, correct) {
+      const errors = [];
+      if (!isStringArray(options) || options.length < 2) {
+        errors.push('answer_options must be an array of at least 2 strings');
+      } else if (hasDuplicates(options)) {
+        errors.push('answer_options must not contain duplicates');
+      }
+      if (typeof correct !== 'string' || correct.trim() === '') {
+        errors.push('correct_answer must be a non-empty string');
+      } else if (isStringArray(options) && !options.some(o => normalizeText(o) === normalizeText(correct))) {
+        errors.push('correct_answer must be one of answer_options');
+      }
+      return errors;
+    },
+    grade: (answer, options, correct) => ({
+      isCorrect: answer !== null && answer !== undefined && normalizeText(answer) === normalizeText(correct)
+    })
+  },
+
+  true_false: {
+    parseCorrectAnswer: (raw) => raw,
+    validate(options, correct) {
+      const errors = [];
+      if (!['true', 'false'].includes(normalizeText(correct))) {
+        errors.push('correct_answer must be "true" or "false"');
+      }
+      return errors;
+    },
+    grade: (answer, options, correct) => ({
+      isCorrect: answer !== null && answer !== undefined && normalizeText(answer) === normalizeText(correct)
+    })
+  },
+
+  text: {
+    parseCorrectAnswer: (raw) => raw,
+    validate(options, correct) {
+      return typeof correct === 'string' && correct.trim() !== ''
+        ? []
+        : ['correct_answer must be a non-empty string'];
+    },
+    grade: (answer, options, correct) => ({
+      isCorrect: answer !== null && answer !== undefined && normalizeText(answer) === normalizeText(correct)
+    })
+  },
+
+  // Several options are correct; correct_answer is a JSON array of them
+  multi_select: {
+    parseCorrectAnswer: parseJson,
+    validate(options, correct) {
+      const errors = [];
+      if (!isStringArray(options) || options.length < 2) {
+        errors.push('answer_options must be an array of at least 2 strings');
+      } else if (hasDuplicates(options)) {
+        errors.push('answer_options must not contain duplicates');
+      }
+      if (!isStringArray(correct) || correct.length === 0) {
+        errors.push('correct_answer must be a non-empty JSON array of options');
+      } else if (isStringArray(options)) {
+        const known = new Set(options.map(normalizeText));
+        if (correct.some(c => !known.has(normalizeText(c)))) {
+          errors.push('every correct_answer entry must be one of answer_options');
+        }
+      }
+      return errors;
+    },
+    grade(answer, options, correct) {
+      if (!isStringArray(answer)) return { isCorrect: false, credit: 0 };
+
+      // Each wrong selection cancels out a right one so "select everything" earns nothing
+      const expected = new Set(correct.map(normalizeText));
+      const selected = [...new Set(answer.map(normalizeText))];
+      const hits = selected.filter(item => expected.has(item)).length;
+      const misses = selected.length - hits;
+
+      return {
+        isCorrect: sameItems(answer, correct),
+        credit: Math.max(hits - misses, 0) / expected.size
+      };
+    }
+  },
+
+  // answer_options lists the items; correct_answer is a JSON array of them in the right order
+  ordering: {
+    parseCorrectAnswer: parseJson,
+    validate(options, correct) {
+      const errors = [];
+      if (!isStringArray(options) || options.length < 2) {
+        errors.push('answer_options must be an array of at least 2 strings');
+      } else if (hasDuplicates(options)) {
+        errors.push('answer_options must not contain duplicates');
+      }
+      if (!isStringArray(correct)) {
+        errors.push('correct_answer must be a JSON array of answer_options in the correct order');
+      } else if (isStringArray(options) && !sameItems(correct, options)) {
+        errors.push('correct_answer must contain every answer_option exactly once');
+      }
+      return errors;
+    },
+    grade(answer, options, correct) {
+      if (!isStringArray(answer)) return { isCorrect: false, credit: 0 };
+
+      const inPlace = correct.filter((item, index) =>
+        answer[index] !== undefined && normalizeText(answer[index]) === normalizeText(item)).length;
+
+      return {
+        isCorrect: answer.length === correct.length && inPlace === correct.length,
+        credit: inPlace / correct.length
+      };
+    }
+  },
+
+  // answer_options is { prompts: [...], choices: [...] }; correct_answer maps each prompt to a choice
+  matching: {
+    parseCorrectAnswer: parseJson,
+    validate(options, correct) {
+      const errors = [];
+      if (!options || !isStringArray(options.prompts) || !isStringArray(options.choices) ||
+          options.prompts.length === 0 || options.choices.length === 0) {
+        errors.push('answer_options must be an object with non-empty "prompts" and "choices" arrays');
+        return errors;
+      }
+      if (!correct || typeof correct !== 'object' || Array.isArray(correct)) {
+        errors.push('correct_answer must be a JSON object mapping each prompt to a choice');
+        return errors;
+      }
+      const choices = new Set(options.choices);
+      for (const prompt of options.prompts) {
+        if (!(prompt in correct)) {
+          errors.push(`correct_answer is missing prompt "${prompt}"`);
+        } else if (!choices.has(correct[prompt])) {
+          errors.push(`correct_answer for "${prompt}" must be one of the choices`);
+        }
+      }
+      return errors;
+    },
+    grade(answer, options, correct) {
+      if (!answer || typeof answer !== 'object' || Array.isArray(answer)) return { isCorrect: false, credit: 0 };
+
+      const prompts = Object.keys(correct);
+      const matched = prompts.filter(prompt =>
+        answer[prompt] !== undefined && normalizeText(answer[prompt]) === normalizeText(correct[prompt])).length;
+
+      return { isCorrect: matched === prompts.length, credit: matched / prompts.length };
+    }
+  },
+
+  // correct_answer is a JSON array with one list of accepted answers per blank
+  fill_blank: {
+    parseCorrectAnswer: parseJson,
+    validate(options, correct) {
+      const errors = [];
+      if (!Array.isArray(correct) || correct.length === 0 ||
+          !correct.every(blank => isStringArray(blank) && blank.length > 0)) {
+        errors.push('correct_answer must be a JSON array of accepted-answer arrays, one per blank');
+      }
+      if (options !== null && options !== undefined &&
+          (typeof options !== 'object' || Array.isArray(options))) {
+        errors.push('answer_options must be null or an object such as { "caseSensitive": true }');
+      }
+      return errors;
+    },
+    grade(answer, options, correct) {
+      const responses = Array.isArray(answer) ? answer : [answer];
+      const caseSensitive = Boolean(options && options.caseSensitive);
+      const normalize = (value) => caseSensitive ? String(value).trim() : normalizeText(value);
+
+      const filled = correct.filter((accepted, index) =>
+        responses[index] !== null && responses[index] !== undefined &&
+        accepted.some(candidate => normalize(candidate) === normalize(responses[index]))).length;
+
+      return {
+        isCorrect: responses.length === correct.length && filled === correct.length,
+        credit: filled / correct.length
+      };
+    }
+  },
+
+  // correct_answer is { "value": number, "tolerance": number } with an absolute tolerance
+  numeric: {
+    parseCorrectAnswer: parseJson,
+    validate(options, correct) {
+      const errors = [];
+      if (!correct || typeof correct.value !== 'number' || !Number.isFinite(correct.value)) {
+        errors.push('correct_answer must be a JSON object with a numeric "value"');
+      }
+      if (correct && correct.tolerance !== undefined &&
+          (typeof correct.tolerance !== 'number' || correct.tolerance < 0)) {
+        errors.push('tolerance must be a non-negative number');
+      }
+      return errors;
+    },
+    grade(answer, options, correct) {
+      if (answer === null || answer === undefined || String(answer).trim() === '') return { isCorrect: false };
+      const value = Number(answer);
+      if (!Number.isFinite(value)) return { isCorrect: false };
+      return { isCorrect: Math.abs(value - correct.value) <= (correct.tolerance || 0) };
+    }
+  },
+
+  // correct_answer is { "pattern": "...", "flags": "i" } matched against the whole trimmed answer
+  regex: {
+    parseCorrectAnswer: parseJson,
+    validate(options, correct) {
+      if (!correct || typeof correct.pattern !== 'string' || correct.pattern === '') {
+        return ['correct_answer must be a JSON object with a non-empty "pattern"'];
+      }
+      if (correct.pattern.length > MAX_REGEX_PATTERN_LENGTH) {
+        return [`pattern must be at most ${MAX_REGEX_PATTERN_LENGTH} characters`];
+      }
+      if (correct.flags !== undefined && !/^[imsu]*$/.test(correct.flags)) {
+        return ['flags may only contain i, m, s and u'];
+      }
+      try {
+        new RegExp(correct.pattern, correct.flags);
+      } catch (error) {
+        return [`pattern is not a valid regular expression: ${error.message}`];
+      }
+      const unsafe = unsafePatternReason(correct.pattern);
+      return unsafe ? [`pattern could take too long to match: ${unsafe}`] : [];
+    },
+    grade(answer, options, correct) {
+      if (answer === null || answer === undefined) return { isCorrect: false };
+      // Patterns saved before they were checked are never run
+      if (unsafePatternReason(correct.pattern)) {
+        throw new Error('pattern could take too long to match');
+      }
+      const text = String(answer).trim();
+      if (text.length > MAX_TEXT_ANSWER_LENGTH) return { isCorrect: false };
+      return { isCorrect: matchesWithin(correct.pattern, correct.flags, text) };
+    }
+  }
+};
+
+const registerQuestionType = (name, handler) => {
+  if (!handler || typeof handler.validate !== 'function' || typeof handler.grade !== 'function') {
+    throw new Error(`Question type "${name}" must implement validate() and grade()`);
+  }
+  QUESTION_TYPES[name] = { parseCorrectAnswer: (raw) => raw, ...handler };
+};
+
+const getQuestionTypes = () => Object.keys(QUESTION_TYPES);
+
+// Decode a stored correct_answer for its question type (authors see the structured value)
+const parseCorrectAnswer = (questionType, raw) => {
+  const handler = QUESTION_TYPES[questionType];
+  const parsed = handler ? handler.parseCorrectAnswer(raw) : raw;
+  return parsed === undefined ? raw : parsed;
+};
+
+// Validate a question definition; returns a list of error messages (empty when valid)
+const validateQuestion = ({ questionType, answerOptions, correctAnswer }) => {
+  const handler = QUESTION_TYPES[questionType];
+  if (!handler) {
+    return [`Unsupported question type "${questionType}". Supported: ${getQuestionTypes().join(', ')}`];
+  }
+
+  const correct = handler.parseCorrectAnswer(correctAnswer);
+  if (correct === undefined) {
+    return ['correct_answer must be valid JSON for this question type'];
+  }
+
+  return handler.validate(answerOptions, correct);
+};
+
+// Grade one answer against a quiz_questions row. Full shape validation is left to
+// authoring; a definition that cannot be graded scores as incorrect instead of failing the attempt.
+const gradeQuestion = (question, answer) => {
+  const handler = QUESTION_TYPES[question.question_type];
+  const correct = handler ? handler.parseCorrectAnswer(question.correct_answer) : undefined;
+
+  if (correct === undefined || correct === null) {
+    console.warn(`Question ${question.id} cannot be graded: unsupported type or unparseable correct_answer`);
+    return { isCorrect: false, credit: 0, correctAnswer: question.correct_answer, gradingError: 'Question is misconfigured' };
+  }
+
+  try {
+    const outcome = handler.grade(answer, question.answer_options, correct);
+    const credit = outcome.credit === undefined ? (outcome.isCorrect ? 1 : 0) : outcome.credit;
+    return { ...outcome, credit, correctAnswer: correct };
+  } catch (error) {
+    console.warn(`Question ${question.id} cannot be graded:`, error.message);
+    return { isCorrect: false, credit: 0, correctAnswer: correct, gradingError: 'Question is misconfigured' };
+  }
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  normalizeText,
+  registerQuestionType,
+  getQuestionTypes,
+  parseCorrectAnswer,
+  validateQuestion,
+  gradeQuestion
+};
@@ -0,0 +1,171 @@
+// Item Analysis
+// Classical test theory statistics per question, computed from submitted quiz_attempts:
+//   difficulty      - p-value, the mean share of the question's credit learners earned (0 - 1)
+//   discrimination  - point-biserial correlation between the question's credit and the learner's
+//                     score on the rest of the paper, so the question does not correlate with itself
+//   distractors     - how often each answer option was picked (multiple_choice, multi_select)
+//   averageTime     - mean of the per-answer timeSpent learners' clients reported, in seconds
+// Scores on the rest of the paper are percentages, so randomized papers of different lengths compare.
+
+const { normalizeText } = require('./grading');
+
+const ATTEMPT_SCOPES = ['all', 'first'];
+const CHOICE_QUESTION_TYPES = ['multiple_choice', 'multi_select'];
+
+// Flags are only raised once a question has this many responses
+const MIN_RESPONSES_FOR_FLAGS = 10;
+const TOO_EASY_ABOVE = 0.9;
+const TOO_HARD_BELOW = 0.2;
+
+class ItemAnalysisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ItemAnalysisError';
+  }
+}
+
+const parseAttemptScope = (value = 'all') => {
+  if (!ATTEMPT_SCOPES.includes(value)) {
+    throw new ItemAnalysisError(`Unknown attempts "${value}". Supported: ${ATTEMPT_SCOPES.join(', ')}`);
+  }
+  return value;
+};
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Pearson correlation; null when either side does not vary
+const correlation = (xs, ys) => {
+  if (xs.length < 2) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[index] - meanY) ** 2;
+  });
+  return varianceX === 0 || varianceY === 0 ? null : covariance / Math.sqrt(varianceX * varianceY);
+};
+
+// Results stored before scoring policies have no scoring block
+const resultCredit = (result) => (result.scoring ? result.scoring.credit : (result.isCorrect ? 1 : 0));
+
+// Picks per option of a choice question, matched like grading matches them. Answers that match
+// no current option (e.g. the option was reworded since) count as other.
+const countSelections = (question, results) => {
+  const options = question.answer_options;
+  if (!CHOICE_QUESTION_TYPES.includes(question.question_type) || !Array.isArray(options)) {
+    return null;
+  }
+
+  const correct = [].concat(question.correct_answer).map(normalizeText);
+  const counts = options.map(() => 0);
+  let unanswered = 0;
+  let other = 0;
+
+  for (const result of results) {
+    const picked = [].concat(result.userAnswer === undefined ? null : result.userAnswer)
+      .filter(answer => answer !== null && String(answer).trim() !== '');
+    if (picked.length === 0) unanswered++;
+    for (const answer of picked) {
+      const index = options.findIndex(option => normalizeText(option) === normalizeText(answer));
+      if (index === -1) other++;
+      else counts[index]++;
+    }
+  }
+
+  const share = (count) => (results.length > 0 ? round(count / results.length, 2) : 0);
+  return {
+    options: options.map((option, index) => ({
+      option,
+      isCorrect: correct.includes(normalizeText(option)),
+      count: counts[index],
+      rate: share(counts[index])
+    })),
+    unanswered,
+    other
+  };
+};
+
+const itemFlags = ({ responses, difficulty, discrimination }) => {
+  if (responses < MIN_RESPONSES_FOR_FLAGS) return [];
+  const flags = [];
+  if (difficulty > TOO_EASY_ABOVE) flags.push('too_easy');
+  if (difficulty < TOO_HARD_BELOW) flags.push('too_hard');
+  if (discrimination !== null && discrimination < 0) flags.push('negative_discrimination');
+  return flags;
+};
+
+// questions: quiz_questions rows, with correct_answer already parsed for its type;
+// attempts: submitted quiz_attempts rows with their answers and results
+const analyzeItems = (questions, attempts) => {
+  const papers = attempts.map(attempt => {
+    const results = Array.isArray(attempt.results) ? attempt.results : [];
+    return {
+      results: new Map(results.map(result => [result.questionId, result])),
+      answers: new Map((Array.isArray(attempt.answers) ? attempt.answers : []).map(answer => [answer.questionId, answer])),
+      earned: results.reduce((sum, result) => sum + (Number(result.earnedPoints) || 0), 0),
+      possible: results.reduce((sum, result) => sum + (Number(result.points) || 0), 0)
+    };
+  });
+
+  const items = questions.map(question => {
+    const asked = papers.filter(paper => paper.results.has(question.id));
+    const results = asked.map(paper => paper.results.get(question.id));
+    const credits = results.map(resultCredit);
+
+    // Score on the rest of the paper; a paper with no other points has nothing to compare against
+    const pairs = asked
+      .map((paper, index) => {
+        const result = results[index];
+        const restPossible = paper.possible - (Number(result.points) || 0);
+        return restPossible > 0
+          ? [credits[index], (paper.earned - (Number(result.earnedPoints) || 0)) / restPossible]
+          : null;
+      })
+      .filter(Boolean);
+    const discrimination = correlation(pairs.map(pair => pair[0]), pairs.map(pair => pair[1]));
+
+    const times = asked
+      .map(paper => paper.answers.get(question.id))
+      .filter(answer => answer && Number.isFinite(answer.timeSpent) && answer.timeSpent >= 0)
+      .map(answer => answer.timeSpent);
+
+    const item = {
+      questionId: question.id,
+      questionText: question.question_text,
+      questionType: question.question_type,
+      orderIndex: question.order_index,
+      responses: results.length,
+      difficulty: results.length > 0 ? round(mean(credits), 2) : null,
+      discrimination: discrimination === null ? null : round(discrimination, 2),
+      averageTimeSeconds: times.length > 0 ? round(mean(times), 1) : null,
+      timedResponses: times.length,
+      distractors: countSelections(question, results)
+    };
+    return { ...item, flags: itemFlags(item) };
+  });
+
+  return {
+    summary: {
+      attempts: attempts.length,
+      questions: items.length,
+      flaggedQuestions: items.filter(item => item.flags.length > 0).length
+    },
+    items
+  };
+};
+
+module.exports = {
+  ATTEMPT_SCOPES,
+  MIN_RESPONSES_FOR_FLAGS,
+  TOO_EASY_ABOVE,
+  TOO_HARD_BELOW,
+  ItemAnalysisError,
+  parseAttemptScope,
+  analyzeItems
+};
@@ -0,0 +1,154 @@
+// Question Banks
+// A quiz can group questions into question_pools; every attempt draws draw_count questions
+// from each pool (honouring per-difficulty quotas) and always includes unpooled questions.
+// Draws and answer_options shuffles are driven by the attempt's seed, so the same seed
+// always reproduces the paper the learner saw.
+
+const crypto = require('crypto');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+class QuestionBankError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuestionBankError';
+  }
+}
+
+const generateSeed = () => crypto.randomInt(1, 2 ** 31 - 1);
+
+// mulberry32: small, fast and deterministic; not meant to be cryptographically secure
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates on a copy
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Validate a pool definition as submitted by an author; returns a list of error messages
+const validatePool = ({ name, drawCount, difficultyQuotas }) => {
+  const errors = [];
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push('name is required');
+  }
+  if (!Number.isInteger(drawCount) || drawCount < 1) {
+    errors.push('drawCount must be a positive integer');
+  }
+  if (difficultyQuotas !== undefined && difficultyQuotas !== null) {
+    if (typeof difficultyQuotas !== 'object' || Array.isArray(difficultyQuotas)) {
+      return [...errors, 'difficultyQuotas must be an object of difficulty to count'];
+    }
+    let quotaTotal = 0;
+    for (const [difficulty, count] of Object.entries(difficultyQuotas)) {
+      if (!DIFFICULTIES.includes(difficulty)) {
+        errors.push(`Unknown difficulty "${difficulty}". Supported: ${DIFFICULTIES.join(', ')}`);
+      } else if (!Number.isInteger(count) || count < 0) {
+        errors.push(`Quota for "${difficulty}" must be a non-negative integer`);
+      } else {
+        quotaTotal += count;
+      }
+    }
+    if (Number.isInteger(drawCount) && quotaTotal > drawCount) {
+      errors.push('difficultyQuotas add up to more than drawCount');
+    }
+  }
+  return errors;
+};
+
+const drawFromPool = (pool, candidates, random) => {
+  const remaining = shuffle(candidates, random);
+  const drawn = [];
+
+  const take = (predicate, count, label) => {
+    for (let i = 0; i < remaining.length && count > 0;) {
+      if (predicate(remaining[i])) {
+        drawn.push(...remaining.splice(i, 1));
+        count--;
+      } else {
+        i++;
+      }
+    }
+    if (count > 0) {
+      throw new QuestionBankError(`Question pool "${pool.name}" does not have enough ${label} questions`);
+    }
+  };
+
+  // Quotas first (in a fixed order so the seed alone decides the draw), then top up from anything left
+  const quotas = pool.difficulty_quotas || {};
+  for (const difficulty of DIFFICULTIES) {
+    if (quotas[difficulty]) {
+      take(q => (q.difficulty || 'medium') === difficulty, quotas[difficulty], difficulty);
+    }
+  }
+  take(() => true, pool.draw_count - drawn.length, 'unused');
+
+  return drawn;
+};
+
+// Pick the questions for one attempt. questions must be ordered by order_index, id;
+// the drawn subset keeps that order. Returns question IDs.
+const drawQuestionIds = (questions, pools, seed) => {
+  const random = createRandom(seed);
+  const selected = new Set(questions.filter(q => !q.pool_id).map(q => q.id));
+
+  for (const pool of [...pools].sort((a, b) => a.id - b.id)) {
+    const candidates = questions.filter(q => q.pool_id === pool.id);
+    for (const question of drawFromPool(pool, candidates, random)) {
+      selected.add(question.id);
+    }
+  }
+
+  return questions.filter(q => selected.has(q.id)).map(q => q.id);
+};
+
+// Present answer_options in a per-question order derived from the attempt seed.
+// Only list-style options are shuffled; for matching questions the choices are.
+const shuffleAnswerOptions = (question, seed) => {
+  const options = question.answer_options;
+  if (question.question_type === 'true_false' || !options) return options;
+
+  const random = createRandom((seed ^ Math.imul(question.id, 0x9E3779B1)) >>> 0);
+  if (Array.isArray(options)) return shuffle(options, random);
+  if (Array.isArray(options.choices)) return { ...options, choices: shuffle(options.choices, random) };
+  return options;
+};
+
+// Rebuild the paper for an attempt: its drawn questions in order, with options as presented
+const buildAttemptPaper = (questions, { questionIds, seed, shuffleOptions }) => {
+  const byId = new Map(questions.map(q => [q.id, q]));
+  const paper = questionIds ? questionIds.map(id => byId.get(id)).filter(Boolean) : questions;
+
+  if (!shuffleOptions || seed === null || seed === undefined) return paper;
+  return paper.map(q => ({ ...q, answer_options: shuffleAnswerOptions(q, seed) }));
+};
+
+// Number of questions an attempt will contain
+const countPaperQuestions = (questions, pools) =>
+  questions.filter(q => !q.pool_id).length + pools.reduce((sum, p) => sum + p.draw_count, 0);
+
+module.exports = {
+  DIFFICULTIES,
+  QuestionBankError,
+  generateSeed,
+  createRandom,
+  shuffle,
+  validatePool,
+  drawQuestionIds,
+  shuffleAnswerOptions,
+  buildAttemptPaper,
+  countPaperQuestions
+};
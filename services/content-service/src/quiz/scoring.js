@@ -0,0 +1,162 @@
+// Quiz Scoring Policies
+// A policy is stored per quiz in quizzes.scoring_policy (JSONB) and decides how graded
+// answers turn into points and a final percentage:
+//   partialCredit   - multi-answer questions earn points in proportion to their credit
+//   negativeMarking - fraction of a question's points deducted for a wrong answer (0 - 1)
+//   sectionWeights  - relative weight per quiz_questions.section; unlisted sections weigh 1
+
+const { gradeQuestion } = require('./grading');
+
+const DEFAULT_SCORING_POLICY = {
+  partialCredit: false,
+  negativeMarking: 0,
+  sectionWeights: {}
+};
+
+// Validate a policy as submitted by an author; returns a list of error messages
+const validateScoringPolicy = (policy) => {
+  if (policy === null || policy === undefined) return [];
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['scoringPolicy must be an object'];
+  }
+
+  const errors = [];
+  const known = Object.keys(DEFAULT_SCORING_POLICY);
+  for (const key of Object.keys(policy)) {
+    if (!known.includes(key)) {
+      errors.push(`Unknown scoring policy option "${key}"`);
+    }
+  }
+
+  if (policy.partialCredit !== undefined && typeof policy.partialCredit !== 'boolean') {
+    errors.push('partialCredit must be a boolean');
+  }
+
+  if (policy.negativeMarking !== undefined &&
+      (typeof policy.negativeMarking !== 'number' || policy.negativeMarking < 0 || policy.negativeMarking > 1)) {
+    errors.push('negativeMarking must be a number between 0 and 1');
+  }
+
+  if (policy.sectionWeights !== undefined) {
+    if (!policy.sectionWeights || typeof policy.sectionWeights !== 'object' || Array.isArray(policy.sectionWeights)) {
+      errors.push('sectionWeights must be an object of section name to weight');
+    } else {
+      for (const [section, weight] of Object.entries(policy.sectionWeights)) {
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+          errors.push(`Weight for section "${section}" must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  return errors;
+};
+
+const normalizeScoringPolicy = (policy) => ({
+  ...DEFAULT_SCORING_POLICY,
+  ...(policy && typeof policy === 'object' ? policy : {}),
+  sectionWeights: { ...((policy && policy.sectionWeights) || {}) }
+});
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+const isAnswered = (answer) => answer !== null && answer !== undefined &&
+  !(typeof answer === 'string' && answer.trim() === '') &&
+  !(Array.isArray(answer) && answer.length === 0);
+
+// Grade and score every question of a quiz for one submission
+const scoreQuiz = (questions, answers, rawPolicy) => {
+  const policy = normalizeScoringPolicy(rawPolicy);
+  const sections = new Map();
+  const results = [];
+  let correctAnswers = 0;
+  let earnedPoints = 0;
+  let totalPoints = 0;
+
+  for (const question of questions) {
+    const submitted = answers.find(a => a.questionId === question.id);
+    const userAnswer = submitted ? submitted.answer : null;
+    const { isCorrect, credit, correctAnswer } = gradeQuestion(question, userAnswer);
+
+    // All-or-nothing unless the quiz awards partial credit
+    const appliedCredit = isCorrect ? 1 : (policy.partialCredit ? credit : 0);
+    const penalty = appliedCredit === 0 && isAnswered(userAnswer)
+      ? roundPoints(question.points * policy.negativeMarking)
+      : 0;
+    const questionPoints = roundPoints(question.points * appliedCredit - penalty);
+
+    if (isCorrect) correctAnswers++;
+    earnedPoints += questionPoints;
+    totalPoints += question.points;
+
+    const sectionName = question.section || null;
+    const sectionKey = sectionName === null ? '' : sectionName;
+    if (!sections.has(sectionKey)) {
+      sections.set(sectionKey, {
+        section: sectionName,
+        weight: policy.sectionWeights[sectionKey] !== undefined ? policy.sectionWeights[sectionKey] : 1,
+        earnedPoints: 0,
+        totalPoints: 0
+      });
+    }
+    const sectionScore = sections.get(sectionKey);
+    sectionScore.earnedPoints += questionPoints;
+    sectionScore.totalPoints += question.points;
+
+    results.push({
+      questionId: question.id,
+      questionText: question.question_text,
+      questionType: question.question_type,
+      section: sectionName,
+      answerOptions: question.answer_options === undefined ? null : question.answer_options,
+      correctAnswer,
+      userAnswer,
+      isCorrect,
+      points: question.points,
+      earnedPoints: questionPoints,
+      scoring: {
+        credit: roundPoints(appliedCredit),
+        partialCredit: policy.partialCredit && !isCorrect && appliedCredit > 0,
+        penalty
+      }
+    });
+  }
+
+  const sectionScores = [...sections.values()].map(section => ({
+    ...section,
+    earnedPoints: roundPoints(section.earnedPoints),
+    percentage: section.totalPoints > 0
+      ? Math.round(Math.max(section.earnedPoints, 0) / section.totalPoints * 100)
+      : 0
+  }));
+
+  // With section weights the score is the weighted mean of section percentages;
+  // otherwise it is simply earned over total points.
+  let ratio;
+  if (Object.keys(policy.sectionWeights).length > 0) {
+    const weighted = sectionScores.filter(s => s.totalPoints > 0);
+    const totalWeight = weighted.reduce((sum, s) => sum + s.weight, 0);
+    ratio = totalWeight > 0
+      ? weighted.reduce((sum, s) => sum + s.weight * (s.earnedPoints / s.totalPoints), 0) / totalWeight
+      : 0;
+  } else {
+    ratio = totalPoints > 0 ? earnedPoints / totalPoints : 0;
+  }
+
+  return {
+    policy,
+    results,
+    sectionScores,
+    correctAnswers,
+    totalPoints,
+    earnedPoints: roundPoints(earnedPoints),
+    scorePercentage: Math.min(Math.max(Math.round(ratio * 100), 0), 100)
+  };
+};
+
+module.exports = {
+  DEFAULT_SCORING_POLICY,
+  validateScoringPolicy,
+  normalizeScoringPolicy,
+  scoreQuiz
+};
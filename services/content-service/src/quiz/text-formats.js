@@ -0,0 +1,532 @@
+// Quiz Text Formats
+// Converts between quiz_questions and the plain-text formats authors keep question banks in:
+//   gift  - Moodle GIFT: multiple choice, multi-select (positive "~%n%" weights), true/false,
+//           short answer, numeric and matching questions; $CATEGORY sets the section
+//   aiken - Moodle Aiken: single-answer multiple choice only
+// Parsers do not stop at the first problem; they collect { line, message } errors so an
+// author can fix the whole file in one pass. Formatters skip questions the format cannot
+// express and report why.
+
+const { validateQuestion, parseCorrectAnswer } = require('./grading');
+
+const TEXT_FORMATS = ['gift', 'aiken'];
+
+// Stands in for a GIFT answer block that sat in the middle of a sentence ("missing word")
+const BLANK_MARKER = '_____';
+
+const MAX_SECTION_LENGTH = 100;
+
+const GIFT_SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+
+const AIKEN_OPTION = /^([A-Z])[.)]\s+(.*\S)\s*$/;
+const AIKEN_ANSWER = /^ANSWER:\s*(.*?)\s*$/;
+
+class TextFormatError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = 'TextFormatError';
+    this.line = line;
+  }
+}
+
+const sameText = (left, right) => String(left).trim().toLowerCase() === String(right).trim().toLowerCase();
+
+// Keep a parsed question if it is valid for its type, otherwise report why against its line
+const addQuestion = (questions, errors, question) => {
+  const problems = validateQuestion(question);
+  if (problems.length > 0) {
+    errors.push(...problems.map(message => ({ line: question.line, message })));
+  } else {
+    questions.push(question);
+  }
+};
+
+// ---- GIFT ----
+
+const escapeGift = (text) => String(text).replace(GIFT_SPECIAL_CHARACTERS, '\\$&').replace(/\r?\n/g, '\\n');
+
+const unescapeGift = (text) => text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+
+// Index of the first of chars at or after from that is not escaped with a backslash
+const findUnescaped = (text, chars, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (chars.includes(text[i])) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Answer text without its "#feedback"
+const cutFeedback = (text) => {
+  const hash = findUnescaped(text, '#');
+  return hash === -1 ? text : text.slice(0, hash);
+};
+
+// Questions are separated by blank lines; "//" lines are comments
+const splitGiftBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('//')) return;
+    if (trimmed === '') {
+      current = null;
+    } else if (!current && trimmed.startsWith('$CATEGORY:')) {
+      blocks.push({ line: index + 1, category: trimmed.slice('$CATEGORY:'.length).trim() });
+    } else if (current) {
+      current.lines.push({ number: index + 1, content });
+    } else {
+      current = { line: index + 1, lines: [{ number: index + 1, content }] };
+      blocks.push(current);
+    }
+  });
+
+  return blocks;
+};
+
+// "$course$/top/Security/OWASP" becomes section "OWASP"; the top level means no section
+const categorySection = (path) => {
+  const segments = path.split('/')
+    .map(segment => segment.trim())
+    .filter(segment => segment !== '' && !/^\$\w+\$$/.test(segment) && segment.toLowerCase() !== 'top');
+  return segments.length > 0 ? segments[segments.length - 1] : null;
+};
+
+const splitGiftAnswers = (content, fail) => {
+  if (findUnescaped(content, '=~') !== 0) {
+    fail('Answers must start with "=" or "~"');
+  }
+
+  const answers = [];
+  let index = 0;
+  while (index !== -1) {
+    const next = findUnescaped(content, '=~', index + 1);
+    const raw = content.slice(index + 1, next === -1 ? undefined : next);
+    const weight = raw.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    const text = unescapeGift(cutFeedback(weight ? raw.slice(weight[0].length) : raw)).trim();
+    if (text === '') {
+      fail('Answers must not be empty');
+    }
+    answers.push({ marker: content[index], weight: weight ? Number(weight[1]) : null, text });
+    index = next;
+  }
+  return answers;
+};
+
+const parseGiftNumeric = (content, fail) => {
+  const answers = /^[=~]/.test(content)
+    ? splitGiftAnswers(content, fail)
+    : [{ marker: '=', weight: null, text: unescapeGift(cutFeedback(content)).trim() }];
+  if (answers.length !== 1 || answers[0].marker !== '=') {
+    fail('Only one numeric answer is supported');
+  }
+
+  const number = '(-?\\d+(?:\\.\\d+)?)';
+  const range = answers[0].text.match(new RegExp(`^${number}\\.\\.${number}$`));
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    if (min > max) {
+      fail('Numeric ranges must be written as "min..max"');
+    }
+    return { questionType: 'numeric', answerOptions: null, correctAnswer: { value: (min + max) / 2, tolerance: (max - min) / 2 } };
+  }
+
+  const exact = answers[0].text.match(new RegExp(`^${number}(?::(\\d+(?:\\.\\d+)?))?$`));
+  if (!exact) {
+    fail('Numeric answers must look like "value", "value:tolerance" or "min..max"');
+  }
+  return {
+    questionType: 'numeric',
+    answerOptions: null,
+    correctAnswer: { value: Number(exact[1]), tolerance: exact[2] === undefined ? 0 : Number(exact[2]) }
+  };
+};
+
+const parseGiftMatching = (answers, fail) => {
+  const prompts = [];
+  const choices = [];
+  const correct = {};
+
+  for (const answer of answers) {
+    const arrow = answer.text.indexOf('->');
+    if (answer.marker !== '=' || arrow === -1) {
+      fail('Every matching pair must be written as "=prompt -> choice"');
+    }
+    const prompt = answer.text.slice(0, arrow).trim();
+    const choice = answer.text.slice(arrow + 2).trim();
+    if (choice === '') {
+      fail('Matching pairs need a choice after "->"');
+    }
+    if (!choices.includes(choice)) {
+      choices.push(choice);
+    }
+    // "= -> choice" adds a distractor that matches no prompt
+    if (prompt !== '') {
+      if (prompt in correct) {
+        fail(`Prompt "${prompt}" is listed twice`);
+      }
+      prompts.push(prompt);
+      correct[prompt] = choice;
+    }
+  }
+
+  return { questionType: 'matching', answerOptions: { prompts, choices }, correctAnswer: correct };
+};
+
+const parseGiftShortAnswer = (answers, fail) => {
+  if (answers.some(answer => answer.weight !== null && answer.weight !== 100)) {
+    fail('Partial credit short answers are not supported');
+  }
+  const accepted = answers.map(answer => answer.text);
+  return accepted.length === 1
+    ? { questionType: 'text', answerOptions: null, correctAnswer: accepted[0] }
+    : { questionType: 'fill_blank', answerOptions: null, correctAnswer: [accepted] };
+};
+
+const parseGiftChoice = (answers, fail) => {
+  const answerOptions = answers.map(answer => answer.text);
+  const marked = answers.filter(answer => answer.marker === '=');
+  const weighted = answers.filter(answer => answer.marker === '~' && answer.weight > 0);
+
+  if (marked.length === 1 && weighted.length === 0) {
+    return { questionType: 'multiple_choice', answerOptions, correctAnswer: marked[0].text };
+  }
+  if (marked.length === 0 && weighted.length === 1) {
+    return { questionType: 'multiple_choice', answerOptions, correctAnswer: weighted[0].text };
+  }
+  if (marked.length === 0 && weighted.length > 1) {
+    return { questionType: 'multi_select', answerOptions, correctAnswer: weighted.map(answer => answer.text) };
+  }
+  if (marked.length === 0) {
+    fail('Mark the correct answer with "=" or with positive "~%n%" weights');
+  }
+  return fail('Use a single "=" answer or positive "~%n%" weights, not both');
+};
+
+const parseGiftAnswers = (body, fail) => {
+  const content = body.trim();
+  if (content === '') {
+    fail('Essay questions are not supported');
+  }
+
+  const trueFalse = cutFeedback(content).trim().toUpperCase();
+  if (['T', 'TRUE', 'F', 'FALSE'].includes(trueFalse)) {
+    return {
+      questionType: 'true_false',
+      answerOptions: ['true', 'false'],
+      correctAnswer: trueFalse.startsWith('T') ? 'true' : 'false'
+    };
+  }
+
+  if (content.startsWith('#')) {
+    return parseGiftNumeric(content.slice(1).trim(), fail);
+  }
+
+  const answers = splitGiftAnswers(content, fail);
+  if (answers.some(answer => answer.text.includes('->'))) {
+    return parseGiftMatching(answers, fail);
+  }
+  if (answers.every(answer => answer.marker === '=')) {
+    return parseGiftShortAnswer(answers, fail);
+  }
+  return parseGiftChoice(answers, fail);
+};
+
+const parseGiftQuestion = (block) => {
+  const text = block.lines.map(line => line.content).join('\n');
+  const lineAt = (offset) => block.lines[(text.slice(0, offset).match(/\n/g) || []).length].number;
+  const fail = (message, offset = 0) => {
+    throw new TextFormatError(message, lineAt(offset));
+  };
+
+  // Skip the optional "::title::" and "[format]" prefixes
+  const prefix = text.match(/^\s*(?:::(?:\\.|[^\\:]|:(?!:))*::)?\s*(?:\[(?:html|moodle|plain|markdown)\])?/);
+  const start = prefix[0].length;
+
+  const open = findUnescaped(text, '{', start);
+  if (open === -1) {
+    fail('Missing answer block "{...}"; descriptions are not supported');
+  }
+  const close = findUnescaped(text, '}', open + 1);
+  if (close === -1) {
+    fail('Answer block is not closed with "}"', open);
+  }
+  const extra = findUnescaped(text, '{', close + 1);
+  if (extra !== -1) {
+    fail('Only one answer block per question is supported', extra);
+  }
+
+  const before = text.slice(start, open).trim();
+  const after = text.slice(close + 1).trim();
+  const questionText = unescapeGift(after === '' ? before : `${before} ${BLANK_MARKER} ${after}`).trim();
+  if (questionText === '') {
+    fail('Question text is missing');
+  }
+
+  return {
+    line: block.line,
+    questionText,
+    ...parseGiftAnswers(text.slice(open + 1, close), (message) => fail(message, open))
+  };
+};
+
+const parseGift = (text) => {
+  const questions = [];
+  const errors = [];
+  let section = null;
+
+  for (const block of splitGiftBlocks(text)) {
+    if (block.category !== undefined) {
+      const category = categorySection(block.category);
+      if (category && category.length > MAX_SECTION_LENGTH) {
+        errors.push({ line: block.line, message: `Category name must be at most ${MAX_SECTION_LENGTH} characters` });
+      } else {
+        section = category;
+      }
+      continue;
+    }
+
+    try {
+      addQuestion(questions, errors, { ...parseGiftQuestion(block), section });
+    } catch (error) {
+      if (!(error instanceof TextFormatError)) throw error;
+      errors.push({ line: error.line, message: error.message });
+    }
+  }
+
+  return { questions, errors };
+};
+
+// Answer block bodies per question type; types missing here have no GIFT equivalent
+const GIFT_WRITERS = {
+  multiple_choice: (options, correct) =>
+    options.map(option => `${sameText(option, correct) ? '=' : '~'}${escapeGift(option)}`).join(' '),
+
+  true_false: (options, correct) => (sameText(correct, 'true') ? 'TRUE' : 'FALSE'),
+
+  text: (options, correct) => `=${escapeGift(correct)}`,
+
+  // Wrong options carry a negative weight so ticking everything does not pay off in Moodle either
+  multi_select(options, correct) {
+    const weight = Number((100 / correct.length).toFixed(5));
+    return options.map(option => (correct.some(item => sameText(item, option))
+      ? `~%${weight}%${escapeGift(option)}`
+      : `~%-100%${escapeGift(option)}`)).join(' ');
+  },
+
+  fill_blank(options, correct) {
+    if (correct.length !== 1) {
+      throw new TextFormatError('GIFT supports only one blank per question');
+    }
+    return correct[0].map(answer => `=${escapeGift(answer)}`).join(' ');
+  },
+
+  numeric: (options, correct) => `#${correct.value}${correct.tolerance ? `:${correct.tolerance}` : ''}`,
+
+  matching(options, correct) {
+    const used = new Set(Object.values(correct));
+    return [
+      ...options.prompts.map(prompt => `=${escapeGift(prompt)} -> ${escapeGift(correct[prompt])}`),
+      ...options.choices.filter(choice => !used.has(choice)).map(choice => `= -> ${escapeGift(choice)}`)
+    ].join(' ');
+  }
+};
+
+const giftQuestion = (questionText, body) => {
+  const parts = questionText.split(BLANK_MARKER);
+  if (parts.length === 2 && parts[1].trim() !== '') {
+    return `${escapeGift(parts[0].trimEnd())} {${body}} ${escapeGift(parts[1].trimStart())}`;
+  }
+  return `${escapeGift(questionText)} {${body}}`;
+};
+
+// Why a stored question cannot be exported with the given writers, or null
+const unsupportedReason = (row, writers, formatName) => {
+  if (!writers[row.question_type]) {
+    return `${formatName} has no equivalent for ${row.question_type} questions`;
+  }
+  const problems = validateQuestion({
+    questionType: row.question_type,
+    answerOptions: row.answer_options,
+    correctAnswer: row.correct_answer
+  });
+  return problems.length > 0 ? 'Question is misconfigured' : null;
+};
+
+const formatGift = (rows) => {
+  const lines = [];
+  const skipped = [];
+  let section = null;
+
+  for (const row of rows) {
+    let body = null;
+    let reason = unsupportedReason(row, GIFT_WRITERS, 'GIFT');
+    if (!reason) {
+      try {
+        body = GIFT_WRITERS[row.question_type](row.answer_options, parseCorrectAnswer(row.question_type, row.correct_answer));
+      } catch (error) {
+        if (!(error instanceof TextFormatError)) throw error;
+        reason = error.message;
+      }
+    }
+
+    if (reason) {
+      skipped.push({ id: row.id, questionType: row.question_type, reason });
+      lines.push(`// Skipped question ${row.id}: ${reason}`, '');
+      continue;
+    }
+
+    if ((row.section || null) !== section) {
+      section = row.section || null;
+      lines.push(`$CATEGORY: ${section === null ? '$course$/top' : section}`, '');
+    }
+    lines.push(`// question: ${row.id}`, giftQuestion(row.question_text, body), '');
+  }
+
+  return { text: lines.join('\n'), exported: rows.length - skipped.length, skipped };
+};
+
+// ---- Aiken ----
+
+const parseAiken = (text) => {
+  const questions = [];
+  const errors = [];
+  let current = null;
+
+  // Only the first problem of a question is reported; the rest of it is skipped
+  const reject = (line, message) => {
+    if (current && current.rejected) return;
+    errors.push({ line, message });
+    if (current) current.rejected = true;
+  };
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    const line = index + 1;
+    const trimmed = content.trim();
+    if (trimmed === '') return;
+
+    const answer = trimmed.match(AIKEN_ANSWER);
+    if (answer) {
+      if (!current) {
+        reject(line, 'ANSWER line has no question');
+        return;
+      }
+      const option = current.options.find(candidate => candidate.letter === answer[1].toUpperCase());
+      if (current.options.length < 2) {
+        reject(line, 'Questions need at least two options');
+      } else if (!option) {
+        reject(line, `ANSWER "${answer[1]}" does not match an option letter`);
+      }
+      if (!current.rejected) {
+        addQuestion(questions, errors, {
+          line: current.line,
+          questionText: current.text.join('\n'),
+          questionType: 'multiple_choice',
+          answerOptions: current.options.map(candidate => candidate.text),
+          correctAnswer: option.text
+        });
+      }
+      current = null;
+      return;
+    }
+
+    const option = current ? trimmed.match(AIKEN_OPTION) : null;
+    if (option) {
+      const expected = String.fromCharCode(65 + current.options.length);
+      if (option[1] !== expected) {
+        reject(line, `Expected option ${expected} but found ${option[1]}`);
+      }
+      current.options.push({ letter: option[1], text: option[2] });
+    } else if (!current) {
+      current = { line, text: [trimmed], options: [] };
+    } else if (current.options.length > 0) {
+      reject(line, 'Expected another option or the ANSWER line');
+    } else {
+      current.text.push(trimmed);
+    }
+  });
+
+  if (current && !current.rejected) {
+    errors.push({ line: current.line, message: 'Question is missing its ANSWER line' });
+  }
+
+  return { questions, errors };
+};
+
+// Aiken is one line per question and option
+const flattenLine = (text) => String(text).replace(/\s*\r?\n\s*/g, ' ').trim();
+
+const formatAiken = (rows) => {
+  const lines = [];
+  const skipped = [];
+
+  for (const row of rows) {
+    let reason = unsupportedReason(row, { multiple_choice: true }, 'Aiken');
+    if (!reason && row.answer_options.length > 26) {
+      reason = 'Aiken supports at most 26 options';
+    }
+    if (reason) {
+      skipped.push({ id: row.id, questionType: row.question_type, reason });
+      continue;
+    }
+
+    const correctIndex = row.answer_options.findIndex(option => sameText(option, row.correct_answer));
+    lines.push(
+      flattenLine(row.question_text),
+      ...row.answer_options.map((option, index) => `${String.fromCharCode(65 + index)}. ${flattenLine(option)}`),
+      `ANSWER: ${String.fromCharCode(65 + correctIndex)}`,
+      ''
+    );
+  }
+
+  return { text: lines.join('\n'), exported: rows.length - skipped.length, skipped };
+};
+
+// ---- Entry points ----
+
+const TEXT_FORMAT_HANDLERS = {
+  gift: { parse: parseGift, format: formatGift },
+  aiken: { parse: parseAiken, format: formatAiken }
+};
+
+// Parse an uploaded bank; resolves to { questions, errors } with errors in line order
+const parseQuestionText = (format, text) => {
+  const handler = TEXT_FORMAT_HANDLERS[format];
+  if (!handler) {
+    throw new TextFormatError(`Invalid format. Supported: ${TEXT_FORMATS.join(', ')}`);
+  }
+  const { questions, errors } = handler.parse(String(text).replace(/^\uFEFF/, ''));
+  return { questions, errors: errors.sort((a, b) => a.line - b.line) };
+};
+
+// Write quiz_questions rows out as a bank; resolves to { text, exported, skipped }
+const formatQuestionText = (format, rows) => {
+  const handler = TEXT_FORMAT_HANDLERS[format];
+  if (!handler) {
+    throw new TextFormatError(`Invalid format. Supported: ${TEXT_FORMATS.join(', ')}`);
+  }
+  return handler.format(rows);
+};
+
+const questionBankFileName = (quizId, title, format) => {
+  const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `quiz-${quizId}${slug ? `-${slug}` : ''}-${format}.txt`;
+};
+
+module.exports = {
+  TEXT_FORMATS,
+  BLANK_MARKER,
+  TextFormatError,
+  escapeGift,
+  parseGift,
+  formatGift,
+  parseAiken,
+  formatAiken,
+  parseQuestionText,
+  formatQuestionText,
+  questionBankFileName
+};
@@ -0,0 +1,158 @@
+// Lesson Rendering
+// Lesson content is either markdown or HTML from the rich-text editor. Both go through the
+// same pipeline: markdown is converted to HTML, everything is passed through an allowlist
+// sanitizer, and a final pass over the document gives headings anchors for the table of
+// contents, resolves lesson: and media: links and counts words for the reading time.
+//
+// Rendering is pure; the lessons that lesson: links point to are looked up by the caller
+// (findLessonReferences) and passed in. Their titles and availability end up in the HTML, so
+// they are part of the render's fingerprint along with the content.
+
+const crypto = require('crypto');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { parseDocument } = require('htmlparser2');
+const { findAll, textContent, replaceElement } = require('domutils');
+const renderDom = require('dom-serializer').default;
+const { mediaFileUrl } = require('../media/media-library');
+
+// Bump whenever the output changes so cached renders are rebuilt
+const RENDERER_VERSION = 1;
+
+const WORDS_PER_MINUTE = 200;
+const SECONDS_PER_IMAGE = 12;
+const TOC_MAX_LEVEL = 4;
+
+// The editor always produces a block element first; anything else is markdown
+const HTML_CONTENT_PATTERN = /^\s*<(?:p|h[1-6]|div|ul|ol|pre|blockquote|table|figure|img|iframe|hr|br|section|article)[\s/>]/i;
+
+const LESSON_REFERENCE_PATTERN = /\blesson:(\d+)\b/g;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'iframe', 'video', 'source', 'del'],
+  allowedAttributes: {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    iframe: ['src', 'width', 'height', 'allowfullscreen'],
+    video: ['src', 'controls', 'width', 'height', 'poster'],
+    source: ['src', 'type'],
+    ol: ['start'],
+    li: ['data-list'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope']
+  },
+  // Editor formatting (ql-align-center, ql-syntax, ...) and code languages for highlighting
+  allowedClasses: { '*': ['ql-*', 'language-*'] },
+  allowedSchemes: ['http', 'https', 'mailto', 'lesson', 'media'],
+  allowedSchemesByTag: { img: ['http', 'https', 'media'], video: ['http', 'https', 'media'], source: ['http', 'https', 'media'] },
+  allowedIframeHostnames: ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'],
+  // Embeds from other hosts lose their src; drop them entirely
+  exclusiveFilter: (frame) => frame.tag === 'iframe' && !frame.attribs.src
+};
+
+const detectContentFormat = (content) => (HTML_CONTENT_PATTERN.test(content) ? 'html' : 'markdown');
+
+// Fingerprint of the content a render was made from and of the lessons its links resolved to
+const renderHash = (content, lessons = new Map()) => {
+  const hash = crypto.createHash('md5').update(String(content || ''), 'utf8');
+  for (const lesson of [...lessons.values()].sort((a, b) => a.id - b.id)) {
+    hash.update(`\n${lesson.id}:${lesson.courseId}:${Boolean(lesson.available)}:${lesson.title}`, 'utf8');
+  }
+  return hash.digest('hex');
+};
+
+// IDs of the lessons that lesson: links in the content point to
+const findLessonReferences = (content) =>
+  [...new Set([...String(content || '').matchAll(LESSON_REFERENCE_PATTERN)].map(match => parseInt(match[1])))];
+
+// Where learners open a lesson in the app
+const lessonUrl = (lesson) => `/courses/${lesson.courseId}?lesson=${lesson.id}`;
+
+// "Écrire un rapport de bug" -> "ecrire-un-rapport-de-bug"; repeats get -2, -3, ...
+const headingId = (text, used) => {
+  const base = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'section';
+  const count = (used.get(base) || 0) + 1;
+  used.set(base, count);
+  return count === 1 ? base : `${base}-${count}`;
+};
+
+const parseReference = (value) => {
+  const match = /^(lesson|media):(\d+)$/.exec(String(value || '').trim());
+  return match ? { type: match[1], id: parseInt(match[2]) } : null;
+};
+
+// lessons: Map of lesson ID to { id, courseId, title, available } for every lesson the
+// content links to; links to lessons that are missing or unavailable are rendered as text.
+const renderLesson = (content, { lessons = new Map() } = {}) => {
+  const source = String(content || '');
+  const format = detectContentFormat(source);
+  const html = sanitizeHtml(format === 'markdown' ? marked.parse(source, { gfm: true }) : source, SANITIZE_OPTIONS);
+  const document = parseDocument(html);
+  const elements = (test) => findAll(test, document.children);
+
+  const usedIds = new Map();
+  const toc = [];
+  for (const heading of elements(element => /^h[1-6]$/.test(element.name))) {
+    const text = textContent(heading).replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    heading.attribs.id = headingId(text, usedIds);
+    const level = parseInt(heading.name[1]);
+    if (level <= TOC_MAX_LEVEL) {
+      toc.push({ level, id: heading.attribs.id, text });
+    }
+  }
+
+  const links = [];
+  for (const element of elements(element => ['a', 'img', 'video', 'source'].includes(element.name))) {
+    const attribute = element.name === 'a' ? 'href' : 'src';
+    const reference = parseReference(element.attribs[attribute]);
+
+    if (reference && reference.type === 'media') {
+      element.attribs[attribute] = mediaFileUrl(reference.id);
+    } else if (reference && reference.type === 'lesson' && element.name === 'a') {
+      const lesson = lessons.get(reference.id);
+      const resolved = Boolean(lesson && lesson.available);
+      links.push({ lessonId: reference.id, title: lesson ? lesson.title : null, resolved });
+
+      if (resolved) {
+        element.attribs.href = lessonUrl(lesson);
+        element.attribs['data-lesson-id'] = String(lesson.id);
+        if (!textContent(element).trim()) {
+          element.children = parseDocument(sanitizeHtml(lesson.title, { allowedTags: [] })).children;
+        }
+      } else {
+        const span = parseDocument('<span class="broken-link"></span>').children[0];
+        span.children = element.children;
+        replaceElement(element, span);
+      }
+    } else if (element.name === 'a' && /^https?:/i.test(element.attribs.href || '')) {
+      element.attribs.target = '_blank';
+      element.attribs.rel = 'noopener noreferrer';
+    }
+
+    if (element.name === 'img') {
+      element.attribs.loading = 'lazy';
+    }
+  }
+
+  const words = textContent(document).split(/\s+/).filter(Boolean).length;
+  const images = elements(element => element.name === 'img').length;
+  const seconds = (words / WORDS_PER_MINUTE) * 60 + images * SECONDS_PER_IMAGE;
+
+  return {
+    format,
+    html: renderDom(document, { encodeEntities: 'utf8' }),
+    toc,
+    readingTime: { words, images, minutes: seconds > 0 ? Math.max(1, Math.ceil(seconds / 60)) : 0 },
+    links
+  };
+};
+
+module.exports = {
+  RENDERER_VERSION,
+  detectContentFormat,
+  renderHash,
+  findLessonReferences,
+  renderLesson
+};
@@ -0,0 +1,108 @@
+// Content Revisions
+// Every edit to a track, course or lesson stores a snapshot of its versioned fields in
+// content_revisions. Publishing state and ordering are not versioned, so restoring an
+// old revision never unpublishes or moves content.
+
+const REVISION_TARGETS = {
+  track: {
+    table: 'learning_tracks',
+    fields: ['title', 'description', 'difficulty_level', 'estimated_hours']
+  },
+  course: {
+    table: 'courses',
+    fields: ['title', 'description', 'content', 'difficulty_level', 'estimated_minutes']
+  },
+  lesson: {
+    table: 'lessons',
+    fields: ['title', 'content', 'lesson_type', 'duration_minutes']
+  }
+};
+
+// Long-form fields get a line diff in addition to before/after values
+const TEXT_FIELDS = ['description', 'content'];
+
+// Above this many line comparisons the changed region is reported as one replacement
+const MAX_DIFF_CELLS = 4000000;
+
+const takeSnapshot = (type, row) =>
+  Object.fromEntries(REVISION_TARGETS[type].fields.map(field => [field, row[field] === undefined ? null : row[field]]));
+
+// Versioned fields that differ between two rows or snapshots
+const changedFields = (type, before, after) =>
+  REVISION_TARGETS[type].fields.filter(field => (before[field] ?? null) !== (after[field] ?? null));
+
+const splitLines = (text) => (text === null || text === undefined || text === '' ? [] : String(text).split('\n'));
+
+// Line diff as a list of { type: 'equal' | 'removed' | 'added', lines } hunks
+const diffLines = (beforeText, afterText) => {
+  const before = splitLines(beforeText);
+  const after = splitLines(afterText);
+
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const ops = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a.forEach(line => ops.push(['removed', line]));
+    b.forEach(line => ops.push(['added', line]));
+  } else {
+    // Longest common subsequence table, filled from the end so it can be walked forwards
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push(['equal', a[i++]]);
+        j++;
+      } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push(['removed', a[i++]]);
+      } else {
+        ops.push(['added', b[j++]]);
+      }
+    }
+  }
+
+  const hunks = [];
+  const push = (type, line) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) last.lines.push(line);
+    else hunks.push({ type, lines: [line] });
+  };
+  before.slice(0, start).forEach(line => push('equal', line));
+  ops.forEach(([type, line]) => push(type, line));
+  before.slice(endBefore).forEach(line => push('equal', line));
+
+  return hunks;
+};
+
+// Field-by-field comparison of two snapshots; only changed fields are listed
+const diffSnapshots = (type, from, to) =>
+  changedFields(type, from, to).map(field => {
+    const change = { field, before: from[field] ?? null, after: to[field] ?? null };
+    if (TEXT_FIELDS.includes(field)) {
+      change.lines = diffLines(change.before, change.after);
+    }
+    return change;
+  });
+
+module.exports = {
+  REVISION_TARGETS,
+  takeSnapshot,
+  changedFields,
+  diffLines,
+  diffSnapshots
+};
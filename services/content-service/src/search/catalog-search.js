@@ -0,0 +1,264 @@
+// Catalog Search
+// Ranked full-text search over published tracks, courses, lessons and quizzes using the
+// generated search_vector columns. Lessons and quizzes inherit difficulty and tags from
+// their course. Results are ordered by rank, then type and id, so the cursor is that triple.
+
+const { parseTagFilter, tagMatchCondition } = require('../tags/content-tags');
+
+const SEARCH_TYPES = ['track', 'course', 'lesson', 'quiz'];
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+// Snippets come from lesson markdown/HTML, so they are built from the text with tags removed and
+// HTML-escaped afterwards. ts_headline marks matches with these characters, which are dropped
+// from the source first, and they become <mark> tags once everything else is escaped.
+const HIGHLIGHT_START = '\u27E6';
+const HIGHLIGHT_STOP = '\u27E7';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+const HEADLINE_SOURCE = `translate(regexp_replace(coalesce(page.body, ''), '<[^>]*>', ' ', 'g'), '${HIGHLIGHT_START}${HIGHLIGHT_STOP}', '')`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// One row per searchable document; $1 is the user's query text
+const DOCUMENTS_CTE = `
+  search_query AS (SELECT websearch_to_tsquery('english', $1) AS query),
+  documents AS (
+    SELECT 'track' AS type, t.id, t.title, t.description, t.description AS body,
+           t.difficulty_level AS difficulty, t.estimated_hours * 60 AS estimated_minutes,
+           t.id AS track_id, NULL::int AS course_id, NULL::int AS lesson_id,
+           ts_rank(t.search_vector, sq.query) AS rank,
+           ARRAY(SELECT tt.tag_id FROM track_tags tt WHERE tt.track_id = t.id) AS tag_ids
+    FROM learning_tracks t, search_query sq
+    WHERE t.is_published = true AND t.search_vector @@ sq.query
+
+    UNION ALL
+
+    SELECT 'course', c.id, c.title, c.description, concat_ws(' ', c.description, c.content),
+           c.difficulty_level, c.estimated_minutes,
+           c.track_id, c.id, NULL::int,
+           ts_rank(c.search_vector, sq.query),
+           ARRAY(SELECT ct.tag_id FROM course_tags ct WHERE ct.course_id = c.id)
+    FROM courses c
+    JOIN learning_tracks t ON c.track_id = t.id, search_query sq
+    WHERE c.is_published = true AND t.is_published = true AND c.search_vector @@ sq.query
+
+    UNION ALL
+
+    SELECT 'lesson', l.id, l.title, NULL, l.content,
+           c.difficulty_level, l.duration_minutes,
+           c.track_id, c.id, l.id,
+           ts_rank(l.search_vector, sq.query),
+           ARRAY(SELECT ct.tag_id FROM course_tags ct WHERE ct.course_id = c.id)
+    FROM lessons l
+    JOIN courses c ON l.course_id = c.id
+    JOIN learning_tracks t ON c.track_id = t.id, search_query sq
+    WHERE l.is_published = true AND l.deleted_at IS NULL AND c.is_published = true AND t.is_published = true
+      AND l.search_vector @@ sq.query
+
+    UNION ALL
+
+    SELECT 'quiz', q.id, q.title, q.description, q.description,
+           c.difficulty_level, q.time_limit_minutes,
+           c.track_id, c.id, l.id,
+           ts_rank(q.search_vector, sq.query),
+           ARRAY(SELECT ct.tag_id FROM course_tags ct WHERE ct.course_id = c.id)
+    FROM quizzes q
+    JOIN lessons l ON q.lesson_id = l.id
+    JOIN courses c ON l.course_id = c.id
+    JOIN learning_tracks t ON c.track_id = t.id, search_query sq
+    WHERE q.is_published = true AND l.is_published = true AND l.deleted_at IS NULL AND c.is_published = true AND t.is_published = true
+      AND q.search_vector @@ sq.query
+  )`;
+
+class SearchRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchRequestError';
+  }
+}
+
+// "a,b" or ?x=a&x=b -> ['a', 'b']
+const parseListParam = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+};
+
+const encodeCursor = (row) =>
+  Buffer.from(JSON.stringify([row.rank, row.type, row.id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [rank, type, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof rank !== 'number' || !SEARCH_TYPES.includes(type) || !Number.isInteger(id)) {
+      throw new Error('malformed');
+    }
+    return { rank, type, id };
+  } catch (error) {
+    throw new SearchRequestError('Invalid cursor');
+  }
+};
+
+// Validate and normalize the query string of GET /search
+const parseSearchRequest = (query) => {
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!text) {
+    throw new SearchRequestError('Search query is required');
+  }
+
+  const types = parseListParam(query.type);
+  const unknownType = types.find(type => !SEARCH_TYPES.includes(type));
+  if (unknownType) {
+    throw new SearchRequestError(`Unknown type "${unknownType}". Supported: ${SEARCH_TYPES.join(', ')}`);
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  const offset = cursor ? 0 : Math.max(parseInt(query.offset) || 0, 0);
+
+  return {
+    text,
+    types,
+    difficulties: parseListParam(query.difficulty),
+    tags: parseTagFilter(query.tags),
+    limit,
+    offset,
+    cursor
+  };
+};
+
+// Build the page and facet queries for a parsed search request
+const buildCatalogSearch = ({ text, types, difficulties, tags = [], limit, offset, cursor }) => {
+  const params = [text];
+  const filters = {};
+
+  if (types.length > 0) {
+    params.push(types);
+    filters.type = `type = ANY($${params.length})`;
+  }
+  if (difficulties.length > 0) {
+    params.push(difficulties);
+    filters.difficulty = `difficulty = ANY($${params.length})`;
+  }
+  if (tags.length > 0) {
+    params.push(tags);
+    filters.tags = `tag_ids && ARRAY(SELECT ct.id FROM content_tags ct WHERE ${tagMatchCondition(`$${params.length}`)})`;
+  }
+
+  // Each facet ignores its own filter so the other values stay selectable
+  const where = (except) => {
+    const conditions = Object.entries(filters).filter(([name]) => name !== except).map(([, sql]) => sql);
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  };
+
+  const countsQuery = {
+    text: `
+      WITH ${DOCUMENTS_CTE}
+      SELECT
+        (SELECT COUNT(*) FROM documents ${where()}) AS total,
+        (SELECT COALESCE(json_agg(f ORDER BY f.value), '[]') FROM (
+          SELECT type AS value, COUNT(*) AS count FROM documents ${where('type')} GROUP BY type
+        ) f) AS types,
+        (SELECT COALESCE(json_agg(f ORDER BY f.value), '[]') FROM (
+          SELECT difficulty AS value, COUNT(*) AS count FROM documents ${where('difficulty')}
+          GROUP BY difficulty HAVING difficulty IS NOT NULL
+        ) f) AS difficulties,
+        (SELECT COALESCE(json_agg(f ORDER BY f.count DESC, f.name), '[]') FROM (
+          SELECT ct.id, ct.name, ct.color, COUNT(*) AS count
+          FROM (SELECT * FROM documents ${where('tags')}) d
+          CROSS JOIN unnest(d.tag_ids) AS tag_id
+          JOIN content_tags ct ON ct.id = tag_id
+          GROUP BY ct.id
+        ) f) AS tags
+    `,
+    values: [...params]
+  };
+
+  const pageConditions = Object.values(filters);
+  const pageParams = [...params];
+  if (cursor) {
+    pageParams.push(cursor.rank, cursor.type, cursor.id);
+    const r = pageParams.length - 2;
+    pageConditions.push(`(rank < $${r}::real OR (rank = $${r}::real AND (type, id) > ($${r + 1}, $${r + 2}::int)))`);
+  }
+  pageParams.push(limit + 1, offset);
+  const limitParam = pageParams.length - 1;
+
+  // Headlines and tags are only computed for the rows on the page
+  const resultsQuery = {
+    text: `
+      WITH ${DOCUMENTS_CTE}
+      SELECT page.*, ts_headline('english', ${HEADLINE_SOURCE}, sq.query, '${HEADLINE_OPTIONS}') AS snippet,
+             COALESCE((
+               SELECT json_agg(json_build_object('id', ct.id, 'name', ct.name, 'color', ct.color) ORDER BY ct.name)
+               FROM content_tags ct WHERE ct.id = ANY(page.tag_ids)
+             ), '[]') AS tags
+      FROM (
+        SELECT type, id, title, description, body, difficulty, estimated_minutes,
+               track_id, course_id, lesson_id, rank, tag_ids
+        FROM documents
+        ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+        ORDER BY rank DESC, type, id
+        LIMIT $${limitParam} OFFSET $${limitParam + 1}
+      ) page, search_query sq
+      ORDER BY page.rank DESC, page.type, page.id
+    `,
+    values: pageParams
+  };
+
+  return { resultsQuery, countsQuery };
+};
+
+// Escaped snippet HTML in which only the <mark> tags around matches are markup
+const highlightSnippet = (snippet) => String(snippet || '')
+  .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+  .split(HIGHLIGHT_START).join('<mark>')
+  .split(HIGHLIGHT_STOP).join('</mark>');
+
+const formatSearchResult = (row) => ({
+  type: row.type,
+  id: row.id,
+  title: row.title,
+  description: row.description,
+  snippet: highlightSnippet(row.snippet),
+  rank: row.rank,
+  difficulty: row.difficulty,
+  estimatedMinutes: row.estimated_minutes,
+  trackId: row.track_id,
+  courseId: row.course_id,
+  lessonId: row.lesson_id,
+  tags: row.tags || []
+});
+
+// Shape the page rows and facet counts into the GET /search response
+const formatSearchResponse = (request, resultRows, counts) => {
+  const hasMore = resultRows.length > request.limit;
+  const rows = resultRows.slice(0, request.limit);
+  const toFacet = (entries) => entries.map(entry => ({ ...entry, count: parseInt(entry.count) }));
+
+  return {
+    query: request.text,
+    results: rows.map(formatSearchResult),
+    total: parseInt(counts.total) || 0,
+    limit: request.limit,
+    offset: request.offset,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null,
+    facets: {
+      type: toFacet(counts.types || []),
+      difficulty: toFacet(counts.difficulties || []),
+      tags: toFacet(counts.tags || [])
+    }
+  };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  SearchRequestError,
+  parseListParam,
+  encodeCursor,
+  decodeCursor,
+  parseSearchRequest,
+  buildCatalogSearch,
+  formatSearchResponse
+};
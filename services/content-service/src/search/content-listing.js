@@ -0,0 +1,269 @@
+// Admin Content Listing
+// GET /admin/content lists tracks, courses, lessons and quizzes, each as its own page with its
+// own total and cursor. Listings can be filtered by status and text and sorted by title,
+// updated_at or status. Paging is keyset based: the cursor holds the listing, the sort and the
+// last row's (sort key, id), so pages stay stable while content is added or edited.
+
+const { WORKFLOW_STATUSES } = require('../workflow/editorial-workflow');
+const { parseListParam } = require('./catalog-search');
+
+const LISTING_TYPES = ['tracks', 'courses', 'lessons', 'quizzes'];
+const LISTING_SORTS = ['title', 'updated_at', 'status'];
+const DEFAULT_LISTING_LIMIT = 20;
+const MAX_LISTING_LIMIT = 100;
+
+// Sorting by title is A-Z and by status follows the workflow; recent changes come first
+const DEFAULT_ORDER = { title: 'asc', updated_at: 'desc', status: 'asc' };
+
+// Lessons and quizzes have no workflow, only a published flag
+const PUBLISHED_FLAG_STATUS = `CASE WHEN x.is_published THEN 'published' ELSE 'draft' END`;
+
+const LISTINGS = {
+  tracks: {
+    select: `x.id, x.title, x.description, x.difficulty_level, x.estimated_hours, x.is_published, x.status,
+             x.publish_at, x.created_at, x.updated_at`,
+    from: 'learning_tracks x',
+    conditions: ['x.deleted_at IS NULL'],
+    status: 'x.status',
+    searchColumns: ['x.title', 'x.description'],
+    format: (row) => ({
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      difficultyLevel: row.difficulty_level,
+      estimatedHours: row.estimated_hours,
+      isPublished: row.is_published,
+      status: row.status,
+      publishAt: row.publish_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    })
+  },
+  courses: {
+    select: `x.id, x.title, x.description, x.track_id, x.order_index, x.is_published, x.status, x.publish_at,
+             x.created_at, x.updated_at, t.title as track_title`,
+    from: 'courses x JOIN learning_tracks t ON x.track_id = t.id',
+    conditions: ['x.deleted_at IS NULL'],
+    status: 'x.status',
+    searchColumns: ['x.title', 'x.description'],
+    format: (row) => ({
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      trackId: row.track_id,
+      trackTitle: row.track_title,
+      orderIndex: row.order_index,
+      isPublished: row.is_published,
+      status: row.status,
+      publishAt: row.publish_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    })
+  },
+  lessons: {
+    select: `x.id, x.title, x.course_id, x.order_index, x.lesson_type, x.duration_minutes, x.is_published,
+             x.created_at, x.updated_at, c.title as course_title, c.track_id`,
+    from: 'lessons x JOIN courses c ON x.course_id = c.id',
+    conditions: ['x.deleted_at IS NULL', 'c.deleted_at IS NULL'],
+    status: PUBLISHED_FLAG_STATUS,
+    searchColumns: ['x.title', 'x.content'],
+    format: (row) => ({
+      id: row.id,
+      title: row.title,
+      courseId: row.course_id,
+      courseTitle: row.course_title,
+      trackId: row.track_id,
+      orderIndex: row.order_index,
+      lessonType: row.lesson_type,
+      durationMinutes: row.duration_minutes,
+      isPublished: row.is_published,
+      status: row.is_published ? 'published' : 'draft',
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    })
+  },
+  quizzes: {
+    select: `x.id, x.title, x.description, x.lesson_id, x.passing_score, x.time_limit_minutes, x.is_published,
+             x.created_at, x.updated_at, l.title as lesson_title, l.course_id,
+             (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = x.id) as question_count`,
+    from: 'quizzes x JOIN lessons l ON x.lesson_id = l.id JOIN courses c ON l.course_id = c.id',
+    conditions: ['l.deleted_at IS NULL', 'c.deleted_at IS NULL'],
+    status: PUBLISHED_FLAG_STATUS,
+    searchColumns: ['x.title', 'x.description'],
+    format: (row) => ({
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      lessonId: row.lesson_id,
+      lessonTitle: row.lesson_title,
+      courseId: row.course_id,
+      passingScore: row.passing_score,
+      timeLimitMinutes: row.time_limit_minutes,
+      questionCount: parseInt(row.question_count) || 0,
+      isPublished: row.is_published,
+      status: row.is_published ? 'published' : 'draft',
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    })
+  }
+};
+
+// SQL for the sort key and the cast used to compare it with a cursor value. Timestamps are
+// carried as text with microseconds, which a JavaScript Date would truncate.
+const sortKey = (sort, listing) => {
+  if (sort === 'title') {
+    return { expression: 'LOWER(x.title)', cast: 'text' };
+  }
+  if (sort === 'status') {
+    return { expression: `array_position(ARRAY['${WORKFLOW_STATUSES.join("','")}']::varchar[], ${listing.status}::varchar)`, cast: 'int' };
+  }
+  return { expression: 'COALESCE(x.updated_at, x.created_at)', cast: 'timestamp' };
+};
+
+const sortKeySelect = (sort, listing) => {
+  const { expression } = sortKey(sort, listing);
+  return sort === 'updated_at' ? `to_char(${expression}, 'YYYY-MM-DD"T"HH24:MI:SS.US')` : expression;
+};
+
+class ContentListingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContentListingError';
+  }
+}
+
+const encodeListingCursor = (type, sort, order, row) =>
+  Buffer.from(JSON.stringify([type, sort, order, row.sort_key, row.id])).toString('base64url');
+
+const decodeListingCursor = (cursor) => {
+  try {
+    const [type, sort, order, key, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!LISTING_TYPES.includes(type) || !LISTING_SORTS.includes(sort) || !['asc', 'desc'].includes(order) ||
+        !['string', 'number'].includes(typeof key) || !Number.isInteger(id)) {
+      throw new Error('malformed');
+    }
+    return { type, sort, order, key, id };
+  } catch (error) {
+    throw new ContentListingError('Invalid cursor');
+  }
+};
+
+// Escape LIKE wildcards so the text filter matches literally
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, character => `\\${character}`)}%`;
+
+// Validate and normalize the query string of GET /admin/content
+const parseContentListingRequest = (query) => {
+  let types = parseListParam(query.type).filter(type => type !== 'all');
+  const unknownType = types.find(type => !LISTING_TYPES.includes(type));
+  if (unknownType) {
+    throw new ContentListingError(`Unknown type "${unknownType}". Supported: all, ${LISTING_TYPES.join(', ')}`);
+  }
+
+  const sort = query.sort === undefined ? 'updated_at' : String(query.sort);
+  if (!LISTING_SORTS.includes(sort)) {
+    throw new ContentListingError(`Unknown sort "${sort}". Supported: ${LISTING_SORTS.join(', ')}`);
+  }
+  const order = query.order === undefined ? DEFAULT_ORDER[sort] : String(query.order).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    throw new ContentListingError('Order must be asc or desc');
+  }
+
+  // A cursor continues a single listing with the sort it was issued for
+  const cursor = query.cursor ? decodeListingCursor(query.cursor) : null;
+  if (cursor) {
+    if (types.length > 0 && (types.length > 1 || types[0] !== cursor.type)) {
+      throw new ContentListingError(`Cursor belongs to the ${cursor.type} listing`);
+    }
+    if (cursor.sort !== sort || cursor.order !== order) {
+      throw new ContentListingError('Cursor does not match the requested sort');
+    }
+    types = [cursor.type];
+  }
+
+  return {
+    types: types.length > 0 ? [...new Set(types)] : LISTING_TYPES,
+    status: query.status ? String(query.status) : 'all',
+    text: typeof query.q === 'string' ? query.q.trim() : '',
+    sort,
+    order,
+    limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_LISTING_LIMIT, 1), MAX_LISTING_LIMIT),
+    cursor
+  };
+};
+
+// Build the page and total queries for one listing
+const buildContentListing = (type, { status, text, sort, order, limit, cursor }) => {
+  const listing = LISTINGS[type];
+  const conditions = [...listing.conditions];
+  const params = [];
+
+  // Workflow statuses filter exactly; any other value (e.g. 'unpublished') means not published
+  if (WORKFLOW_STATUSES.includes(status)) {
+    params.push(status);
+    conditions.push(`${listing.status} = $${params.length}`);
+  } else if (status !== 'all') {
+    conditions.push('x.is_published = false');
+  }
+
+  if (text) {
+    params.push(likePattern(text));
+    conditions.push(`(${listing.searchColumns.map(column => `${column} ILIKE $${params.length}`).join(' OR ')})`);
+  }
+
+  const countQuery = {
+    text: `SELECT COUNT(*) AS total FROM ${listing.from} WHERE ${conditions.join(' AND ')}`,
+    values: [...params]
+  };
+
+  const key = sortKey(sort, listing);
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (cursor) {
+    pageParams.push(cursor.key, cursor.id);
+    const k = pageParams.length - 1;
+    pageConditions.push(`(${key.expression}, x.id) ${order === 'asc' ? '>' : '<'} ($${k}::${key.cast}, $${k + 1}::int)`);
+  }
+  pageParams.push(limit + 1);
+
+  const pageQuery = {
+    text: `
+      SELECT ${listing.select}, ${sortKeySelect(sort, listing)} AS sort_key
+      FROM ${listing.from}
+      WHERE ${pageConditions.join(' AND ')}
+      ORDER BY ${key.expression} ${direction}, x.id ${direction}
+      LIMIT $${pageParams.length}
+    `,
+    values: pageParams
+  };
+
+  return { pageQuery, countQuery };
+};
+
+// Shape one listing's rows and total into its items and pagination
+const formatContentListing = (type, { sort, order, limit }, pageRows, total) => {
+  const hasMore = pageRows.length > limit;
+  const rows = pageRows.slice(0, limit);
+
+  return {
+    items: rows.map(LISTINGS[type].format),
+    pagination: {
+      total: parseInt(total) || 0,
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeListingCursor(type, sort, order, rows[rows.length - 1]) : null
+    }
+  };
+};
+
+module.exports = {
+  LISTING_TYPES,
+  LISTING_SORTS,
+  ContentListingError,
+  encodeListingCursor,
+  decodeListingCursor,
+  likePattern,
+  parseContentListingRequest,
+  buildContentListing,
+  formatContentListing
+};
@@ -1,12 +1,165 @@
 const express = require('express');
+const path = require('path');
 const { Pool } = require('pg');
 const { body, validationResult } = require('express-validator');
 const helmet = require('helmet');
+const multer = require('multer');
 const cors = require('cors');
 const morgan = require('morgan');
 const jwt = require('jsonwebtoken');
+const redis = require('redis');
 require('dotenv').config();
 
+const { getQuestionTypes, parseCorrectAnswer, validateQuestion } = require('./quiz/grading');
+const { scoreQuiz, normalizeScoringPolicy, validateScoringPolicy } = require('./quiz/scoring');
+const {
+  TEXT_FORMATS,
+  parseQuestionText,
+  formatQuestionText,
+  questionBankFileName
+} = require('./quiz/text-formats');
+const {
+  DIFFICULTIES,
+  QuestionBankError,
+  generateSeed,
+  validatePool,
+  drawQuestionIds,
+  buildAttemptPaper,
+  countPaperQuestions
+} = require('./quiz/question-bank');
+const { ItemAnalysisError, parseAttemptScope, analyzeItems } = require('./quiz/item-analysis');
+const {
+  SearchRequestError,
+  parseListParam,
+  parseSearchRequest,
+  buildCatalogSearch,
+  formatSearchResponse
+} = require('./search/catalog-search');
+const {
+  ContentListingError,
+  likePattern,
+  parseContentListingRequest,
+  buildContentListing,
+  formatContentListing
+} = require('./search/content-listing');
+const {
+  TAG_COLOR_PATTERN,
+  TAG_TARGETS,
+  parseTagFilter,
+  tagsSubquery,
+  tagFilterCondition,
+  formatTag
+} = require('./tags/content-tags');
+const {
+  REVISION_TARGETS,
+  takeSnapshot,
+  changedFields,
+  diffSnapshots
+} = require('./revisions/content-revisions');
+const {
+  WORKFLOW_STATUSES,
+  WORKFLOW_TARGETS,
+  WORKFLOW_ACTIONS,
+  WorkflowError,
+  canReview,
+  resolveTransition
+} = require('./workflow/editorial-workflow');
+const {
+  TRASH_TARGETS,
+  TRASH_TYPES,
+  TrashError,
+  parseTrashType,
+  parseRetentionDays,
+  purgeDate
+} = require('./trash/soft-delete');
+const {
+  MAX_PACKAGE_BYTES,
+  CONFLICT_STRATEGIES,
+  PackageError,
+  buildTrackPackage,
+  validatePackage,
+  summarizePackage,
+  tagKey,
+  planTagImport,
+  uniqueTitle,
+  readPackageFile,
+  createPackageZip,
+  packageFileName
+} = require('./packages/track-package');
+const {
+  CLONE_SUBTREES,
+  CloneError,
+  normalizeCloneOptions,
+  prepareClone
+} = require('./packages/track-clone');
+const {
+  TemplateError,
+  slugify,
+  validateTemplate,
+  resolveVariables,
+  instantiateTemplate
+} = require('./templates/content-templates');
+const {
+  PREREQUISITE_TYPES,
+  PrerequisiteError,
+  buildPrerequisiteGraph,
+  findPrerequisiteCycle,
+  describeCycle,
+  summarizePrerequisites
+} = require('./prerequisites/content-prerequisites');
+const {
+  DEFAULT_SOURCE_LOCALE,
+  TRANSLATION_ROUTE_TYPES,
+  TranslationError,
+  normalizeLocale,
+  negotiateLocales,
+  translationEntry,
+  buildTranslationLookup,
+  applyTranslations,
+  sourceHash,
+  validateTranslationFields,
+  sourceFieldsQuery,
+  buildCompletenessQuery,
+  buildMissingTranslationsQuery,
+  formatCompletenessReport,
+  groupTranslations
+} = require('./translations/content-translations');
+const { createMediaStorage } = require('./media/media-storage');
+const {
+  MEDIA_KINDS,
+  MAX_MEDIA_BYTES,
+  MediaError,
+  resolveMediaType,
+  contentHash,
+  mediaStorageKey,
+  thumbnailStorageKey,
+  sanitizeFileName,
+  processImage,
+  formatMediaAsset
+} = require('./media/media-library');
+const {
+  RENDERER_VERSION,
+  detectContentFormat,
+  renderHash,
+  findLessonReferences,
+  renderLesson
+} = require('./rendering/lesson-renderer');
+const { entityTag, lastModified, isNotModified, cachePolicy } = require('./caching/http-caching');
+const {
+  DEFAULT_TTL_SECONDS,
+  DEFAULT_TIMEOUT_MS,
+  changeDependencies,
+  createCatalogCache
+} = require('./caching/catalog-cache');
+const {
+  ABANDONED_AFTER_DAYS,
+  AnalyticsRequestError,
+  parseAnalyticsRange,
+  dailySeries,
+  buildLessonFunnel
+} = require('./analytics/path-analytics');
+const { loadMetricsCollector } = require('./monitoring/service-metrics');
+
 const app = express();
 const PORT = process.env.PORT || 8000;
 
@@ -25,6 +178,56 @@ app.use(express.json());
 // JWT secret
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
 
+// Timed quiz settings: late submissions within the grace period are still accepted
+const QUIZ_GRACE_PERIOD_SECONDS = parseInt(process.env.QUIZ_GRACE_PERIOD_SECONDS || '30');
+const QUIZ_EXPIRY_SWEEP_INTERVAL_MS = parseInt(process.env.QUIZ_EXPIRY_SWEEP_INTERVAL_MS || '60000');
+
+// How often approved content with a due publish_at is published
+const PUBLISH_SCHEDULER_INTERVAL_MS = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS || '60000');
+
+// Trashed content is kept this many days before the purge job removes it for good
+const TRASH_RETENTION_DAYS = parseRetentionDays(process.env.TRASH_RETENTION_DAYS);
+const TRASH_PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS || '3600000');
+
+// Language the catalog is written in, and locales the translation report always covers
+const CONTENT_SOURCE_LOCALE = normalizeLocale(process.env.CONTENT_SOURCE_LOCALE) || DEFAULT_SOURCE_LOCALE;
+const CONTENT_LOCALES = (process.env.CONTENT_LOCALES || '').split(',').map(normalizeLocale).filter(Boolean);
+
+// Where uploaded media is kept; MEDIA_STORAGE_DRIVER selects another registered driver
+const mediaStorage = createMediaStorage({
+  driver: process.env.MEDIA_STORAGE_DRIVER || 'local',
+  root: process.env.MEDIA_STORAGE_PATH || path.join(__dirname, '..', 'media')
+});
+
+// Metrics for this service, or null when shared/monitoring is not available; only the catalog
+// cache reports through it, so the collector's system-metrics timer stays off
+const metrics = loadMetricsCollector({ serviceName: 'content-service', collectSystemMetrics: false });
+
+// Track, course and lesson reads are cached in Redis when REDIS_URL is set. Commands fail
+// fast while it is unreachable so reads fall back to the database instead of queueing.
+const redisClient = process.env.REDIS_URL
+  ? redis.createClient({
+    url: process.env.REDIS_URL,
+    disableOfflineQueue: true,
+    socket: { connectTimeout: 2000, reconnectStrategy: (retries) => Math.min(retries * 500, 10000) }
+  })
+  : null;
+const catalogCache = createCatalogCache({
+  client: redisClient,
+  metrics,
+  ttlSeconds: parseInt(process.env.CATALOG_CACHE_TTL_SECONDS || String(DEFAULT_TTL_SECONDS)),
+  timeoutMs: parseInt(process.env.CATALOG_CACHE_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS))
+});
+if (redisClient) {
+  // Connection failures are reported through the client's error event
+  redisClient.connect().catch(() => {});
+}
+
+// Drop cached catalog reads that showed these track, course or lesson rows. Call it once the
+// change is committed; it never fails the request.
+const invalidateCatalog = (type, rows) =>
+  catalogCache.invalidate(rows.flatMap(row => changeDependencies(type, row)));
+
 // Middleware to verify JWT token
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -43,6 +246,129 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+// Like authenticateToken, but lets anonymous requests through without req.user
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    if (!err) {
+      req.user = user;
+    }
+    next();
+  });
+};
+
+// Run work(client) on a single pooled connection inside a transaction
+const withTransaction = async (work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Prerequisites of a track and of the given courses, with whether userId has met each one.
+// A track counts as done when every published course in it is completed. Prerequisites on
+// content learners cannot see are skipped so they never lock anything.
+const loadPrerequisiteStatus = async (trackId, courseIds, userId) => {
+  const result = await pool.query(`
+    SELECT p.id, p.content_type, p.content_id, p.prerequisite_type, p.prerequisite_id, p.is_required,
+           COALESCE(pc.title, pt.title) as title,
+           CASE p.prerequisite_type
+             WHEN 'course' THEN EXISTS (
+               SELECT 1 FROM user_progress up
+               WHERE up.user_id = $3 AND up.course_id = p.prerequisite_id AND up.is_completed = true
+             )
+             WHEN 'track' THEN $3::int IS NOT NULL AND NOT EXISTS (
+               SELECT 1 FROM courses tc
+               WHERE tc.track_id = p.prerequisite_id AND tc.is_published = true
+                 AND NOT EXISTS (
+                   SELECT 1 FROM user_progress up
+                   WHERE up.user_id = $3 AND up.course_id = tc.id AND up.is_completed = true
+                 )
+             )
+             ELSE false
+           END as satisfied
+    FROM prerequisites p
+    LEFT JOIN courses pc ON p.prerequisite_type = 'course' AND pc.id = p.prerequisite_id
+    LEFT JOIN learning_tracks pt ON p.prerequisite_type = 'track' AND pt.id = p.prerequisite_id
+    WHERE ((p.content_type = 'track' AND p.content_id = $1) OR (p.content_type = 'course' AND p.content_id = ANY($2::int[])))
+      AND (p.prerequisite_type = 'skill' OR pc.is_published = true OR pt.is_published = true)
+    ORDER BY p.is_required DESC, p.id
+  `, [trackId, courseIds, userId || null]);
+
+  // Skills live with the learner's profile, so they are only looked up when needed
+  const skillIds = [...new Set(result.rows.filter(row => row.prerequisite_type === 'skill').map(row => row.prerequisite_id))];
+  if (skillIds.length === 0) {
+    return result.rows;
+  }
+
+  const skillsResult = await pool.query(`
+    SELECT s.id, s.name, EXISTS (
+      SELECT 1 FROM user_skills us WHERE us.skill_id = s.id AND us.user_id = $2
+    ) as satisfied
+    FROM skills s
+    WHERE s.id = ANY($1::int[])
+  `, [skillIds, userId || null]);
+  const skills = new Map(skillsResult.rows.map(skill => [skill.id, skill]));
+
+  return result.rows
+    .filter(row => row.prerequisite_type !== 'skill' || skills.has(row.prerequisite_id))
+    .map(row => (row.prerequisite_type === 'skill'
+      ? { ...row, title: skills.get(row.prerequisite_id).name, satisfied: skills.get(row.prerequisite_id).satisfied }
+      : row));
+};
+
+// Swap translated text into a response for the locales asked for with ?lang or
+// Accept-Language (see translations/content-translations.js for the entry format).
+// Nothing is looked up when the source language is wanted.
+const localizeResponse = async (req, res, entries) => {
+  res.vary('Accept-Language');
+  const locales = negotiateLocales(
+    { lang: req.query.lang, acceptLanguage: req.headers['accept-language'] }, CONTENT_SOURCE_LOCALE
+  );
+  const present = entries.filter(entry => entry.target && entry.id !== null && entry.id !== undefined);
+  if (locales.length === 0 || present.length === 0) {
+    res.set('Content-Language', CONTENT_SOURCE_LOCALE);
+    return;
+  }
+
+  const lookup = buildTranslationLookup(locales, present);
+  const result = await pool.query(lookup.text, lookup.values);
+  res.set('Content-Language', applyTranslations(present, result.rows, locales, CONTENT_SOURCE_LOCALE).join(', '));
+};
+
+// Send a catalog read with an ETag and Cache-Control, or a 304 when the client's copy is still
+// current. Only pass modified when it covers everything in the body: a list can lose items
+// without anything left in it getting newer, so lists rely on the ETag alone.
+const sendCatalogResponse = (req, res, body, { modified = null } = {}) => {
+  const etag = entityTag(body);
+
+  res.set('ETag', etag);
+  if (modified) {
+    res.set('Last-Modified', modified.toUTCString());
+  }
+  res.set('Cache-Control', cachePolicy(req.headers));
+  res.vary('Authorization');
+
+  if (isNotModified(req.headers, { etag, modified })) {
+    return res.status(304).end();
+  }
+  res.json(body);
+};
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -52,33 +378,68 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Service metrics, including catalog cache hits and misses (JSON, or ?format=prometheus; admin only)
+app.get('/metrics', authenticateToken, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  if (!metrics) {
+    return res.status(503).json({ error: 'Metrics are not available' });
+  }
+
+  if (req.query.format === 'prometheus') {
+    res.set('Content-Type', 'text/plain');
+    return res.send(metrics.getPrometheusMetrics());
+  }
+  res.json(metrics.getAllMetrics());
+});
+
 // Get all learning tracks
 app.get('/tracks', async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, title, description, difficulty_level, estimated_hours, is_published, created_at, updated_at FROM learning_tracks WHERE is_published = true ORDER BY created_at DESC'
-    );
+    const tags = parseTagFilter(req.query.tags);
+    const conditions = ['t.is_published = true'];
+    const params = [];
+
+    if (tags.length > 0) {
+      params.push(tags);
+      conditions.push(tagFilterCondition('track', 't.id', `$${params.length}`));
+    }
 
-    const tracks = result.rows.map(track => ({
+    const rows = await catalogCache.read('tracks', `tracks:${[...tags].sort().join(',')}`, async () => {
+      const result = await pool.query(`
+        SELECT t.id, t.title, t.description, t.difficulty_level, t.estimated_hours, t.is_published, t.created_at, t.updated_at,
+               ${tagsSubquery('track', 't.id')} as tags
+        FROM learning_tracks t
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY t.created_at DESC
+      `, params);
+      return { value: result.rows, dependsOn: ['tracks'] };
+    });
+
+    const tracks = rows.map(track => ({
       id: track.id,
       title: track.title,
       description: track.description,
       difficultyLevel: track.difficulty_level,
       estimatedHours: track.estimated_hours,
       isPublished: track.is_published,
+      tags: track.tags || [],
       createdAt: track.created_at,
       updatedAt: track.updated_at
     }));
 
-    res.json({ tracks });
+    await localizeResponse(req, res, tracks.map(track => translationEntry('track', track.id, track)));
+    sendCatalogResponse(req, res, { tracks });
   } catch (error) {
     console.error('Tracks fetch error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get single learning track with courses
-app.get('/tracks/:id', async (req, res) => {
+// Get single learning track with courses. Signed-in learners also see which
+// prerequisites they are missing.
+app.get('/tracks/:id', optionalAuth, async (req, res) => {
   try {
     const trackId = parseInt(req.params.id);
     
@@ -86,48 +447,79 @@ app.get('/tracks/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid track ID' });
     }
 
-    // Get track details
-    const trackResult = await pool.query(
-      'SELECT id, title, description, difficulty_level, estimated_hours, is_published, created_at, updated_at FROM learning_tracks WHERE id = $1',
-      [trackId]
-    );
+    const cached = await catalogCache.read('track', `track:${trackId}`, async () => {
+      // Get track details
+      const trackResult = await pool.query(
+        `SELECT id, title, description, difficulty_level, estimated_hours, is_published, created_at, updated_at,
+                ${tagsSubquery('track', 'learning_tracks.id')} as tags
+         FROM learning_tracks WHERE id = $1 AND is_published = true`,
+        [trackId]
+      );
+      if (trackResult.rows.length === 0) {
+        return { value: null };
+      }
 
-    if (trackResult.rows.length === 0) {
+      // Get courses for this track
+      const coursesResult = await pool.query(
+        `SELECT id, title, description, content, order_index, is_published, created_at, updated_at,
+                ${tagsSubquery('course', 'courses.id')} as tags
+         FROM courses WHERE track_id = $1 AND is_published = true ORDER BY order_index`,
+        [trackId]
+      );
+      return {
+        value: { track: trackResult.rows[0], courses: coursesResult.rows },
+        dependsOn: [`track:${trackId}`, `track:${trackId}:courses`, ...coursesResult.rows.map(course => `course:${course.id}`)]
+      };
+    });
+
+    if (!cached) {
       return res.status(404).json({ error: 'Track not found' });
     }
 
-    // Get courses for this track
-    const coursesResult = await pool.query(
-      'SELECT id, title, description, content, order_index, is_published, created_at, updated_at FROM courses WHERE track_id = $1 AND is_published = true ORDER BY order_index',
-      [trackId]
+    const prerequisiteRows = await loadPrerequisiteStatus(
+      trackId, cached.courses.map(course => course.id), req.user?.userId
     );
+    const trackOwner = { type: 'track', id: trackId };
 
-    const track = trackResult.rows[0];
-    const courses = coursesResult.rows.map(course => ({
-      id: course.id,
-      title: course.title,
-      description: course.description,
-      content: course.content,
-      orderInTrack: course.order_index,
-      estimatedDuration: '2 hours',
-      isPublished: course.is_published,
-      createdAt: course.created_at,
-      updatedAt: course.updated_at
-    }));
-
-    res.json({
-      track: {
-        id: track.id,
-        title: track.title,
-        description: track.description,
-        difficultyLevel: track.difficulty_level,
-        estimatedHours: track.estimated_hours,
-        isPublished: track.is_published,
-        createdAt: track.created_at,
-        updatedAt: track.updated_at
-      },
-      courses
+    const track = cached.track;
+    const courses = cached.courses.map(course => {
+      const { locked, missingPrerequisites } = summarizePrerequisites(
+        prerequisiteRows, [trackOwner, { type: 'course', id: course.id }]
+      );
+      return {
+        id: course.id,
+        title: course.title,
+        description: course.description,
+        content: course.content,
+        orderInTrack: course.order_index,
+        estimatedDuration: '2 hours',
+        isPublished: course.is_published,
+        tags: course.tags || [],
+        locked,
+        missingPrerequisites,
+        createdAt: course.created_at,
+        updatedAt: course.updated_at
+      };
     });
+
+    const trackData = {
+      id: track.id,
+      title: track.title,
+      description: track.description,
+      difficultyLevel: track.difficulty_level,
+      estimatedHours: track.estimated_hours,
+      isPublished: track.is_published,
+      tags: track.tags || [],
+      ...summarizePrerequisites(prerequisiteRows, [trackOwner]),
+      createdAt: track.created_at,
+      updatedAt: track.updated_at
+    };
+
+    await localizeResponse(req, res, [
+      translationEntry('track', track.id, trackData),
+      ...courses.map(course => translationEntry('course', course.id, course))
+    ]);
+    sendCatalogResponse(req, res, { track: trackData, courses });
   } catch (error) {
     console.error('Track fetch error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -137,14 +529,23 @@ app.get('/tracks/:id', async (req, res) => {
 // Get all courses
 app.get('/courses', async (req, res) => {
   try {
+    const tags = parseTagFilter(req.query.tags);
+    const conditions = ['c.is_published = true', 't.is_published = true'];
+    const params = [];
+
+    if (tags.length > 0) {
+      params.push(tags);
+      conditions.push(tagFilterCondition('course', 'c.id', `$${params.length}`));
+    }
+
     const result = await pool.query(`
       SELECT c.id, c.title, c.description, c.content, c.track_id, c.order_index, c.is_published, c.created_at, c.updated_at,
-             t.title as track_title, t.difficulty_level
+             t.title as track_title, t.difficulty_level, ${tagsSubquery('course', 'c.id')} as tags
       FROM courses c
       JOIN learning_tracks t ON c.track_id = t.id
-      WHERE c.is_published = true AND t.is_published = true
+      WHERE ${conditions.join(' AND ')}
       ORDER BY t.id, c.order_index
-    `);
+    `, params);
 
     const courses = result.rows.map(course => ({
       id: course.id,
@@ -155,10 +556,12 @@ app.get('/courses', async (req, res) => {
       orderInTrack: course.order_index,
       estimatedDuration: '2 hours',
       isPublished: course.is_published,
+      tags: course.tags || [],
       createdAt: course.created_at,
       updatedAt: course.updated_at
     }));
 
+    await localizeResponse(req, res, courses.map(course => translationEntry('course', course.id, course)));
     res.json(courses);
   } catch (error) {
     console.error('Courses fetch error:', error);
@@ -166,8 +569,8 @@ app.get('/courses', async (req, res) => {
   }
 });
 
-// Get single course with lessons
-app.get('/courses/:id', async (req, res) => {
+// Get single course with lessons and, for signed-in learners, its lock status
+app.get('/courses/:id', optionalAuth, async (req, res) => {
   try {
     const courseId = parseInt(req.params.id);
     
@@ -175,28 +578,44 @@ app.get('/courses/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid course ID' });
     }
 
-    const result = await pool.query(`
-      SELECT c.id, c.title, c.description, c.content, c.track_id, c.order_index, c.is_published, c.created_at, c.updated_at,
-             t.id as track_id, t.title as track_title, t.difficulty_level
-      FROM courses c
-      JOIN learning_tracks t ON c.track_id = t.id
-      WHERE c.id = $1
-    `, [courseId]);
+    const cached = await catalogCache.read('course', `course:${courseId}`, async () => {
+      const result = await pool.query(`
+        SELECT c.id, c.title, c.description, c.content, c.track_id, c.order_index, c.is_published, c.created_at, c.updated_at,
+               t.id as track_id, t.title as track_title, t.difficulty_level, ${tagsSubquery('course', 'c.id')} as tags
+        FROM courses c
+        JOIN learning_tracks t ON c.track_id = t.id
+        WHERE c.id = $1 AND c.is_published = true AND t.is_published = true
+      `, [courseId]);
+      if (result.rows.length === 0) {
+        return { value: null };
+      }
 
-    if (result.rows.length === 0) {
+      // Get lessons for this course
+      const lessonsResult = await pool.query(`
+        SELECT id, title, content, order_index, lesson_type, duration_minutes, is_published, created_at, updated_at
+        FROM lessons
+        WHERE course_id = $1 AND is_published = true AND deleted_at IS NULL
+        ORDER BY order_index
+      `, [courseId]);
+      return {
+        value: { course: result.rows[0], lessons: lessonsResult.rows },
+        dependsOn: [
+          `course:${courseId}`, `course:${courseId}:lessons`, `track:${result.rows[0].track_id}`,
+          ...lessonsResult.rows.map(lesson => `lesson:${lesson.id}`)
+        ]
+      };
+    });
+
+    if (!cached) {
       return res.status(404).json({ error: 'Course not found' });
     }
 
-    // Get lessons for this course
-    const lessonsResult = await pool.query(`
-      SELECT id, title, content, order_index, lesson_type, duration_minutes, is_published, created_at, updated_at
-      FROM lessons
-      WHERE course_id = $1 AND is_published = true
-      ORDER BY order_index
-    `, [courseId]);
-
-    const course = result.rows[0];
-    const lessons = lessonsResult.rows.map(lesson => ({
+    const course = cached.course;
+    const prerequisiteRows = await loadPrerequisiteStatus(course.track_id, [course.id], req.user?.userId);
+    const prerequisiteStatus = summarizePrerequisites(
+      prerequisiteRows, [{ type: 'track', id: course.track_id }, { type: 'course', id: course.id }]
+    );
+    const lessons = cached.lessons.map(lesson => ({
       id: lesson.id,
       title: lesson.title,
       content: lesson.content,
@@ -208,7 +627,7 @@ app.get('/courses/:id', async (req, res) => {
       updatedAt: lesson.updated_at
     }));
 
-    res.json({
+    const courseData = {
       id: course.id,
       title: course.title,
       description: course.description,
@@ -217,10 +636,18 @@ app.get('/courses/:id', async (req, res) => {
       orderInTrack: course.order_index,
       estimatedDuration: '2 hours',
       isPublished: course.is_published,
+      tags: course.tags || [],
+      ...prerequisiteStatus,
       createdAt: course.created_at,
       updatedAt: course.updated_at,
       lessons: lessons
-    });
+    };
+
+    await localizeResponse(req, res, [
+      translationEntry('course', course.id, courseData),
+      ...lessons.map(lesson => translationEntry('lesson', lesson.id, lesson))
+    ]);
+    sendCatalogResponse(req, res, courseData);
   } catch (error) {
     console.error('Course fetch error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -236,14 +663,28 @@ app.get('/courses/:id/lessons', async (req, res) => {
       return res.status(400).json({ error: 'Invalid course ID' });
     }
 
-    const result = await pool.query(`
-      SELECT id, title, content, order_index, lesson_type, duration_minutes, is_published, created_at, updated_at
-      FROM lessons
-      WHERE course_id = $1 AND is_published = true
-      ORDER BY order_index
-    `, [courseId]);
+    // An empty list is not cached: without a lesson there is no track to depend on
+    const rows = await catalogCache.read('course', `course:${courseId}:lessons`, async () => {
+      const result = await pool.query(`
+        SELECT l.id, l.title, l.content, l.order_index, l.lesson_type, l.duration_minutes, l.is_published, l.created_at, l.updated_at,
+               c.track_id
+        FROM lessons l
+        JOIN courses c ON l.course_id = c.id
+        JOIN learning_tracks t ON c.track_id = t.id
+        WHERE l.course_id = $1 AND l.is_published = true AND l.deleted_at IS NULL
+          AND c.is_published = true AND t.is_published = true
+        ORDER BY l.order_index
+      `, [courseId]);
+      return {
+        value: result.rows,
+        dependsOn: result.rows.length === 0 ? [] : [
+          `course:${courseId}`, `course:${courseId}:lessons`, `track:${result.rows[0].track_id}`,
+          ...result.rows.map(lesson => `lesson:${lesson.id}`)
+        ]
+      };
+    });
 
-    const lessons = result.rows.map(lesson => ({
+    const lessons = rows.map(lesson => ({
       id: lesson.id,
       title: lesson.title,
       content: lesson.content,
@@ -255,14 +696,67 @@ app.get('/courses/:id/lessons', async (req, res) => {
       updatedAt: lesson.updated_at
     }));
 
-    res.json({ lessons });
+    await localizeResponse(req, res, lessons.map(lesson => translationEntry('lesson', lesson.id, lesson)));
+    sendCatalogResponse(req, res, { lessons });
   } catch (error) {
     console.error('Lessons fetch error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get single lesson
+// Lessons that lesson: links in some content point to, keyed by ID for renderLesson
+const loadLinkedLessons = async (content) => {
+  const lessonIds = findLessonReferences(content);
+  if (lessonIds.length === 0) {
+    return new Map();
+  }
+
+  const result = await pool.query(`
+    SELECT l.id, l.title, l.course_id,
+           (l.is_published AND l.deleted_at IS NULL AND c.is_published AND t.is_published) as available
+    FROM lessons l
+    JOIN courses c ON l.course_id = c.id
+    JOIN learning_tracks t ON c.track_id = t.id
+    WHERE l.id = ANY($1::int[])
+  `, [lessonIds]);
+
+  return new Map(result.rows.map(row => [row.id, {
+    id: row.id,
+    title: row.title,
+    courseId: row.course_id,
+    available: Boolean(row.available)
+  }]));
+};
+
+// Rendered HTML of a lesson's content. Each distinct content a lesson is shown with (every
+// revision, and every translation) is rendered once and then served from lesson_renders.
+// Linked lessons are looked up first: renaming, trashing or (un)publishing one changes the
+// hash, so renders are never served with stale lesson: links.
+const renderLessonContent = async (lessonId, content) => {
+  const lessons = await loadLinkedLessons(content);
+  const hash = renderHash(content, lessons);
+  const cached = await pool.query(
+    'SELECT html, toc, reading_time, links FROM lesson_renders WHERE lesson_id = $1 AND content_hash = $2 AND renderer_version = $3',
+    [lessonId, hash, RENDERER_VERSION]
+  );
+  if (cached.rows.length > 0) {
+    const row = cached.rows[0];
+    return { format: detectContentFormat(content || ''), html: row.html, toc: row.toc, readingTime: row.reading_time, links: row.links };
+  }
+
+  const rendered = renderLesson(content, { lessons });
+  await pool.query(`
+    INSERT INTO lesson_renders (lesson_id, content_hash, renderer_version, html, toc, reading_time, links)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (lesson_id, content_hash)
+    DO UPDATE SET renderer_version = EXCLUDED.renderer_version, html = EXCLUDED.html, toc = EXCLUDED.toc,
+                  reading_time = EXCLUDED.reading_time, links = EXCLUDED.links, rendered_at = CURRENT_TIMESTAMP
+  `, [lessonId, hash, RENDERER_VERSION, rendered.html, JSON.stringify(rendered.toc),
+    JSON.stringify(rendered.readingTime), JSON.stringify(rendered.links)]);
+  return rendered;
+};
+
+// Get single lesson with its content rendered to sanitized HTML
 app.get('/lessons/:id', async (req, res) => {
   try {
     const lessonId = parseInt(req.params.id);
@@ -271,36 +765,44 @@ app.get('/lessons/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid lesson ID' });
     }
 
-    const result = await pool.query(`
-      SELECT l.id, l.title, l.content, l.order_index, l.lesson_type, l.duration_minutes, l.is_published, l.created_at, l.updated_at,
-             c.id as course_id, c.title as course_title, c.track_id,
-             t.title as track_title
-      FROM lessons l
-      JOIN courses c ON l.course_id = c.id
-      JOIN learning_tracks t ON c.track_id = t.id
-      WHERE l.id = $1
-    `, [lessonId]);
+    // Only the lesson is cached; quizzes are edited outside the catalog, so the quiz is looked up each time
+    const lesson = await catalogCache.read('lesson', `lesson:${lessonId}`, async () => {
+      const result = await pool.query(`
+        SELECT l.id, l.title, l.content, l.order_index, l.lesson_type, l.duration_minutes, l.is_published, l.created_at, l.updated_at,
+               c.id as course_id, c.title as course_title, c.track_id, c.updated_at as course_updated_at,
+               t.title as track_title, t.updated_at as track_updated_at
+        FROM lessons l
+        JOIN courses c ON l.course_id = c.id
+        JOIN learning_tracks t ON c.track_id = t.id
+        WHERE l.id = $1 AND l.is_published = true AND l.deleted_at IS NULL
+          AND c.is_published = true AND t.is_published = true
+      `, [lessonId]);
+      const row = result.rows[0];
+      return row
+        ? { value: row, dependsOn: [`lesson:${row.id}`, `course:${row.course_id}`, `track:${row.track_id}`] }
+        : { value: null };
+    });
 
-    if (result.rows.length === 0) {
+    if (!lesson) {
       return res.status(404).json({ error: 'Lesson not found' });
     }
-
-    const lesson = result.rows[0];
     
     // Get quiz if this is a quiz lesson
     let quiz = null;
     if (lesson.lesson_type === 'quiz') {
       const quizResult = await pool.query(`
-        SELECT q.id, q.title, q.description, q.time_limit_minutes, q.passing_score, q.max_attempts
+        SELECT q.id, q.title, q.description, q.time_limit_minutes, q.passing_score, q.max_attempts,
+               q.shuffle_options, EXISTS (SELECT 1 FROM question_pools qp WHERE qp.quiz_id = q.id) as has_pools
         FROM quizzes q
         WHERE q.lesson_id = $1 AND q.is_published = true
       `, [lessonId]);
 
       if (quizResult.rows.length > 0) {
         const quizData = quizResult.rows[0];
-        
-        // Get quiz questions
-        const questionsResult = await pool.query(`
+
+        // Randomized quizzes only hand out questions through POST /quizzes/:quizId/start
+        const randomized = isRandomizedQuiz(quizData);
+        const questionsResult = randomized ? { rows: [] } : await pool.query(`
           SELECT id, question_text, question_type, answer_options, points, order_index
           FROM quiz_questions
           WHERE quiz_id = $1
@@ -314,6 +816,7 @@ app.get('/lessons/:id', async (req, res) => {
           timeLimitMinutes: quizData.time_limit_minutes,
           passingScore: quizData.passing_score,
           maxAttempts: quizData.max_attempts,
+          randomized,
           questions: questionsResult.rows.map(q => ({
             id: q.id,
             questionText: q.question_text,
@@ -326,7 +829,7 @@ app.get('/lessons/:id', async (req, res) => {
       }
     }
 
-    res.json({
+    const lessonData = {
       id: lesson.id,
       title: lesson.title,
       content: lesson.content,
@@ -341,6 +844,21 @@ app.get('/lessons/:id', async (req, res) => {
       trackId: lesson.track_id,
       trackTitle: lesson.track_title,
       quiz: quiz
+    };
+
+    await localizeResponse(req, res, [
+      translationEntry('lesson', lesson.id, lessonData),
+      translationEntry('course', lesson.course_id, lessonData, { title: 'courseTitle' }),
+      translationEntry('track', lesson.track_id, lessonData, { title: 'trackTitle' }),
+      translationEntry('quiz', quiz?.id, quiz)
+    ]);
+    lessonData.rendered = await renderLessonContent(lesson.id, lessonData.content);
+
+    // Quizzes, linked lessons and translations change without touching these timestamps
+    const datable = lesson.lesson_type !== 'quiz' && lessonData.rendered.links.length === 0 &&
+      res.get('Content-Language') === CONTENT_SOURCE_LOCALE;
+    sendCatalogResponse(req, res, lessonData, {
+      modified: datable ? lastModified(lesson.updated_at, lesson.course_updated_at, lesson.track_updated_at) : null
     });
   } catch (error) {
     console.error('Lesson fetch error:', error);
@@ -387,6 +905,7 @@ app.post('/tracks', authenticateToken, [
     );
 
     const track = result.rows[0];
+    await invalidateCatalog('track', [track]);
     res.status(201).json({
       message: 'Learning track created successfully',
       track: {
@@ -433,27 +952,32 @@ app.get('/admin/paths', authenticateToken, async (req, res) => {
       paramCount++;
     }
 
-    if (status !== 'all') {
+    // Workflow statuses filter exactly; any other value (e.g. 'unpublished') means not published
+    if (WORKFLOW_STATUSES.includes(status)) {
+      whereConditions.push(`t.status = $${paramCount}`);
+      queryParams.push(status);
+      paramCount++;
+    } else if (status !== 'all') {
       whereConditions.push(`t.is_published = $${paramCount}`);
-      queryParams.push(status === 'published');
+      queryParams.push(false);
       paramCount++;
     }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const whereClause = `WHERE ${['t.deleted_at IS NULL', ...whereConditions].join(' AND ')}`;
 
     // Get tracks with course counts and enrollment stats
     const tracksQuery = `
       SELECT t.id, t.title, t.description, t.difficulty_level, t.estimated_hours, 
-             t.is_published, t.created_at, t.updated_at,
+             t.is_published, t.status, t.publish_at, t.created_at, t.updated_at,
              COUNT(DISTINCT c.id) as course_count,
              COUNT(DISTINCT up.user_id) as enrolled_users,
              COALESCE(AVG(up.progress_percentage), 0) as avg_progress
       FROM learning_tracks t
-      LEFT JOIN courses c ON t.id = c.track_id
+      LEFT JOIN courses c ON t.id = c.track_id AND c.deleted_at IS NULL
       LEFT JOIN user_progress up ON t.id = up.track_id
       ${whereClause}
       GROUP BY t.id, t.title, t.description, t.difficulty_level, t.estimated_hours, 
-               t.is_published, t.created_at, t.updated_at
+               t.is_published, t.status, t.publish_at, t.created_at, t.updated_at
       ORDER BY t.created_at DESC
     `;
 
@@ -462,13 +986,13 @@ app.get('/admin/paths', authenticateToken, async (req, res) => {
     // Get detailed course information for each track
     const pathsPromises = tracksResult.rows.map(async (track) => {
       const coursesQuery = `
-        SELECT c.id, c.title, c.description, c.order_index, c.is_published, c.created_at,
+        SELECT c.id, c.title, c.description, c.order_index, c.is_published, c.status, c.publish_at, c.created_at,
                COUNT(DISTINCT up.user_id) as enrolled_users,
                COALESCE(AVG(up.progress_percentage), 0) as avg_progress
         FROM courses c
         LEFT JOIN user_progress up ON c.id = up.course_id
-        WHERE c.track_id = $1
-        GROUP BY c.id, c.title, c.description, c.order_index, c.is_published, c.created_at
+        WHERE c.track_id = $1 AND c.deleted_at IS NULL
+        GROUP BY c.id, c.title, c.description, c.order_index, c.is_published, c.status, c.publish_at, c.created_at
         ORDER BY c.order_index ASC
       `;
       
@@ -481,6 +1005,8 @@ app.get('/admin/paths', authenticateToken, async (req, res) => {
         difficultyLevel: track.difficulty_level,
         estimatedHours: track.estimated_hours,
         isPublished: track.is_published,
+        status: track.status,
+        publishAt: track.publish_at,
         courseCount: parseInt(track.course_count),
         enrolledUsers: parseInt(track.enrolled_users),
         avgProgress: parseFloat(track.avg_progress).toFixed(1),
@@ -492,6 +1018,8 @@ app.get('/admin/paths', authenticateToken, async (req, res) => {
           description: course.description,
           orderIndex: course.order_index,
           isPublished: course.is_published,
+          status: course.status,
+          publishAt: course.publish_at,
           enrolledUsers: parseInt(course.enrolled_users),
           avgProgress: parseFloat(course.avg_progress).toFixed(1),
           createdAt: course.created_at
@@ -530,13 +1058,16 @@ app.post('/admin/paths/bulk', authenticateToken, async (req, res) => {
 
     switch (operation) {
       case 'publish':
-        query = `UPDATE learning_tracks SET is_published = true, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1)`;
-        params = [pathIds];
-        break;
-      case 'unpublish':
-        query = `UPDATE learning_tracks SET is_published = false, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1)`;
-        params = [pathIds];
-        break;
+      case 'unpublish': {
+        // Only approved paths can be published and only published ones unpublished
+        const { items, skipped } = await applyBulkWorkflowAction('track', pathIds, operation, req.user);
+        res.json({
+          message: `Successfully performed ${operation} on ${items.length} learning paths`,
+          affectedPaths: items.length,
+          skipped
+        });
+        return;
+      }
       case 'update_difficulty':
         if (!value || !['beginner', 'intermediate', 'advanced'].includes(value)) {
           return res.status(400).json({ error: 'Valid difficulty level is required' });
@@ -544,30 +1075,21 @@ app.post('/admin/paths/bulk', authenticateToken, async (req, res) => {
         query = `UPDATE learning_tracks SET difficulty_level = $2, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1)`;
         params = [pathIds, value];
         break;
-      case 'delete':
-        // Begin transaction for bulk delete
-        await pool.query('BEGIN');
-        try {
-          // Delete related records first
-          await pool.query('DELETE FROM user_progress WHERE track_id = ANY($1)', [pathIds]);
-          await pool.query('DELETE FROM courses WHERE track_id = ANY($1)', [pathIds]);
-          await pool.query('DELETE FROM learning_tracks WHERE id = ANY($1)', [pathIds]);
-          await pool.query('COMMIT');
-        } catch (error) {
-          await pool.query('ROLLBACK');
-          throw error;
-        }
-        
+      case 'delete': {
+        // Paths and their courses go to the trash; learner progress is kept so they can be restored
+        const trashed = await trashContent('track', pathIds, req.user.userId);
         res.json({ 
-          message: `Successfully deleted ${pathIds.length} learning paths`,
-          affectedPaths: pathIds.length 
+          message: `Successfully moved ${trashed.length} learning paths to the trash`,
+          affectedPaths: trashed.length 
         });
         return;
+      }
       default:
         return res.status(400).json({ error: 'Invalid operation. Supported: publish, unpublish, update_difficulty, delete' });
     }
 
     const result = await pool.query(query, params);
+    await invalidateCatalog('track', pathIds.map(id => ({ id })));
 
     res.json({ 
       message: `Successfully performed ${operation} on ${result.rowCount} learning paths`,
@@ -596,7 +1118,7 @@ app.put('/admin/paths/:pathId/reorder', authenticateToken, async (req, res) => {
     // Validate that all courses belong to this path
     const courseIds = courseOrders.map(item => item.courseId);
     const validationResult = await pool.query(
-      'SELECT id FROM courses WHERE id = ANY($1) AND track_id = $2',
+      'SELECT id FROM courses WHERE id = ANY($1) AND track_id = $2 AND deleted_at IS NULL',
       [courseIds, pathId]
     );
 
@@ -617,6 +1139,7 @@ app.put('/admin/paths/:pathId/reorder', authenticateToken, async (req, res) => {
       }
 
       await pool.query('COMMIT');
+      await invalidateCatalog('course', courseOrders.map(({ courseId }) => ({ id: courseId, track_id: pathId })));
 
       res.json({ message: 'Course order updated successfully' });
     } catch (error) {
@@ -629,105 +1152,419 @@ app.put('/admin/paths/:pathId/reorder', authenticateToken, async (req, res) => {
   }
 });
 
-// Copy/clone learning path (admin only)
-app.post('/admin/paths/:pathId/clone', authenticateToken, async (req, res) => {
+// Load a live track with its live courses and lessons, their quizzes, pools, questions and
+// tags, as rows for buildTrackPackage. db is the pool or a transaction client.
+const loadTrackTree = async (db, pathId) => {
+  const trackResult = await db.query('SELECT * FROM learning_tracks WHERE id = $1 AND deleted_at IS NULL', [pathId]);
+  if (trackResult.rows.length === 0) {
+    return null;
+  }
+
+  const coursesResult = await db.query(
+    'SELECT * FROM courses WHERE track_id = $1 AND deleted_at IS NULL ORDER BY order_index, id',
+    [pathId]
+  );
+  const courseIds = coursesResult.rows.map(course => course.id);
+  const lessonsResult = await db.query(
+    'SELECT * FROM lessons WHERE course_id = ANY($1) AND deleted_at IS NULL ORDER BY order_index, id',
+    [courseIds]
+  );
+  const quizzesResult = await db.query(
+    'SELECT * FROM quizzes WHERE lesson_id = ANY($1) ORDER BY id',
+    [lessonsResult.rows.map(lesson => lesson.id)]
+  );
+  const quizIds = quizzesResult.rows.map(quiz => quiz.id);
+
+  const [poolsResult, questionsResult, tagsResult] = await Promise.all([
+    db.query('SELECT * FROM question_pools WHERE quiz_id = ANY($1) ORDER BY id', [quizIds]),
+    db.query('SELECT * FROM quiz_questions WHERE quiz_id = ANY($1) ORDER BY order_index, id', [quizIds]),
+    db.query(`
+      SELECT 'track' as owner_type, tt.track_id as owner_id, ct.id as tag_id, ct.name, ct.description, ct.color
+      FROM track_tags tt JOIN content_tags ct ON ct.id = tt.tag_id
+      WHERE tt.track_id = $1
+      UNION ALL
+      SELECT 'course', cot.course_id, ct.id, ct.name, ct.description, ct.color
+      FROM course_tags cot JOIN content_tags ct ON ct.id = cot.tag_id
+      WHERE cot.course_id = ANY($2)
+      ORDER BY name
+    `, [pathId, courseIds])
+  ]);
+
+  return {
+    track: trackResult.rows[0],
+    courses: coursesResult.rows,
+    lessons: lessonsResult.rows,
+    quizzes: quizzesResult.rows,
+    pools: poolsResult.rows,
+    questions: questionsResult.rows,
+    tags: tagsResult.rows
+  };
+};
+
+const cloneValidators = [
+  body('title').optional().trim().isLength({ min: 1, max: 255 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('titleSuffix').optional().isString().isLength({ max: 50 }),
+  body('suffixChildTitles').optional().isBoolean(),
+  body('include').optional().isObject()
+    .custom(include => Object.keys(include).every(subtree => CLONE_SUBTREES.includes(subtree)))
+    .withMessage(`include supports: ${CLONE_SUBTREES.join(', ')}`),
+  body('include.*').isBoolean(),
+  body('courseIds').optional().isArray({ min: 1 }),
+  body('courseIds.*').isInt({ min: 1 }).toInt()
+];
+
+// Deep clone a learning path into a new draft path (admin only).
+// Copies courses, lessons, quizzes, pools, questions and tag links in one transaction;
+// include and courseIds narrow what is copied.
+app.post('/admin/paths/:pathId/clone', authenticateToken, cloneValidators, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const { pathId } = req.params;
-    const { title, description } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required for cloned path' });
+    const pathId = parseInt(req.params.pathId);
+    if (isNaN(pathId)) {
+      return res.status(400).json({ error: 'Invalid path ID' });
     }
 
-    // Get original path
-    const originalPath = await pool.query(
-      'SELECT * FROM learning_tracks WHERE id = $1',
-      [pathId]
-    );
+    const options = normalizeCloneOptions(req.body);
 
-    if (originalPath.rows.length === 0) {
-      return res.status(404).json({ error: 'Learning path not found' });
-    }
+    const clone = await withTransaction(async (client) => {
+      const tree = await loadTrackTree(client, pathId);
+      if (!tree) {
+        throw new CloneError('Learning path not found', 404);
+      }
 
-    const path = originalPath.rows[0];
+      const clonePackage = prepareClone(buildTrackPackage(tree), options);
+      const tagPlan = {
+        reuse: tree.tags.map(tag => ({ id: tag.tag_id, name: tag.name })),
+        create: []
+      };
+      const { trackId, idMap } = await insertTrackPackage(client, clonePackage, {
+        title: clonePackage.track.title,
+        tagPlan,
+        userId: req.user.userId
+      });
 
-    // Begin transaction
-    await pool.query('BEGIN');
+      return { trackId, title: clonePackage.track.title, copied: summarizePackage(clonePackage), idMap };
+    });
+    await invalidateCatalog('track', [{ id: clone.trackId }]);
 
-    try {
-      // Create new path
-      const newPathResult = await pool.query(
-        `INSERT INTO learning_tracks (title, description, difficulty_level, estimated_hours, is_published) 
-         VALUES ($1, $2, $3, $4, false) RETURNING id`,
-        [title, description || path.description, path.difficulty_level, path.estimated_hours]
-      );
+    res.status(201).json({
+      message: 'Learning path cloned successfully',
+      clonedPath: {
+        id: clone.trackId,
+        title: clone.title,
+        originalPathId: pathId,
+        coursesCloned: clone.copied.courses
+      },
+      include: options.include,
+      copied: clone.copied,
+      idMap: clone.idMap
+    });
+  } catch (error) {
+    if (error instanceof CloneError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Path clone error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      const newPathId = newPathResult.rows[0].id;
+// Export a path with its courses, lessons, quizzes, questions and tags as a portable
+// package, as JSON or zip (admin only)
+app.get('/admin/paths/:pathId/export', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
 
-      // Get and clone all courses
-      const coursesResult = await pool.query(
-        'SELECT * FROM courses WHERE track_id = $1 ORDER BY order_index',
-        [pathId]
-      );
+    const pathId = parseInt(req.params.pathId);
+    if (isNaN(pathId)) {
+      return res.status(400).json({ error: 'Invalid path ID' });
+    }
 
-      for (const course of coursesResult.rows) {
-        await pool.query(
-          `INSERT INTO courses (track_id, title, description, content, order_index, is_published) 
-           VALUES ($1, $2, $3, $4, $5, false)`,
-          [newPathId, course.title + ' (Copy)', course.description, course.content, course.order_index]
-        );
-      }
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Supported: json, zip' });
+    }
 
-      await pool.query('COMMIT');
+    const tree = await loadTrackTree(pool, pathId);
+    if (!tree) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
 
-      res.status(201).json({
-        message: 'Learning path cloned successfully',
-        clonedPath: {
-          id: newPathId,
-          title: title,
-          originalPathId: pathId,
-          coursesCloned: coursesResult.rows.length
-        }
-      });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
+    const { track } = tree;
+    const trackPackage = buildTrackPackage(tree);
+
+    res.attachment(packageFileName(track.id, track.title, format));
+    if (format === 'zip') {
+      return res.send(createPackageZip(trackPackage));
     }
+    res.json(trackPackage);
   } catch (error) {
-    console.error('Path clone error:', error);
+    console.error('Path export error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get learning path analytics (admin only)
-app.get('/admin/paths/:pathId/analytics', authenticateToken, async (req, res) => {
+const packageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PACKAGE_BYTES, files: 1 }
+});
+
+// Accept an optional single-file upload in field; JSON bodies pass through untouched
+const receiveUpload = (upload, field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+    }
+    next(error);
+  });
+};
+
+// Packages arrive as a multipart "package" file (.json or .zip)
+const receivePackageUpload = receiveUpload(packageUpload, 'package');
+
+const valueOr = (value, fallback) => (value === undefined ? fallback : value);
+
+// Insert a validated package as a new draft path inside an open transaction.
+// Resolves to a map of package sourceIds to the IDs they were given here.
+const insertTrackPackage = async (client, trackPackage, { title, tagPlan, userId }) => {
+  const idMap = { track: {}, courses: {}, lessons: {}, quizzes: {}, pools: {}, questions: {} };
+  const remember = (kind, item, id) => {
+    if (item.sourceId !== undefined && item.sourceId !== null) {
+      idMap[kind][item.sourceId] = id;
+    }
+  };
+
+  const tagIds = new Map(tagPlan.reuse.map(tag => [tagKey(tag.name), tag.id]));
+  for (const tag of tagPlan.create) {
+    const created = await client.query(
+      'INSERT INTO content_tags (name, description, color) VALUES ($1, $2, $3) RETURNING id',
+      [tag.name, tag.description || null, tag.color || null]
+    );
+    tagIds.set(tagKey(tag.name), created.rows[0].id);
+  }
+  const attachTagNames = async (target, id, names = []) => {
+    if (names.length === 0) return;
+    const { joinTable, column } = TAG_TARGETS[target];
+    await client.query(
+      `INSERT INTO ${joinTable} (${column}, tag_id) SELECT $1, unnest($2::int[]) ON CONFLICT DO NOTHING`,
+      [id, [...new Set(names.map(name => tagIds.get(tagKey(name))))]]
+    );
+  };
+
+  const { track } = trackPackage;
+  const trackResult = await client.query(
+    `INSERT INTO learning_tracks (title, description, difficulty_level, estimated_hours, status, created_by_user_id)
+     VALUES ($1, $2, $3, $4, 'draft', $5) RETURNING id`,
+    [title, valueOr(track.description, null), valueOr(track.difficultyLevel, 'beginner'), valueOr(track.estimatedHours, 0), userId]
+  );
+  const trackId = trackResult.rows[0].id;
+  remember('track', track, trackId);
+  await attachTagNames('track', trackId, track.tags);
+
+  for (const [courseIndex, course] of (track.courses || []).entries()) {
+    const courseResult = await client.query(
+      `INSERT INTO courses (track_id, title, description, content, order_index, difficulty_level, estimated_minutes,
+                            status, created_by_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'draft', $8) RETURNING id`,
+      [trackId, course.title, valueOr(course.description, null), valueOr(course.content, null),
+        valueOr(course.orderIndex, courseIndex), valueOr(course.difficultyLevel, 'beginner'),
+        valueOr(course.estimatedMinutes, 0), userId]
+    );
+    const courseId = courseResult.rows[0].id;
+    remember('courses', course, courseId);
+    await attachTagNames('course', courseId, course.tags);
+
+    for (const [lessonIndex, lesson] of (course.lessons || []).entries()) {
+      const lessonResult = await client.query(
+        `INSERT INTO lessons (course_id, title, content, order_index, lesson_type, duration_minutes, is_published)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+        [courseId, lesson.title, valueOr(lesson.content, null), valueOr(lesson.orderIndex, lessonIndex),
+          valueOr(lesson.lessonType, 'text'), valueOr(lesson.durationMinutes, 0), Boolean(lesson.isPublished)]
+      );
+      const lessonId = lessonResult.rows[0].id;
+      remember('lessons', lesson, lessonId);
+
+      for (const quiz of lesson.quizzes || []) {
+        const quizResult = await client.query(
+          `INSERT INTO quizzes (lesson_id, title, description, time_limit_minutes, passing_score, max_attempts,
+                                scoring_policy, shuffle_options, is_published)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+          [lessonId, quiz.title, valueOr(quiz.description, null), valueOr(quiz.timeLimitMinutes, null),
+            valueOr(quiz.passingScore, 70), valueOr(quiz.maxAttempts, 3), JSON.stringify(quiz.scoringPolicy || {}),
+            Boolean(quiz.shuffleOptions), Boolean(quiz.isPublished)]
+        );
+        const quizId = quizResult.rows[0].id;
+        remember('quizzes', quiz, quizId);
+
+        const poolIds = new Map();
+        for (const questionPool of quiz.pools || []) {
+          const poolResult = await client.query(
+            'INSERT INTO question_pools (quiz_id, name, draw_count, difficulty_quotas) VALUES ($1, $2, $3, $4) RETURNING id',
+            [quizId, questionPool.name, questionPool.drawCount, JSON.stringify(questionPool.difficultyQuotas || {})]
+          );
+          poolIds.set(questionPool.sourceId, poolResult.rows[0].id);
+          remember('pools', questionPool, poolResult.rows[0].id);
+        }
+
+        for (const [questionIndex, question] of (quiz.questions || []).entries()) {
+          const questionResult = await client.query(
+            `INSERT INTO quiz_questions (quiz_id, question_text, question_type, answer_options, correct_answer,
+                                        points, section, difficulty, pool_id, order_index)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
+            [quizId, question.questionText, question.questionType, JSON.stringify(valueOr(question.answerOptions, null)),
+              serializeCorrectAnswer(question.correctAnswer), valueOr(question.points, 1), valueOr(question.section, null),
+              valueOr(question.difficulty, 'medium'), poolIds.get(question.poolSourceId) || null,
+              valueOr(question.orderIndex, questionIndex)]
+          );
+          remember('questions', question, questionResult.rows[0].id);
+        }
+      }
+    }
+  }
+
+  return { trackId, idMap };
+};
+
+// Import a path package as a new draft path (admin only). ?dryRun=true validates the package
+// and reports conflicts without writing anything. A live path with the same title is a
+// conflict: onConflict=fail (default) refuses the import, onConflict=rename imports it as "Title (2)".
+app.post('/admin/paths/import', authenticateToken, receivePackageUpload, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const { pathId } = req.params;
-    const { timeframe = '30d' } = req.query;
+    const dryRun = [req.query.dryRun, req.body.dryRun].some(value => value === true || value === 'true');
+    const onConflict = req.query.onConflict || req.body.onConflict || 'fail';
+    if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+      return res.status(400).json({ error: `Invalid onConflict. Supported: ${CONFLICT_STRATEGIES.join(', ')}` });
+    }
 
-    // Calculate date range
-    let dateFilter = '';
-    if (timeframe === '7d') {
-      dateFilter = "AND up.started_at >= NOW() - INTERVAL '7 days'";
-    } else if (timeframe === '30d') {
-      dateFilter = "AND up.started_at >= NOW() - INTERVAL '30 days'";
-    } else if (timeframe === '90d') {
-      dateFilter = "AND up.started_at >= NOW() - INTERVAL '90 days'";
+    let trackPackage = req.body.package;
+    if (req.file) {
+      try {
+        trackPackage = readPackageFile(req.file.buffer);
+      } catch (error) {
+        if (error instanceof PackageError) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+    if (trackPackage === undefined) {
+      return res.status(400).json({ error: 'A package is required, as a "package" file upload or JSON field' });
     }
 
-    // Get path analytics
-    const analyticsQueries = [
-      // Path basic info
-      pool.query('SELECT * FROM learning_tracks WHERE id = $1', [pathId]),
-      
+    const packageErrors = validatePackage(trackPackage);
+    if (packageErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid package', details: packageErrors });
+    }
+
+    const packageTags = trackPackage.tags || [];
+    const [tagsResult, titlesResult] = await Promise.all([
+      pool.query(
+        'SELECT id, name, description, color FROM content_tags WHERE lower(name) = ANY($1)',
+        [packageTags.map(tag => tagKey(tag.name))]
+      ),
+      pool.query(
+        'SELECT id, title FROM learning_tracks WHERE deleted_at IS NULL AND starts_with(lower(title), lower($1))',
+        [trackPackage.track.title]
+      )
+    ]);
+
+    const tagPlan = planTagImport(packageTags, tagsResult.rows);
+    const conflicts = [...tagPlan.conflicts];
+    let title = trackPackage.track.title;
+    let blocked = false;
+
+    const sameTitle = titlesResult.rows.find(row => row.title.toLowerCase() === title.toLowerCase());
+    if (sameTitle) {
+      blocked = onConflict === 'fail';
+      if (!blocked) {
+        title = uniqueTitle(title, titlesResult.rows.map(row => row.title));
+      }
+      conflicts.unshift({
+        type: 'track_title',
+        existingId: sameTitle.id,
+        message: `A learning path titled "${sameTitle.title}" already exists`,
+        resolution: blocked ? 'blocked' : 'renamed'
+      });
+    }
+
+    const report = {
+      title,
+      summary: {
+        ...summarizePackage(trackPackage),
+        tags: { reused: tagPlan.reuse.length, created: tagPlan.create.length }
+      },
+      conflicts
+    };
+
+    if (dryRun) {
+      return res.json({ message: 'Dry run completed; nothing was imported', dryRun: true, canImport: !blocked, ...report });
+    }
+
+    if (blocked) {
+      return res.status(409).json({
+        error: 'Package conflicts with existing content. Use onConflict=rename to import it under a new title',
+        conflicts
+      });
+    }
+
+    const { trackId, idMap } = await withTransaction(client =>
+      insertTrackPackage(client, trackPackage, { title, tagPlan, userId: req.user.userId }));
+    await invalidateCatalog('track', [{ id: trackId }]);
+
+    res.status(201).json({
+      message: 'Learning path imported successfully',
+      dryRun: false,
+      pathId: trackId,
+      ...report,
+      idMap
+    });
+  } catch (error) {
+    console.error('Path import error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get learning path analytics (admin only)
+app.get('/admin/paths/:pathId/analytics', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const pathId = parseInt(req.params.pathId);
+    if (isNaN(pathId)) {
+      return res.status(400).json({ error: 'Invalid path ID' });
+    }
+
+    let range;
+    try {
+      range = parseAnalyticsRange(req.query);
+    } catch (error) {
+      if (error instanceof AnalyticsRequestError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Get path analytics
+    const analyticsQueries = [
+      // Path basic info
+      pool.query('SELECT * FROM learning_tracks WHERE id = $1', [pathId]),
+      
       // Enrollment stats
       pool.query(`
         SELECT 
@@ -747,21 +1584,52 @@ app.get('/admin/paths/:pathId/analytics', authenticateToken, async (req, res) =>
           AVG(up.progress_percentage) as avg_progress
         FROM courses c
         LEFT JOIN user_progress up ON c.id = up.course_id
-        WHERE c.track_id = $1
+        WHERE c.track_id = $1 AND c.deleted_at IS NULL
         GROUP BY c.id, c.title, c.order_index
         ORDER BY c.order_index
       `, [pathId]),
+
+      // Lesson funnel, in path order
+      pool.query(`
+        SELECT
+          l.id, l.title, l.order_index, c.id as course_id, c.title as course_title,
+          COUNT(lp.user_id) as started,
+          COUNT(*) FILTER (WHERE lp.is_completed) as completed,
+          COUNT(*) FILTER (
+            WHERE NOT lp.is_completed AND lp.updated_at < NOW() - make_interval(days => $2)
+          ) as abandoned,
+          PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY lp.time_spent_minutes) as median_minutes
+        FROM lessons l
+        JOIN courses c ON l.course_id = c.id
+        LEFT JOIN lesson_progress lp ON lp.lesson_id = l.id
+        WHERE c.track_id = $1 AND c.deleted_at IS NULL AND l.deleted_at IS NULL
+        GROUP BY l.id, l.title, l.order_index, c.id, c.title, c.order_index
+        ORDER BY c.order_index, l.order_index, l.id
+      `, [pathId, ABANDONED_AFTER_DAYS]),
       
-      // Daily enrollment trends
+      // Daily enrollments: learners by the day they started their first course in the path
       pool.query(`
-        SELECT 
-          DATE(started_at) as date, 
-          COUNT(*) as new_enrollments
-        FROM user_progress 
-        WHERE track_id = $1 ${dateFilter}
-        GROUP BY DATE(started_at) 
-        ORDER BY date
-      `, [pathId]),
+        SELECT to_char(enrolled_at, 'YYYY-MM-DD') as date, COUNT(*) as count
+        FROM (
+          SELECT user_id, MIN(started_at)::date as enrolled_at
+          FROM user_progress
+          WHERE track_id = $1
+          GROUP BY user_id
+        ) enrollments
+        WHERE enrolled_at BETWEEN $2::date AND $3::date
+        GROUP BY enrolled_at
+        ORDER BY enrolled_at
+      `, [pathId, range.from, range.to]),
+
+      // Daily course completions
+      pool.query(`
+        SELECT to_char(completed_at::date, 'YYYY-MM-DD') as date, COUNT(*) as count
+        FROM user_progress
+        WHERE track_id = $1 AND is_completed = true
+          AND completed_at::date BETWEEN $2::date AND $3::date
+        GROUP BY completed_at::date
+        ORDER BY completed_at::date
+      `, [pathId, range.from, range.to]),
       
       // Completion time analytics
       pool.query(`
@@ -778,7 +1646,9 @@ app.get('/admin/paths/:pathId/analytics', authenticateToken, async (req, res) =>
       pathResult,
       enrollmentResult,
       courseProgressResult,
-      dailyTrendsResult,
+      lessonFunnelResult,
+      dailyEnrollmentsResult,
+      dailyCompletionsResult,
       completionTimeResult
     ] = await Promise.all(analyticsQueries);
 
@@ -821,13 +1691,17 @@ app.get('/admin/paths/:pathId/analytics', authenticateToken, async (req, res) =>
           : '0.0',
         avgProgress: parseFloat(course.avg_progress || 0).toFixed(1)
       })),
+      lessonFunnel: {
+        abandonedAfterDays: ABANDONED_AFTER_DAYS,
+        ...buildLessonFunnel(lessonFunnelResult.rows)
+      },
       trends: {
-        dailyEnrollments: dailyTrendsResult.rows.map(row => ({
-          date: row.date,
-          enrollments: parseInt(row.new_enrollments)
-        }))
+        from: range.from,
+        to: range.to,
+        dailyEnrollments: dailySeries(dailyEnrollmentsResult.rows, range, 'enrollments'),
+        dailyCompletions: dailySeries(dailyCompletionsResult.rows, range, 'completions')
       },
-      timeframe
+      timeframe: range.timeframe
     };
 
     res.json({ analytics });
@@ -837,65 +1711,26 @@ app.get('/admin/paths/:pathId/analytics', authenticateToken, async (req, res) =>
   }
 });
 
-// Search tracks and courses
+// Ranked full-text search across tracks, courses, lessons and quizzes
 app.get('/search', async (req, res) => {
   try {
-    const { q: query, limit = 50 } = req.query;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Search query is required' });
+    let searchRequest;
+    try {
+      searchRequest = parseSearchRequest(req.query);
+    } catch (error) {
+      if (error instanceof SearchRequestError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
     }
-    
-    const searchLimit = parseInt(limit);
-    
-    // Search tracks
-    const tracksResult = await pool.query(`
-      SELECT id, title, description, difficulty_level, estimated_hours, prerequisites, created_at, updated_at
-      FROM learning_tracks 
-      WHERE is_published = true 
-      AND (title ILIKE $1 OR description ILIKE $1)
-      ORDER BY created_at DESC
-      LIMIT $2
-    `, [`%${query}%`, Math.floor(searchLimit / 2)]);
-    
-    // Search courses
-    const coursesResult = await pool.query(`
-      SELECT c.id, c.title, c.description, c.content, c.track_id, c.order_index, c.created_at, c.updated_at
-      FROM courses c
-      JOIN learning_tracks t ON c.track_id = t.id
-      WHERE c.is_published = true AND t.is_published = true
-      AND (c.title ILIKE $1 OR c.description ILIKE $1 OR c.content ILIKE $1)
-      ORDER BY c.created_at DESC
-      LIMIT $2
-    `, [`%${query}%`, Math.floor(searchLimit / 2)]);
-    
-    const results = [
-      ...tracksResult.rows.map(track => ({
-        type: 'track',
-        id: track.id,
-        title: track.title,
-        description: track.description,
-        difficulty: track.difficulty_level,
-        estimatedDuration: track.estimated_hours + ' hours',
-        prerequisites: track.prerequisites,
-        createdAt: track.created_at,
-        updatedAt: track.updated_at
-      })),
-      ...coursesResult.rows.map(course => ({
-        type: 'course',
-        id: course.id,
-        title: course.title,
-        description: course.description,
-        content: course.content,
-        trackId: course.track_id,
-        orderInTrack: course.order_index,
-        estimatedDuration: '2 hours',
-        createdAt: course.created_at,
-        updatedAt: course.updated_at
-      }))
-    ].slice(0, searchLimit);
-    
-    res.json(results);
+
+    const { resultsQuery, countsQuery } = buildCatalogSearch(searchRequest);
+    const [resultsResult, countsResult] = await Promise.all([
+      pool.query(resultsQuery.text, resultsQuery.values),
+      pool.query(countsQuery.text, countsQuery.values)
+    ]);
+
+    res.json(formatSearchResponse(searchRequest, resultsResult.rows, countsResult.rows[0] || {}));
   } catch (error) {
     console.error('Search error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -932,132 +1767,85 @@ app.get('/categories', async (req, res) => {
 });
 
 // ========================
-// QUIZ ENDPOINTS
+// TAG ENDPOINTS
 // ========================
 
-// Get quizzes for a course/lesson
-app.get('/courses/:courseId/quizzes', async (req, res) => {
-  try {
-    const courseId = parseInt(req.params.courseId);
-    
-    if (isNaN(courseId)) {
-      return res.status(400).json({ error: 'Invalid course ID' });
-    }
+const tagValidators = (required) => [
+  (required ? body('name') : body('name').optional()).trim().isLength({ min: 1, max: 100 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('color').optional({ nullable: true }).matches(TAG_COLOR_PATTERN).withMessage('Color must be a hex code like #3B82F6')
+];
+
+// Tags attached to one track or course, by name
+const getContentTags = async (target, contentId) => {
+  const { joinTable, column } = TAG_TARGETS[target];
+  const result = await pool.query(`
+    SELECT ct.id, ct.name, ct.color
+    FROM ${joinTable} j
+    JOIN content_tags ct ON ct.id = j.tag_id
+    WHERE j.${column} = $1
+    ORDER BY ct.name
+  `, [contentId]);
+  return result.rows;
+};
 
-    // Get quizzes for lessons in this course
+// Get all tags with the number of published tracks and courses using each
+app.get('/tags', async (req, res) => {
+  try {
     const result = await pool.query(`
-      SELECT q.id, q.title, q.description, q.time_limit_minutes, q.passing_score, 
-             q.max_attempts, q.is_published, q.created_at, q.updated_at,
-             l.id as lesson_id, l.title as lesson_title, l.order_index as lesson_order
-      FROM quizzes q
-      JOIN lessons l ON q.lesson_id = l.id
-      WHERE l.course_id = $1 AND q.is_published = true
-      ORDER BY l.order_index, q.created_at
-    `, [courseId]);
-
-    const quizzes = result.rows.map(row => ({
-      id: row.id,
-      title: row.title,
-      description: row.description,
-      timeLimitMinutes: row.time_limit_minutes,
-      passingScore: row.passing_score,
-      maxAttempts: row.max_attempts,
-      isPublished: row.is_published,
-      lessonId: row.lesson_id,
-      lessonTitle: row.lesson_title,
-      lessonOrder: row.lesson_order,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    }));
+      SELECT ct.id, ct.name, ct.description, ct.color, ct.created_at,
+             (SELECT COUNT(*) FROM track_tags tt JOIN learning_tracks t ON t.id = tt.track_id
+              WHERE tt.tag_id = ct.id AND t.is_published = true) as track_count,
+             (SELECT COUNT(*) FROM course_tags cot JOIN courses c ON c.id = cot.course_id
+              WHERE cot.tag_id = ct.id AND c.is_published = true) as course_count
+      FROM content_tags ct
+      ORDER BY ct.name
+    `);
 
-    res.json({ quizzes });
+    res.json({ tags: result.rows.map(formatTag) });
   } catch (error) {
-    console.error('Error fetching quizzes:', error);
+    console.error('Tags fetch error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get specific quiz with questions
-app.get('/quizzes/:quizId', async (req, res) => {
+// Create tag (admin only)
+app.post('/tags', authenticateToken, tagValidators(true), async (req, res) => {
   try {
-    const quizId = parseInt(req.params.quizId);
-    
-    if (isNaN(quizId)) {
-      return res.status(400).json({ error: 'Invalid quiz ID' });
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
     }
 
-    // Get quiz details
-    const quizResult = await pool.query(`
-      SELECT q.id, q.title, q.description, q.time_limit_minutes, q.passing_score, 
-             q.max_attempts, q.is_published, q.created_at, q.updated_at,
-             l.id as lesson_id, l.title as lesson_title, l.course_id
-      FROM quizzes q
-      JOIN lessons l ON q.lesson_id = l.id
-      WHERE q.id = $1 AND q.is_published = true
-    `, [quizId]);
-
-    if (quizResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Quiz not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const quiz = quizResult.rows[0];
-
-    // Get quiz questions
-    const questionsResult = await pool.query(`
-      SELECT id, question_text, question_type, answer_options, points, order_index
-      FROM quiz_questions
-      WHERE quiz_id = $1
-      ORDER BY order_index, id
-    `, [quizId]);
-
-    const questions = questionsResult.rows.map(row => ({
-      id: row.id,
-      questionText: row.question_text,
-      questionType: row.question_type,
-      answerOptions: row.answer_options,
-      points: row.points,
-      orderIndex: row.order_index
-      // Note: correct_answer is deliberately excluded for security
-    }));
+    const { name, description = null, color = null } = req.body;
 
-    const quizData = {
-      id: quiz.id,
-      title: quiz.title,
-      description: quiz.description,
-      timeLimitMinutes: quiz.time_limit_minutes,
-      passingScore: quiz.passing_score,
-      maxAttempts: quiz.max_attempts,
-      lessonId: quiz.lesson_id,
-      lessonTitle: quiz.lesson_title,
-      courseId: quiz.course_id,
-      questions,
-      totalQuestions: questions.length,
-      totalPoints: questions.reduce((sum, q) => sum + q.points, 0),
-      createdAt: quiz.created_at,
-      updatedAt: quiz.updated_at
-    };
+    const result = await pool.query(
+      'INSERT INTO content_tags (name, description, color) VALUES ($1, $2, $3) RETURNING *',
+      [name, description, color]
+    );
 
-    res.json(quizData);
+    res.status(201).json({
+      message: 'Tag created successfully',
+      tag: formatTag(result.rows[0])
+    });
   } catch (error) {
-    console.error('Error fetching quiz:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+    console.error('Tag creation error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Submit quiz answers (requires authentication)
-app.post('/quizzes/:quizId/submit', authenticateToken, [
-  body('answers').isArray(),
-  body('answers.*.questionId').isInt(),
-  body('answers.*.answer').exists(),
-  body('timeSpent').optional().isInt({ min: 0 })
-], async (req, res) => {
+// Update tag (admin only)
+app.put('/tags/:tagId', authenticateToken, tagValidators(false), async (req, res) => {
   try {
-    const quizId = parseInt(req.params.quizId);
-    const { answers, timeSpent = 0 } = req.body;
-    const userId = req.user.userId;
-
-    if (isNaN(quizId)) {
-      return res.status(400).json({ error: 'Invalid quiz ID' });
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
     }
 
     const errors = validationResult(req);
@@ -1065,92 +1853,88 @@ app.post('/quizzes/:quizId/submit', authenticateToken, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Get quiz details and questions with correct answers
-    const quizResult = await pool.query(`
-      SELECT q.id, q.title, q.passing_score, q.max_attempts,
-             l.course_id
-      FROM quizzes q
-      JOIN lessons l ON q.lesson_id = l.id
-      WHERE q.id = $1 AND q.is_published = true
-    `, [quizId]);
+    const tagId = parseInt(req.params.tagId);
+    if (isNaN(tagId)) {
+      return res.status(400).json({ error: 'Invalid tag ID' });
+    }
 
-    if (quizResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Quiz not found' });
+    const fields = { name: 'name', description: 'description', color: 'color' };
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [field, column] of Object.entries(fields)) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${column} = $${paramCount++}`);
+        values.push(req.body[field]);
+      }
     }
 
-    const quiz = quizResult.rows[0];
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
 
-    // Get all questions with correct answers
-    const questionsResult = await pool.query(`
-      SELECT id, question_text, question_type, correct_answer, points
-      FROM quiz_questions
-      WHERE quiz_id = $1
-      ORDER BY order_index, id
-    `, [quizId]);
+    values.push(tagId);
+    const result = await pool.query(
+      `UPDATE content_tags SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
 
-    const questions = questionsResult.rows;
-    const totalPoints = questions.reduce((sum, q) => sum + q.points, 0);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
 
-    // Calculate score
-    let correctAnswers = 0;
-    let earnedPoints = 0;
-    const results = [];
+    // Tags are shown on every track and course they are attached to
+    await catalogCache.flush();
 
-    for (const question of questions) {
-      const userAnswer = answers.find(a => a.questionId === question.id);
-      const isCorrect = userAnswer && String(userAnswer.answer).toLowerCase().trim() === 
-                       String(question.correct_answer).toLowerCase().trim();
-      
-      if (isCorrect) {
-        correctAnswers++;
-        earnedPoints += question.points;
-      }
-
-      results.push({
-        questionId: question.id,
-        questionText: question.question_text,
-        correctAnswer: question.correct_answer,
-        userAnswer: userAnswer ? userAnswer.answer : null,
-        isCorrect,
-        points: question.points,
-        earnedPoints: isCorrect ? question.points : 0
-      });
+    res.json({
+      message: 'Tag updated successfully',
+      tag: formatTag(result.rows[0])
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
     }
+    console.error('Tag update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const scorePercentage = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0;
-    const passed = scorePercentage >= quiz.passing_score;
+// Delete tag (admin only); it is detached from all tracks and courses
+app.delete('/tags/:tagId', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const tagId = parseInt(req.params.tagId);
+    if (isNaN(tagId)) {
+      return res.status(400).json({ error: 'Invalid tag ID' });
+    }
+
+    const result = await pool.query('DELETE FROM content_tags WHERE id = $1 RETURNING id, name', [tagId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
 
-    // Save quiz attempt to progress service (we'll implement this table later)
-    // For now, just return the results
+    await catalogCache.flush();
 
     res.json({
-      quizId,
-      quizTitle: quiz.title,
-      totalQuestions: questions.length,
-      correctAnswers,
-      totalPoints,
-      earnedPoints,
-      scorePercentage,
-      passingScore: quiz.passing_score,
-      passed,
-      timeSpent,
-      results,
-      submittedAt: new Date().toISOString()
+      message: 'Tag deleted successfully',
+      deletedTag: {
+        id: result.rows[0].id,
+        name: result.rows[0].name
+      }
     });
   } catch (error) {
-    console.error('Error submitting quiz:', error);
+    console.error('Tag deletion error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create course (admin only)
-app.post('/courses', authenticateToken, [
-  body('trackId').isInt(),
-  body('title').trim().isLength({ min: 1, max: 255 }),
-  body('description').optional().trim(),
-  body('content').trim().isLength({ min: 1 }),
-  body('orderIndex').optional().isInt({ min: 0 })
-], async (req, res) => {
+// Attach tags to a track or course (admin only); already attached tags are left alone
+const attachTags = (target, messages) => async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
@@ -1161,50 +1945,176 @@ app.post('/courses', authenticateToken, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { trackId, title, description, content, orderIndex = 0 } = req.body;
+    const contentId = parseInt(req.params.id);
+    if (isNaN(contentId)) {
+      return res.status(400).json({ error: messages.invalidId });
+    }
 
-    // Verify track exists
-    const trackCheck = await pool.query('SELECT id FROM learning_tracks WHERE id = $1', [trackId]);
-    if (trackCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Learning track not found' });
+    const { table, joinTable, column } = TAG_TARGETS[target];
+    const tagIds = [...new Set(req.body.tagIds.map(id => parseInt(id)))];
+
+    const contentCheck = await pool.query(`SELECT id FROM ${table} WHERE id = $1`, [contentId]);
+    if (contentCheck.rows.length === 0) {
+      return res.status(404).json({ error: messages.notFound });
+    }
+
+    const tagsCheck = await pool.query('SELECT id FROM content_tags WHERE id = ANY($1)', [tagIds]);
+    const existingIds = tagsCheck.rows.map(row => row.id);
+    const missingTagIds = tagIds.filter(id => !existingIds.includes(id));
+    if (missingTagIds.length > 0) {
+      return res.status(400).json({ error: 'Some tags do not exist', missingTagIds });
+    }
+
+    await pool.query(
+      `INSERT INTO ${joinTable} (${column}, tag_id) SELECT $1, unnest($2::int[]) ON CONFLICT DO NOTHING`,
+      [contentId, tagIds]
+    );
+    await invalidateCatalog(target, [{ id: contentId }]);
+
+    res.json({
+      message: 'Tags attached successfully',
+      tags: await getContentTags(target, contentId)
+    });
+  } catch (error) {
+    console.error('Tag attach error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Detach one tag from a track or course (admin only)
+const detachTag = (target, messages) => async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
     }
 
+    const contentId = parseInt(req.params.id);
+    const tagId = parseInt(req.params.tagId);
+    if (isNaN(contentId)) {
+      return res.status(400).json({ error: messages.invalidId });
+    }
+    if (isNaN(tagId)) {
+      return res.status(400).json({ error: 'Invalid tag ID' });
+    }
+
+    const { joinTable, column } = TAG_TARGETS[target];
     const result = await pool.query(
-      'INSERT INTO courses (track_id, title, description, content, order_index) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [trackId, title, description, content, orderIndex]
+      `DELETE FROM ${joinTable} WHERE ${column} = $1 AND tag_id = $2 RETURNING tag_id`,
+      [contentId, tagId]
     );
 
-    const course = result.rows[0];
-    res.status(201).json({
-      message: 'Course created successfully',
-      course: {
-        id: course.id,
-        trackId: course.track_id,
-        title: course.title,
-        description: course.description,
-        content: course.content,
-        orderIndex: course.order_index,
-        isPublished: course.is_published,
-        createdAt: course.created_at
-      }
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: messages.notAttached });
+    }
+    await invalidateCatalog(target, [{ id: contentId }]);
+
+    res.json({
+      message: 'Tag detached successfully',
+      tags: await getContentTags(target, contentId)
     });
   } catch (error) {
-    console.error('Course creation error:', error);
+    console.error('Tag detach error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+const tagIdsValidators = [
+  body('tagIds').isArray({ min: 1 }).withMessage('tagIds must be a non-empty array'),
+  body('tagIds.*').isInt({ min: 1 })
+];
+const trackTagMessages = {
+  invalidId: 'Invalid track ID',
+  notFound: 'Learning track not found',
+  notAttached: 'Tag is not attached to this track'
+};
+const courseTagMessages = {
+  invalidId: 'Invalid course ID',
+  notFound: 'Course not found',
+  notAttached: 'Tag is not attached to this course'
+};
+
+app.post('/tracks/:id/tags', authenticateToken, tagIdsValidators, attachTags('track', trackTagMessages));
+app.delete('/tracks/:id/tags/:tagId', authenticateToken, detachTag('track', trackTagMessages));
+app.post('/courses/:id/tags', authenticateToken, tagIdsValidators, attachTags('course', courseTagMessages));
+app.delete('/courses/:id/tags/:tagId', authenticateToken, detachTag('course', courseTagMessages));
 
 // ========================
-// CONTENT MANAGEMENT & AUTHORING ENDPOINTS
+// PREREQUISITE ENDPOINTS
 // ========================
 
-// Update existing course (admin only)
-app.put('/courses/:id', authenticateToken, [
-  body('title').optional().trim().isLength({ min: 1, max: 255 }),
-  body('description').optional().trim(),
-  body('content').optional().trim().isLength({ min: 1 }),
-  body('orderIndex').optional().isInt({ min: 0 }),
-  body('isPublished').optional().isBoolean()
+const PREREQUISITE_TARGET_QUERIES = {
+  course: 'SELECT id FROM courses WHERE id = $1 AND deleted_at IS NULL',
+  track: 'SELECT id FROM learning_tracks WHERE id = $1 AND deleted_at IS NULL',
+  skill: 'SELECT id FROM skills WHERE id = $1'
+};
+
+const formatPrerequisite = (prerequisite) => ({
+  id: prerequisite.id,
+  contentType: prerequisite.content_type,
+  contentId: prerequisite.content_id,
+  contentTitle: prerequisite.content_title || null,
+  prerequisiteType: prerequisite.prerequisite_type,
+  prerequisiteId: prerequisite.prerequisite_id,
+  prerequisiteTitle: prerequisite.prerequisite_title || null,
+  isRequired: prerequisite.is_required,
+  createdAt: prerequisite.created_at
+});
+
+// List prerequisites, optionally for one piece of content or one prerequisite (admin only)
+app.get('/admin/prerequisites', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const conditions = [];
+    const params = [];
+    for (const side of ['content', 'prerequisite']) {
+      const type = req.query[`${side}Type`];
+      const id = req.query[`${side}Id`];
+      if (type !== undefined) {
+        if (!PREREQUISITE_TYPES.includes(type)) {
+          return res.status(400).json({ error: `${side}Type must be one of ${PREREQUISITE_TYPES.join(', ')}` });
+        }
+        params.push(type);
+        conditions.push(`p.${side}_type = $${params.length}`);
+      }
+      if (id !== undefined) {
+        if (isNaN(parseInt(id))) {
+          return res.status(400).json({ error: `Invalid ${side}Id` });
+        }
+        params.push(parseInt(id));
+        conditions.push(`p.${side}_id = $${params.length}`);
+      }
+    }
+
+    const result = await pool.query(`
+      SELECT p.*,
+             CASE p.content_type WHEN 'course' THEN cc.title WHEN 'track' THEN ct.title END as content_title,
+             CASE p.prerequisite_type WHEN 'course' THEN pc.title WHEN 'track' THEN pt.title END as prerequisite_title
+      FROM prerequisites p
+      LEFT JOIN courses cc ON p.content_type = 'course' AND cc.id = p.content_id
+      LEFT JOIN learning_tracks ct ON p.content_type = 'track' AND ct.id = p.content_id
+      LEFT JOIN courses pc ON p.prerequisite_type = 'course' AND pc.id = p.prerequisite_id
+      LEFT JOIN learning_tracks pt ON p.prerequisite_type = 'track' AND pt.id = p.prerequisite_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY p.content_type, p.content_id, p.is_required DESC, p.id
+    `, params);
+
+    res.json({ prerequisites: result.rows.map(formatPrerequisite) });
+  } catch (error) {
+    console.error('Prerequisites fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a prerequisite (admin only). Rejected with 409 when it would make content depend on itself.
+app.post('/admin/prerequisites', authenticateToken, [
+  body('contentType').isIn(PREREQUISITE_TYPES),
+  body('contentId').isInt({ min: 1 }).toInt(),
+  body('prerequisiteType').isIn(PREREQUISITE_TYPES),
+  body('prerequisiteId').isInt({ min: 1 }).toInt(),
+  body('isRequired').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
@@ -1216,504 +2126,4115 @@ app.put('/courses/:id', authenticateToken, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const courseId = parseInt(req.params.id);
-    if (isNaN(courseId)) {
-      return res.status(400).json({ error: 'Invalid course ID' });
+    const { contentType, contentId, prerequisiteType, prerequisiteId, isRequired = true } = req.body;
+
+    let prerequisite;
+    try {
+      prerequisite = await withTransaction(async (client) => {
+        // Serialize changes so two concurrent additions cannot close a cycle together
+        await client.query('LOCK TABLE prerequisites IN SHARE ROW EXCLUSIVE MODE');
+
+        const contentResult = await client.query(PREREQUISITE_TARGET_QUERIES[contentType], [contentId]);
+        if (contentResult.rows.length === 0) {
+          throw new PrerequisiteError(`${contentType.charAt(0).toUpperCase()}${contentType.slice(1)} not found`, 404);
+        }
+        const targetResult = await client.query(PREREQUISITE_TARGET_QUERIES[prerequisiteType], [prerequisiteId]);
+        if (targetResult.rows.length === 0) {
+          throw new PrerequisiteError(`Prerequisite ${prerequisiteType} not found`, 404);
+        }
+
+        const [prerequisitesResult, coursesResult] = await Promise.all([
+          client.query('SELECT content_type, content_id, prerequisite_type, prerequisite_id FROM prerequisites'),
+          client.query('SELECT id, track_id FROM courses WHERE deleted_at IS NULL')
+        ]);
+        const graph = buildPrerequisiteGraph({ prerequisites: prerequisitesResult.rows, courses: coursesResult.rows });
+        const cycle = findPrerequisiteCycle(graph, { contentType, contentId, prerequisiteType, prerequisiteId });
+        if (cycle) {
+          throw new PrerequisiteError(`This prerequisite would create a cycle: ${describeCycle(cycle)}`, 409, cycle);
+        }
+
+        const result = await client.query(`
+          INSERT INTO prerequisites (content_type, content_id, prerequisite_type, prerequisite_id, is_required)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING *
+        `, [contentType, contentId, prerequisiteType, prerequisiteId, isRequired]);
+        return result.rows[0];
+      });
+    } catch (error) {
+      if (error instanceof PrerequisiteError) {
+        return res.status(error.statusCode).json({ error: error.message, ...(error.cycle && { cycle: error.cycle }) });
+      }
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This prerequisite already exists' });
+      }
+      throw error;
     }
 
-    const { title, description, content, orderIndex, isPublished } = req.body;
-    
-    // Build dynamic update query
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
+    res.status(201).json({
+      message: 'Prerequisite added successfully',
+      prerequisite: formatPrerequisite(prerequisite)
+    });
+  } catch (error) {
+    console.error('Prerequisite creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (title !== undefined) {
-      updates.push(`title = $${paramCount++}`);
-      values.push(title);
+// Make a prerequisite required or optional (admin only)
+app.put('/admin/prerequisites/:prerequisiteId', authenticateToken, [
+  body('isRequired').isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
     }
-    if (description !== undefined) {
-      updates.push(`description = $${paramCount++}`);
-      values.push(description);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-    if (content !== undefined) {
-      updates.push(`content = $${paramCount++}`);
-      values.push(content);
+
+    const prerequisiteId = parseInt(req.params.prerequisiteId);
+    if (isNaN(prerequisiteId)) {
+      return res.status(400).json({ error: 'Invalid prerequisite ID' });
     }
-    if (orderIndex !== undefined) {
-      updates.push(`order_index = $${paramCount++}`);
-      values.push(orderIndex);
+
+    const result = await pool.query(
+      'UPDATE prerequisites SET is_required = $1 WHERE id = $2 RETURNING *',
+      [req.body.isRequired, prerequisiteId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Prerequisite not found' });
     }
-    if (isPublished !== undefined) {
-      updates.push(`is_published = $${paramCount++}`);
-      values.push(isPublished);
+
+    res.json({
+      message: 'Prerequisite updated successfully',
+      prerequisite: formatPrerequisite(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Prerequisite update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a prerequisite (admin only)
+app.delete('/admin/prerequisites/:prerequisiteId', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
     }
 
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No valid fields to update' });
+    const prerequisiteId = parseInt(req.params.prerequisiteId);
+    if (isNaN(prerequisiteId)) {
+      return res.status(400).json({ error: 'Invalid prerequisite ID' });
     }
 
-    updates.push(`updated_at = CURRENT_TIMESTAMP`);
-    values.push(courseId);
+    const result = await pool.query('DELETE FROM prerequisites WHERE id = $1 RETURNING *', [prerequisiteId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Prerequisite not found' });
+    }
+
+    res.json({
+      message: 'Prerequisite removed successfully',
+      prerequisite: formatPrerequisite(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Prerequisite deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================
+// QUIZ ENDPOINTS
+// ========================
+
+// Get quizzes for a course/lesson
+app.get('/courses/:courseId/quizzes', async (req, res) => {
+  try {
+    const courseId = parseInt(req.params.courseId);
+    
+    if (isNaN(courseId)) {
+      return res.status(400).json({ error: 'Invalid course ID' });
+    }
+
+    // Get quizzes for lessons in this course
+    const result = await pool.query(`
+      SELECT q.id, q.title, q.description, q.time_limit_minutes, q.passing_score, 
+             q.max_attempts, q.is_published, q.created_at, q.updated_at,
+             l.id as lesson_id, l.title as lesson_title, l.order_index as lesson_order
+      FROM quizzes q
+      JOIN lessons l ON q.lesson_id = l.id
+      JOIN courses c ON l.course_id = c.id
+      JOIN learning_tracks t ON c.track_id = t.id
+      WHERE l.course_id = $1 AND q.is_published = true AND l.deleted_at IS NULL
+        AND c.is_published = true AND t.is_published = true
+      ORDER BY l.order_index, q.created_at
+    `, [courseId]);
+
+    const quizzes = result.rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      timeLimitMinutes: row.time_limit_minutes,
+      passingScore: row.passing_score,
+      maxAttempts: row.max_attempts,
+      isPublished: row.is_published,
+      lessonId: row.lesson_id,
+      lessonTitle: row.lesson_title,
+      lessonOrder: row.lesson_order,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+
+    await localizeResponse(req, res, quizzes.flatMap(quiz => [
+      translationEntry('quiz', quiz.id, quiz),
+      translationEntry('lesson', quiz.lessonId, quiz, { title: 'lessonTitle' })
+    ]));
+    res.json({ quizzes });
+  } catch (error) {
+    console.error('Error fetching quizzes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Shape a quiz_questions row for learners (correct_answer is deliberately excluded)
+const formatQuizQuestion = (row) => ({
+  id: row.id,
+  questionText: row.question_text,
+  questionType: row.question_type,
+  answerOptions: row.answer_options,
+  points: row.points,
+  section: row.section || null,
+  orderIndex: row.order_index
+});
+
+// Quizzes with pools or shuffled options hand out a different paper per attempt
+const isRandomizedQuiz = (quiz) => Boolean(quiz.has_pools || quiz.shuffle_options);
+
+// Questions as learners see them, plus what is needed to draw a paper
+const getLearnerQuestions = async (quizId) => {
+  const result = await pool.query(`
+    SELECT id, question_text, question_type, answer_options, points, section, pool_id, difficulty, order_index
+    FROM quiz_questions
+    WHERE quiz_id = $1
+    ORDER BY order_index, id
+  `, [quizId]);
+  return result.rows;
+};
+
+const getQuestionPools = async (quizId) => {
+  const result = await pool.query(
+    'SELECT id, name, draw_count, difficulty_quotas FROM question_pools WHERE quiz_id = $1 ORDER BY id',
+    [quizId]
+  );
+  return result.rows;
+};
+
+// Get specific quiz with questions. Randomized quizzes only reveal questions through
+// an attempt: an authenticated learner with an open attempt gets that attempt's paper.
+app.get('/quizzes/:quizId', optionalAuth, async (req, res) => {
+  try {
+    const quizId = parseInt(req.params.quizId);
+    
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    // Get quiz details
+    const quizResult = await pool.query(`
+      SELECT q.id, q.title, q.description, q.time_limit_minutes, q.passing_score, 
+             q.max_attempts, q.scoring_policy, q.shuffle_options, q.is_published, q.created_at, q.updated_at,
+             EXISTS (SELECT 1 FROM question_pools qp WHERE qp.quiz_id = q.id) as has_pools,
+             l.id as lesson_id, l.title as lesson_title, l.course_id
+      FROM quizzes q
+      JOIN lessons l ON q.lesson_id = l.id
+      JOIN courses c ON l.course_id = c.id
+      JOIN learning_tracks t ON c.track_id = t.id
+      WHERE q.id = $1 AND q.is_published = true AND l.deleted_at IS NULL
+        AND c.is_published = true AND t.is_published = true
+    `, [quizId]);
+
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const quiz = quizResult.rows[0];
+
+    const allQuestions = await getLearnerQuestions(quizId);
+    const randomized = isRandomizedQuiz(quiz);
+    let paper = allQuestions;
+    let attemptId = null;
+    let totalQuestions = paper.length;
+
+    if (randomized) {
+      const pools = quiz.has_pools ? await getQuestionPools(quizId) : [];
+      totalQuestions = countPaperQuestions(allQuestions, pools);
+      paper = null;
+
+      if (req.user) {
+        const attemptResult = await pool.query(`
+          SELECT id, seed, question_ids FROM quiz_attempts
+          WHERE quiz_id = $1 AND user_id = $2 AND status = 'in_progress'
+          ORDER BY attempt_number DESC
+          LIMIT 1
+        `, [quizId, req.user.userId]);
+
+        if (attemptResult.rows.length > 0) {
+          const attempt = attemptResult.rows[0];
+          attemptId = attempt.id;
+          paper = buildAttemptPaper(allQuestions, {
+            questionIds: attempt.question_ids,
+            seed: attempt.seed,
+            shuffleOptions: quiz.shuffle_options
+          });
+          totalQuestions = paper.length;
+        }
+      }
+    }
+
+    const questions = paper ? paper.map(formatQuizQuestion) : [];
+
+    const quizData = {
+      id: quiz.id,
+      title: quiz.title,
+      description: quiz.description,
+      timeLimitMinutes: quiz.time_limit_minutes,
+      passingScore: quiz.passing_score,
+      maxAttempts: quiz.max_attempts,
+      scoringPolicy: normalizeScoringPolicy(quiz.scoring_policy),
+      randomized,
+      shuffleOptions: Boolean(quiz.shuffle_options),
+      requiresStart: randomized && !paper,
+      attemptId,
+      lessonId: quiz.lesson_id,
+      lessonTitle: quiz.lesson_title,
+      courseId: quiz.course_id,
+      questions,
+      totalQuestions,
+      // Drawn questions can differ in points, so the total is only known per attempt
+      totalPoints: paper ? questions.reduce((sum, q) => sum + q.points, 0) : null,
+      createdAt: quiz.created_at,
+      updatedAt: quiz.updated_at
+    };
+
+    await localizeResponse(req, res, [
+      translationEntry('quiz', quiz.id, quizData),
+      translationEntry('lesson', quiz.lesson_id, quizData, { title: 'lessonTitle' })
+    ]);
+    res.json(quizData);
+  } catch (error) {
+    console.error('Error fetching quiz:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Load a learner's attempts for a quiz, flagging in-progress attempts past their deadline.
+// Deadlines are compared in SQL so the database clock is the single source of truth.
+const getUserQuizAttempts = async (quizId, userId) => {
+  const result = await pool.query(`
+    SELECT id, attempt_number, status, started_at, expires_at, seed, question_ids,
+           EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) as elapsed_seconds,
+           GREATEST(EXTRACT(EPOCH FROM (expires_at - CURRENT_TIMESTAMP)), 0) as remaining_seconds,
+           (expires_at IS NOT NULL AND CURRENT_TIMESTAMP > expires_at + make_interval(secs => $3::int)) as is_expired
+    FROM quiz_attempts
+    WHERE quiz_id = $1 AND user_id = $2
+    ORDER BY attempt_number
+  `, [quizId, userId, QUIZ_GRACE_PERIOD_SECONDS]);
+
+  return result.rows;
+};
+
+const expireQuizAttempt = (attemptId) => pool.query(
+  "UPDATE quiz_attempts SET status = 'expired' WHERE id = $1 AND status = 'in_progress'",
+  [attemptId]
+);
+
+// Close every in-progress attempt whose deadline and grace period have passed
+const expireStaleQuizAttempts = async () => {
+  try {
+    const result = await pool.query(`
+      UPDATE quiz_attempts SET status = 'expired'
+      WHERE status = 'in_progress' AND expires_at IS NOT NULL
+        AND CURRENT_TIMESTAMP > expires_at + make_interval(secs => $1::int)
+    `, [QUIZ_GRACE_PERIOD_SECONDS]);
+
+    if (result.rowCount > 0) {
+      console.log(`⏱️ Expired ${result.rowCount} quiz attempts past their time limit`);
+    }
+  } catch (error) {
+    console.error('Quiz attempt expiry error:', error);
+  }
+};
+
+// Start (or resume) a server-side quiz attempt (requires authentication)
+app.post('/quizzes/:quizId/start', authenticateToken, async (req, res) => {
+  try {
+    const quizId = parseInt(req.params.quizId);
+    const userId = req.user.userId;
+
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const quizResult = await pool.query(`
+      SELECT q.id, q.title, q.time_limit_minutes, q.max_attempts, q.shuffle_options,
+             EXISTS (SELECT 1 FROM question_pools qp WHERE qp.quiz_id = q.id) as has_pools
+      FROM quizzes q
+      JOIN lessons l ON q.lesson_id = l.id
+      JOIN courses c ON l.course_id = c.id
+      JOIN learning_tracks t ON c.track_id = t.id
+      WHERE q.id = $1 AND q.is_published = true AND l.deleted_at IS NULL
+        AND c.is_published = true AND t.is_published = true
+    `, [quizId]);
+
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const quiz = quizResult.rows[0];
+    const attempts = await getUserQuizAttempts(quizId, userId);
+    const openAttempt = attempts.find(a => a.status === 'in_progress');
+
+    const formatSession = (attempt, resumed, questions) => ({
+      attemptId: attempt.id,
+      attemptNumber: attempt.attempt_number,
+      quizId,
+      status: 'in_progress',
+      timeLimitMinutes: quiz.time_limit_minutes,
+      gracePeriodSeconds: QUIZ_GRACE_PERIOD_SECONDS,
+      startedAt: attempt.started_at,
+      expiresAt: attempt.expires_at,
+      remainingSeconds: attempt.expires_at ? Math.floor(parseFloat(attempt.remaining_seconds)) : null,
+      resumed,
+      questions: buildAttemptPaper(questions, {
+        questionIds: attempt.question_ids,
+        seed: attempt.seed,
+        shuffleOptions: quiz.shuffle_options
+      }).map(formatQuizQuestion)
+    });
+
+    // Resume an attempt that is still running instead of burning another one
+    if (openAttempt && !openAttempt.is_expired) {
+      const questions = await getLearnerQuestions(quizId);
+      return res.json(formatSession(openAttempt, true, questions));
+    }
+
+    if (openAttempt) {
+      await expireQuizAttempt(openAttempt.id);
+    }
+
+    if (quiz.max_attempts && attempts.length >= quiz.max_attempts) {
+      return res.status(400).json({
+        error: 'Maximum attempts exceeded',
+        maxAttempts: quiz.max_attempts,
+        attemptsUsed: attempts.length
+      });
+    }
+
+    // Randomized quizzes fix their paper now; the seed reproduces it for grading and review
+    const questions = await getLearnerQuestions(quizId);
+    let seed = null;
+    let questionIds = null;
+    if (isRandomizedQuiz(quiz)) {
+      seed = generateSeed();
+      try {
+        const pools = quiz.has_pools ? await getQuestionPools(quizId) : [];
+        questionIds = drawQuestionIds(questions, pools, seed);
+      } catch (error) {
+        if (error instanceof QuestionBankError) {
+          return res.status(409).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    let attempt;
+    try {
+      const attemptResult = await pool.query(`
+        INSERT INTO quiz_attempts (quiz_id, user_id, attempt_number, status, started_at, expires_at, seed, question_ids)
+        VALUES ($1, $2, $3, 'in_progress', CURRENT_TIMESTAMP,
+                CASE WHEN $4::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(mins => $4::int) END,
+                $5, $6)
+        RETURNING id, attempt_number, started_at, expires_at, seed, question_ids,
+                  GREATEST(EXTRACT(EPOCH FROM (expires_at - CURRENT_TIMESTAMP)), 0) as remaining_seconds
+      `, [
+        quizId, userId, attempts.length + 1, quiz.time_limit_minutes || null,
+        seed, questionIds ? JSON.stringify(questionIds) : null
+      ]);
+      attempt = attemptResult.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Another attempt for this quiz is already being started' });
+      }
+      throw error;
+    }
+
+    res.status(201).json(formatSession(attempt, false, questions));
+  } catch (error) {
+    console.error('Error starting quiz attempt:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Submit quiz answers (requires authentication)
+app.post('/quizzes/:quizId/submit', authenticateToken, [
+  body('answers').isArray(),
+  body('answers.*.questionId').isInt(),
+  body('answers.*.answer').exists(),
+  body('answers.*.timeSpent').optional().isInt({ min: 0 }),
+  body('timeSpent').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const quizId = parseInt(req.params.quizId);
+    const { answers, timeSpent = 0 } = req.body;
+    const userId = req.user.userId;
+
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Get quiz details and questions with correct answers
+    const quizResult = await pool.query(`
+      SELECT q.id, q.title, q.passing_score, q.max_attempts, q.time_limit_minutes, q.scoring_policy,
+             q.shuffle_options, EXISTS (SELECT 1 FROM question_pools qp WHERE qp.quiz_id = q.id) as has_pools,
+             l.course_id
+      FROM quizzes q
+      JOIN lessons l ON q.lesson_id = l.id
+      JOIN courses c ON l.course_id = c.id
+      JOIN learning_tracks t ON c.track_id = t.id
+      WHERE q.id = $1 AND q.is_published = true AND l.deleted_at IS NULL
+        AND c.is_published = true AND t.is_published = true
+    `, [quizId]);
+
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const quiz = quizResult.rows[0];
+
+    const attempts = await getUserQuizAttempts(quizId, userId);
+    const attemptsUsed = attempts.length;
+    const openAttempt = attempts.find(a => a.status === 'in_progress');
+
+    if (openAttempt && openAttempt.is_expired) {
+      await expireQuizAttempt(openAttempt.id);
+      return res.status(400).json({
+        error: 'Time limit exceeded',
+        attemptId: openAttempt.id,
+        expiresAt: openAttempt.expires_at
+      });
+    }
+
+    if (!openAttempt) {
+      // Timed quizzes are only graded against a deadline the server issued, and
+      // randomized quizzes against the paper drawn when the attempt started
+      if (quiz.time_limit_minutes || isRandomizedQuiz(quiz)) {
+        return res.status(400).json({ error: 'Quiz attempt has not been started' });
+      }
+
+      // Enforce max_attempts before grading (NULL means unlimited)
+      if (quiz.max_attempts && attemptsUsed >= quiz.max_attempts) {
+        return res.status(400).json({
+          error: 'Maximum attempts exceeded',
+          maxAttempts: quiz.max_attempts,
+          attemptsUsed
+        });
+      }
+    }
+
+    // Get all questions with correct answers
+    const questionsResult = await pool.query(`
+      SELECT id, question_text, question_type, answer_options, correct_answer, points, section
+      FROM quiz_questions
+      WHERE quiz_id = $1
+      ORDER BY order_index, id
+    `, [quizId]);
+
+    // Grade only what this attempt was asked, with options in the order it saw them
+    const questions = openAttempt
+      ? buildAttemptPaper(questionsResult.rows, {
+        questionIds: openAttempt.question_ids,
+        seed: openAttempt.seed,
+        shuffleOptions: quiz.shuffle_options
+      })
+      : questionsResult.rows;
+
+    // Grade and score according to the quiz's scoring policy
+    const {
+      policy,
+      results,
+      sectionScores,
+      correctAnswers,
+      totalPoints,
+      earnedPoints,
+      scorePercentage
+    } = scoreQuiz(questions, answers, quiz.scoring_policy);
+    const passed = scorePercentage >= quiz.passing_score;
+
+    // A started attempt is timed by the server; the client-reported timeSpent only
+    // applies to untimed quizzes submitted without calling /start first.
+    const timeSpentSeconds = openAttempt ? Math.round(parseFloat(openAttempt.elapsed_seconds)) : timeSpent;
+
+    let attempt;
+    if (openAttempt) {
+      const attemptResult = await pool.query(`
+        UPDATE quiz_attempts
+        SET status = 'submitted', answers = $2, results = $3, correct_answers = $4, total_points = $5,
+            earned_points = $6, score_percentage = $7, passed = $8, time_spent_seconds = $9,
+            submitted_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'in_progress'
+        RETURNING id, attempt_number, submitted_at
+      `, [
+        openAttempt.id, JSON.stringify(answers), JSON.stringify(results), correctAnswers,
+        totalPoints, earnedPoints, scorePercentage, passed, timeSpentSeconds
+      ]);
+
+      if (attemptResult.rows.length === 0) {
+        return res.status(409).json({ error: 'This attempt has already been closed' });
+      }
+      attempt = attemptResult.rows[0];
+    } else {
+      // The unique (quiz_id, user_id, attempt_number) constraint rejects a
+      // concurrent submission that raced past the max_attempts check.
+      try {
+        const attemptResult = await pool.query(`
+          INSERT INTO quiz_attempts (quiz_id, user_id, attempt_number, answers, results, correct_answers,
+                                     total_points, earned_points, score_percentage, passed, time_spent_seconds,
+                                     status, submitted_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'submitted', CURRENT_TIMESTAMP)
+          RETURNING id, attempt_number, submitted_at
+        `, [
+          quizId, userId, attemptsUsed + 1, JSON.stringify(answers), JSON.stringify(results), correctAnswers,
+          totalPoints, earnedPoints, scorePercentage, passed, timeSpentSeconds
+        ]);
+        attempt = attemptResult.rows[0];
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'Another submission for this quiz is already being recorded' });
+        }
+        throw error;
+      }
+    }
+
+    res.json({
+      attemptId: attempt.id,
+      attemptNumber: attempt.attempt_number,
+      remainingAttempts: quiz.max_attempts ? Math.max(quiz.max_attempts - attempt.attempt_number, 0) : null,
+      quizId,
+      quizTitle: quiz.title,
+      totalQuestions: questions.length,
+      correctAnswers,
+      totalPoints,
+      earnedPoints,
+      scorePercentage,
+      passingScore: quiz.passing_score,
+      passed,
+      timeSpent: timeSpentSeconds,
+      scoringPolicy: policy,
+      sectionScores,
+      results,
+      submittedAt: attempt.submitted_at
+    });
+  } catch (error) {
+    console.error('Error submitting quiz:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Shape a quiz_attempts row for API responses
+const formatAttempt = (row) => ({
+  id: row.id,
+  quizId: row.quiz_id,
+  userId: row.user_id,
+  attemptNumber: row.attempt_number,
+  answers: row.answers,
+  results: row.results,
+  correctAnswers: row.correct_answers,
+  totalPoints: row.total_points,
+  earnedPoints: parseFloat(row.earned_points),
+  scorePercentage: row.score_percentage,
+  passed: row.passed,
+  status: row.status,
+  timeSpent: row.time_spent_seconds,
+  seed: row.seed === undefined ? null : row.seed,
+  questionIds: row.question_ids || null,
+  startedAt: row.started_at,
+  expiresAt: row.expires_at,
+  submittedAt: row.submitted_at
+});
+
+// Get the current user's attempts for a quiz (requires authentication)
+app.get('/quizzes/:quizId/attempts', authenticateToken, async (req, res) => {
+  try {
+    const quizId = parseInt(req.params.quizId);
+
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const quizResult = await pool.query(
+      'SELECT id, title, passing_score, max_attempts FROM quizzes WHERE id = $1',
+      [quizId]
+    );
+
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const attemptsResult = await pool.query(`
+      SELECT id, quiz_id, user_id, attempt_number, answers, results, correct_answers, total_points,
+             earned_points, score_percentage, passed, status, time_spent_seconds, started_at, expires_at, submitted_at,
+             seed, question_ids
+      FROM quiz_attempts
+      WHERE quiz_id = $1 AND user_id = $2
+      ORDER BY attempt_number
+    `, [quizId, req.user.userId]);
+
+    const quiz = quizResult.rows[0];
+    const attempts = attemptsResult.rows.map(formatAttempt);
+    const submitted = attempts.filter(a => a.status === 'submitted');
+
+    res.json({
+      quizId,
+      quizTitle: quiz.title,
+      passingScore: quiz.passing_score,
+      maxAttempts: quiz.max_attempts,
+      attemptsUsed: attempts.length,
+      remainingAttempts: quiz.max_attempts ? Math.max(quiz.max_attempts - attempts.length, 0) : null,
+      bestScore: submitted.length > 0 ? Math.max(...submitted.map(a => a.scorePercentage)) : null,
+      passed: attempts.some(a => a.passed),
+      attempts
+    });
+  } catch (error) {
+    console.error('Error fetching quiz attempts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all attempts for a quiz across learners (admin only)
+app.get('/admin/quizzes/:quizId/attempts', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const { userId, passed, page = 1, limit = 50 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const whereConditions = ['quiz_id = $1'];
+    const queryParams = [quizId];
+    let paramCount = 2;
+
+    if (userId !== undefined) {
+      if (isNaN(parseInt(userId))) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+      whereConditions.push(`user_id = $${paramCount++}`);
+      queryParams.push(parseInt(userId));
+    }
+
+    if (passed === 'true' || passed === 'false') {
+      whereConditions.push(`passed = $${paramCount++}`);
+      queryParams.push(passed === 'true');
+    }
+
+    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+
+    const [quizResult, attemptsResult, summaryResult] = await Promise.all([
+      pool.query('SELECT id, title, passing_score, max_attempts FROM quizzes WHERE id = $1', [quizId]),
+      pool.query(`
+        SELECT id, quiz_id, user_id, attempt_number, answers, results, correct_answers, total_points,
+               earned_points, score_percentage, passed, status, time_spent_seconds, started_at, expires_at, submitted_at,
+               seed, question_ids
+        FROM quiz_attempts
+        ${whereClause}
+        ORDER BY started_at DESC, id DESC
+        LIMIT $${paramCount} OFFSET $${paramCount + 1}
+      `, [...queryParams, pageSize, (pageNumber - 1) * pageSize]),
+      pool.query(`
+        SELECT COUNT(*) as total_attempts,
+               COUNT(DISTINCT user_id) as unique_learners,
+               COUNT(CASE WHEN status = 'submitted' THEN 1 END) as submitted_attempts,
+               COUNT(CASE WHEN passed = true THEN 1 END) as passed_attempts,
+               COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress_attempts,
+               COUNT(CASE WHEN status = 'expired' THEN 1 END) as expired_attempts,
+               AVG(CASE WHEN status = 'submitted' THEN score_percentage END) as avg_score,
+               AVG(CASE WHEN status = 'submitted' THEN time_spent_seconds END) as avg_time_spent
+        FROM quiz_attempts
+        ${whereClause}
+      `, queryParams)
+    ]);
+
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const quiz = quizResult.rows[0];
+    const summary = summaryResult.rows[0];
+    const totalAttempts = parseInt(summary.total_attempts) || 0;
+    const submittedAttempts = parseInt(summary.submitted_attempts) || 0;
+
+    res.json({
+      quiz: {
+        id: quiz.id,
+        title: quiz.title,
+        passingScore: quiz.passing_score,
+        maxAttempts: quiz.max_attempts
+      },
+      summary: {
+        totalAttempts,
+        uniqueLearners: parseInt(summary.unique_learners) || 0,
+        passedAttempts: parseInt(summary.passed_attempts) || 0,
+        inProgressAttempts: parseInt(summary.in_progress_attempts) || 0,
+        expiredAttempts: parseInt(summary.expired_attempts) || 0,
+        passRate: submittedAttempts > 0
+          ? ((summary.passed_attempts / submittedAttempts) * 100).toFixed(1)
+          : '0.0',
+        avgScore: parseFloat(summary.avg_score || 0).toFixed(1),
+        avgTimeSpent: Math.round(parseFloat(summary.avg_time_spent || 0))
+      },
+      attempts: attemptsResult.rows.map(formatAttempt),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: totalAttempts,
+        hasMore: pageNumber * pageSize < totalAttempts
+      }
+    });
+  } catch (error) {
+    console.error('Admin quiz attempts fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Psychometric item analysis of a quiz's questions (admins and instructors)
+app.get('/admin/quizzes/:quizId/item-analysis', authenticateToken, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    let scope;
+    try {
+      scope = parseAttemptScope(req.query.attempts);
+    } catch (error) {
+      if (error instanceof ItemAnalysisError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const [quizResult, questionsResult, attemptsResult] = await Promise.all([
+      pool.query('SELECT id, title FROM quizzes WHERE id = $1', [quizId]),
+      pool.query(`
+        SELECT id, question_text, question_type, answer_options, correct_answer, order_index
+        FROM quiz_questions
+        WHERE quiz_id = $1
+        ORDER BY order_index, id
+      `, [quizId]),
+      pool.query(`
+        SELECT answers, results
+        FROM quiz_attempts
+        WHERE quiz_id = $1 AND status = 'submitted' ${scope === 'first' ? 'AND attempt_number = 1' : ''}
+      `, [quizId])
+    ]);
+
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const questions = questionsResult.rows.map(question => ({
+      ...question,
+      correct_answer: parseCorrectAnswer(question.question_type, question.correct_answer)
+    }));
+    const { summary, items } = analyzeItems(questions, attemptsResult.rows);
+
+    res.json({
+      quiz: { id: quizResult.rows[0].id, title: quizResult.rows[0].title },
+      attempts: scope,
+      summary,
+      items
+    });
+  } catch (error) {
+    console.error('Item analysis error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================
+// QUIZ AUTHORING (admins and instructors)
+// ========================
+
+const QUIZ_AUTHOR_ROLES = ['admin', 'instructor'];
+
+const isQuizAuthor = (user) => QUIZ_AUTHOR_ROLES.includes(user.role);
+
+// Load a quiz's pools with their member questions
+const getQuestionPoolsWithQuestions = async (quizId, poolId = null) => {
+  const result = await pool.query(`
+    SELECT qp.id, qp.quiz_id, qp.name, qp.draw_count, qp.difficulty_quotas, qp.created_at, qp.updated_at,
+           COALESCE(
+             json_agg(json_build_object('id', qq.id, 'difficulty', qq.difficulty) ORDER BY qq.order_index, qq.id)
+               FILTER (WHERE qq.id IS NOT NULL),
+             '[]'
+           ) as questions
+    FROM question_pools qp
+    LEFT JOIN quiz_questions qq ON qq.pool_id = qp.id
+    WHERE qp.quiz_id = $1 AND ($2::int IS NULL OR qp.id = $2)
+    GROUP BY qp.id
+    ORDER BY qp.id
+  `, [quizId, poolId]);
+
+  return result.rows;
+};
+
+const formatQuestionPool = (row) => {
+  const questions = row.questions.map(q => ({ ...q, pool_id: row.id }));
+  const availableByDifficulty = {};
+  for (const question of questions) {
+    availableByDifficulty[question.difficulty] = (availableByDifficulty[question.difficulty] || 0) + 1;
+  }
+
+  // A pool that cannot satisfy its draw blocks new attempts, so surface it to authors
+  let drawable = true;
+  try {
+    drawQuestionIds(questions, [row], 1);
+  } catch (error) {
+    drawable = false;
+  }
+
+  return {
+    id: row.id,
+    quizId: row.quiz_id,
+    name: row.name,
+    drawCount: row.draw_count,
+    difficultyQuotas: row.difficulty_quotas || {},
+    questionIds: questions.map(q => q.id),
+    availableByDifficulty,
+    drawable,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+};
+
+// Make questionIds the exact membership of a pool
+const setPoolQuestions = async (client, quizId, poolId, questionIds) => {
+  await client.query('UPDATE quiz_questions SET pool_id = NULL WHERE pool_id = $1', [poolId]);
+  if (questionIds.length > 0) {
+    await client.query(
+      'UPDATE quiz_questions SET pool_id = $1 WHERE quiz_id = $2 AND id = ANY($3)',
+      [poolId, quizId, questionIds]
+    );
+  }
+};
+
+const questionPoolValidators = [
+  body('name').optional().trim().isLength({ min: 1, max: 255 }),
+  body('drawCount').optional().isInt({ min: 1 }).toInt(),
+  body('questionIds').optional().isArray(),
+  body('questionIds.*').isInt().toInt()
+];
+
+// Check a pool request body against the quiz; returns an error response payload or null
+const checkQuestionPoolRequest = async (quizId, definition, questionIds) => {
+  const poolErrors = validatePool(definition);
+  if (poolErrors.length > 0) {
+    return { error: 'Invalid question pool', details: poolErrors };
+  }
+
+  if (questionIds) {
+    const questionsResult = await pool.query(
+      'SELECT id FROM quiz_questions WHERE quiz_id = $1 AND id = ANY($2)',
+      [quizId, questionIds]
+    );
+    if (questionsResult.rows.length !== new Set(questionIds).size) {
+      return { error: 'Some questions do not belong to this quiz' };
+    }
+  }
+
+  return null;
+};
+
+// List question pools for a quiz (admins and instructors)
+app.get('/admin/quizzes/:quizId/pools', authenticateToken, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const quizResult = await pool.query('SELECT id, shuffle_options FROM quizzes WHERE id = $1', [quizId]);
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const pools = await getQuestionPoolsWithQuestions(quizId);
+
+    res.json({
+      quizId,
+      shuffleOptions: Boolean(quizResult.rows[0].shuffle_options),
+      pools: pools.map(formatQuestionPool)
+    });
+  } catch (error) {
+    console.error('Question pool fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a question pool (admins and instructors)
+app.post('/admin/quizzes/:quizId/pools', authenticateToken, questionPoolValidators, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, drawCount, difficultyQuotas = {}, questionIds = [] } = req.body;
+
+    const quizResult = await pool.query('SELECT id FROM quizzes WHERE id = $1', [quizId]);
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const invalid = await checkQuestionPoolRequest(quizId, { name, drawCount, difficultyQuotas }, questionIds);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const poolId = await withTransaction(async (client) => {
+      const poolResult = await client.query(`
+        INSERT INTO question_pools (quiz_id, name, draw_count, difficulty_quotas)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `, [quizId, name, drawCount, JSON.stringify(difficultyQuotas)]);
+
+      await setPoolQuestions(client, quizId, poolResult.rows[0].id, questionIds);
+      return poolResult.rows[0].id;
+    });
+
+    const [created] = await getQuestionPoolsWithQuestions(quizId, poolId);
+    res.status(201).json({
+      message: 'Question pool created successfully',
+      pool: formatQuestionPool(created)
+    });
+  } catch (error) {
+    console.error('Question pool creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a question pool and optionally replace its questions (admins and instructors)
+app.put('/admin/quizzes/:quizId/pools/:poolId', authenticateToken, questionPoolValidators, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    const poolId = parseInt(req.params.poolId);
+    if (isNaN(quizId) || isNaN(poolId)) {
+      return res.status(400).json({ error: 'Invalid quiz or pool ID' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingResult = await pool.query(
+      'SELECT id, name, draw_count, difficulty_quotas FROM question_pools WHERE id = $1 AND quiz_id = $2',
+      [poolId, quizId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Question pool not found' });
+    }
+
+    const existing = existingResult.rows[0];
+    const definition = {
+      name: req.body.name !== undefined ? req.body.name : existing.name,
+      drawCount: req.body.drawCount !== undefined ? req.body.drawCount : existing.draw_count,
+      difficultyQuotas: req.body.difficultyQuotas !== undefined ? req.body.difficultyQuotas : existing.difficulty_quotas
+    };
+    const { questionIds } = req.body;
+
+    const invalid = await checkQuestionPoolRequest(quizId, definition, questionIds);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(`
+        UPDATE question_pools
+        SET name = $1, draw_count = $2, difficulty_quotas = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+      `, [definition.name, definition.drawCount, JSON.stringify(definition.difficultyQuotas || {}), poolId]);
+
+      if (questionIds) {
+        await setPoolQuestions(client, quizId, poolId, questionIds);
+      }
+    });
+
+    const [updated] = await getQuestionPoolsWithQuestions(quizId, poolId);
+    res.json({
+      message: 'Question pool updated successfully',
+      pool: formatQuestionPool(updated)
+    });
+  } catch (error) {
+    console.error('Question pool update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a question pool; its questions go back to being asked on every attempt (admins and instructors)
+app.delete('/admin/quizzes/:quizId/pools/:poolId', authenticateToken, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    const poolId = parseInt(req.params.poolId);
+    if (isNaN(quizId) || isNaN(poolId)) {
+      return res.status(400).json({ error: 'Invalid quiz or pool ID' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM question_pools WHERE id = $1 AND quiz_id = $2 RETURNING id, name',
+      [poolId, quizId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Question pool not found' });
+    }
+
+    res.json({
+      message: 'Question pool deleted successfully',
+      deletedPool: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Question pool deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// correct_answer is a TEXT column; structured answers are stored as JSON
+const serializeCorrectAnswer = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+const formatAuthoringQuiz = (row) => ({
+  id: row.id,
+  lessonId: row.lesson_id,
+  title: row.title,
+  description: row.description,
+  timeLimitMinutes: row.time_limit_minutes,
+  passingScore: row.passing_score,
+  maxAttempts: row.max_attempts,
+  scoringPolicy: normalizeScoringPolicy(row.scoring_policy),
+  shuffleOptions: Boolean(row.shuffle_options),
+  isPublished: row.is_published,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Unlike formatQuizQuestion, authors get the correct answer and pool settings
+const formatAuthoringQuestion = (row) => ({
+  id: row.id,
+  quizId: row.quiz_id,
+  questionText: row.question_text,
+  questionType: row.question_type,
+  answerOptions: row.answer_options,
+  correctAnswer: parseCorrectAnswer(row.question_type, row.correct_answer),
+  points: row.points,
+  section: row.section || null,
+  poolId: row.pool_id || null,
+  difficulty: row.difficulty,
+  orderIndex: row.order_index,
+  createdAt: row.created_at
+});
+
+const quizValidators = [
+  body('title').optional().trim().isLength({ min: 1, max: 255 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('timeLimitMinutes').optional({ nullable: true }).isInt({ min: 1 }),
+  body('passingScore').optional().isInt({ min: 0, max: 100 }),
+  body('maxAttempts').optional({ nullable: true }).isInt({ min: 1 }),
+  body('shuffleOptions').optional().isBoolean(),
+  body('isPublished').optional().isBoolean()
+];
+
+const questionValidators = [
+  body('questionText').optional().trim().isLength({ min: 1 }),
+  body('questionType').optional().isString(),
+  body('points').optional().isInt({ min: 0 }),
+  body('section').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('difficulty').optional().isIn(DIFFICULTIES),
+  body('poolId').optional({ nullable: true }).isInt(),
+  body('orderIndex').optional().isInt({ min: 0 })
+];
+
+const getAuthoringQuestion = async (quizId, questionId) => {
+  const result = await pool.query(
+    'SELECT * FROM quiz_questions WHERE id = $1 AND quiz_id = $2',
+    [questionId, quizId]
+  );
+  return result.rows[0] || null;
+};
+
+// Get a quiz with correct answers for editing (admins and instructors)
+app.get('/admin/quizzes/:quizId', authenticateToken, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const [quizResult, questionsResult] = await Promise.all([
+      pool.query('SELECT * FROM quizzes WHERE id = $1', [quizId]),
+      pool.query('SELECT * FROM quiz_questions WHERE quiz_id = $1 ORDER BY order_index, id', [quizId])
+    ]);
+
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    res.json({
+      ...formatAuthoringQuiz(quizResult.rows[0]),
+      questions: questionsResult.rows.map(formatAuthoringQuestion),
+      questionTypes: getQuestionTypes()
+    });
+  } catch (error) {
+    console.error('Quiz authoring fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create quiz (admins and instructors)
+app.post('/quizzes', authenticateToken, [
+  body('lessonId').isInt(),
+  body('title').trim().isLength({ min: 1, max: 255 }),
+  ...quizValidators
+], async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      lessonId,
+      title,
+      description = null,
+      timeLimitMinutes = null,
+      passingScore = 70,
+      maxAttempts = 3,
+      scoringPolicy = {},
+      shuffleOptions = false,
+      isPublished = false
+    } = req.body;
+
+    const policyErrors = validateScoringPolicy(scoringPolicy);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scoring policy', details: policyErrors });
+    }
+
+    const lessonCheck = await pool.query('SELECT id FROM lessons WHERE id = $1 AND deleted_at IS NULL', [lessonId]);
+    if (lessonCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO quizzes (lesson_id, title, description, time_limit_minutes, passing_score, max_attempts,
+                           scoring_policy, shuffle_options, is_published)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      lessonId, title, description, timeLimitMinutes, passingScore, maxAttempts,
+      JSON.stringify(scoringPolicy || {}), shuffleOptions, isPublished
+    ]);
+
+    res.status(201).json({
+      message: 'Quiz created successfully',
+      quiz: formatAuthoringQuiz(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Quiz creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update quiz settings (admins and instructors)
+app.put('/quizzes/:quizId', authenticateToken, quizValidators, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    if (req.body.scoringPolicy !== undefined) {
+      const policyErrors = validateScoringPolicy(req.body.scoringPolicy);
+      if (policyErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid scoring policy', details: policyErrors });
+      }
+    }
+
+    const columns = {
+      title: 'title',
+      description: 'description',
+      timeLimitMinutes: 'time_limit_minutes',
+      passingScore: 'passing_score',
+      maxAttempts: 'max_attempts',
+      scoringPolicy: 'scoring_policy',
+      shuffleOptions: 'shuffle_options',
+      isPublished: 'is_published'
+    };
+
+    // Build dynamic update query
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${column} = $${paramCount++}`);
+        values.push(field === 'scoringPolicy' ? JSON.stringify(req.body[field] || {}) : req.body[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(quizId);
+
+    const result = await pool.query(
+      `UPDATE quizzes SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    res.json({
+      message: 'Quiz updated successfully',
+      quiz: formatAuthoringQuiz(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Quiz update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete quiz with its questions and pools (admins and instructors). Attempts would go with
+// it, so a quiz learners have finished attempts on is kept; unpublish it instead.
+app.delete('/quizzes/:quizId', authenticateToken, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const attemptsCheck = await pool.query(
+      "SELECT COUNT(*) as count FROM quiz_attempts WHERE quiz_id = $1 AND status <> 'in_progress'",
+      [quizId]
+    );
+    const attemptCount = parseInt(attemptsCheck.rows[0].count);
+
+    if (attemptCount > 0) {
+      return res.status(409).json({
+        error: 'Cannot delete a quiz with learner attempts; unpublish it instead',
+        attemptCount
+      });
+    }
+
+    const result = await pool.query('DELETE FROM quizzes WHERE id = $1 RETURNING id, title', [quizId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    res.json({
+      message: 'Quiz deleted successfully',
+      deletedQuiz: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Quiz deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check pool membership for a question; returns an error message or null
+const checkQuestionPool = async (quizId, poolId) => {
+  if (poolId === undefined || poolId === null) return null;
+  const result = await pool.query(
+    'SELECT id FROM question_pools WHERE id = $1 AND quiz_id = $2',
+    [poolId, quizId]
+  );
+  return result.rows.length === 0 ? 'Question pool does not belong to this quiz' : null;
+};
+
+// Add a question to a quiz (admins and instructors)
+app.post('/quizzes/:quizId/questions', authenticateToken, [
+  body('questionText').trim().isLength({ min: 1 }),
+  body('questionType').isString(),
+  body('correctAnswer').exists(),
+  ...questionValidators
+], async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const {
+      questionText,
+      questionType,
+      answerOptions = null,
+      correctAnswer,
+      points = 1,
+      section = null,
+      difficulty = 'medium',
+      poolId = null,
+      orderIndex
+    } = req.body;
+
+    const questionErrors = validateQuestion({ questionType, answerOptions, correctAnswer });
+    if (questionErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid question', details: questionErrors });
+    }
+
+    const quizCheck = await pool.query('SELECT id FROM quizzes WHERE id = $1', [quizId]);
+    if (quizCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const poolError = await checkQuestionPool(quizId, poolId);
+    if (poolError) {
+      return res.status(400).json({ error: poolError });
+    }
+
+    // New questions go to the end unless a position is given
+    const result = await pool.query(`
+      INSERT INTO quiz_questions (quiz_id, question_text, question_type, answer_options, correct_answer,
+                                  points, section, difficulty, pool_id, order_index)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+              COALESCE($10, (SELECT COALESCE(MAX(order_index), 0) + 1 FROM quiz_questions WHERE quiz_id = $1)))
+      RETURNING *
+    `, [
+      quizId, questionText, questionType, JSON.stringify(answerOptions), serializeCorrectAnswer(correctAnswer),
+      points, section, difficulty, poolId, orderIndex === undefined ? null : orderIndex
+    ]);
+
+    res.status(201).json({
+      message: 'Question created successfully',
+      question: formatAuthoringQuestion(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Question creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const QUESTION_BANK_UPLOAD_LIMIT_BYTES = 2 * 1024 * 1024;
+
+const questionBankUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: QUESTION_BANK_UPLOAD_LIMIT_BYTES, files: 1 }
+});
+
+const countByType = (questions) => questions.reduce((counts, question) => {
+  counts[question.questionType] = (counts[question.questionType] || 0) + 1;
+  return counts;
+}, {});
+
+// Import GIFT or Aiken questions into a quiz (admins and instructors).
+// The bank arrives as a multipart "file" upload or a "text" field; dryRun returns the preview only.
+app.post('/admin/quizzes/:quizId/questions/import', authenticateToken, receiveUpload(questionBankUpload, 'file'), [
+  body('points').optional().isInt({ min: 0 }).toInt(),
+  body('section').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('difficulty').optional().isIn(DIFFICULTIES),
+  body('poolId').optional({ nullable: true }).isInt().toInt()
+], async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const format = req.query.format || req.body.format;
+    if (!TEXT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Supported: ${TEXT_FORMATS.join(', ')}` });
+    }
+
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.text;
+    if (typeof text !== 'string' || text.trim() === '') {
+      return res.status(400).json({ error: 'Questions are required, as a "file" upload or "text" field' });
+    }
+
+    const dryRun = [req.query.dryRun, req.body.dryRun].some(value => value === true || value === 'true');
+    const { points = 1, section = null, difficulty = 'medium', poolId = null } = req.body;
+
+    const parsed = parseQuestionText(format, text);
+    if (parsed.questions.length === 0 && parsed.errors.length === 0) {
+      return res.status(400).json({ error: 'No questions found' });
+    }
+
+    const quizCheck = await pool.query('SELECT id FROM quizzes WHERE id = $1', [quizId]);
+    if (quizCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const poolError = await checkQuestionPool(quizId, poolId);
+    if (poolError) {
+      return res.status(400).json({ error: poolError });
+    }
+
+    // Sections from GIFT $CATEGORY lines win over the section given with the request
+    const questions = parsed.questions.map(question => ({
+      ...question,
+      points,
+      section: question.section || section || null,
+      difficulty
+    }));
+    const summary = { questions: questions.length, errors: parsed.errors.length, byType: countByType(questions) };
+
+    if (dryRun) {
+      return res.json({
+        message: 'Preview only; nothing was imported',
+        dryRun: true,
+        format,
+        canImport: parsed.errors.length === 0,
+        summary,
+        questions,
+        errors: parsed.errors
+      });
+    }
+
+    // Imports are all or nothing so a fixed file can simply be uploaded again
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({ error: 'Could not parse questions', summary, errors: parsed.errors });
+    }
+
+    const rows = await withTransaction(async (client) => {
+      const last = await client.query(
+        'SELECT COALESCE(MAX(order_index), 0) AS last FROM quiz_questions WHERE quiz_id = $1',
+        [quizId]
+      );
+      let orderIndex = parseInt(last.rows[0].last);
+
+      const inserted = [];
+      for (const question of questions) {
+        const result = await client.query(`
+          INSERT INTO quiz_questions (quiz_id, question_text, question_type, answer_options, correct_answer,
+                                      points, section, difficulty, pool_id, order_index)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING *
+        `, [
+          quizId, question.questionText, question.questionType, JSON.stringify(question.answerOptions),
+          serializeCorrectAnswer(question.correctAnswer), question.points, question.section,
+          question.difficulty, poolId, ++orderIndex
+        ]);
+        inserted.push(result.rows[0]);
+      }
+      return inserted;
+    });
+
+    res.status(201).json({
+      message: 'Questions imported successfully',
+      dryRun: false,
+      format,
+      summary,
+      questions: rows.map(formatAuthoringQuestion)
+    });
+  } catch (error) {
+    console.error('Question import error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export the questions of a quiz as GIFT or Aiken (admins and instructors)
+app.get('/admin/quizzes/:quizId/questions/export', authenticateToken, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const { format = 'gift' } = req.query;
+    if (!TEXT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Supported: ${TEXT_FORMATS.join(', ')}` });
+    }
+
+    const [quizResult, questionsResult] = await Promise.all([
+      pool.query('SELECT id, title FROM quizzes WHERE id = $1', [quizId]),
+      pool.query('SELECT * FROM quiz_questions WHERE quiz_id = $1 ORDER BY order_index, id', [quizId])
+    ]);
+
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    // Questions the format cannot express are left out and listed in X-Skipped-Questions
+    const { text, skipped } = formatQuestionText(format, questionsResult.rows);
+
+    res.attachment(questionBankFileName(quizId, quizResult.rows[0].title, format));
+    res.set('X-Skipped-Questions', skipped.map(question => question.id).join(','));
+    res.type('text/plain; charset=utf-8').send(text);
+  } catch (error) {
+    console.error('Question export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reorder the questions of a quiz (admins and instructors)
+app.put('/quizzes/:quizId/questions/reorder', authenticateToken, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    if (isNaN(quizId)) {
+      return res.status(400).json({ error: 'Invalid quiz ID' });
+    }
+
+    const { questionOrders } = req.body;
+
+    if (!questionOrders || !Array.isArray(questionOrders) || questionOrders.length === 0) {
+      return res.status(400).json({ error: 'Question orders array is required' });
+    }
+
+    if (questionOrders.some(item => !Number.isInteger(item.questionId) ||
+        !Number.isInteger(item.orderIndex) || item.orderIndex < 0)) {
+      return res.status(400).json({ error: 'Each entry needs an integer questionId and a non-negative orderIndex' });
+    }
+
+    // Validate that all questions belong to this quiz
+    const questionIds = questionOrders.map(item => item.questionId);
+    const validation = await pool.query(
+      'SELECT id FROM quiz_questions WHERE id = ANY($1) AND quiz_id = $2',
+      [questionIds, quizId]
+    );
+
+    if (validation.rows.length !== new Set(questionIds).size) {
+      return res.status(400).json({ error: 'Some questions do not belong to this quiz' });
+    }
+
+    await withTransaction(async (client) => {
+      for (const { questionId, orderIndex } of questionOrders) {
+        await client.query(
+          'UPDATE quiz_questions SET order_index = $1 WHERE id = $2',
+          [orderIndex, questionId]
+        );
+      }
+    });
+
+    res.json({ message: 'Question order updated successfully' });
+  } catch (error) {
+    console.error('Question reorder error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a question (admins and instructors)
+app.put('/quizzes/:quizId/questions/:questionId', authenticateToken, [
+  ...questionValidators
+], async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    const questionId = parseInt(req.params.questionId);
+    if (isNaN(quizId) || isNaN(questionId)) {
+      return res.status(400).json({ error: 'Invalid quiz or question ID' });
+    }
+
+    const existing = await getAuthoringQuestion(quizId, questionId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    // Validate the question as it will be after the update
+    const merged = {
+      questionType: req.body.questionType !== undefined ? req.body.questionType : existing.question_type,
+      answerOptions: req.body.answerOptions !== undefined ? req.body.answerOptions : existing.answer_options,
+      correctAnswer: req.body.correctAnswer !== undefined ? req.body.correctAnswer : existing.correct_answer
+    };
+    const questionErrors = validateQuestion(merged);
+    if (questionErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid question', details: questionErrors });
+    }
+
+    const poolError = await checkQuestionPool(quizId, req.body.poolId);
+    if (poolError) {
+      return res.status(400).json({ error: poolError });
+    }
+
+    const columns = {
+      questionText: 'question_text',
+      questionType: 'question_type',
+      answerOptions: 'answer_options',
+      correctAnswer: 'correct_answer',
+      points: 'points',
+      section: 'section',
+      difficulty: 'difficulty',
+      poolId: 'pool_id',
+      orderIndex: 'order_index'
+    };
+    const serializers = {
+      answerOptions: (value) => JSON.stringify(value),
+      correctAnswer: serializeCorrectAnswer
+    };
+
+    // Build dynamic update query
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${column} = $${paramCount++}`);
+        values.push(serializers[field] ? serializers[field](req.body[field]) : req.body[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    values.push(questionId);
+    const result = await pool.query(
+      `UPDATE quiz_questions SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+
+    res.json({
+      message: 'Question updated successfully',
+      question: formatAuthoringQuestion(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Question update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Duplicate a question directly after the original (admins and instructors)
+app.post('/quizzes/:quizId/questions/:questionId/duplicate', authenticateToken, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    const questionId = parseInt(req.params.questionId);
+    if (isNaN(quizId) || isNaN(questionId)) {
+      return res.status(400).json({ error: 'Invalid quiz or question ID' });
+    }
+
+    const original = await getAuthoringQuestion(quizId, questionId);
+    if (!original) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const copy = await withTransaction(async (client) => {
+      // Make room so the copy sits right after the original
+      await client.query(
+        'UPDATE quiz_questions SET order_index = order_index + 1 WHERE quiz_id = $1 AND order_index > $2',
+        [quizId, original.order_index]
+      );
+
+      const result = await client.query(`
+        INSERT INTO quiz_questions (quiz_id, question_text, question_type, answer_options, correct_answer,
+                                    points, section, difficulty, pool_id, order_index)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [
+        quizId, original.question_text + ' (Copy)', original.question_type, JSON.stringify(original.answer_options),
+        original.correct_answer, original.points, original.section, original.difficulty, original.pool_id,
+        original.order_index + 1
+      ]);
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      message: 'Question duplicated successfully',
+      originalQuestionId: questionId,
+      question: formatAuthoringQuestion(copy)
+    });
+  } catch (error) {
+    console.error('Question duplication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a question (admins and instructors)
+app.delete('/quizzes/:quizId/questions/:questionId', authenticateToken, async (req, res) => {
+  try {
+    if (!isQuizAuthor(req.user)) {
+      return res.status(403).json({ error: 'Admin or instructor access required' });
+    }
+
+    const quizId = parseInt(req.params.quizId);
+    const questionId = parseInt(req.params.questionId);
+    if (isNaN(quizId) || isNaN(questionId)) {
+      return res.status(400).json({ error: 'Invalid quiz or question ID' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM quiz_questions WHERE id = $1 AND quiz_id = $2 RETURNING id, question_text',
+      [questionId, quizId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    res.json({
+      message: 'Question deleted successfully',
+      deletedQuestion: {
+        id: result.rows[0].id,
+        questionText: result.rows[0].question_text
+      }
+    });
+  } catch (error) {
+    console.error('Question deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create course (admin only)
+app.post('/courses', authenticateToken, [
+  body('trackId').isInt(),
+  body('title').trim().isLength({ min: 1, max: 255 }),
+  body('description').optional().trim(),
+  body('content').trim().isLength({ min: 1 }),
+  body('orderIndex').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { trackId, title, description, content, orderIndex = 0 } = req.body;
+
+    // Verify track exists
+    const trackCheck = await pool.query('SELECT id FROM learning_tracks WHERE id = $1 AND deleted_at IS NULL', [trackId]);
+    if (trackCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Learning track not found' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO courses (track_id, title, description, content, order_index) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [trackId, title, description, content, orderIndex]
+    );
+
+    const course = result.rows[0];
+    await invalidateCatalog('course', [course]);
+    res.status(201).json({
+      message: 'Course created successfully',
+      course: {
+        id: course.id,
+        trackId: course.track_id,
+        title: course.title,
+        description: course.description,
+        content: course.content,
+        orderIndex: course.order_index,
+        isPublished: course.is_published,
+        createdAt: course.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Course creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================
+// CONTENT MANAGEMENT & AUTHORING ENDPOINTS
+// ========================
+
+const formatRevision = (revision, { includeSnapshot = false } = {}) => ({
+  id: revision.id,
+  revisionNumber: revision.revision_number,
+  changedFields: revision.changed_fields,
+  changeSummary: revision.change_summary,
+  authorId: revision.author_user_id,
+  createdAt: revision.created_at,
+  ...(includeSnapshot ? { snapshot: revision.snapshot } : {})
+});
+
+// Store the state of a track, course or lesson after an edit as its next revision.
+// Nothing is stored when no versioned field changed.
+const recordRevision = async (client, type, before, after, { userId, changeSummary }) => {
+  const changed = changedFields(type, before, after);
+  if (changed.length === 0) {
+    return null;
+  }
+
+  const latestResult = await client.query(
+    'SELECT COALESCE(MAX(revision_number), 0) as latest FROM content_revisions WHERE content_type = $1 AND content_id = $2',
+    [type, after.id]
+  );
+  let revisionNumber = parseInt(latestResult.rows[0].latest);
+
+  // Content that predates revision history keeps its original state as revision 1
+  if (revisionNumber === 0) {
+    await client.query(
+      `INSERT INTO content_revisions (content_type, content_id, revision_number, snapshot, change_summary, author_user_id)
+       VALUES ($1, $2, 1, $3, 'Original version', $4)`,
+      [type, after.id, JSON.stringify(takeSnapshot(type, before)), before.created_by_user_id || null]
+    );
+    revisionNumber = 1;
+  }
+
+  const result = await client.query(
+    `INSERT INTO content_revisions (content_type, content_id, revision_number, snapshot, changed_fields, change_summary, author_user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [type, after.id, revisionNumber + 1, JSON.stringify(takeSnapshot(type, after)), changed, changeSummary || null, userId]
+  );
+  return result.rows[0];
+};
+
+// The approval covered the reviewed content, so approved content that is edited goes back
+// to draft (cancelling any schedule) and needs another review
+const withdrawApprovalAfterEdit = async (client, type, row, userId) => {
+  if (!WORKFLOW_TARGETS[type] || row.status !== 'approved') {
+    return row;
+  }
+
+  const reset = await client.query(
+    `UPDATE ${REVISION_TARGETS[type].table} SET status = 'draft', publish_at = NULL WHERE id = $1 RETURNING *`,
+    [row.id]
+  );
+  await recordWorkflowEvent(client, type, row.id, {
+    action: 'edit',
+    fromStatus: 'approved',
+    toStatus: 'draft',
+    notes: 'Edited after approval',
+    userId
+  });
+  return reset.rows[0];
+};
+
+// Run an UPDATE ... RETURNING * against one track, course or lesson and record the revision
+// in the same transaction. Resolves to null when the row does not exist.
+const updateWithRevision = async (type, contentId, updateQuery, values, req) => {
+  const result = await withTransaction(async (client) => {
+    const { table } = REVISION_TARGETS[type];
+    const current = await client.query(`SELECT * FROM ${table} WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [contentId]);
+    if (current.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(updateQuery, values);
+    const revision = await recordRevision(client, type, current.rows[0], result.rows[0], {
+      userId: req.user.userId,
+      changeSummary: req.body.changeSummary
+    });
+    const row = revision ? await withdrawApprovalAfterEdit(client, type, result.rows[0], req.user.userId) : result.rows[0];
+    return { row, revision };
+  });
+
+  if (result) {
+    await invalidateCatalog(type, [result.row]);
+  }
+  return result;
+};
+
+// Update existing course (admin only)
+app.put('/courses/:id', authenticateToken, [
+  body('title').optional().trim().isLength({ min: 1, max: 255 }),
+  body('description').optional().trim(),
+  body('content').optional().trim().isLength({ min: 1 }),
+  body('orderIndex').optional().isInt({ min: 0 }),
+  body('changeSummary').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const courseId = parseInt(req.params.id);
+    if (isNaN(courseId)) {
+      return res.status(400).json({ error: 'Invalid course ID' });
+    }
+
+    if (req.body.isPublished !== undefined) {
+      return res.status(400).json({ error: 'Publishing state is changed through POST /courses/:id/workflow' });
+    }
+
+    const { title, description, content, orderIndex } = req.body;
+    
+    // Build dynamic update query
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (title !== undefined) {
+      updates.push(`title = $${paramCount++}`);
+      values.push(title);
+    }
+    if (description !== undefined) {
+      updates.push(`description = $${paramCount++}`);
+      values.push(description);
+    }
+    if (content !== undefined) {
+      updates.push(`content = $${paramCount++}`);
+      values.push(content);
+    }
+    if (orderIndex !== undefined) {
+      updates.push(`order_index = $${paramCount++}`);
+      values.push(orderIndex);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    updates.push(`updated_at = CURRENT_TIMESTAMP`);
+    values.push(courseId);
+
+    const query = `UPDATE courses SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
+    const result = await updateWithRevision('course', courseId, query, values, req);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const course = result.row;
+    res.json({
+      message: 'Course updated successfully',
+      revisionNumber: result.revision ? result.revision.revision_number : null,
+      course: {
+        id: course.id,
+        trackId: course.track_id,
+        title: course.title,
+        description: course.description,
+        content: course.content,
+        orderIndex: course.order_index,
+        status: course.status,
+        isPublished: course.is_published,
+        createdAt: course.created_at,
+        updatedAt: course.updated_at
+      }
+    });
+  } catch (error) {
+    console.error('Course update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update learning track (admin only)
+app.put('/tracks/:id', authenticateToken, [
+  body('title').optional().trim().isLength({ min: 1, max: 255 }),
+  body('description').optional().trim(),
+  body('difficultyLevel').optional().isIn(['beginner', 'intermediate', 'advanced']),
+  body('estimatedHours').optional().isInt({ min: 1 }),
+  body('changeSummary').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const trackId = parseInt(req.params.id);
+    if (isNaN(trackId)) {
+      return res.status(400).json({ error: 'Invalid track ID' });
+    }
+
+    if (req.body.isPublished !== undefined) {
+      return res.status(400).json({ error: 'Publishing state is changed through POST /tracks/:id/workflow' });
+    }
+
+    const { title, description, difficultyLevel, estimatedHours } = req.body;
+    
+    // Build dynamic update query
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (title !== undefined) {
+      updates.push(`title = $${paramCount++}`);
+      values.push(title);
+    }
+    if (description !== undefined) {
+      updates.push(`description = $${paramCount++}`);
+      values.push(description);
+    }
+    if (difficultyLevel !== undefined) {
+      updates.push(`difficulty_level = $${paramCount++}`);
+      values.push(difficultyLevel);
+    }
+    if (estimatedHours !== undefined) {
+      updates.push(`estimated_hours = $${paramCount++}`);
+      values.push(estimatedHours);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    updates.push(`updated_at = CURRENT_TIMESTAMP`);
+    values.push(trackId);
+
+    const query = `UPDATE learning_tracks SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
+    const result = await updateWithRevision('track', trackId, query, values, req);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Learning track not found' });
+    }
+
+    const track = result.row;
+    res.json({
+      message: 'Learning track updated successfully',
+      revisionNumber: result.revision ? result.revision.revision_number : null,
+      track: {
+        id: track.id,
+        title: track.title,
+        description: track.description,
+        difficultyLevel: track.difficulty_level,
+        estimatedHours: track.estimated_hours,
+        status: track.status,
+        isPublished: track.is_published,
+        createdAt: track.created_at,
+        updatedAt: track.updated_at
+      }
+    });
+  } catch (error) {
+    console.error('Track update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move a course and its lessons to the trash (admin only)
+app.delete('/courses/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const courseId = parseInt(req.params.id);
+    if (isNaN(courseId)) {
+      return res.status(400).json({ error: 'Invalid course ID' });
+    }
+
+    const [course] = await trashContent('course', [courseId], req.user.userId);
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    res.json({
+      message: 'Course moved to the trash',
+      deletedCourse: {
+        id: course.id,
+        title: course.title,
+        deletedAt: course.deleted_at
+      }
+    });
+  } catch (error) {
+    console.error('Course deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move a learning track to the trash (admin only)
+app.delete('/tracks/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const trackId = parseInt(req.params.id);
+    if (isNaN(trackId)) {
+      return res.status(400).json({ error: 'Invalid track ID' });
+    }
+
+    // Check if track has courses
+    const coursesCheck = await pool.query('SELECT COUNT(*) as count FROM courses WHERE track_id = $1 AND deleted_at IS NULL', [trackId]);
+    const courseCount = parseInt(coursesCheck.rows[0].count);
+
+    if (courseCount > 0) {
+      return res.status(400).json({ 
+        error: 'Cannot delete track with existing courses',
+        courseCount
+      });
+    }
+
+    const [track] = await trashContent('track', [trackId], req.user.userId);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Learning track not found' });
+    }
+
+    res.json({
+      message: 'Learning track moved to the trash',
+      deletedTrack: {
+        id: track.id,
+        title: track.title,
+        deletedAt: track.deleted_at
+      }
+    });
+  } catch (error) {
+    console.error('Track deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const LESSON_TYPES = ['text', 'video', 'quiz', 'assignment'];
+
+const formatLesson = (lesson) => ({
+  id: lesson.id,
+  courseId: lesson.course_id,
+  title: lesson.title,
+  content: lesson.content,
+  orderIndex: lesson.order_index,
+  lessonType: lesson.lesson_type,
+  durationMinutes: lesson.duration_minutes,
+  isPublished: lesson.is_published,
+  createdAt: lesson.created_at,
+  updatedAt: lesson.updated_at
+});
+
+// Create lesson (admin only)
+app.post('/lessons', authenticateToken, [
+  body('courseId').isInt(),
+  body('title').trim().isLength({ min: 1, max: 255 }),
+  body('content').optional().trim(),
+  body('lessonType').optional().isIn(LESSON_TYPES),
+  body('durationMinutes').optional().isInt({ min: 0 }),
+  body('orderIndex').optional().isInt({ min: 0 }),
+  body('isPublished').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      courseId,
+      title,
+      content = '',
+      lessonType = 'text',
+      durationMinutes = 0,
+      orderIndex,
+      isPublished = false
+    } = req.body;
+
+    // Verify course exists
+    const courseCheck = await pool.query('SELECT id FROM courses WHERE id = $1 AND deleted_at IS NULL', [courseId]);
+    if (courseCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    // New lessons go to the end of the course unless a position is given
+    const result = await pool.query(`
+      INSERT INTO lessons (course_id, title, content, lesson_type, duration_minutes, is_published, order_index)
+      VALUES ($1, $2, $3, $4, $5, $6,
+              COALESCE($7, (SELECT COALESCE(MAX(order_index), 0) + 1 FROM lessons WHERE course_id = $1)))
+      RETURNING *
+    `, [courseId, title, content, lessonType, durationMinutes, isPublished, orderIndex === undefined ? null : orderIndex]);
+    await invalidateCatalog('lesson', result.rows);
+
+    res.status(201).json({
+      message: 'Lesson created successfully',
+      lesson: formatLesson(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Lesson creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update existing lesson (admin only)
+app.put('/lessons/:id', authenticateToken, [
+  body('title').optional().trim().isLength({ min: 1, max: 255 }),
+  body('content').optional().trim(),
+  body('lessonType').optional().isIn(LESSON_TYPES),
+  body('durationMinutes').optional().isInt({ min: 0 }),
+  body('orderIndex').optional().isInt({ min: 0 }),
+  body('isPublished').optional().isBoolean(),
+  body('changeSummary').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lessonId = parseInt(req.params.id);
+    if (isNaN(lessonId)) {
+      return res.status(400).json({ error: 'Invalid lesson ID' });
+    }
+
+    const columns = {
+      title: 'title',
+      content: 'content',
+      lessonType: 'lesson_type',
+      durationMinutes: 'duration_minutes',
+      orderIndex: 'order_index',
+      isPublished: 'is_published'
+    };
+
+    // Build dynamic update query
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${column} = $${paramCount++}`);
+        values.push(req.body[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(lessonId);
+
+    const result = await updateWithRevision(
+      'lesson',
+      lessonId,
+      `UPDATE lessons SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values,
+      req
+    );
+
+    if (!result) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+
+    res.json({
+      message: 'Lesson updated successfully',
+      revisionNumber: result.revision ? result.revision.revision_number : null,
+      lesson: formatLesson(result.row)
+    });
+  } catch (error) {
+    console.error('Lesson update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Render lesson content without saving it, for previews in the editor (admin only)
+app.post('/admin/lessons/render', authenticateToken, [
+  body('content').isString()
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { content } = req.body;
+    res.json(renderLesson(content, { lessons: await loadLinkedLessons(content) }));
+  } catch (error) {
+    console.error('Lesson render error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Publish or unpublish a lesson (admin only)
+const setLessonPublished = (isPublished) => async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const lessonId = parseInt(req.params.id);
+    if (isNaN(lessonId)) {
+      return res.status(400).json({ error: 'Invalid lesson ID' });
+    }
+
+    const result = await pool.query(
+      'UPDATE lessons SET is_published = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND deleted_at IS NULL RETURNING *',
+      [isPublished, lessonId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    await invalidateCatalog('lesson', result.rows);
+
+    res.json({
+      message: `Lesson ${isPublished ? 'published' : 'unpublished'} successfully`,
+      lesson: formatLesson(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Lesson publish error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+app.post('/lessons/:id/publish', authenticateToken, setLessonPublished(true));
+app.post('/lessons/:id/unpublish', authenticateToken, setLessonPublished(false));
+
+// Move a lesson to the trash (admin only)
+app.delete('/lessons/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const lessonId = parseInt(req.params.id);
+    if (isNaN(lessonId)) {
+      return res.status(400).json({ error: 'Invalid lesson ID' });
+    }
+
+    const [lesson] = await trashContent('lesson', [lessonId], req.user.userId);
+
+    if (!lesson) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+
+    res.json({
+      message: 'Lesson moved to the trash',
+      deletedLesson: {
+        id: lesson.id,
+        title: lesson.title,
+        courseId: lesson.course_id,
+        deletedAt: lesson.deleted_at
+      }
+    });
+  } catch (error) {
+    console.error('Lesson deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reorder lessons within a course (admin only)
+app.put('/admin/courses/:courseId/lessons/reorder', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const courseId = parseInt(req.params.courseId);
+    if (isNaN(courseId)) {
+      return res.status(400).json({ error: 'Invalid course ID' });
+    }
+
+    const { lessonOrders } = req.body;
+
+    if (!lessonOrders || !Array.isArray(lessonOrders) || lessonOrders.length === 0) {
+      return res.status(400).json({ error: 'Lesson orders array is required' });
+    }
+
+    if (lessonOrders.some(item => !Number.isInteger(item.lessonId) ||
+        !Number.isInteger(item.orderIndex) || item.orderIndex < 0)) {
+      return res.status(400).json({ error: 'Each entry needs an integer lessonId and a non-negative orderIndex' });
+    }
+
+    // Validate that all lessons belong to this course
+    const lessonIds = lessonOrders.map(item => item.lessonId);
+    const validation = await pool.query(
+      'SELECT id FROM lessons WHERE id = ANY($1) AND course_id = $2 AND deleted_at IS NULL',
+      [lessonIds, courseId]
+    );
+
+    if (validation.rows.length !== new Set(lessonIds).size) {
+      return res.status(400).json({ error: 'Some lessons do not belong to this course' });
+    }
+
+    await withTransaction(async (client) => {
+      for (const { lessonId, orderIndex } of lessonOrders) {
+        await client.query(
+          'UPDATE lessons SET order_index = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [orderIndex, lessonId]
+        );
+      }
+    });
+    await invalidateCatalog('lesson', lessonOrders.map(({ lessonId }) => ({ id: lessonId, course_id: courseId })));
+
+    res.json({ message: 'Lesson order updated successfully' });
+  } catch (error) {
+    console.error('Lesson reorder error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List revisions of a track, course or lesson, newest first (admin only)
+const listRevisions = (type, messages) => async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const contentId = parseInt(req.params.id);
+    if (isNaN(contentId)) {
+      return res.status(400).json({ error: messages.invalidId });
+    }
+
+    const contentCheck = await pool.query(`SELECT id FROM ${REVISION_TARGETS[type].table} WHERE id = $1`, [contentId]);
+    if (contentCheck.rows.length === 0) {
+      return res.status(404).json({ error: messages.notFound });
+    }
+
+    const result = await pool.query(`
+      SELECT id, revision_number, changed_fields, change_summary, author_user_id, created_at
+      FROM content_revisions
+      WHERE content_type = $1 AND content_id = $2
+      ORDER BY revision_number DESC
+    `, [type, contentId]);
+
+    res.json({
+      revisions: result.rows.map(revision => formatRevision(revision)),
+      total: result.rows.length
+    });
+  } catch (error) {
+    console.error('Revisions fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get one revision with its snapshot (admin only)
+const getRevision = (type, messages) => async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const contentId = parseInt(req.params.id);
+    const revisionNumber = parseInt(req.params.revisionNumber);
+    if (isNaN(contentId)) {
+      return res.status(400).json({ error: messages.invalidId });
+    }
+    if (isNaN(revisionNumber)) {
+      return res.status(400).json({ error: 'Invalid revision number' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM content_revisions WHERE content_type = $1 AND content_id = $2 AND revision_number = $3',
+      [type, contentId, revisionNumber]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision: formatRevision(result.rows[0], { includeSnapshot: true }) });
+  } catch (error) {
+    console.error('Revision fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Compare two revisions field by field, with line diffs for long text (admin only)
+const diffRevisions = (type, messages) => async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const contentId = parseInt(req.params.id);
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    if (isNaN(contentId)) {
+      return res.status(400).json({ error: messages.invalidId });
+    }
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'from and to revision numbers are required' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM content_revisions WHERE content_type = $1 AND content_id = $2 AND revision_number = ANY($3)',
+      [type, contentId, [from, to]]
+    );
+    const fromRevision = result.rows.find(revision => revision.revision_number === from);
+    const toRevision = result.rows.find(revision => revision.revision_number === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      from: formatRevision(fromRevision),
+      to: formatRevision(toRevision),
+      changes: diffSnapshots(type, fromRevision.snapshot, toRevision.snapshot)
+    });
+  } catch (error) {
+    console.error('Revision diff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Bring back an older revision; the restored state is stored as a new revision (admin only)
+const restoreRevision = (type, messages) => async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const contentId = parseInt(req.params.id);
+    const revisionNumber = parseInt(req.params.revisionNumber);
+    if (isNaN(contentId)) {
+      return res.status(400).json({ error: messages.invalidId });
+    }
+    if (isNaN(revisionNumber)) {
+      return res.status(400).json({ error: 'Invalid revision number' });
+    }
+
+    const { table, fields } = REVISION_TARGETS[type];
+    const outcome = await withTransaction(async (client) => {
+      const current = await client.query(`SELECT * FROM ${table} WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [contentId]);
+      if (current.rows.length === 0) {
+        return { status: 404, error: messages.notFound };
+      }
+
+      const revisionResult = await client.query(
+        'SELECT snapshot FROM content_revisions WHERE content_type = $1 AND content_id = $2 AND revision_number = $3',
+        [type, contentId, revisionNumber]
+      );
+      if (revisionResult.rows.length === 0) {
+        return { status: 404, error: 'Revision not found' };
+      }
+
+      const snapshot = revisionResult.rows[0].snapshot;
+      if (changedFields(type, current.rows[0], snapshot).length === 0) {
+        return { status: 400, error: 'Content already matches this revision' };
+      }
+
+      const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+      const updated = await client.query(
+        `UPDATE ${table} SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${fields.length + 1} RETURNING *`,
+        [...fields.map(field => snapshot[field] ?? null), contentId]
+      );
+
+      const revision = await recordRevision(client, type, current.rows[0], updated.rows[0], {
+        userId: req.user.userId,
+        changeSummary: req.body.changeSummary || `Restored revision ${revisionNumber}`
+      });
+      await withdrawApprovalAfterEdit(client, type, updated.rows[0], req.user.userId);
+      return { revision, row: updated.rows[0] };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    await invalidateCatalog(type, [outcome.row]);
+
+    res.json({
+      message: `Revision ${revisionNumber} restored successfully`,
+      revision: formatRevision(outcome.revision, { includeSnapshot: true })
+    });
+  } catch (error) {
+    console.error('Revision restore error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const trackMessages = { invalidId: 'Invalid track ID', notFound: 'Learning track not found' };
+const courseMessages = { invalidId: 'Invalid course ID', notFound: 'Course not found' };
+const lessonMessages = { invalidId: 'Invalid lesson ID', notFound: 'Lesson not found' };
+
+app.get('/tracks/:id/revisions', authenticateToken, listRevisions('track', trackMessages));
+app.get('/tracks/:id/revisions/diff', authenticateToken, diffRevisions('track', trackMessages));
+app.get('/tracks/:id/revisions/:revisionNumber', authenticateToken, getRevision('track', trackMessages));
+app.post('/tracks/:id/revisions/:revisionNumber/restore', authenticateToken, restoreRevision('track', trackMessages));
+app.get('/courses/:id/revisions', authenticateToken, listRevisions('course', courseMessages));
+app.get('/courses/:id/revisions/diff', authenticateToken, diffRevisions('course', courseMessages));
+app.get('/courses/:id/revisions/:revisionNumber', authenticateToken, getRevision('course', courseMessages));
+app.post('/courses/:id/revisions/:revisionNumber/restore', authenticateToken, restoreRevision('course', courseMessages));
+app.get('/lessons/:id/revisions', authenticateToken, listRevisions('lesson', lessonMessages));
+app.get('/lessons/:id/revisions/diff', authenticateToken, diffRevisions('lesson', lessonMessages));
+app.get('/lessons/:id/revisions/:revisionNumber', authenticateToken, getRevision('lesson', lessonMessages));
+app.post('/lessons/:id/revisions/:revisionNumber/restore', authenticateToken, restoreRevision('lesson', lessonMessages));
+
+// ========================
+// EDITORIAL WORKFLOW
+// ========================
+
+const formatWorkflowEvent = (event) => ({
+  id: event.id,
+  action: event.action,
+  fromStatus: event.from_status,
+  toStatus: event.to_status,
+  publishAt: event.publish_at,
+  notes: event.notes,
+  userId: event.user_id,
+  createdAt: event.created_at
+});
+
+const recordWorkflowEvent = (client, type, contentId, { action, fromStatus, toStatus, publishAt = null, notes = null, userId = null }) =>
+  client.query(
+    `INSERT INTO content_workflow_events (content_type, content_id, action, from_status, to_status, publish_at, notes, user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [type, contentId, action, fromStatus, toStatus, publishAt, notes, userId]
+  );
+
+// Apply a workflow action to one track or course inside an open transaction.
+// Resolves to null when the content does not exist; throws WorkflowError for invalid transitions.
+const applyWorkflowAction = async (client, type, contentId, action, user, { publishAt, notes } = {}) => {
+  const table = WORKFLOW_TARGETS[type];
+  const current = await client.query(`SELECT id, status FROM ${table} WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [contentId]);
+  if (current.rows.length === 0) {
+    return null;
+  }
+
+  const fromStatus = current.rows[0].status;
+  const transition = resolveTransition(action, fromStatus, user, { publishAt });
+
+  const updated = await client.query(
+    `UPDATE ${table} SET status = $1, publish_at = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *`,
+    [transition.status, transition.publishAt, contentId]
+  );
+  await recordWorkflowEvent(client, type, contentId, {
+    action,
+    fromStatus,
+    toStatus: transition.status,
+    publishAt: transition.publishAt,
+    notes,
+    userId: user.userId
+  });
+  return updated.rows[0];
+};
+
+// Apply one action to many tracks or courses; ineligible items are skipped, not failed
+const applyBulkWorkflowAction = async (type, ids, action, user) => {
+  const changed = [];
+  const skipped = [];
+  await withTransaction(async (client) => {
+    for (const id of ids) {
+      try {
+        const item = await applyWorkflowAction(client, type, id, action, user);
+        if (item) {
+          changed.push(item);
+        } else {
+          skipped.push({ id, reason: 'Not found' });
+        }
+      } catch (error) {
+        if (!(error instanceof WorkflowError)) throw error;
+        skipped.push({ id, reason: error.message });
+      }
+    }
+  });
+
+  await invalidateCatalog(type, changed);
+  return { items: changed.map(item => ({ id: item.id, title: item.title, status: item.status })), skipped };
+};
+
+// Publish approved tracks and courses whose publish_at has passed
+const publishScheduledContent = async () => {
+  try {
+    for (const [type, table] of Object.entries(WORKFLOW_TARGETS)) {
+      const result = await pool.query(`
+        WITH due AS (
+          UPDATE ${table} SET status = 'published', updated_at = CURRENT_TIMESTAMP
+          WHERE status = 'approved' AND publish_at <= CURRENT_TIMESTAMP
+          RETURNING *
+        ), events AS (
+          INSERT INTO content_workflow_events (content_type, content_id, action, from_status, to_status, publish_at)
+          SELECT $1, id, 'scheduled_publish', 'approved', 'published', publish_at FROM due
+        )
+        SELECT * FROM due
+      `, [type]);
+
+      if (result.rowCount > 0) {
+        await invalidateCatalog(type, result.rows);
+        console.log(`🗓️ Published ${result.rowCount} scheduled ${type}${result.rowCount === 1 ? '' : 's'}`);
+      }
+    }
+  } catch (error) {
+    console.error('Scheduled publishing error:', error);
+  }
+};
+
+// Get the workflow state and history of a track or course (admins and reviewers)
+const getWorkflow = (type, messages) => async (req, res) => {
+  try {
+    if (!canReview(req.user)) {
+      return res.status(403).json({ error: 'Admin or reviewer access required' });
+    }
+
+    const contentId = parseInt(req.params.id);
+    if (isNaN(contentId)) {
+      return res.status(400).json({ error: messages.invalidId });
+    }
+
+    const contentResult = await pool.query(
+      `SELECT id, title, status, publish_at, is_published FROM ${WORKFLOW_TARGETS[type]} WHERE id = $1`,
+      [contentId]
+    );
+    if (contentResult.rows.length === 0) {
+      return res.status(404).json({ error: messages.notFound });
+    }
+
+    const eventsResult = await pool.query(`
+      SELECT id, action, from_status, to_status, publish_at, notes, user_id, created_at
+      FROM content_workflow_events
+      WHERE content_type = $1 AND content_id = $2
+      ORDER BY created_at DESC, id DESC
+    `, [type, contentId]);
+
+    const content = contentResult.rows[0];
+    res.json({
+      id: content.id,
+      title: content.title,
+      status: content.status,
+      publishAt: content.publish_at,
+      isPublished: content.is_published,
+      history: eventsResult.rows.map(formatWorkflowEvent)
+    });
+  } catch (error) {
+    console.error('Workflow fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Move a track or course through the workflow (reviewers approve or request changes, admins do the rest)
+const changeWorkflowStatus = (type, messages) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, notes, publishAt } = req.body;
+    const rule = WORKFLOW_ACTIONS[action];
+    if (!rule) {
+      return res.status(400).json({ error: `Unknown action "${action}". Supported: ${Object.keys(WORKFLOW_ACTIONS).join(', ')}` });
+    }
+    if (rule.reviewer ? !canReview(req.user) : req.user.role !== 'admin') {
+      return res.status(403).json({ error: rule.reviewer ? 'Reviewer access required' : 'Admin access required' });
+    }
+
+    const contentId = parseInt(req.params.id);
+    if (isNaN(contentId)) {
+      return res.status(400).json({ error: messages.invalidId });
+    }
+
+    let content;
+    try {
+      content = await withTransaction(client => applyWorkflowAction(client, type, contentId, action, req.user, { publishAt, notes }));
+    } catch (error) {
+      if (error instanceof WorkflowError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    if (!content) {
+      return res.status(404).json({ error: messages.notFound });
+    }
+    await invalidateCatalog(type, [content]);
+
+    res.json({
+      message: `Workflow action "${action}" applied successfully`,
+      id: content.id,
+      status: content.status,
+      publishAt: content.publish_at,
+      isPublished: content.is_published
+    });
+  } catch (error) {
+    console.error('Workflow update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const workflowValidators = [
+  body('action').isString(),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 2000 }),
+  body('publishAt').optional({ nullable: true }).isISO8601().withMessage('publishAt must be an ISO 8601 date')
+];
+
+app.get('/tracks/:id/workflow', authenticateToken, getWorkflow('track', trackMessages));
+app.post('/tracks/:id/workflow', authenticateToken, workflowValidators, changeWorkflowStatus('track', trackMessages));
+app.get('/courses/:id/workflow', authenticateToken, getWorkflow('course', courseMessages));
+app.post('/courses/:id/workflow', authenticateToken, workflowValidators, changeWorkflowStatus('course', courseMessages));
+
+// Tracks and courses waiting for review or scheduled to go live (admins and reviewers)
+app.get('/admin/review-queue', authenticateToken, async (req, res) => {
+  try {
+    if (!canReview(req.user)) {
+      return res.status(403).json({ error: 'Admin or reviewer access required' });
+    }
+
+    const result = await pool.query(`
+      SELECT 'track' as type, id, title, status, publish_at, updated_at FROM learning_tracks
+      WHERE status = 'in_review' OR (status = 'approved' AND publish_at IS NOT NULL)
+      UNION ALL
+      SELECT 'course', id, title, status, publish_at, updated_at FROM courses
+      WHERE status = 'in_review' OR (status = 'approved' AND publish_at IS NOT NULL)
+      ORDER BY updated_at
+    `);
+
+    const toItem = (row) => ({
+      type: row.type,
+      id: row.id,
+      title: row.title,
+      status: row.status,
+      publishAt: row.publish_at,
+      updatedAt: row.updated_at
+    });
+
+    res.json({
+      inReview: result.rows.filter(row => row.status === 'in_review').map(toItem),
+      scheduled: result.rows.filter(row => row.status === 'approved')
+        .sort((a, b) => new Date(a.publish_at) - new Date(b.publish_at))
+        .map(toItem)
+    });
+  } catch (error) {
+    console.error('Review queue fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================
+// TRASH
+// ========================
+
+// Move tracks, courses or lessons to the trash along with their live descendants.
+// CURRENT_TIMESTAMP is fixed for a transaction, so everything trashed together shares one
+// deleted_at. Resolves to the trashed rows; missing or already trashed ids are left out.
+const trashContent = async (type, ids, userId) => {
+  const { table, descendants } = TRASH_TARGETS[type];
+  const work = async (client) => {
+    const trashed = await client.query(
+      `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP, deleted_by_user_id = $2
+       WHERE id = ANY($1) AND deleted_at IS NULL RETURNING *`,
+      [ids, userId]
+    );
+    const trashedIds = trashed.rows.map(row => row.id);
+    if (trashedIds.length > 0) {
+      for (const descendant of descendants) {
+        await client.query(
+          `UPDATE ${descendant.table} SET deleted_at = CURRENT_TIMESTAMP, deleted_by_user_id = $2
+           WHERE deleted_at IS NULL AND ${descendant.condition}`,
+          [trashedIds, userId]
+        );
+      }
+    }
+    return trashed.rows;
+  };
+
+  // Lessons have nothing to cascade to, so a single statement is enough. Cached reads of the
+  // descendants depend on the trashed row, so invalidating it covers them too.
+  const trashed = await (descendants.length > 0 ? withTransaction(work) : work(pool));
+  await invalidateCatalog(type, trashed);
+  return trashed;
+};
+
+// Take a row out of the trash together with the descendants that were trashed with it.
+// Resolves to null when the row does not exist or is not in the trash.
+const restoreContent = async (type, contentId) => {
+  const result = await withTransaction(async (client) => {
+    const { table, parent, descendants } = TRASH_TARGETS[type];
+    const current = await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [contentId]);
+    if (current.rows.length === 0 || !current.rows[0].deleted_at) {
+      return null;
+    }
+
+    if (parent) {
+      const parentResult = await client.query(
+        `SELECT deleted_at FROM ${parent.table} WHERE id = $1`,
+        [current.rows[0][parent.column]]
+      );
+      if (parentResult.rows.length > 0 && parentResult.rows[0].deleted_at) {
+        throw new TrashError(`Restore the ${parent.type} first`, 409);
+      }
+    }
+
+    // Descendants are matched on the parent's deleted_at in SQL, before it is cleared, because
+    // JavaScript dates drop the microseconds Postgres stores
+    const restoredWith = {};
+    for (const descendant of descendants) {
+      const result = await client.query(
+        `UPDATE ${descendant.table} SET deleted_at = NULL, deleted_by_user_id = NULL
+         WHERE deleted_at = (SELECT deleted_at FROM ${table} WHERE id = $2) AND ${descendant.condition}`,
+        [[contentId], contentId]
+      );
+      restoredWith[descendant.table] = result.rowCount;
+    }
+
+    const restored = await client.query(
+      `UPDATE ${table} SET deleted_at = NULL, deleted_by_user_id = NULL WHERE id = $1 RETURNING *`,
+      [contentId]
+    );
+    return { row: restored.rows[0], restoredWith };
+  });
+
+  if (result) {
+    await invalidateCatalog(type, [result.row]);
+  }
+  return result;
+};
+
+// Permanently remove content that has been in the trash longer than the retention period.
+// Lessons go first so every table reports its own rows; their history goes with them.
+const purgeExpiredTrash = async () => {
+  try {
+    let purged = false;
+    for (const type of ['lesson', 'course', 'track']) {
+      const result = await pool.query(
+        `DELETE FROM ${TRASH_TARGETS[type].table}
+         WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1) RETURNING id`,
+        [TRASH_RETENTION_DAYS]
+      );
+      if (result.rowCount === 0) continue;
+
+      const ids = result.rows.map(row => row.id);
+      await pool.query('DELETE FROM content_revisions WHERE content_type = $1 AND content_id = ANY($2)', [type, ids]);
+      if (WORKFLOW_TARGETS[type]) {
+        await pool.query('DELETE FROM content_workflow_events WHERE content_type = $1 AND content_id = ANY($2)', [type, ids]);
+      }
+      console.log(`🗑️ Purged ${result.rowCount} ${type}${result.rowCount === 1 ? '' : 's'} from the trash`);
+      purged = true;
+    }
+
+    // Quizzes and child rows go by cascade, so translations are matched against what is left
+    if (purged) {
+      await pool.query(`
+        DELETE FROM content_translations tr
+        WHERE (tr.content_type = 'track' AND NOT EXISTS (SELECT 1 FROM learning_tracks x WHERE x.id = tr.content_id))
+           OR (tr.content_type = 'course' AND NOT EXISTS (SELECT 1 FROM courses x WHERE x.id = tr.content_id))
+           OR (tr.content_type = 'lesson' AND NOT EXISTS (SELECT 1 FROM lessons x WHERE x.id = tr.content_id))
+           OR (tr.content_type = 'quiz' AND NOT EXISTS (SELECT 1 FROM quizzes x WHERE x.id = tr.content_id))
+      `);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+};
+
+// Rows that were trashed directly. Children trashed along with their parent are left out:
+// they come back when the parent is restored.
+const TRASH_LISTINGS = {
+  track: `
+    SELECT 'track' as type, t.id, t.title, NULL::integer as parent_id, NULL as parent_title,
+           t.deleted_at, t.deleted_by_user_id
+    FROM learning_tracks t
+    WHERE t.deleted_at IS NOT NULL`,
+  course: `
+    SELECT 'course' as type, c.id, c.title, t.id as parent_id, t.title as parent_title,
+           c.deleted_at, c.deleted_by_user_id
+    FROM courses c
+    LEFT JOIN learning_tracks t ON c.track_id = t.id
+    WHERE c.deleted_at IS NOT NULL AND t.deleted_at IS DISTINCT FROM c.deleted_at`,
+  lesson: `
+    SELECT 'lesson' as type, l.id, l.title, c.id as parent_id, c.title as parent_title,
+           l.deleted_at, l.deleted_by_user_id
+    FROM lessons l
+    LEFT JOIN courses c ON l.course_id = c.id
+    WHERE l.deleted_at IS NOT NULL AND c.deleted_at IS DISTINCT FROM l.deleted_at`
+};
+
+// List trashed content, most recently deleted first (admin only)
+app.get('/admin/trash', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    let types;
+    try {
+      types = parseTrashType(req.query.type);
+    } catch (error) {
+      if (error instanceof TrashError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const listing = types.map(type => TRASH_LISTINGS[type]).join('\n    UNION ALL\n');
+
+    const [itemsResult, countResult] = await Promise.all([
+      pool.query(`${listing}\n    ORDER BY deleted_at DESC, type, id LIMIT $1 OFFSET $2`, [limit, (page - 1) * limit]),
+      pool.query(`SELECT COUNT(*) as total FROM (${listing}) trash`)
+    ]);
+
+    res.json({
+      items: itemsResult.rows.map(row => ({
+        type: row.type,
+        id: row.id,
+        title: row.title,
+        parentId: row.parent_id,
+        parentTitle: row.parent_title,
+        deletedAt: row.deleted_at,
+        deletedBy: row.deleted_by_user_id,
+        purgeAt: purgeDate(row.deleted_at, TRASH_RETENTION_DAYS)
+      })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        page,
+        limit,
+        total: parseInt(countResult.rows[0].total)
+      }
+    });
+  } catch (error) {
+    console.error('Trash fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore a trashed track, course or lesson (admin only)
+app.post('/admin/trash/:type/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const type = TRASH_TYPES[req.params.type];
+    if (!type) {
+      return res.status(400).json({ error: `Invalid type. Supported: ${Object.keys(TRASH_TYPES).join(', ')}` });
+    }
+
+    const contentId = parseInt(req.params.id);
+    if (isNaN(contentId)) {
+      return res.status(400).json({ error: `Invalid ${type} ID` });
+    }
+
+    let result;
+    try {
+      result = await restoreContent(type, contentId);
+    } catch (error) {
+      if (error instanceof TrashError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    if (!result) {
+      return res.status(404).json({ error: `No trashed ${type} with this ID` });
+    }
+
+    res.json({
+      message: `${type.charAt(0).toUpperCase()}${type.slice(1)} restored successfully`,
+      type,
+      id: result.row.id,
+      title: result.row.title,
+      restoredWith: result.restoredWith
+    });
+  } catch (error) {
+    console.error('Trash restore error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all content for admin management. Each listing is paged separately; a cursor
+// continues the listing it was issued for.
+app.get('/admin/content', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    let listingRequest;
+    try {
+      listingRequest = parseContentListingRequest(req.query);
+    } catch (error) {
+      if (error instanceof ContentListingError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Trashed content is listed under /admin/trash
+    const listings = await Promise.all(listingRequest.types.map(async (type) => {
+      const { pageQuery, countQuery } = buildContentListing(type, listingRequest);
+      const [pageResult, countResult] = await Promise.all([
+        pool.query(pageQuery.text, pageQuery.values),
+        pool.query(countQuery.text, countQuery.values)
+      ]);
+      return [type, formatContentListing(type, listingRequest, pageResult.rows, countResult.rows[0]?.total)];
+    }));
+
+    res.json({
+      content: Object.fromEntries(listings.map(([type, listing]) => [type, listing.items])),
+      pagination: Object.fromEntries(listings.map(([type, listing]) => [type, listing.pagination])),
+      sort: { by: listingRequest.sort, order: listingRequest.order },
+      filters: { status: listingRequest.status, q: listingRequest.text || null }
+    });
+  } catch (error) {
+    console.error('Admin content fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Bulk content operations (admin only)
+app.post('/admin/content/bulk', authenticateToken, [
+  body('operation').isIn(['publish', 'unpublish', 'delete']),
+  body('type').isIn(['tracks', 'courses']),
+  body('ids').isArray({ min: 1 }),
+  body('ids.*').isInt()
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { operation, type, ids } = req.body;
+
+    switch (operation) {
+      case 'publish':
+      case 'unpublish': {
+        // Publishing follows the editorial workflow; ineligible items are reported as skipped
+        const { items, skipped } = await applyBulkWorkflowAction(type === 'tracks' ? 'track' : 'course', ids, operation, req.user);
+        return res.json({
+          message: `Bulk ${operation} completed successfully`,
+          affected: items.length,
+          items,
+          skipped
+        });
+      }
+      case 'delete': {
+        if (type === 'tracks') {
+          // Check for courses in tracks before deletion
+          const coursesCheck = await pool.query(
+            'SELECT track_id, COUNT(*) as count FROM courses WHERE track_id = ANY($1) AND deleted_at IS NULL GROUP BY track_id',
+            [ids]
+          );
+          if (coursesCheck.rows.length > 0) {
+            return res.status(400).json({ 
+              error: 'Cannot delete tracks with existing courses',
+              tracksWithCourses: coursesCheck.rows
+            });
+          }
+        }
+        const trashed = await trashContent(type === 'tracks' ? 'track' : 'course', ids, req.user.userId);
+        return res.json({
+          message: `Bulk ${operation} completed successfully`,
+          affected: trashed.length,
+          items: trashed.map(item => ({ id: item.id, title: item.title }))
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Bulk operation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const formatTemplate = (template) => ({
+  id: template.id,
+  slug: template.slug,
+  name: template.name,
+  description: template.description,
+  content: template.content,
+  sections: template.sections || [],
+  variables: template.variables || [],
+  lessons: template.lessons || [],
+  createdBy: template.created_by_user_id,
+  createdAt: template.created_at,
+  updatedAt: template.updated_at
+});
+
+const TEMPLATE_FIELDS = ['name', 'slug', 'description', 'content', 'sections', 'variables', 'lessons'];
+
+// List content templates (admin only)
+app.get('/admin/templates', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await pool.query('SELECT * FROM content_templates ORDER BY name, id');
+
+    res.json({ templates: result.rows.map(formatTemplate) });
+  } catch (error) {
+    console.error('Templates fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a content template (admin only)
+app.get('/admin/templates/:templateId', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const templateId = parseInt(req.params.templateId);
+    if (isNaN(templateId)) {
+      return res.status(400).json({ error: 'Invalid template ID' });
+    }
+
+    const result = await pool.query('SELECT * FROM content_templates WHERE id = $1', [templateId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ template: formatTemplate(result.rows[0]) });
+  } catch (error) {
+    console.error('Template fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a content template (admin only)
+app.post('/admin/templates', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const {
+      name,
+      description = null,
+      content = '',
+      sections = [],
+      variables = [],
+      lessons = []
+    } = req.body;
+    const slug = req.body.slug === undefined ? slugify(name || '') : req.body.slug;
+
+    const templateErrors = validateTemplate({ name, slug, description, content, sections, variables, lessons });
+    if (templateErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', details: templateErrors });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO content_templates (slug, name, description, content, sections, variables, lessons, created_by_user_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      slug, name.trim(), description, content, JSON.stringify(sections), JSON.stringify(variables),
+      JSON.stringify(lessons), req.user.userId
+    ]);
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      template: formatTemplate(result.rows[0])
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A template with this slug already exists' });
+    }
+    console.error('Template creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a content template (admin only)
+app.put('/admin/templates/:templateId', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const templateId = parseInt(req.params.templateId);
+    if (isNaN(templateId)) {
+      return res.status(400).json({ error: 'Invalid template ID' });
+    }
+
+    const fields = TEMPLATE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const existing = await pool.query('SELECT * FROM content_templates WHERE id = $1', [templateId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    // Validate the template as it will look after the update
+    const merged = { ...formatTemplate(existing.rows[0]) };
+    fields.forEach(field => { merged[field] = req.body[field]; });
+    const templateErrors = validateTemplate(merged);
+    if (templateErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', details: templateErrors });
+    }
+
+    const jsonFields = ['sections', 'variables', 'lessons'];
+    const updates = fields.map((field, index) => `${field} = $${index + 1}`);
+    const values = fields.map(field => (jsonFields.includes(field) ? JSON.stringify(merged[field]) : merged[field]));
+
+    const result = await pool.query(
+      `UPDATE content_templates SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1} RETURNING *`,
+      [...values, templateId]
+    );
+
+    res.json({
+      message: 'Template updated successfully',
+      template: formatTemplate(result.rows[0])
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A template with this slug already exists' });
+    }
+    console.error('Template update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a content template (admin only); courses created from it are not affected
+app.delete('/admin/templates/:templateId', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const templateId = parseInt(req.params.templateId);
+    if (isNaN(templateId)) {
+      return res.status(400).json({ error: 'Invalid template ID' });
+    }
+
+    const result = await pool.query('DELETE FROM content_templates WHERE id = $1 RETURNING id, name', [templateId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({
+      message: 'Template deleted successfully',
+      deletedTemplate: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Template deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a draft course with its lessons from a template (admin only).
+// With dryRun the rendered course is returned without being saved.
+app.post('/admin/templates/:templateId/instantiate', authenticateToken, [
+  body('trackId').isInt(),
+  body('title').trim().isLength({ min: 1, max: 255 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('orderIndex').optional().isInt({ min: 0 }),
+  body('variables').optional().isObject()
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const templateId = parseInt(req.params.templateId);
+    if (isNaN(templateId)) {
+      return res.status(400).json({ error: 'Invalid template ID' });
+    }
+
+    const { trackId, title, description = null, orderIndex, variables = {} } = req.body;
+    const dryRun = [req.query.dryRun, req.body.dryRun].some(value => value === true || value === 'true');
+
+    const [templateResult, trackResult] = await Promise.all([
+      pool.query('SELECT * FROM content_templates WHERE id = $1', [templateId]),
+      pool.query('SELECT id, title FROM learning_tracks WHERE id = $1 AND deleted_at IS NULL', [trackId])
+    ]);
+
+    if (templateResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (trackResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Learning track not found' });
+    }
+
+    const template = formatTemplate(templateResult.rows[0]);
+    let values;
+    try {
+      values = resolveVariables(template, variables, { courseTitle: title, trackTitle: trackResult.rows[0].title });
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        return res.status(400).json({ error: error.message, details: error.details });
+      }
+      throw error;
+    }
+    const rendered = instantiateTemplate(template, values);
+
+    if (dryRun) {
+      return res.json({
+        message: 'Preview only; nothing was created',
+        dryRun: true,
+        course: { trackId, title, description, content: rendered.content },
+        lessons: rendered.lessons,
+        variables: values
+      });
+    }
+
+    // New courses go to the end of the track unless a position is given
+    const created = await withTransaction(async (client) => {
+      const courseResult = await client.query(`
+        INSERT INTO courses (track_id, title, description, content, order_index, status, created_by_user_id)
+        VALUES ($1, $2, $3, $4,
+                COALESCE($5, (SELECT COALESCE(MAX(order_index), 0) + 1 FROM courses WHERE track_id = $1 AND deleted_at IS NULL)),
+                'draft', $6)
+        RETURNING *
+      `, [trackId, title, description, rendered.content, orderIndex === undefined ? null : orderIndex, req.user.userId]);
+      const course = courseResult.rows[0];
+
+      const lessons = [];
+      for (const lesson of rendered.lessons) {
+        const lessonResult = await client.query(`
+          INSERT INTO lessons (course_id, title, content, order_index, lesson_type, duration_minutes)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [course.id, lesson.title, lesson.content, lesson.orderIndex, lesson.lessonType, lesson.durationMinutes]);
+        lessons.push(lessonResult.rows[0]);
+      }
+      return { course, lessons };
+    });
+    await invalidateCatalog('course', [created.course]);
+
+    res.status(201).json({
+      message: 'Course created from template',
+      dryRun: false,
+      template: { id: template.id, slug: template.slug, name: template.name },
+      course: {
+        id: created.course.id,
+        trackId: created.course.track_id,
+        title: created.course.title,
+        description: created.course.description,
+        content: created.course.content,
+        orderIndex: created.course.order_index,
+        status: created.course.status,
+        createdAt: created.course.created_at
+      },
+      lessons: created.lessons.map(formatLesson)
+    });
+  } catch (error) {
+    console.error('Template instantiation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================
+// TRANSLATIONS
+// ========================
+
+const TRANSLATION_NOT_FOUND = {
+  track: 'Learning track not found',
+  course: 'Course not found',
+  lesson: 'Lesson not found',
+  quiz: 'Quiz not found'
+};
+
+// Resolve /admin/translations/:type/:id[/:locale]; throws TranslationError for bad segments
+const parseTranslationTarget = (params) => {
+  const type = TRANSLATION_ROUTE_TYPES[params.type];
+  if (!type) {
+    throw new TranslationError(`Unknown content type "${params.type}". Supported: ${Object.keys(TRANSLATION_ROUTE_TYPES).join(', ')}`);
+  }
+  const id = parseInt(params.id);
+  if (isNaN(id)) {
+    throw new TranslationError('Invalid content ID');
+  }
+  if (params.locale === undefined) {
+    return { type, id };
+  }
+
+  const locale = normalizeLocale(params.locale);
+  if (!locale) {
+    throw new TranslationError('Invalid locale');
+  }
+  if (locale === CONTENT_SOURCE_LOCALE) {
+    throw new TranslationError(`${locale} is the source locale; edit the content itself instead`);
+  }
+  return { type, id, locale };
+};
+
+// Translation completeness per locale (admin only). Without ?locale every configured locale
+// and every locale that already has translations is reported.
+app.get('/admin/translations/report', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
 
-    const query = `UPDATE courses SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
-    const result = await pool.query(query, values);
+    let locales;
+    if (req.query.locale) {
+      locales = parseListParam(req.query.locale).map(normalizeLocale);
+      if (locales.some(locale => !locale)) {
+        return res.status(400).json({ error: 'Invalid locale' });
+      }
+    } else {
+      const existing = await pool.query('SELECT DISTINCT locale FROM content_translations ORDER BY locale');
+      locales = [...CONTENT_LOCALES, ...existing.rows.map(row => row.locale)];
+    }
+    locales = [...new Set(locales)].filter(locale => locale !== CONTENT_SOURCE_LOCALE);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Course not found' });
+    if (locales.length === 0) {
+      return res.json({ sourceLocale: CONTENT_SOURCE_LOCALE, locales: [] });
     }
 
-    const course = result.rows[0];
+    const query = buildCompletenessQuery(locales);
+    const result = await pool.query(query.text, query.values);
+
     res.json({
-      message: 'Course updated successfully',
-      course: {
-        id: course.id,
-        trackId: course.track_id,
-        title: course.title,
-        description: course.description,
-        content: course.content,
-        orderIndex: course.order_index,
-        isPublished: course.is_published,
-        createdAt: course.created_at,
-        updatedAt: course.updated_at
-      }
+      sourceLocale: CONTENT_SOURCE_LOCALE,
+      locales: formatCompletenessReport(result.rows, locales)
     });
   } catch (error) {
-    console.error('Course update error:', error);
+    console.error('Translation report error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update learning track (admin only)
-app.put('/tracks/:id', authenticateToken, [
-  body('title').optional().trim().isLength({ min: 1, max: 255 }),
-  body('description').optional().trim(),
-  body('difficultyLevel').optional().isIn(['beginner', 'intermediate', 'advanced']),
-  body('estimatedHours').optional().isInt({ min: 1 }),
-  body('isPublished').optional().isBoolean()
-], async (req, res) => {
+// Content with missing or outdated translations in one locale (admin only)
+app.get('/admin/translations/report/:locale', authenticateToken, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+    const locale = normalizeLocale(req.params.locale);
+    if (!locale || locale === CONTENT_SOURCE_LOCALE) {
+      return res.status(400).json({ error: 'Invalid locale' });
     }
 
-    const trackId = parseInt(req.params.id);
-    if (isNaN(trackId)) {
-      return res.status(400).json({ error: 'Invalid track ID' });
+    const type = req.query.type ? TRANSLATION_ROUTE_TYPES[req.query.type] : null;
+    if (req.query.type && !type) {
+      return res.status(400).json({ error: `Unknown content type "${req.query.type}". Supported: ${Object.keys(TRANSLATION_ROUTE_TYPES).join(', ')}` });
     }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
 
-    const { title, description, difficultyLevel, estimatedHours, isPublished } = req.body;
-    
-    // Build dynamic update query
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
+    const query = buildMissingTranslationsQuery(locale, { type, limit });
+    const result = await pool.query(query.text, query.values);
 
-    if (title !== undefined) {
-      updates.push(`title = $${paramCount++}`);
-      values.push(title);
-    }
-    if (description !== undefined) {
-      updates.push(`description = $${paramCount++}`);
-      values.push(description);
-    }
-    if (difficultyLevel !== undefined) {
-      updates.push(`difficulty_level = $${paramCount++}`);
-      values.push(difficultyLevel);
-    }
-    if (estimatedHours !== undefined) {
-      updates.push(`estimated_hours = $${paramCount++}`);
-      values.push(estimatedHours);
+    res.json({
+      locale,
+      items: result.rows.map(row => ({
+        type: row.content_type,
+        id: row.content_id,
+        title: row.title,
+        missing: row.missing,
+        outdated: row.outdated
+      }))
+    });
+  } catch (error) {
+    console.error('Missing translations fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Source text and every translation of one track, course, lesson or quiz (admin only)
+app.get('/admin/translations/:type/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
     }
-    if (isPublished !== undefined) {
-      updates.push(`is_published = $${paramCount++}`);
-      values.push(isPublished);
+
+    const { type, id } = parseTranslationTarget(req.params);
+
+    const [sourceResult, translationsResult] = await Promise.all([
+      pool.query(sourceFieldsQuery(type), [id]),
+      pool.query(`
+        SELECT locale, field, value, source_hash, updated_at
+        FROM content_translations
+        WHERE content_type = $1 AND content_id = $2
+        ORDER BY locale, field
+      `, [type, id])
+    ]);
+
+    if (sourceResult.rows.length === 0) {
+      return res.status(404).json({ error: TRANSLATION_NOT_FOUND[type] });
     }
 
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No valid fields to update' });
+    const source = { ...sourceResult.rows[0] };
+    delete source.id;
+    res.json({
+      type,
+      id,
+      sourceLocale: CONTENT_SOURCE_LOCALE,
+      source,
+      translations: groupTranslations(source, translationsResult.rows)
+    });
+  } catch (error) {
+    if (error instanceof TranslationError) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    console.error('Translations fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    updates.push(`updated_at = CURRENT_TIMESTAMP`);
-    values.push(trackId);
+// Create or update translated fields in one locale (admin only); a null field removes it
+app.put('/admin/translations/:type/:id/:locale', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
 
-    const query = `UPDATE learning_tracks SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
-    const result = await pool.query(query, values);
+    const { type, id, locale } = parseTranslationTarget(req.params);
+    const { fields } = req.body;
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Learning track not found' });
+    const fieldErrors = validateTranslationFields(type, fields);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid translation', details: fieldErrors });
     }
 
-    const track = result.rows[0];
-    res.json({
-      message: 'Learning track updated successfully',
-      track: {
-        id: track.id,
-        title: track.title,
-        description: track.description,
-        difficultyLevel: track.difficulty_level,
-        estimatedHours: track.estimated_hours,
-        isPublished: track.is_published,
-        createdAt: track.created_at,
-        updatedAt: track.updated_at
+    const translations = await withTransaction(async (client) => {
+      const sourceResult = await client.query(sourceFieldsQuery(type), [id]);
+      if (sourceResult.rows.length === 0) {
+        throw new TranslationError(TRANSLATION_NOT_FOUND[type], 404);
+      }
+      const source = sourceResult.rows[0];
+
+      for (const [field, value] of Object.entries(fields)) {
+        if (value === null) {
+          await client.query(`
+            DELETE FROM content_translations
+            WHERE content_type = $1 AND content_id = $2 AND locale = $3 AND field = $4
+          `, [type, id, locale, field]);
+        } else {
+          await client.query(`
+            INSERT INTO content_translations (content_type, content_id, locale, field, value, source_hash, updated_by_user_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (content_type, content_id, locale, field)
+            DO UPDATE SET value = EXCLUDED.value, source_hash = EXCLUDED.source_hash,
+                          updated_by_user_id = EXCLUDED.updated_by_user_id, updated_at = CURRENT_TIMESTAMP
+          `, [type, id, locale, field, value, sourceHash(source[field]), req.user.userId]);
+        }
       }
+
+      const result = await client.query(`
+        SELECT locale, field, value, source_hash, updated_at
+        FROM content_translations
+        WHERE content_type = $1 AND content_id = $2 AND locale = $3
+        ORDER BY field
+      `, [type, id, locale]);
+      return groupTranslations(source, result.rows)[locale] || {};
+    });
+
+    res.json({
+      message: 'Translation saved successfully',
+      type,
+      id,
+      locale,
+      translations
     });
   } catch (error) {
-    console.error('Track update error:', error);
+    if (error instanceof TranslationError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Translation update error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete course (admin only)
-app.delete('/courses/:id', authenticateToken, async (req, res) => {
+// Remove every translated field of one item in one locale (admin only)
+app.delete('/admin/translations/:type/:id/:locale', authenticateToken, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const courseId = parseInt(req.params.id);
-    if (isNaN(courseId)) {
-      return res.status(400).json({ error: 'Invalid course ID' });
-    }
+    const { type, id, locale } = parseTranslationTarget(req.params);
 
-    const result = await pool.query('DELETE FROM courses WHERE id = $1 RETURNING id, title', [courseId]);
+    const result = await pool.query(`
+      DELETE FROM content_translations
+      WHERE content_type = $1 AND content_id = $2 AND locale = $3
+      RETURNING field
+    `, [type, id, locale]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Course not found' });
+      return res.status(404).json({ error: 'Translation not found' });
     }
 
     res.json({
-      message: 'Course deleted successfully',
-      deletedCourse: {
-        id: result.rows[0].id,
-        title: result.rows[0].title
-      }
+      message: 'Translation deleted successfully',
+      type,
+      id,
+      locale,
+      deletedFields: result.rows.map(row => row.field)
     });
   } catch (error) {
-    console.error('Course deletion error:', error);
+    if (error instanceof TranslationError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Translation deletion error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete learning track (admin only)
-app.delete('/tracks/:id', authenticateToken, async (req, res) => {
+// ========================
+// MEDIA LIBRARY
+// ========================
+
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MEDIA_BYTES, files: 1 }
+});
+
+// Files arrive as a multipart "file" field
+const receiveMediaUpload = receiveUpload(mediaUpload, 'file');
+
+const MEDIA_COLUMNS = `m.id, m.file_name, m.mime_type, m.kind, m.size_bytes, m.content_hash, m.storage_key, m.thumbnail_key,
+       m.width, m.height, m.uploaded_by_user_id, m.created_at,
+       (SELECT COUNT(*) FROM lesson_media lm WHERE lm.asset_id = m.id) as usage_count`;
+
+// Lessons whose content references an asset, including trashed ones that could be restored
+const MEDIA_USAGE_QUERY = `
+  SELECT l.id, l.title, l.course_id, c.title as course_title, l.deleted_at
+  FROM lesson_media lm
+  JOIN lessons l ON lm.lesson_id = l.id
+  JOIN courses c ON l.course_id = c.id
+  WHERE lm.asset_id = $1
+  ORDER BY l.course_id, l.order_index, l.id
+`;
+
+const formatMediaUsage = (row) => ({
+  lessonId: row.id,
+  lessonTitle: row.title,
+  courseId: row.course_id,
+  courseTitle: row.course_title,
+  inTrash: row.deleted_at !== null && row.deleted_at !== undefined
+});
+
+// Upload an image or attachment for lesson content (admin only). Uploading a file that is
+// already in the library returns the existing asset instead of storing it again.
+app.post('/upload', authenticateToken, receiveMediaUpload, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const trackId = parseInt(req.params.id);
-    if (isNaN(trackId)) {
-      return res.status(400).json({ error: 'Invalid track ID' });
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload the file as multipart field "file"' });
     }
 
-    // Check if track has courses
-    const coursesCheck = await pool.query('SELECT COUNT(*) as count FROM courses WHERE track_id = $1', [trackId]);
-    const courseCount = parseInt(coursesCheck.rows[0].count);
-
-    if (courseCount > 0) {
-      return res.status(400).json({ 
-        error: 'Cannot delete track with existing courses',
-        courseCount
+    const fileName = sanitizeFileName(req.file.originalname);
+    const type = resolveMediaType(req.file.buffer, fileName);
+    const hash = contentHash(req.file.buffer);
+
+    const findExisting = () => pool.query(`SELECT ${MEDIA_COLUMNS} FROM media_assets m WHERE m.content_hash = $1`, [hash]);
+    const existing = await findExisting();
+    if (existing.rows.length > 0) {
+      return res.json({
+        message: 'File is already in the media library',
+        duplicate: true,
+        asset: formatMediaAsset(existing.rows[0])
       });
     }
 
-    const result = await pool.query('DELETE FROM learning_tracks WHERE id = $1 RETURNING id, title', [trackId]);
+    const image = type.kind === 'image' ? await processImage(req.file.buffer) : null;
+    const storageKey = mediaStorageKey(hash, type.extension);
+    const thumbnailKey = image ? thumbnailStorageKey(hash) : null;
+
+    await mediaStorage.put(storageKey, req.file.buffer, { contentType: type.mimeType });
+    if (image) {
+      await mediaStorage.put(thumbnailKey, image.thumbnail, { contentType: 'image/webp' });
+    }
+
+    // The same file uploaded concurrently lands on the same keys; whichever row wins is returned
+    const result = await pool.query(`
+      INSERT INTO media_assets (file_name, mime_type, kind, size_bytes, content_hash, storage_key, thumbnail_key,
+                                width, height, uploaded_by_user_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (content_hash) DO NOTHING
+      RETURNING *, 0 as usage_count
+    `, [fileName, type.mimeType, type.kind, req.file.buffer.length, hash, storageKey, thumbnailKey,
+      image ? image.width : null, image ? image.height : null, req.user.userId]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Learning track not found' });
+      const winner = await findExisting();
+      return res.json({
+        message: 'File is already in the media library',
+        duplicate: true,
+        asset: formatMediaAsset(winner.rows[0])
+      });
     }
 
-    res.json({
-      message: 'Learning track deleted successfully',
-      deletedTrack: {
-        id: result.rows[0].id,
-        title: result.rows[0].title
-      }
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      duplicate: false,
+      asset: formatMediaAsset(result.rows[0])
     });
   } catch (error) {
-    console.error('Track deletion error:', error);
+    if (error instanceof MediaError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Media upload error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get all content for admin management
-app.get('/admin/content', authenticateToken, async (req, res) => {
+// List the media library, newest first (admin only). Filter by kind, file name (q) or
+// unused=true for assets no lesson references.
+app.get('/admin/media', authenticateToken, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const { page = 1, limit = 20, status = 'all', type = 'all' } = req.query;
-    const offset = (page - 1) * limit;
-
-    // Build dynamic query based on filters
-    let whereConditions = [];
-    let queryParams = [];
-    let paramCount = 1;
+    const conditions = [];
+    const params = [];
 
-    if (status !== 'all') {
-      const isPublished = status === 'published';
-      whereConditions.push(`is_published = $${paramCount++}`);
-      queryParams.push(isPublished);
+    if (req.query.kind) {
+      if (!MEDIA_KINDS.includes(req.query.kind)) {
+        return res.status(400).json({ error: `Unknown kind "${req.query.kind}". Supported: ${MEDIA_KINDS.join(', ')}` });
+      }
+      params.push(req.query.kind);
+      conditions.push(`m.kind = $${params.length}`);
     }
-
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-
-    let contentData = {};
-
-    // Get tracks if requested
-    if (type === 'all' || type === 'tracks') {
-      const tracksQuery = `
-        SELECT id, title, description, difficulty_level, estimated_hours, is_published, created_at, updated_at
-        FROM learning_tracks ${whereClause}
-        ORDER BY created_at DESC
-        LIMIT $${paramCount++} OFFSET $${paramCount++}
-      `;
-      queryParams.push(limit, offset);
-      
-      const tracksResult = await pool.query(tracksQuery, queryParams);
-      contentData.tracks = tracksResult.rows.map(track => ({
-        id: track.id,
-        title: track.title,
-        description: track.description,
-        difficultyLevel: track.difficulty_level,
-        estimatedHours: track.estimated_hours,
-        isPublished: track.is_published,
-        createdAt: track.created_at,
-        updatedAt: track.updated_at
-      }));
-      
-      // Reset params for courses query
-      queryParams = queryParams.slice(0, whereConditions.length);
-      paramCount = whereConditions.length + 1;
+    if (typeof req.query.q === 'string' && req.query.q.trim()) {
+      params.push(likePattern(req.query.q.trim()));
+      conditions.push(`m.file_name ILIKE $${params.length}`);
     }
-
-    // Get courses if requested
-    if (type === 'all' || type === 'courses') {
-      const coursesQuery = `
-        SELECT c.id, c.title, c.description, c.track_id, c.order_index, c.is_published, c.created_at, c.updated_at,
-               t.title as track_title
-        FROM courses c
-        JOIN learning_tracks t ON c.track_id = t.id
-        ${whereClause.replace(/is_published/g, 'c.is_published')}
-        ORDER BY c.created_at DESC
-        LIMIT $${paramCount++} OFFSET $${paramCount++}
-      `;
-      queryParams.push(limit, offset);
-      
-      const coursesResult = await pool.query(coursesQuery, queryParams);
-      contentData.courses = coursesResult.rows.map(course => ({
-        id: course.id,
-        title: course.title,
-        description: course.description,
-        trackId: course.track_id,
-        trackTitle: course.track_title,
-        orderIndex: course.order_index,
-        isPublished: course.is_published,
-        createdAt: course.created_at,
-        updatedAt: course.updated_at
-      }));
+    if (req.query.unused === 'true') {
+      conditions.push('NOT EXISTS (SELECT 1 FROM lesson_media lm WHERE lm.asset_id = m.id)');
     }
 
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const [assetsResult, countResult] = await Promise.all([
+      pool.query(`
+        SELECT ${MEDIA_COLUMNS}
+        FROM media_assets m
+        ${where}
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, (page - 1) * limit]),
+      pool.query(`SELECT COUNT(*) as total FROM media_assets m ${where}`, params)
+    ]);
+
     res.json({
-      content: contentData,
+      assets: assetsResult.rows.map(formatMediaAsset),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasMore: (contentData.tracks?.length || contentData.courses?.length) === parseInt(limit)
+        page,
+        limit,
+        total: parseInt(countResult.rows[0].total)
       }
     });
   } catch (error) {
-    console.error('Admin content fetch error:', error);
+    console.error('Media fetch error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Bulk content operations (admin only)
-app.post('/admin/content/bulk', authenticateToken, [
-  body('operation').isIn(['publish', 'unpublish', 'delete']),
-  body('type').isIn(['tracks', 'courses']),
-  body('ids').isArray({ min: 1 }),
-  body('ids.*').isInt()
-], async (req, res) => {
+// Get a media asset with the lessons that use it (admin only)
+app.get('/admin/media/:assetId', authenticateToken, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+    const assetId = parseInt(req.params.assetId);
+    if (isNaN(assetId)) {
+      return res.status(400).json({ error: 'Invalid asset ID' });
     }
 
-    const { operation, type, ids } = req.body;
-    const table = type === 'tracks' ? 'learning_tracks' : 'courses';
-    
-    let query;
-    let values = [ids];
+    const [assetResult, usageResult] = await Promise.all([
+      pool.query(`SELECT ${MEDIA_COLUMNS} FROM media_assets m WHERE m.id = $1`, [assetId]),
+      pool.query(MEDIA_USAGE_QUERY, [assetId])
+    ]);
 
-    switch (operation) {
-      case 'publish':
-        query = `UPDATE ${table} SET is_published = true, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1) RETURNING id, title`;
-        break;
-      case 'unpublish':
-        query = `UPDATE ${table} SET is_published = false, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1) RETURNING id, title`;
-        break;
-      case 'delete':
-        if (type === 'tracks') {
-          // Check for courses in tracks before deletion
-          const coursesCheck = await pool.query('SELECT track_id, COUNT(*) as count FROM courses WHERE track_id = ANY($1) GROUP BY track_id', [ids]);
-          if (coursesCheck.rows.length > 0) {
-            return res.status(400).json({ 
-              error: 'Cannot delete tracks with existing courses',
-              tracksWithCourses: coursesCheck.rows
-            });
-          }
-        }
-        query = `DELETE FROM ${table} WHERE id = ANY($1) RETURNING id, title`;
-        break;
+    if (assetResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Media asset not found' });
     }
 
-    const result = await pool.query(query, values);
-
     res.json({
-      message: `Bulk ${operation} completed successfully`,
-      affected: result.rows.length,
-      items: result.rows
+      asset: formatMediaAsset(assetResult.rows[0]),
+      usedBy: usageResult.rows.map(formatMediaUsage)
     });
   } catch (error) {
-    console.error('Bulk operation error:', error);
+    console.error('Media asset fetch error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Content templates endpoint (admin only)
-app.get('/admin/templates', authenticateToken, async (req, res) => {
+// Delete a media asset (admin only). Assets still referenced by a lesson are kept.
+app.delete('/admin/media/:assetId', authenticateToken, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    // Predefined content templates for QA courses
-    const templates = [
-      {
-        id: 'qa-fundamentals',
-        name: 'QA Fundamentals Course',
-        description: 'Template for basic QA concepts course',
-        content: `# Course Introduction
-
-Welcome to this comprehensive course on Quality Assurance fundamentals.
-
-## Learning Objectives
-- Understand the role of QA in software development
-- Learn basic testing methodologies
-- Practice essential QA skills
-
-## Course Modules
-
-### Module 1: Introduction to QA
-What is Quality Assurance and why is it important?
-
-### Module 2: Testing Types
-- Unit Testing
-- Integration Testing  
-- System Testing
-- Acceptance Testing
-
-### Module 3: Test Planning
-How to create effective test plans and test cases.
-
-## Exercises
-1. Create your first test case
-2. Execute manual testing scenarios
-3. Document defects effectively
-
-## Assessment
-Complete the quiz to test your understanding of QA fundamentals.`,
-        sections: ['Introduction', 'Learning Objectives', 'Course Modules', 'Exercises', 'Assessment']
-      },
-      {
-        id: 'automation-basics',
-        name: 'Test Automation Basics',
-        description: 'Template for test automation introduction',
-        content: `# Test Automation Course
-
-Learn the fundamentals of automated testing and tools.
+    const assetId = parseInt(req.params.assetId);
+    if (isNaN(assetId)) {
+      return res.status(400).json({ error: 'Invalid asset ID' });
+    }
 
-## What You'll Learn
-- Automation framework concepts
-- Popular automation tools
-- Writing effective automated tests
+    // The row lock holds off lesson saves that would add a reference in the meantime
+    const outcome = await withTransaction(async (client) => {
+      const assetResult = await client.query('SELECT * FROM media_assets WHERE id = $1 FOR UPDATE', [assetId]);
+      if (assetResult.rows.length === 0) {
+        throw new MediaError('Media asset not found', 404);
+      }
 
-## Course Content
+      const usageResult = await client.query(MEDIA_USAGE_QUERY, [assetId]);
+      if (usageResult.rows.length === 0) {
+        await client.query('DELETE FROM media_assets WHERE id = $1', [assetId]);
+      }
+      return { asset: assetResult.rows[0], usedBy: usageResult.rows };
+    });
 
-### Introduction to Automation
-Why automate testing and when to use automation.
+    if (outcome.usedBy.length > 0) {
+      return res.status(409).json({
+        error: 'Media asset is still used by lessons',
+        usedBy: outcome.usedBy.map(formatMediaUsage)
+      });
+    }
 
-### Tools Overview
-- Selenium WebDriver
-- Cypress
-- Postman for API testing
+    // The row is gone, so a file left behind here is only wasted space
+    const keys = [outcome.asset.storage_key, outcome.asset.thumbnail_key].filter(Boolean);
+    await Promise.all(keys.map(key => mediaStorage.remove(key).catch(error => {
+      console.error(`Media file removal error (${key}):`, error);
+    })));
 
-### Hands-on Practice
-Build your first automated test suite.
+    res.json({
+      message: 'Media asset deleted successfully',
+      deletedAsset: { id: outcome.asset.id, fileName: outcome.asset.file_name }
+    });
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.code === '23503') {
+      return res.status(409).json({ error: 'Media asset is still used by lessons' });
+    }
+    console.error('Media deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-## Lab Exercises
-1. Set up automation environment
-2. Write your first automated test
-3. Create test reports
+// Serve an uploaded file or its thumbnail. Bytes never change under an asset ID, so
+// responses can be cached indefinitely.
+const serveMedia = (variant) => async (req, res) => {
+  try {
+    const assetId = parseInt(req.params.assetId);
+    if (isNaN(assetId)) {
+      return res.status(400).json({ error: 'Invalid asset ID' });
+    }
 
-## Final Project
-Design and implement an automation strategy for a sample application.`,
-        sections: ['Introduction', 'Tools Overview', 'Hands-on Practice', 'Lab Exercises', 'Final Project']
-      },
-      {
-        id: 'api-testing',
-        name: 'API Testing Course',
-        description: 'Template for API testing fundamentals',
-        content: `# API Testing Fundamentals
-
-Master the art of testing APIs and web services.
-
-## Course Overview
-Learn to test REST APIs, validate responses, and automate API tests.
-
-### Prerequisites  
-- Basic understanding of HTTP
-- Familiarity with JSON/XML
-
-### Topics Covered
-1. REST API concepts
-2. HTTP methods and status codes
-3. API testing tools (Postman, REST Assured)
-4. Test data management
-5. API automation strategies
-
-### Practical Exercises
-- Manual API testing with Postman
-- Automated API tests with scripts
-- Performance testing APIs
-
-### Assessment Methods
-- Hands-on lab completion
-- API test suite creation
-- Quiz on API testing concepts`,
-        sections: ['Overview', 'Prerequisites', 'Topics', 'Exercises', 'Assessment']
-      }
-    ];
+    const result = await pool.query(
+      'SELECT id, file_name, mime_type, kind, storage_key, thumbnail_key FROM media_assets WHERE id = $1',
+      [assetId]
+    );
+    const asset = result.rows[0];
+    const key = asset && (variant === 'thumbnail' ? asset.thumbnail_key : asset.storage_key);
+    const file = key ? await mediaStorage.get(key) : null;
+    if (!file) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
 
-    res.json({ templates });
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type(variant === 'thumbnail' ? 'image/webp' : asset.mime_type);
+    // Images, videos and PDFs display in the lesson; everything else downloads
+    if (variant === 'file' && !['image', 'video'].includes(asset.kind) && asset.mime_type !== 'application/pdf') {
+      res.attachment(asset.file_name);
+    }
+    res.send(file);
   } catch (error) {
-    console.error('Templates fetch error:', error);
+    console.error('Media serve error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+app.get('/media/:assetId/file', serveMedia('file'));
+app.get('/media/:assetId/thumbnail', serveMedia('thumbnail'));
 
 // ========================
 // END CONTENT MANAGEMENT
@@ -1749,6 +6270,15 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`📚 Content Service running on port ${PORT}`);
     console.log(`📚 Environment: ${process.env.NODE_ENV || 'development'}`);
   });
+
+  // Auto-close timed attempts that were abandoned past their deadline
+  setInterval(expireStaleQuizAttempts, QUIZ_EXPIRY_SWEEP_INTERVAL_MS);
+
+  // Publish approved content once its scheduled publish_at has passed
+  setInterval(publishScheduledContent, PUBLISH_SCHEDULER_INTERVAL_MS);
+
+  // Remove content that has outlived the trash retention period
+  setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
 }
 
 module.exports = app; 
\ No newline at end of file
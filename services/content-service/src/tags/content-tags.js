@@ -0,0 +1,63 @@
+// Content Tags
+// content_tags are attached to tracks (track_tags) and courses (course_tags). Catalog
+// endpoints filter with ?tags=, where each entry is a tag ID or a case-insensitive tag
+// name, and content matches when it carries any of the listed tags.
+
+const TAG_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+// Join tables keyed by the kind of content the tags are attached to
+const TAG_TARGETS = {
+  track: { table: 'learning_tracks', joinTable: 'track_tags', column: 'track_id' },
+  course: { table: 'courses', joinTable: 'course_tags', column: 'course_id' }
+};
+
+// "QA Testing,2" or ?tags=a&tags=b -> ['qa testing', '2']
+const parseTagFilter = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return [...new Set(
+    values.flatMap(v => String(v).split(',')).map(v => v.trim().toLowerCase()).filter(Boolean)
+  )];
+};
+
+// Matches content_tags rows (aliased ct) against a parameter holding parseTagFilter output
+const tagMatchCondition = (param) => `(ct.id::text = ANY(${param}) OR lower(ct.name) = ANY(${param}))`;
+
+// JSON array of { id, name, color } for the content whose id is idExpr
+const tagsSubquery = (target, idExpr) => {
+  const { joinTable, column } = TAG_TARGETS[target];
+  return `COALESCE((
+    SELECT json_agg(json_build_object('id', ct.id, 'name', ct.name, 'color', ct.color) ORDER BY ct.name)
+    FROM ${joinTable} j JOIN content_tags ct ON ct.id = j.tag_id
+    WHERE j.${column} = ${idExpr}
+  ), '[]')`;
+};
+
+// True when the content whose id is idExpr carries any of the tags in param
+const tagFilterCondition = (target, idExpr, param) => {
+  const { joinTable, column } = TAG_TARGETS[target];
+  return `EXISTS (
+    SELECT 1 FROM ${joinTable} j JOIN content_tags ct ON ct.id = j.tag_id
+    WHERE j.${column} = ${idExpr} AND ${tagMatchCondition(param)}
+  )`;
+};
+
+const formatTag = (tag) => ({
+  id: tag.id,
+  name: tag.name,
+  description: tag.description,
+  color: tag.color,
+  trackCount: tag.track_count === undefined ? undefined : parseInt(tag.track_count),
+  courseCount: tag.course_count === undefined ? undefined : parseInt(tag.course_count),
+  createdAt: tag.created_at
+});
+
+module.exports = {
+  TAG_COLOR_PATTERN,
+  TAG_TARGETS,
+  parseTagFilter,
+  tagMatchCondition,
+  tagsSubquery,
+  tagFilterCondition,
+  formatTag
+};
@@ -0,0 +1,173 @@
+// Content Templates
+// A template is a reusable course outline stored in content_templates: course content plus
+// any number of lessons, all of which may contain {{variable}} placeholders. Variables are
+// declared on the template (with an optional default and a required flag) and filled in when
+// a course is instantiated from it. courseTitle and trackTitle are always available and are
+// filled in from the course being created.
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const BUILT_IN_VARIABLES = ['courseTitle', 'trackTitle'];
+
+// Matches the lessons.lesson_type CHECK constraint
+const LESSON_TYPES = ['text', 'video', 'quiz', 'assignment'];
+
+class TemplateError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'TemplateError';
+    this.details = details;
+  }
+}
+
+const slugify = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 100);
+
+// Names of the placeholders used in text, in order of first use
+const extractVariables = (text) => [...new Set([...String(text || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+const renderText = (text, values) =>
+  String(text || '').replace(VARIABLE_PATTERN, (placeholder, name) => (name in values ? values[name] : placeholder));
+
+// Validate a template as submitted by an author; returns a list of "field: message" errors
+const validateTemplate = ({ name, slug, description, content, sections, variables, lessons }) => {
+  const errors = [];
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 255) {
+    errors.push('name: must be 1-255 characters');
+  }
+  if (slug !== undefined && (typeof slug !== 'string' || slug.length > 100 || !SLUG_PATTERN.test(slug))) {
+    errors.push('slug: must be lowercase letters, digits and dashes (at most 100 characters)');
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    errors.push('description: must be a string');
+  }
+  if (content !== undefined && typeof content !== 'string') {
+    errors.push('content: must be a string');
+  }
+  if (sections !== undefined && (!Array.isArray(sections) || !sections.every(section => typeof section === 'string'))) {
+    errors.push('sections: must be an array of strings');
+  }
+
+  const declared = new Set(BUILT_IN_VARIABLES);
+  if (variables !== undefined) {
+    if (!Array.isArray(variables)) {
+      errors.push('variables: must be an array');
+    } else {
+      variables.forEach((variable, index) => {
+        const field = `variables[${index}]`;
+        if (!variable || typeof variable !== 'object' || !VARIABLE_NAME_PATTERN.test(variable.name)) {
+          errors.push(`${field}: name must start with a letter and contain only letters, digits and underscores`);
+          return;
+        }
+        if (BUILT_IN_VARIABLES.includes(variable.name)) {
+          errors.push(`${field}: "${variable.name}" is filled in automatically and cannot be declared`);
+        } else if (declared.has(variable.name)) {
+          errors.push(`${field}: "${variable.name}" is declared twice`);
+        }
+        if (variable.default !== undefined && variable.default !== null && typeof variable.default !== 'string') {
+          errors.push(`${field}: default must be a string`);
+        }
+        if (variable.required !== undefined && typeof variable.required !== 'boolean') {
+          errors.push(`${field}: required must be a boolean`);
+        }
+        declared.add(variable.name);
+      });
+    }
+  }
+
+  const checkPlaceholders = (field, text) => {
+    extractVariables(text).filter(variable => !declared.has(variable)).forEach(variable => {
+      errors.push(`${field}: uses undeclared variable "{{${variable}}}"`);
+    });
+  };
+  checkPlaceholders('content', content);
+
+  if (lessons !== undefined) {
+    if (!Array.isArray(lessons)) {
+      errors.push('lessons: must be an array');
+    } else {
+      lessons.forEach((lesson, index) => {
+        const field = `lessons[${index}]`;
+        if (!lesson || typeof lesson !== 'object') {
+          errors.push(`${field}: must be an object`);
+          return;
+        }
+        if (typeof lesson.title !== 'string' || lesson.title.trim() === '' || lesson.title.length > 255) {
+          errors.push(`${field}: title must be 1-255 characters`);
+        }
+        if (lesson.content !== undefined && typeof lesson.content !== 'string') {
+          errors.push(`${field}: content must be a string`);
+        }
+        if (lesson.lessonType !== undefined && !LESSON_TYPES.includes(lesson.lessonType)) {
+          errors.push(`${field}: lessonType must be one of ${LESSON_TYPES.join(', ')}`);
+        }
+        if (lesson.durationMinutes !== undefined && (!Number.isInteger(lesson.durationMinutes) || lesson.durationMinutes < 0)) {
+          errors.push(`${field}: durationMinutes must be a non-negative integer`);
+        }
+        checkPlaceholders(`${field}.title`, lesson.title);
+        checkPlaceholders(`${field}.content`, lesson.content);
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Work out the value of every variable from what the caller supplied, the declared defaults
+// and the built-ins. Throws a TemplateError listing every missing or unknown variable.
+const resolveVariables = (template, provided = {}, builtIns = {}) => {
+  const errors = [];
+  const declared = template.variables || [];
+  const known = new Set(declared.map(variable => variable.name));
+
+  for (const name of Object.keys(provided)) {
+    if (!known.has(name)) {
+      errors.push(`Unknown variable "${name}"`);
+    } else if (!['string', 'number'].includes(typeof provided[name])) {
+      errors.push(`Value for "${name}" must be a string or number`);
+    }
+  }
+
+  const values = { ...builtIns };
+  for (const variable of declared) {
+    const value = provided[variable.name] !== undefined ? provided[variable.name] : variable.default;
+    if (value === undefined || value === null || String(value).trim() === '') {
+      if (variable.required !== false) {
+        errors.push(`Missing value for "${variable.name}"`);
+      }
+      values[variable.name] = '';
+    } else {
+      values[variable.name] = String(value);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new TemplateError('Invalid template variables', errors);
+  }
+  return values;
+};
+
+// The course content and lessons a template produces for the given variable values
+const instantiateTemplate = (template, values) => ({
+  content: renderText(template.content, values),
+  lessons: (template.lessons || []).map((lesson, index) => ({
+    title: renderText(lesson.title, values),
+    content: renderText(lesson.content, values),
+    lessonType: lesson.lessonType || 'text',
+    durationMinutes: lesson.durationMinutes || 0,
+    orderIndex: index + 1
+  }))
+});
+
+module.exports = {
+  BUILT_IN_VARIABLES,
+  TemplateError,
+  slugify,
+  extractVariables,
+  renderText,
+  validateTemplate,
+  resolveVariables,
+  instantiateTemplate
+};
@@ -0,0 +1,136 @@
+const {
+  SearchRequestError,
+  parseListParam,
+  encodeCursor,
+  decodeCursor,
+  parseSearchRequest,
+  buildCatalogSearch,
+  formatSearchResponse
+} = require('../search/catalog-search');
+
+describe('Catalog Search', () => {
+  describe('parseSearchRequest', () => {
+    it('should apply defaults', () => {
+      expect(parseSearchRequest({ q: '  boundary value  ' })).toEqual({
+        text: 'boundary value',
+        types: [],
+        difficulties: [],
+        tags: [],
+        limit: 20,
+        offset: 0,
+        cursor: null
+      });
+    });
+
+    it('should clamp the limit and accept repeated or comma-separated lists', () => {
+      const parsed = parseSearchRequest({ q: 'qa', limit: '500', type: ['lesson', 'quiz,course'], difficulty: 'beginner' });
+
+      expect(parsed.limit).toBe(100);
+      expect(parsed.types).toEqual(['lesson', 'quiz', 'course']);
+      expect(parsed.difficulties).toEqual(['beginner']);
+    });
+
+    it('should ignore the offset when a cursor is given', () => {
+      const cursor = encodeCursor({ rank: 0.25, type: 'quiz', id: 3 });
+      const parsed = parseSearchRequest({ q: 'qa', offset: '40', cursor });
+
+      expect(parsed.offset).toBe(0);
+      expect(parsed.cursor).toEqual({ rank: 0.25, type: 'quiz', id: 3 });
+    });
+
+    it('should reject missing queries, unknown types and bad cursors', () => {
+      expect(() => parseSearchRequest({ q: '   ' })).toThrow('Search query is required');
+      expect(() => parseSearchRequest({ q: 'qa', type: 'video' })).toThrow(SearchRequestError);
+      expect(() => decodeCursor(encodeCursor({ rank: 'high', type: 'quiz', id: 3 }))).toThrow('Invalid cursor');
+    });
+  });
+
+  it('should drop empty list entries', () => {
+    expect(parseListParam(' a, ,b ')).toEqual(['a', 'b']);
+    expect(parseListParam(undefined)).toEqual([]);
+  });
+
+  describe('buildCatalogSearch', () => {
+    it('should parameterize filters and keep facets disjunctive', () => {
+      const { resultsQuery, countsQuery } = buildCatalogSearch(
+        parseSearchRequest({ q: 'exploratory', type: 'lesson', difficulty: 'advanced', limit: '10', offset: '30' })
+      );
+
+      expect(resultsQuery.values).toEqual(['exploratory', ['lesson'], ['advanced'], 11, 30]);
+      expect(resultsQuery.text).toContain('WHERE type = ANY($2) AND difficulty = ANY($3)');
+      expect(resultsQuery.text).toContain('LIMIT $4 OFFSET $5');
+      expect(countsQuery.values).toEqual(['exploratory', ['lesson'], ['advanced']]);
+      // The type facet is counted without the type filter and vice versa
+      expect(countsQuery.text).toContain('FROM documents WHERE difficulty = ANY($3) GROUP BY type');
+      expect(countsQuery.text).toContain('FROM documents WHERE type = ANY($2)\n');
+    });
+
+    it('should match tags by ID or name and count the tag facet without that filter', () => {
+      const { resultsQuery, countsQuery } = buildCatalogSearch(parseSearchRequest({ q: 'selenium', tags: 'Automation,4' }));
+
+      expect(resultsQuery.values.slice(0, 2)).toEqual(['selenium', ['automation', '4']]);
+      expect(resultsQuery.text).toContain('WHERE tag_ids && ARRAY(SELECT ct.id FROM content_tags ct WHERE (ct.id::text = ANY($2) OR lower(ct.name) = ANY($2)))');
+      expect(countsQuery.text).toContain('FROM (SELECT * FROM documents ) d');
+    });
+
+    it('should page after the cursor position', () => {
+      const { resultsQuery } = buildCatalogSearch(
+        parseSearchRequest({ q: 'qa', cursor: encodeCursor({ rank: 0.5, type: 'course', id: 9 }) })
+      );
+
+      expect(resultsQuery.text).toContain('(rank < $2::real OR (rank = $2::real AND (type, id) > ($3, $4::int)))');
+      expect(resultsQuery.values).toEqual(['qa', 0.5, 'course', 9, 21, 0]);
+    });
+
+    it('should build snippets from the text without its tags', () => {
+      const { resultsQuery } = buildCatalogSearch(parseSearchRequest({ q: 'qa' }));
+
+      expect(resultsQuery.text).toContain("ts_headline('english', translate(regexp_replace(coalesce(page.body, ''), '<[^>]*>', ' ', 'g')");
+      expect(resultsQuery.text).not.toContain('StartSel=<mark>');
+    });
+  });
+
+  describe('formatSearchResponse', () => {
+    const request = parseSearchRequest({ q: 'qa', limit: '2' });
+    const rows = [
+      { type: 'track', id: 1, title: 'QA', rank: 0.9, estimated_minutes: 600, snippet: '\u27E6QA\u27E7 basics' },
+      { type: 'course', id: 4, title: 'QA Basics', rank: 0.7, estimated_minutes: 90, snippet: '' },
+      { type: 'lesson', id: 8, title: 'QA Roles', rank: 0.4, estimated_minutes: 15, snippet: '' }
+    ];
+
+    it('should trim the look-ahead row and point the cursor at the last result', () => {
+      const response = formatSearchResponse(request, rows, { total: '5' });
+
+      expect(response.results.map(r => r.id)).toEqual([1, 4]);
+      expect(response.results[0].estimatedMinutes).toBe(600);
+      expect(response.total).toBe(5);
+      expect(response.hasMore).toBe(true);
+      expect(decodeCursor(response.nextCursor)).toEqual({ rank: 0.7, type: 'course', id: 4 });
+    });
+
+    it('should escape snippets and only mark the matches', () => {
+      const response = formatSearchResponse(request, [
+        { ...rows[0], snippet: '<img src=x onerror=alert(1)> Tom & \u27E6QA\u27E7 "team"' }
+      ], { total: '1' });
+
+      expect(response.results[0].snippet)
+        .toBe('&lt;img src=x onerror=alert(1)&gt; Tom &amp; <mark>QA</mark> &quot;team&quot;');
+    });
+
+    it('should convert facet counts to numbers', () => {
+      const response = formatSearchResponse(request, rows.slice(0, 1), {
+        total: '1',
+        types: [{ value: 'track', count: '1' }],
+        tags: [{ id: 2, name: 'Automation', color: '#10B981', count: '1' }]
+      });
+
+      expect(response.hasMore).toBe(false);
+      expect(response.nextCursor).toBeNull();
+      expect(response.facets).toEqual({
+        type: [{ value: 'track', count: 1 }],
+        difficulty: [],
+        tags: [{ id: 2, name: 'Automation', color: '#10B981', count: 1 }]
+      });
+    });
+  });
+});
@@ -132,7 +132,9 @@ describe('Content Service Unit Tests', () => {
             updated_at: new Date()
           }
         ]
-      });
+      })
+      // Mock prerequisites query
+      .mockResolvedValueOnce({ rows: [] });
 
       const response = await request(app).get('/tracks/1');
 
@@ -298,45 +300,70 @@ describe('Content Service Unit Tests', () => {
   });
 
   describe('Search Functionality', () => {
-    it('should search tracks and courses', async () => {
-      // Mock tracks query
+    const counts = (overrides = {}) => ({
+      rows: [{ total: '2', types: [], difficulties: [], tags: [], ...overrides }]
+    });
+
+    it('should return ranked results across content types with snippets', async () => {
+      // Mock page query
       mockQuery.mockResolvedValueOnce({
         rows: [
           {
-            id: 1,
-            title: 'QA Fundamentals',
-            description: 'Learn QA basics',
-            difficulty_level: 'beginner',
-            estimated_hours: 4,
-            prerequisites: null,
-            created_at: new Date(),
-            updated_at: new Date()
-          }
-        ]
-      })
-      // Mock courses query
-      .mockResolvedValueOnce({
-        rows: [
+            type: 'lesson',
+            id: 4,
+            title: 'Boundary Value Analysis',
+            description: null,
+            difficulty: 'beginner',
+            estimated_minutes: 30,
+            track_id: 1,
+            course_id: 1,
+            lesson_id: 4,
+            rank: 0.6079271,
+            snippet: 'Use \u27E6boundary\u27E7 \u27E6value\u27E7 \u27E6analysis\u27E7 to pick inputs'
+          },
           {
+            type: 'course',
             id: 1,
             title: 'Introduction to QA',
             description: 'Basic QA concepts',
-            content: '# Introduction\n\nWelcome to QA!',
+            difficulty: 'beginner',
+            estimated_minutes: 90,
             track_id: 1,
-            order_index: 1,
-            created_at: new Date(),
-            updated_at: new Date()
+            course_id: 1,
+            lesson_id: null,
+            rank: 0.1,
+            snippet: 'Test design with \u27E6boundary\u27E7 values'
           }
         ]
-      });
+      })
+      // Mock counts and facets query
+      .mockResolvedValueOnce(counts({
+        types: [{ value: 'course', count: 1 }, { value: 'lesson', count: 1 }],
+        difficulties: [{ value: 'beginner', count: 2 }],
+        tags: [{ id: 1, name: 'QA Testing', color: '#3B82F6', count: 2 }]
+      }));
 
-      const response = await request(app).get('/search?q=QA');
+      const response = await request(app).get('/search?q=boundary%20value%20analysis');
 
       expect(response.status).toBe(200);
-      expect(response.body).toHaveLength(2);
-      expect(response.body[0].type).toBe('track');
-      expect(response.body[1].type).toBe('course');
-      expect(response.body[0].title).toContain('QA');
+      expect(response.body.total).toBe(2);
+      expect(response.body.results).toHaveLength(2);
+      expect(response.body.results[0]).toMatchObject({
+        type: 'lesson',
+        title: 'Boundary Value Analysis',
+        estimatedMinutes: 30,
+        courseId: 1
+      });
+      expect(response.body.results[0].snippet).toContain('<mark>boundary</mark>');
+      expect(response.body.results[1].estimatedMinutes).toBe(90);
+      expect(response.body.facets.difficulty).toEqual([{ value: 'beginner', count: 2 }]);
+      expect(response.body.facets.tags[0]).toMatchObject({ name: 'QA Testing', color: '#3B82F6', count: 2 });
+      expect(response.body.hasMore).toBe(false);
+      expect(response.body.nextCursor).toBeNull();
+
+      // Full-text search rather than ILIKE
+      expect(mockQuery.mock.calls[0][0]).toContain("websearch_to_tsquery('english', $1)");
+      expect(mockQuery.mock.calls[0][1][0]).toBe('boundary value analysis');
     });
 
     it('should handle empty search query', async () => {
@@ -347,48 +374,69 @@ describe('Content Service Unit Tests', () => {
     });
 
     it('should handle empty search results', async () => {
-      // Mock both tracks and courses queries returning empty
       mockQuery.mockResolvedValueOnce({ rows: [] })
-                .mockResolvedValueOnce({ rows: [] });
+                .mockResolvedValueOnce(counts({ total: '0' }));
 
       const response = await request(app).get('/search?q=nonexistent');
 
       expect(response.status).toBe(200);
-      expect(response.body).toHaveLength(0);
+      expect(response.body.results).toHaveLength(0);
+      expect(response.body.total).toBe(0);
     });
 
-    it('should limit search results', async () => {
-      const manyTrackResults = Array.from({ length: 3 }, (_, i) => ({
-        id: i + 1,
-        title: `Track ${i + 1}`,
-        description: `Track Description ${i + 1}`,
-        difficulty_level: 'beginner',
-        estimated_hours: 4,
-        prerequisites: null,
-        created_at: new Date(),
-        updated_at: new Date()
-      }));
-
-      const manyCourseResults = Array.from({ length: 3 }, (_, i) => ({
+    it('should limit search results and return a cursor for the next page', async () => {
+      const manyResults = Array.from({ length: 6 }, (_, i) => ({
+        type: 'course',
         id: i + 1,
         title: `Course ${i + 1}`,
-        description: `Course Description ${i + 1}`,
-        content: `# Course ${i + 1}`,
-        track_id: 1,
-        order_index: i + 1,
-        created_at: new Date(),
-        updated_at: new Date()
+        rank: 0.5 - i * 0.01,
+        snippet: ''
       }));
 
-      // Mock tracks query (first call)
-      mockQuery.mockResolvedValueOnce({ rows: manyTrackResults })
-      // Mock courses query (second call)  
-                .mockResolvedValueOnce({ rows: manyCourseResults });
+      mockQuery.mockResolvedValueOnce({ rows: manyResults })
+                .mockResolvedValueOnce(counts({ total: '12' }));
 
       const response = await request(app).get('/search?q=course&limit=5');
 
       expect(response.status).toBe(200);
-      expect(response.body).toHaveLength(5);
+      expect(response.body.results).toHaveLength(5);
+      expect(response.body.hasMore).toBe(true);
+      expect(response.body.total).toBe(12);
+
+      // One extra row is fetched to detect the next page
+      const pageParams = mockQuery.mock.calls[0][1];
+      expect(pageParams.slice(-2)).toEqual([6, 0]);
+
+      mockQuery.mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce(counts({ total: '12' }));
+
+      const next = await request(app).get(`/search?q=course&limit=5&cursor=${response.body.nextCursor}`);
+
+      expect(next.status).toBe(200);
+      expect(mockQuery.mock.calls[2][0]).toContain('rank < $2::real');
+      expect(mockQuery.mock.calls[2][1].slice(1, 4)).toEqual([0.46, 'course', 5]);
+    });
+
+    it('should filter by type and difficulty', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce(counts({ total: '0' }));
+
+      const response = await request(app).get('/search?q=testing&type=lesson,quiz&difficulty=advanced&offset=20');
+
+      expect(response.status).toBe(200);
+      expect(response.body.offset).toBe(20);
+      expect(mockQuery.mock.calls[0][1]).toEqual(['testing', ['lesson', 'quiz'], ['advanced'], 21, 20]);
+    });
+
+    it('should reject unknown types and malformed cursors', async () => {
+      const badType = await request(app).get('/search?q=qa&type=video');
+      const badCursor = await request(app).get('/search?q=qa&cursor=not-a-cursor');
+
+      expect(badType.status).toBe(400);
+      expect(badType.body.error).toMatch(/Unknown type "video"/);
+      expect(badCursor.status).toBe(400);
+      expect(badCursor.body.error).toBe('Invalid cursor');
+      expect(mockQuery).not.toHaveBeenCalled();
     });
   });
 
@@ -447,10 +495,12 @@ describe('Content Service Unit Tests', () => {
       const response = await request(app).get(`/search?q=${encodeURIComponent(maliciousQuery)}`);
 
       expect(response.status).toBe(200);
-      expect(response.body).toHaveLength(0);
+      expect(response.body.results).toHaveLength(0);
       
       // Verify that the query was called with parameterized values
       expect(mockQuery).toHaveBeenCalled();
+      expect(mockQuery.mock.calls[0][0]).not.toContain('DROP TABLE');
+      expect(mockQuery.mock.calls[0][1][0]).toBe(maliciousQuery);
     });
   });
 
@@ -0,0 +1,235 @@
+const {
+  validateQuestion,
+  gradeQuestion,
+  registerQuestionType,
+  getQuestionTypes
+} = require('../quiz/grading');
+
+const question = (question_type, answer_options, correct_answer) => ({
+  id: 1,
+  question_type,
+  answer_options,
+  correct_answer: typeof correct_answer === 'string' ? correct_answer : JSON.stringify(correct_answer)
+});
+
+describe('Quiz Grading Engine', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('existing question types', () => {
+    it('should grade multiple choice case-insensitively', () => {
+      const q = question('multiple_choice', ['Unit Testing', 'System Testing'], 'Unit Testing');
+
+      expect(gradeQuestion(q, '  unit testing ').isCorrect).toBe(true);
+      expect(gradeQuestion(q, 'System Testing').isCorrect).toBe(false);
+      expect(gradeQuestion(q, null).isCorrect).toBe(false);
+    });
+
+    it('should accept boolean answers for true/false', () => {
+      const q = question('true_false', ['true', 'false'], 'false');
+
+      expect(gradeQuestion(q, false).isCorrect).toBe(true);
+      expect(gradeQuestion(q, 'TRUE').isCorrect).toBe(false);
+    });
+
+    it('should grade free text by normalized equality', () => {
+      const q = question('text', null, 'Quality Assurance');
+
+      expect(gradeQuestion(q, 'quality   assurance').isCorrect).toBe(true);
+    });
+  });
+
+  describe('new question types', () => {
+    it('should require the exact set for multi_select', () => {
+      const q = question('multi_select', ['A', 'B', 'C'], ['A', 'C']);
+
+      expect(gradeQuestion(q, ['c', 'a']).isCorrect).toBe(true);
+      expect(gradeQuestion(q, ['A']).isCorrect).toBe(false);
+      expect(gradeQuestion(q, ['A', 'B', 'C']).isCorrect).toBe(false);
+      expect(gradeQuestion(q, 'A').isCorrect).toBe(false);
+    });
+
+    it('should require the exact sequence for ordering', () => {
+      const q = question('ordering', ['Execute', 'Plan', 'Report'], ['Plan', 'Execute', 'Report']);
+
+      expect(gradeQuestion(q, ['Plan', 'Execute', 'Report']).isCorrect).toBe(true);
+      expect(gradeQuestion(q, ['Execute', 'Plan', 'Report']).isCorrect).toBe(false);
+    });
+
+    it('should check every pair for matching', () => {
+      const q = question(
+        'matching',
+        { prompts: ['Selenium', 'JMeter'], choices: ['UI automation', 'Load testing'] },
+        { Selenium: 'UI automation', JMeter: 'Load testing' }
+      );
+
+      expect(gradeQuestion(q, { Selenium: 'UI automation', JMeter: 'Load testing' }).isCorrect).toBe(true);
+      expect(gradeQuestion(q, { Selenium: 'UI automation' }).isCorrect).toBe(false);
+      expect(gradeQuestion(q, ['UI automation']).isCorrect).toBe(false);
+    });
+
+    it('should accept any listed answer per blank for fill_blank', () => {
+      const q = question('fill_blank', null, [['boundary', 'boundary value'], ['equivalence']]);
+
+      expect(gradeQuestion(q, ['Boundary Value', 'equivalence']).isCorrect).toBe(true);
+      expect(gradeQuestion(q, ['boundary']).isCorrect).toBe(false);
+      expect(gradeQuestion(q, ['edge', 'equivalence']).isCorrect).toBe(false);
+    });
+
+    it('should honour caseSensitive for fill_blank', () => {
+      const q = question('fill_blank', { caseSensitive: true }, [['HTTP']]);
+
+      expect(gradeQuestion(q, 'HTTP').isCorrect).toBe(true);
+      expect(gradeQuestion(q, 'http').isCorrect).toBe(false);
+    });
+
+    it('should apply the tolerance for numeric answers', () => {
+      const q = question('numeric', null, { value: 99.9, tolerance: 0.05 });
+
+      expect(gradeQuestion(q, '99.94').isCorrect).toBe(true);
+      expect(gradeQuestion(q, 99.8).isCorrect).toBe(false);
+      expect(gradeQuestion(q, 'abc').isCorrect).toBe(false);
+      expect(gradeQuestion(q, '').isCorrect).toBe(false);
+    });
+
+    it('should match the whole answer for regex', () => {
+      const q = question('regex', null, { pattern: 'black[- ]?box( testing)?', flags: 'i' });
+
+      expect(gradeQuestion(q, 'Black-box testing').isCorrect).toBe(true);
+      expect(gradeQuestion(q, 'not black box').isCorrect).toBe(false);
+    });
+
+    it('should report proportional credit for multi-answer types', () => {
+      const ordering = question('ordering', ['A', 'B', 'C', 'D'], ['A', 'B', 'C', 'D']);
+      const blanks = question('fill_blank', null, [['a'], ['b']]);
+
+      expect(gradeQuestion(ordering, ['A', 'B', 'D', 'C']).credit).toBe(0.5);
+      expect(gradeQuestion(blanks, ['a', 'x']).credit).toBe(0.5);
+      expect(gradeQuestion(question('text', null, 'x'), 'x').credit).toBe(1);
+    });
+
+    it('should return the parsed correct answer for review', () => {
+      const q = question('multi_select', ['A', 'B'], ['A']);
+
+      expect(gradeQuestion(q, ['A']).correctAnswer).toEqual(['A']);
+    });
+  });
+
+  describe('misconfigured questions', () => {
+    it('should mark unknown types as incorrect instead of throwing', () => {
+      const result = gradeQuestion(question('hotspot', null, 'x'), 'x');
+
+      expect(result.isCorrect).toBe(false);
+      expect(result.gradingError).toBe('Question is misconfigured');
+    });
+
+    it('should mark unparseable JSON answers as incorrect', () => {
+      const result = gradeQuestion(question('numeric', null, '{not json'), '1');
+
+      expect(result.isCorrect).toBe(false);
+      expect(result.gradingError).toBeDefined();
+    });
+
+    it('should not run regex patterns that could backtrack catastrophically', () => {
+      const result = gradeQuestion(question('regex', null, { pattern: '(a+)+b' }), `${'a'.repeat(1000)}`);
+
+      expect(result.isCorrect).toBe(false);
+      expect(result.gradingError).toBe('Question is misconfigured');
+    });
+
+    it('should give up on regex answers that take too long to match', () => {
+      // Adjacent overlapping quantifiers pass the authoring check but backtrack polynomially
+      const q = question('regex', null, { pattern: '\\d*\\d*\\d*\\d*x' });
+      expect(validateQuestion({ questionType: 'regex', correctAnswer: q.correct_answer })).toEqual([]);
+
+      const startedAt = Date.now();
+      const result = gradeQuestion(q, '1'.repeat(1000));
+
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+      expect(result.isCorrect).toBe(false);
+      expect(result.gradingError).toBe('Question is misconfigured');
+      expect(gradeQuestion(q, '123x').isCorrect).toBe(true);
+    });
+  });
+
+  describe('validateQuestion', () => {
+    it('should accept valid definitions', () => {
+      expect(validateQuestion({
+        questionType: 'multiple_choice',
+        answerOptions: ['A', 'B'],
+        correctAnswer: 'B'
+      })).toEqual([]);
+      expect(validateQuestion({
+        questionType: 'numeric',
+        answerOptions: null,
+        correctAnswer: '{"value": 3, "tolerance": 0.5}'
+      })).toEqual([]);
+    });
+
+    it('should reject a correct answer that is not an option', () => {
+      const errors = validateQuestion({ questionType: 'multiple_choice', answerOptions: ['A', 'B'], correctAnswer: 'C' });
+
+      expect(errors).toContain('correct_answer must be one of answer_options');
+    });
+
+    it('should reject ordering answers that do not use every item', () => {
+      const errors = validateQuestion({ questionType: 'ordering', answerOptions: ['A', 'B', 'C'], correctAnswer: ['A', 'B'] });
+
+      expect(errors).toContain('correct_answer must contain every answer_option exactly once');
+    });
+
+    it('should report missing matching prompts', () => {
+      const errors = validateQuestion({
+        questionType: 'matching',
+        answerOptions: { prompts: ['A', 'B'], choices: ['1', '2'] },
+        correctAnswer: { A: '1' }
+      });
+
+      expect(errors).toContain('correct_answer is missing prompt "B"');
+    });
+
+    it('should reject invalid regular expressions', () => {
+      const errors = validateQuestion({ questionType: 'regex', answerOptions: null, correctAnswer: { pattern: '(' } });
+
+      expect(errors[0]).toMatch(/not a valid regular expression/);
+    });
+
+    it('should reject regular expressions that could backtrack catastrophically', () => {
+      const check = (pattern) => validateQuestion({ questionType: 'regex', answerOptions: null, correctAnswer: { pattern } });
+
+      expect(check('(a+)+$')[0]).toMatch(/could take too long to match/);
+      expect(check('(a|aa)*')[0]).toMatch(/could take too long to match/);
+      expect(check('(\\w+\\s?)+')[0]).toMatch(/could take too long to match/);
+      expect(check('(x)\\1')[0]).toMatch(/backreferences/);
+      expect(check('^(\\d{3}-){2}\\d{4}$')).toEqual([]);
+      expect(check('[(a+)+]')).toEqual([]);
+    });
+
+    it('should reject unsupported types', () => {
+      const errors = validateQuestion({ questionType: 'essay', answerOptions: null, correctAnswer: 'x' });
+
+      expect(errors[0]).toMatch(/Unsupported question type "essay"/);
+    });
+  });
+
+  describe('registerQuestionType', () => {
+    it('should plug in custom question types', () => {
+      registerQuestionType('yes_no', {
+        validate: (options, correct) => (['yes', 'no'].includes(correct) ? [] : ['correct_answer must be yes or no']),
+        grade: (answer, options, correct) => ({ isCorrect: answer === correct })
+      });
+
+      expect(getQuestionTypes()).toContain('yes_no');
+      expect(gradeQuestion(question('yes_no', null, 'yes'), 'yes').isCorrect).toBe(true);
+    });
+
+    it('should reject handlers without grade()', () => {
+      expect(() => registerQuestionType('broken', { validate: () => [] })).toThrow();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const {
+  QuestionBankError,
+  createRandom,
+  shuffle,
+  validatePool,
+  drawQuestionIds,
+  shuffleAnswerOptions,
+  buildAttemptPaper,
+  countPaperQuestions
+} = require('../quiz/question-bank');
+
+const bank = [
+  { id: 1, pool_id: null, difficulty: 'medium', question_type: 'multiple_choice', answer_options: ['A', 'B', 'C', 'D'] },
+  { id: 2, pool_id: 7, difficulty: 'easy', question_type: 'true_false', answer_options: ['true', 'false'] },
+  { id: 3, pool_id: 7, difficulty: 'easy', question_type: 'multi_select', answer_options: ['W', 'X', 'Y', 'Z'] },
+  { id: 4, pool_id: 7, difficulty: 'hard', question_type: 'ordering', answer_options: ['1', '2', '3', '4'] },
+  { id: 5, pool_id: 7, difficulty: 'hard', question_type: 'text', answer_options: null },
+  { id: 6, pool_id: 7, difficulty: 'medium', question_type: 'text', answer_options: null }
+];
+const corePool = { id: 7, name: 'Core', draw_count: 3, difficulty_quotas: { easy: 1, hard: 1 } };
+
+describe('Question Banks', () => {
+  describe('seeded randomness', () => {
+    it('should produce the same sequence for the same seed', () => {
+      const first = createRandom(1234);
+      const second = createRandom(1234);
+
+      const values = Array.from({ length: 5 }, () => first());
+      expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+      expect(values.every(v => v >= 0 && v < 1)).toBe(true);
+    });
+
+    it('should shuffle a copy without losing items', () => {
+      const items = [1, 2, 3, 4, 5];
+      const shuffled = shuffle(items, createRandom(99));
+
+      expect(items).toEqual([1, 2, 3, 4, 5]);
+      expect([...shuffled].sort()).toEqual(items);
+    });
+  });
+
+  describe('drawQuestionIds', () => {
+    it('should always include unpooled questions and draw the pool size', () => {
+      const ids = drawQuestionIds(bank, [corePool], 42);
+
+      expect(ids).toContain(1);
+      expect(ids).toHaveLength(4);
+    });
+
+    it('should honour difficulty quotas', () => {
+      for (const seed of [1, 2, 3, 4, 5, 6, 7, 8]) {
+        const drawn = drawQuestionIds(bank, [corePool], seed).map(id => bank.find(q => q.id === id));
+
+        expect(drawn.filter(q => q.difficulty === 'easy').length).toBeGreaterThanOrEqual(1);
+        expect(drawn.filter(q => q.difficulty === 'hard').length).toBeGreaterThanOrEqual(1);
+      }
+    });
+
+    it('should be reproducible from the seed and keep order_index order', () => {
+      const ids = drawQuestionIds(bank, [corePool], 2024);
+
+      expect(drawQuestionIds(bank, [corePool], 2024)).toEqual(ids);
+      expect([...ids].sort((a, b) => a - b)).toEqual(ids);
+    });
+
+    it('should vary the draw across seeds', () => {
+      const draws = new Set([1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(seed => drawQuestionIds(bank, [corePool], seed).join(',')));
+
+      expect(draws.size).toBeGreaterThan(1);
+    });
+
+    it('should fail when a pool cannot meet its quota', () => {
+      const greedy = { ...corePool, difficulty_quotas: { easy: 3 } };
+
+      expect(() => drawQuestionIds(bank, [greedy], 1)).toThrow(QuestionBankError);
+      expect(() => drawQuestionIds(bank, [{ ...corePool, draw_count: 9, difficulty_quotas: {} }], 1))
+        .toThrow('Question pool "Core" does not have enough unused questions');
+    });
+  });
+
+  describe('answer option shuffling', () => {
+    it('should shuffle list options deterministically per question', () => {
+      const question = bank[3];
+      const shuffled = shuffleAnswerOptions(question, 77);
+
+      expect(shuffleAnswerOptions(question, 77)).toEqual(shuffled);
+      expect([...shuffled].sort()).toEqual(['1', '2', '3', '4']);
+    });
+
+    it('should leave true/false and option-less questions alone', () => {
+      expect(shuffleAnswerOptions(bank[1], 5)).toEqual(['true', 'false']);
+      expect(shuffleAnswerOptions(bank[4], 5)).toBeNull();
+    });
+
+    it('should shuffle matching choices but not prompts', () => {
+      const matching = { id: 9, question_type: 'matching', answer_options: { prompts: ['p1', 'p2'], choices: ['a', 'b', 'c'] } };
+      const shuffled = shuffleAnswerOptions(matching, 3);
+
+      expect(shuffled.prompts).toEqual(['p1', 'p2']);
+      expect([...shuffled.choices].sort()).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('buildAttemptPaper', () => {
+    it('should return the attempt questions in stored order', () => {
+      const paper = buildAttemptPaper(bank, { questionIds: [1, 4], seed: 10, shuffleOptions: false });
+
+      expect(paper.map(q => q.id)).toEqual([1, 4]);
+      expect(paper[1].answer_options).toEqual(['1', '2', '3', '4']);
+    });
+
+    it('should apply the seeded option shuffle when enabled', () => {
+      const paper = buildAttemptPaper(bank, { questionIds: [4], seed: 10, shuffleOptions: true });
+
+      expect(paper[0].answer_options).toEqual(shuffleAnswerOptions(bank[3], 10));
+      expect(bank[3].answer_options).toEqual(['1', '2', '3', '4']);
+    });
+
+    it('should fall back to every question for attempts without a draw', () => {
+      expect(buildAttemptPaper(bank, { questionIds: null, seed: null, shuffleOptions: true })).toBe(bank);
+    });
+  });
+
+  describe('validatePool', () => {
+    it('should accept a valid pool', () => {
+      expect(validatePool({ name: 'Core', drawCount: 3, difficultyQuotas: { easy: 1, hard: 2 } })).toEqual([]);
+    });
+
+    it('should report every problem', () => {
+      expect(validatePool({ name: '', drawCount: 0, difficultyQuotas: { expert: 1 } })).toEqual([
+        'name is required',
+        'drawCount must be a positive integer',
+        'Unknown difficulty "expert". Supported: easy, medium, hard'
+      ]);
+    });
+  });
+
+  it('should count the questions on each paper', () => {
+    expect(countPaperQuestions(bank, [corePool])).toBe(4);
+  });
+});
@@ -5,7 +5,8 @@ const jwt = require('jsonwebtoken');
 jest.mock('pg', () => {
   const mockQuery = jest.fn();
   const mockPool = {
-    query: mockQuery
+    query: mockQuery,
+    connect: jest.fn(() => Promise.resolve({ query: mockQuery, release: jest.fn() }))
   };
   return {
     Pool: jest.fn(() => mockPool)
@@ -249,7 +250,7 @@ describe('Quiz System Tests', () => {
   });
 
   describe('POST /quizzes/:quizId/submit', () => {
-    const validToken = jwt.sign({ id: 1, email: 'test@example.com', role: 'student' }, 'test-secret');
+    const validToken = jwt.sign({ userId: 1, email: 'test@example.com', role: 'student' }, 'test-secret');
 
     it('should submit quiz answers and calculate score correctly', async () => {
       // Mock quiz details query
@@ -261,6 +262,8 @@ describe('Quiz System Tests', () => {
           max_attempts: 3
         }]
       })
+      // Mock previous attempts query
+      .mockResolvedValueOnce({ rows: [] })
       // Mock questions with correct answers query
       .mockResolvedValueOnce({
         rows: [
@@ -280,17 +283,11 @@ describe('Quiz System Tests', () => {
           }
         ]
       })
-      // Mock previous attempts query
-      .mockResolvedValueOnce({ rows: [] })
       // Mock insert quiz attempt
       .mockResolvedValueOnce({
         rows: [{
           id: 1,
-          user_id: 1,
-          quiz_id: 1,
-          score: 100,
-          total_points: 3,
-          passed: true,
+          attempt_number: 1,
           submitted_at: new Date()
         }]
       });
@@ -300,14 +297,17 @@ describe('Quiz System Tests', () => {
         .set('Authorization', `Bearer ${validToken}`)
         .send({
           answers: [
-            { questionId: 1, selectedAnswer: 'To find defects and ensure quality' },
-            { questionId: 2, selectedAnswer: 'false' }
+            { questionId: 1, answer: 'To find defects and ensure quality' },
+            { questionId: 2, answer: 'false' }
           ]
         });
 
       expect(response.status).toBe(200);
       expect(response.body).toMatchObject({
-        score: 100,
+        attemptId: 1,
+        attemptNumber: 1,
+        remainingAttempts: 2,
+        scorePercentage: 100,
         totalPoints: 3,
         earnedPoints: 3,
         passed: true,
@@ -332,6 +332,8 @@ describe('Quiz System Tests', () => {
           max_attempts: 3
         }]
       })
+      // Mock previous attempts
+      .mockResolvedValueOnce({ rows: [{ id: 7, attempt_number: 1 }] })
       // Mock questions with correct answers
       .mockResolvedValueOnce({
         rows: [
@@ -351,17 +353,11 @@ describe('Quiz System Tests', () => {
           }
         ]
       })
-      // Mock previous attempts
-      .mockResolvedValueOnce({ rows: [] })
       // Mock insert
       .mockResolvedValueOnce({
         rows: [{
-          id: 1,
-          user_id: 1,
-          quiz_id: 1,
-          score: 40,
-          total_points: 5,
-          passed: false,
+          id: 8,
+          attempt_number: 2,
           submitted_at: new Date()
         }]
       });
@@ -371,14 +367,16 @@ describe('Quiz System Tests', () => {
         .set('Authorization', `Bearer ${validToken}`)
         .send({
           answers: [
-            { questionId: 1, selectedAnswer: 'Correct Answer' },
-            { questionId: 2, selectedAnswer: 'Wrong Answer' }
+            { questionId: 1, answer: 'Correct Answer' },
+            { questionId: 2, answer: 'Wrong Answer' }
           ]
         });
 
       expect(response.status).toBe(200);
       expect(response.body).toMatchObject({
-        score: 40,
+        attemptNumber: 2,
+        remainingAttempts: 1,
+        scorePercentage: 40,
         totalPoints: 5,
         earnedPoints: 2,
         passed: false
@@ -390,7 +388,7 @@ describe('Quiz System Tests', () => {
         .post('/quizzes/1/submit')
         .send({
           answers: [
-            { questionId: 1, selectedAnswer: 'Some answer' }
+            { questionId: 1, answer: 'Some answer' }
           ]
         });
 
@@ -404,7 +402,7 @@ describe('Quiz System Tests', () => {
         .set('Authorization', 'Bearer invalid-token')
         .send({
           answers: [
-            { questionId: 1, selectedAnswer: 'Some answer' }
+            { questionId: 1, answer: 'Some answer' }
           ]
         });
 
@@ -418,7 +416,7 @@ describe('Quiz System Tests', () => {
         .set('Authorization', `Bearer ${validToken}`)
         .send({
           answers: [
-            { questionId: 1, selectedAnswer: 'Some answer' }
+            { questionId: 1, answer: 'Some answer' }
           ]
         });
 
@@ -434,7 +432,7 @@ describe('Quiz System Tests', () => {
         .set('Authorization', `Bearer ${validToken}`)
         .send({
           answers: [
-            { questionId: 1, selectedAnswer: 'Some answer' }
+            { questionId: 1, answer: 'Some answer' }
           ]
         });
 
@@ -465,12 +463,53 @@ describe('Quiz System Tests', () => {
         .set('Authorization', `Bearer ${validToken}`)
         .send({
           answers: [
-            { questionId: 1, selectedAnswer: 'Some answer' }
+            { questionId: 1, answer: 'Some answer' }
           ]
         });
 
       expect(response.status).toBe(400);
       expect(response.body.error).toBe('Maximum attempts exceeded');
+      expect(response.body.attemptsUsed).toBe(2);
+    });
+
+    it('should persist the graded attempt with the next attempt number', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Quiz', passing_score: 50, max_attempts: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, attempt_number: 1 }, { id: 4, attempt_number: 2 }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, question_text: 'Q1', question_type: 'true_false', correct_answer: 'true', points: 1 }]
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 5, attempt_number: 3, submitted_at: new Date() }] });
+
+      const response = await request(app)
+        .post('/quizzes/1/submit')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ answers: [{ questionId: 1, answer: 'true' }], timeSpent: 42 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.remainingAttempts).toBeNull();
+
+      const [insertSql, insertParams] = mockQuery.mock.calls[3];
+      expect(insertSql).toContain('INSERT INTO quiz_attempts');
+      expect(insertParams.slice(0, 3)).toEqual([1, 1, 3]);
+      expect(insertParams[9]).toBe(true);
+      expect(insertParams[10]).toBe(42);
+    });
+
+    it('should return 409 when a concurrent submission took the same attempt number', async () => {
+      const uniqueViolation = Object.assign(new Error('duplicate key'), { code: '23505' });
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Quiz', passing_score: 50, max_attempts: 3 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockRejectedValueOnce(uniqueViolation);
+
+      const response = await request(app)
+        .post('/quizzes/1/submit')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ answers: [] });
+
+      expect(response.status).toBe(409);
     });
 
     it('should validate answer format', async () => {
@@ -479,7 +518,7 @@ describe('Quiz System Tests', () => {
         .set('Authorization', `Bearer ${validToken}`)
         .send({
           answers: [
-            { questionId: 'invalid', selectedAnswer: 'Some answer' }
+            { questionId: 'invalid', answer: 'Some answer' }
           ]
         });
 
@@ -498,6 +537,633 @@ describe('Quiz System Tests', () => {
     });
   });
 
+  describe('Timed quiz sessions', () => {
+    const validToken = jwt.sign({ userId: 1, email: 'test@example.com', role: 'student' }, 'test-secret');
+    const timedQuiz = { id: 1, title: 'Timed Quiz', passing_score: 50, max_attempts: 3, time_limit_minutes: 10 };
+    const questionRows = [
+      { id: 1, question_text: 'Q1', question_type: 'true_false', correct_answer: 'true', points: 1 }
+    ];
+
+    it('should open a new attempt with a server-side deadline', async () => {
+      const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+      mockQuery
+        .mockResolvedValueOnce({ rows: [timedQuiz] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: questionRows })
+        .mockResolvedValueOnce({
+          rows: [{ id: 11, attempt_number: 1, started_at: new Date(), expires_at: expiresAt, remaining_seconds: '600' }]
+        });
+
+      const response = await request(app)
+        .post('/quizzes/1/start')
+        .set('Authorization', `Bearer ${validToken}`);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        attemptId: 11,
+        attemptNumber: 1,
+        status: 'in_progress',
+        timeLimitMinutes: 10,
+        remainingSeconds: 600,
+        resumed: false
+      });
+      expect(response.body.questions).toHaveLength(1);
+      expect(response.body.questions[0].correctAnswer).toBeUndefined();
+      expect(mockQuery.mock.calls[3][1]).toEqual([1, 1, 1, 10, null, null]);
+    });
+
+    it('should resume an attempt that is still running', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [timedQuiz] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 11, attempt_number: 1, status: 'in_progress', expires_at: new Date(), remaining_seconds: '120.4', is_expired: false }]
+        })
+        .mockResolvedValueOnce({ rows: questionRows });
+
+      const response = await request(app)
+        .post('/quizzes/1/start')
+        .set('Authorization', `Bearer ${validToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ attemptId: 11, remainingSeconds: 120, resumed: true });
+      expect(mockQuery).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not start an attempt once max attempts are used', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ ...timedQuiz, max_attempts: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 11, attempt_number: 1, status: 'expired' }] });
+
+      const response = await request(app)
+        .post('/quizzes/1/start')
+        .set('Authorization', `Bearer ${validToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Maximum attempts exceeded');
+    });
+
+    it('should reject a timed quiz submission without a started attempt', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [timedQuiz] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/quizzes/1/submit')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ answers: [{ questionId: 1, answer: 'true' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Quiz attempt has not been started');
+    });
+
+    it('should expire and reject a submission past the deadline and grace period', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [timedQuiz] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 11, attempt_number: 1, status: 'in_progress', expires_at: new Date(), is_expired: true }]
+        })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app)
+        .post('/quizzes/1/submit')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ answers: [{ questionId: 1, answer: 'true' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Time limit exceeded');
+      expect(mockQuery.mock.calls[2][0]).toContain("SET status = 'expired'");
+    });
+
+    it('should grade an open attempt using server-measured time', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [timedQuiz] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 11, attempt_number: 1, status: 'in_progress', elapsed_seconds: '95.6', is_expired: false }]
+        })
+        .mockResolvedValueOnce({ rows: questionRows })
+        .mockResolvedValueOnce({ rows: [{ id: 11, attempt_number: 1, submitted_at: new Date() }] });
+
+      const response = await request(app)
+        .post('/quizzes/1/submit')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ answers: [{ questionId: 1, answer: 'true' }], timeSpent: 5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ attemptId: 11, timeSpent: 96, passed: true });
+      expect(mockQuery.mock.calls[3][0]).toContain('UPDATE quiz_attempts');
+    });
+
+    it('should report a conflict when the attempt was closed concurrently', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [timedQuiz] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 11, attempt_number: 1, status: 'in_progress', elapsed_seconds: '10', is_expired: false }]
+        })
+        .mockResolvedValueOnce({ rows: questionRows })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/quizzes/1/submit')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ answers: [{ questionId: 1, answer: 'true' }] });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Randomized quizzes', () => {
+    const validToken = jwt.sign({ userId: 1, email: 'test@example.com', role: 'student' }, 'test-secret');
+    const pooledQuiz = {
+      id: 1, title: 'Pooled Quiz', passing_score: 50, max_attempts: 3, time_limit_minutes: null,
+      shuffle_options: true, has_pools: true
+    };
+    const bankRows = [
+      { id: 1, question_text: 'Always asked', question_type: 'multiple_choice', answer_options: ['A', 'B', 'C', 'D'], correct_answer: 'A', points: 1, pool_id: null, difficulty: 'medium', order_index: 1 },
+      { id: 2, question_text: 'Pooled 1', question_type: 'true_false', answer_options: ['true', 'false'], correct_answer: 'true', points: 1, pool_id: 5, difficulty: 'easy', order_index: 2 },
+      { id: 3, question_text: 'Pooled 2', question_type: 'true_false', answer_options: ['true', 'false'], correct_answer: 'true', points: 1, pool_id: 5, difficulty: 'hard', order_index: 3 },
+      { id: 4, question_text: 'Pooled 3', question_type: 'true_false', answer_options: ['true', 'false'], correct_answer: 'true', points: 1, pool_id: 5, difficulty: 'hard', order_index: 4 }
+    ];
+    const poolRows = [{ id: 5, name: 'Core', draw_count: 2, difficulty_quotas: { easy: 1 } }];
+
+    it('should hide the question bank until an attempt is started', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ ...pooledQuiz, lesson_id: 3, course_id: 1 }] })
+        .mockResolvedValueOnce({ rows: bankRows })
+        .mockResolvedValueOnce({ rows: poolRows });
+
+      const response = await request(app).get('/quizzes/1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        randomized: true,
+        requiresStart: true,
+        questions: [],
+        totalQuestions: 3,
+        totalPoints: null
+      });
+    });
+
+    it('should draw a seeded paper when starting and serve it again from GET /quizzes/:quizId', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [pooledQuiz] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: bankRows })
+        .mockResolvedValueOnce({ rows: poolRows })
+        .mockImplementationOnce((sql, params) => Promise.resolve({
+          rows: [{ id: 11, attempt_number: 1, started_at: new Date(), expires_at: null, seed: params[4], question_ids: JSON.parse(params[5]) }]
+        }));
+
+      const started = await request(app)
+        .post('/quizzes/1/start')
+        .set('Authorization', `Bearer ${validToken}`);
+
+      expect(started.status).toBe(201);
+      const [, , , , seed, questionIds] = mockQuery.mock.calls[4][1];
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(JSON.parse(questionIds)).toHaveLength(3);
+      expect(started.body.questions.map(q => q.id)).toEqual(JSON.parse(questionIds));
+      expect([...started.body.questions[0].answerOptions].sort()).toEqual(['A', 'B', 'C', 'D']);
+
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ ...pooledQuiz, lesson_id: 3, course_id: 1 }] })
+        .mockResolvedValueOnce({ rows: bankRows })
+        .mockResolvedValueOnce({ rows: poolRows })
+        .mockResolvedValueOnce({ rows: [{ id: 11, seed, question_ids: JSON.parse(questionIds) }] });
+
+      const reviewed = await request(app)
+        .get('/quizzes/1')
+        .set('Authorization', `Bearer ${validToken}`);
+
+      expect(reviewed.status).toBe(200);
+      expect(reviewed.body.attemptId).toBe(11);
+      expect(reviewed.body.requiresStart).toBe(false);
+      expect(reviewed.body.questions).toEqual(started.body.questions);
+    });
+
+    it('should report a pool that cannot fill its draw', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [pooledQuiz] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: bankRows })
+        .mockResolvedValueOnce({ rows: [{ ...poolRows[0], difficulty_quotas: { easy: 2 } }] });
+
+      const response = await request(app)
+        .post('/quizzes/1/start')
+        .set('Authorization', `Bearer ${validToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Question pool "Core" does not have enough easy questions');
+    });
+
+    it('should require a started attempt before submitting', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [pooledQuiz] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/quizzes/1/submit')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ answers: [{ questionId: 1, answer: 'A' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Quiz attempt has not been started');
+    });
+
+    it('should grade only the questions drawn for the attempt, as presented', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [pooledQuiz] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 11, attempt_number: 1, status: 'in_progress', elapsed_seconds: '30', is_expired: false, seed: 42, question_ids: [1, 3] }]
+        })
+        .mockResolvedValueOnce({ rows: bankRows })
+        .mockResolvedValueOnce({ rows: [{ id: 11, attempt_number: 1, submitted_at: new Date() }] });
+
+      const response = await request(app)
+        .post('/quizzes/1/submit')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ answers: [{ questionId: 1, answer: 'A' }, { questionId: 3, answer: 'true' }, { questionId: 2, answer: 'true' }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ totalQuestions: 2, correctAnswers: 2, totalPoints: 2 });
+      expect(response.body.results.map(r => r.questionId)).toEqual([1, 3]);
+      expect([...response.body.results[0].answerOptions].sort()).toEqual(['A', 'B', 'C', 'D']);
+    });
+  });
+
+  describe('Question pool management', () => {
+    const adminToken = jwt.sign({ userId: 9, email: 'admin@example.com', role: 'admin' }, 'test-secret');
+    const studentToken = jwt.sign({ userId: 1, email: 'test@example.com', role: 'student' }, 'test-secret');
+
+    it('should restrict pool management to quiz authors', async () => {
+      const response = await request(app)
+        .post('/admin/quizzes/1/pools')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ name: 'Core', drawCount: 2 });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject quotas that exceed the draw count', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      const response = await request(app)
+        .post('/admin/quizzes/1/pools')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Core', drawCount: 2, difficultyQuotas: { easy: 2, hard: 1 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('difficultyQuotas add up to more than drawCount');
+    });
+
+    it('should reject questions from another quiz', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] });
+
+      const response = await request(app)
+        .post('/admin/quizzes/1/pools')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Core', drawCount: 1, questionIds: [2, 99] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Some questions do not belong to this quiz');
+    });
+
+    it('should create a pool and assign its questions in a transaction', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 2 }, { id: 3 }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rowCount: 2 })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 5, quiz_id: 1, name: 'Core', draw_count: 1, difficulty_quotas: {},
+            questions: [{ id: 2, difficulty: 'easy' }, { id: 3, difficulty: 'hard' }]
+          }]
+        });
+
+      const response = await request(app)
+        .post('/admin/quizzes/1/pools')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Core', drawCount: 1, questionIds: [2, 3] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.pool).toMatchObject({
+        id: 5,
+        drawCount: 1,
+        questionIds: [2, 3],
+        availableByDifficulty: { easy: 1, hard: 1 },
+        drawable: true
+      });
+      expect(mockQuery.mock.calls[2][0]).toBe('BEGIN');
+      expect(mockQuery.mock.calls[5][1]).toEqual([5, 1, [2, 3]]);
+      expect(mockQuery.mock.calls[6][0]).toBe('COMMIT');
+    });
+  });
+
+  describe('Quiz authoring', () => {
+    const instructorToken = jwt.sign({ userId: 5, email: 'instructor@example.com', role: 'instructor' }, 'test-secret');
+    const studentToken = jwt.sign({ userId: 1, email: 'test@example.com', role: 'student' }, 'test-secret');
+    const quizRow = {
+      id: 4, lesson_id: 3, title: 'New Quiz', description: null, time_limit_minutes: null, passing_score: 70,
+      max_attempts: 3, scoring_policy: {}, shuffle_options: false, is_published: false
+    };
+    const questionRow = {
+      id: 20, quiz_id: 4, question_text: 'Pick two', question_type: 'multi_select', answer_options: ['A', 'B', 'C'],
+      correct_answer: '["A","C"]', points: 2, section: null, pool_id: null, difficulty: 'medium', order_index: 3
+    };
+
+    it('should reject learners', async () => {
+      const response = await request(app)
+        .post('/quizzes')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ lessonId: 3, title: 'New Quiz' });
+
+      expect(response.status).toBe(403);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should let instructors create quizzes', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ ...quizRow, shuffle_options: true, scoring_policy: { partialCredit: true } }] });
+
+      const response = await request(app)
+        .post('/quizzes')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .send({ lessonId: 3, title: 'New Quiz', shuffleOptions: true, scoringPolicy: { partialCredit: true } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.quiz).toMatchObject({ id: 4, lessonId: 3, shuffleOptions: true });
+      expect(response.body.quiz.scoringPolicy.partialCredit).toBe(true);
+      expect(mockQuery.mock.calls[1][1]).toEqual([3, 'New Quiz', null, null, 70, 3, '{"partialCredit":true}', true, false]);
+    });
+
+    it('should not create quizzes under trashed lessons', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/quizzes')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .send({ lessonId: 3, title: 'New Quiz' });
+
+      expect(response.status).toBe(404);
+      expect(mockQuery.mock.calls[0][0]).toContain('deleted_at IS NULL');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate the scoring policy', async () => {
+      const response = await request(app)
+        .post('/quizzes')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .send({ lessonId: 3, title: 'New Quiz', scoringPolicy: { negativeMarking: 2 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('negativeMarking must be a number between 0 and 1');
+    });
+
+    it('should update only the provided quiz fields', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...quizRow, is_published: true }] });
+
+      const response = await request(app)
+        .put('/quizzes/4')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .send({ isPublished: true, timeLimitMinutes: null });
+
+      expect(response.status).toBe(200);
+      expect(mockQuery.mock.calls[0][0]).toContain('time_limit_minutes = $1, is_published = $2');
+      expect(mockQuery.mock.calls[0][1]).toEqual([null, true, 4]);
+    });
+
+    it('should delete quizzes nobody has attempted', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 4, title: 'New Quiz' }] });
+
+      const response = await request(app)
+        .delete('/quizzes/4')
+        .set('Authorization', `Bearer ${instructorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.deletedQuiz).toEqual({ id: 4, title: 'New Quiz' });
+      expect(mockQuery.mock.calls[1][0]).toContain('DELETE FROM quizzes');
+    });
+
+    it('should keep quizzes that learners have attempted', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ count: '12' }] });
+
+      const response = await request(app)
+        .delete('/quizzes/4')
+        .set('Authorization', `Bearer ${instructorToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.attemptCount).toBe(12);
+      expect(mockQuery.mock.calls[0][0]).toContain("status <> 'in_progress'");
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate answer options for the question type', async () => {
+      const response = await request(app)
+        .post('/quizzes/4/questions')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .send({ questionText: 'Pick one', questionType: 'multiple_choice', answerOptions: ['A', 'B'], correctAnswer: 'C' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('correct_answer must be one of answer_options');
+    });
+
+    it('should store structured correct answers as JSON', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [questionRow] });
+
+      const response = await request(app)
+        .post('/quizzes/4/questions')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .send({ questionText: 'Pick two', questionType: 'multi_select', answerOptions: ['A', 'B', 'C'], correctAnswer: ['A', 'C'], points: 2 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.question.correctAnswer).toEqual(['A', 'C']);
+      expect(mockQuery.mock.calls[1][1][4]).toBe('["A","C"]');
+    });
+
+    it('should reject a pool from another quiz', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/quizzes/4/questions')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .send({ questionText: 'T/F', questionType: 'true_false', correctAnswer: 'true', poolId: 99 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Question pool does not belong to this quiz');
+    });
+
+    it('should validate an updated question against its stored definition', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [questionRow] });
+
+      const response = await request(app)
+        .put('/quizzes/4/questions/20')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .send({ questionType: 'ordering' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('correct_answer must contain every answer_option exactly once');
+    });
+
+    it('should reorder questions in a transaction', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 20 }, { id: 21 }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .put('/quizzes/4/questions/reorder')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .send({ questionOrders: [{ questionId: 20, orderIndex: 2 }, { questionId: 21, orderIndex: 1 }] });
+
+      expect(response.status).toBe(200);
+      expect(mockQuery.mock.calls.map(call => call[0])).toEqual([
+        expect.stringContaining('SELECT id FROM quiz_questions'),
+        'BEGIN',
+        expect.stringContaining('UPDATE quiz_questions SET order_index'),
+        expect.stringContaining('UPDATE quiz_questions SET order_index'),
+        'COMMIT'
+      ]);
+    });
+
+    it('should reject reordering questions from another quiz', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: 20 }] });
+
+      const response = await request(app)
+        .put('/quizzes/4/questions/reorder')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .send({ questionOrders: [{ questionId: 20, orderIndex: 1 }, { questionId: 77, orderIndex: 2 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Some questions do not belong to this quiz');
+    });
+
+    it('should duplicate a question right after the original', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [questionRow] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rowCount: 2 })
+        .mockResolvedValueOnce({ rows: [{ ...questionRow, id: 21, question_text: 'Pick two (Copy)', order_index: 4 }] })
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .post('/quizzes/4/questions/20/duplicate')
+        .set('Authorization', `Bearer ${instructorToken}`);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ originalQuestionId: 20, question: { id: 21, orderIndex: 4 } });
+      expect(mockQuery.mock.calls[2][1]).toEqual([4, 3]);
+      expect(mockQuery.mock.calls[3][1][9]).toBe(4);
+    });
+
+    it('should show correct answers to authors', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [quizRow] })
+        .mockResolvedValueOnce({ rows: [questionRow] });
+
+      const response = await request(app)
+        .get('/admin/quizzes/4')
+        .set('Authorization', `Bearer ${instructorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.questions[0].correctAnswer).toEqual(['A', 'C']);
+      expect(response.body.questionTypes).toContain('regex');
+    });
+  });
+
+  describe('Quiz attempt history', () => {
+    const studentToken = jwt.sign({ userId: 1, email: 'test@example.com', role: 'student' }, 'test-secret');
+    const adminToken = jwt.sign({ userId: 99, email: 'admin@example.com', role: 'admin' }, 'test-secret');
+    const attemptRow = {
+      id: 10,
+      quiz_id: 1,
+      user_id: 1,
+      attempt_number: 1,
+      answers: [{ questionId: 1, answer: 'true' }],
+      results: [{ questionId: 1, isCorrect: true }],
+      correct_answers: 1,
+      total_points: 1,
+      earned_points: 1,
+      score_percentage: 100,
+      passed: true,
+      status: 'submitted',
+      time_spent_seconds: 30,
+      submitted_at: new Date()
+    };
+
+    it('should list the current user\'s attempts with remaining attempts', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Quiz', passing_score: 70, max_attempts: 3 }] })
+        .mockResolvedValueOnce({ rows: [attemptRow] });
+
+      const response = await request(app)
+        .get('/quizzes/1/attempts')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        attemptsUsed: 1,
+        remainingAttempts: 2,
+        bestScore: 100,
+        passed: true
+      });
+      expect(response.body.attempts[0]).toMatchObject({ id: 10, attemptNumber: 1, timeSpent: 30 });
+      expect(mockQuery.mock.calls[1][1]).toEqual([1, 1]);
+    });
+
+    it('should require authentication for attempt history', async () => {
+      const response = await request(app).get('/quizzes/1/attempts');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should restrict the all-attempts view to admins', async () => {
+      const response = await request(app)
+        .get('/admin/quizzes/1/attempts')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Admin access required');
+    });
+
+    it('should return paginated attempts with a summary for admins', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Quiz', passing_score: 70, max_attempts: 3 }] })
+        .mockResolvedValueOnce({ rows: [attemptRow] })
+        .mockResolvedValueOnce({
+          rows: [{ total_attempts: '5', submitted_attempts: '4', unique_learners: '2', passed_attempts: '3', avg_score: '82.5', avg_time_spent: '61.2' }]
+        });
+
+      const response = await request(app)
+        .get('/admin/quizzes/1/attempts?userId=1&limit=1')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toMatchObject({
+        totalAttempts: 5,
+        uniqueLearners: 2,
+        passRate: '75.0',
+        avgScore: '82.5',
+        avgTimeSpent: 61
+      });
+      expect(response.body.pagination).toMatchObject({ page: 1, limit: 1, total: 5, hasMore: true });
+      expect(response.body.attempts).toHaveLength(1);
+    });
+  });
+
   describe('Database Error Handling', () => {
     it('should handle database errors gracefully in quiz listing', async () => {
       mockQuery.mockRejectedValueOnce(new Error('Database connection failed'));
@@ -518,7 +1184,7 @@ describe('Quiz System Tests', () => {
     });
 
     it('should handle database errors gracefully in quiz submission', async () => {
-      const validToken = jwt.sign({ id: 1, email: 'test@example.com', role: 'student' }, 'test-secret');
+      const validToken = jwt.sign({ userId: 1, email: 'test@example.com', role: 'student' }, 'test-secret');
       mockQuery.mockRejectedValueOnce(new Error('Database connection failed'));
 
       const response = await request(app)
@@ -526,7 +1192,7 @@ describe('Quiz System Tests', () => {
         .set('Authorization', `Bearer ${validToken}`)
         .send({
           answers: [
-            { questionId: 1, selectedAnswer: 'Some answer' }
+            { questionId: 1, answer: 'Some answer' }
           ]
         });
 
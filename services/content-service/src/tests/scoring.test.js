@@ -0,0 +1,121 @@
+const { scoreQuiz, validateScoringPolicy, normalizeScoringPolicy } = require('../quiz/scoring');
+
+const questions = [
+  {
+    id: 1,
+    question_text: 'Which are black-box techniques?',
+    question_type: 'multi_select',
+    answer_options: ['Boundary value analysis', 'Equivalence partitioning', 'Statement coverage', 'Decision tables'],
+    correct_answer: JSON.stringify(['Boundary value analysis', 'Equivalence partitioning', 'Decision tables']),
+    points: 3,
+    section: 'Techniques'
+  },
+  {
+    id: 2,
+    question_text: 'What does QA stand for?',
+    question_type: 'multiple_choice',
+    answer_options: ['Quality Assurance', 'Quick Analysis'],
+    correct_answer: 'Quality Assurance',
+    points: 2,
+    section: 'Basics'
+  },
+  {
+    id: 3,
+    question_text: 'Testing proves software is bug-free',
+    question_type: 'true_false',
+    answer_options: ['true', 'false'],
+    correct_answer: 'false',
+    points: 1,
+    section: 'Basics'
+  }
+];
+
+describe('Quiz Scoring Policies', () => {
+  const answers = [
+    { questionId: 1, answer: ['Boundary value analysis', 'Equivalence partitioning'] },
+    { questionId: 2, answer: 'Quality Assurance' },
+    { questionId: 3, answer: 'true' }
+  ];
+
+  it('should score all-or-nothing by default', () => {
+    const score = scoreQuiz(questions, answers, null);
+
+    expect(score.earnedPoints).toBe(2);
+    expect(score.totalPoints).toBe(6);
+    expect(score.correctAnswers).toBe(1);
+    expect(score.scorePercentage).toBe(33);
+    expect(score.results[0].scoring).toEqual({ credit: 0, partialCredit: false, penalty: 0 });
+  });
+
+  it('should award proportional partial credit when enabled', () => {
+    const score = scoreQuiz(questions, answers, { partialCredit: true });
+
+    expect(score.results[0].earnedPoints).toBe(2);
+    expect(score.results[0].scoring).toMatchObject({ credit: 0.67, partialCredit: true });
+    expect(score.earnedPoints).toBe(4);
+    expect(score.scorePercentage).toBe(67);
+  });
+
+  it('should cancel out partial credit for wrong selections', () => {
+    const score = scoreQuiz(questions, [
+      { questionId: 1, answer: ['Boundary value analysis', 'Statement coverage'] }
+    ], { partialCredit: true });
+
+    expect(score.results[0].earnedPoints).toBe(0);
+  });
+
+  it('should deduct points for wrong answers but not for unanswered questions', () => {
+    const score = scoreQuiz(questions, [
+      { questionId: 2, answer: 'Quality Assurance' },
+      { questionId: 3, answer: 'true' }
+    ], { negativeMarking: 0.5 });
+
+    expect(score.results[0]).toMatchObject({ earnedPoints: 0, scoring: { penalty: 0 } });
+    expect(score.results[2]).toMatchObject({ earnedPoints: -0.5, scoring: { penalty: 0.5 } });
+    expect(score.earnedPoints).toBe(1.5);
+    expect(score.scorePercentage).toBe(25);
+  });
+
+  it('should never report a negative percentage', () => {
+    const score = scoreQuiz(questions.slice(2), [{ questionId: 3, answer: 'true' }], { negativeMarking: 1 });
+
+    expect(score.earnedPoints).toBe(-1);
+    expect(score.scorePercentage).toBe(0);
+  });
+
+  it('should weight sections when sectionWeights are set', () => {
+    const score = scoreQuiz(questions, answers, { sectionWeights: { Techniques: 3, Basics: 1 } });
+
+    // Techniques 0% * 3 + Basics 2/3 * 1 over a total weight of 4
+    expect(score.scorePercentage).toBe(17);
+    expect(score.sectionScores).toEqual(expect.arrayContaining([
+      expect.objectContaining({ section: 'Basics', weight: 1, earnedPoints: 2, totalPoints: 3, percentage: 67 }),
+      expect.objectContaining({ section: 'Techniques', weight: 3, percentage: 0 })
+    ]));
+  });
+
+  describe('validateScoringPolicy', () => {
+    it('should accept a complete policy', () => {
+      expect(validateScoringPolicy({ partialCredit: true, negativeMarking: 0.25, sectionWeights: { A: 2 } })).toEqual([]);
+    });
+
+    it('should report invalid options', () => {
+      const errors = validateScoringPolicy({ partialCredit: 'yes', negativeMarking: 2, sectionWeights: { A: -1 }, bonus: 1 });
+
+      expect(errors).toEqual([
+        'Unknown scoring policy option "bonus"',
+        'partialCredit must be a boolean',
+        'negativeMarking must be a number between 0 and 1',
+        'Weight for section "A" must be a non-negative number'
+      ]);
+    });
+
+    it('should fill in defaults', () => {
+      expect(normalizeScoringPolicy({ negativeMarking: 0.25 })).toEqual({
+        partialCredit: false,
+        negativeMarking: 0.25,
+        sectionWeights: {}
+      });
+    });
+  });
+});
@@ -0,0 +1,267 @@
+// Content Translations
+// Text fields of tracks, courses, lessons and quizzes can be translated per locale. Each
+// translated field is a row in content_translations together with the md5 of the source text
+// it was made from, so a translation whose source has changed since is reported as outdated.
+//
+// Read endpoints pick locales from ?lang or Accept-Language. Each field uses the first
+// requested locale that has a translation and falls back to the source text otherwise.
+
+const crypto = require('crypto');
+
+const DEFAULT_SOURCE_LOCALE = 'en';
+
+const TRANSLATABLE_FIELDS = {
+  track: ['title', 'description'],
+  course: ['title', 'description', 'content'],
+  lesson: ['title', 'content'],
+  quiz: ['title', 'description']
+};
+const TRANSLATION_TYPES = Object.keys(TRANSLATABLE_FIELDS);
+
+// Where the source text lives; trashed content is left out
+const TRANSLATION_SOURCES = {
+  track: { from: 'learning_tracks x', live: 'x.deleted_at IS NULL' },
+  course: { from: 'courses x', live: 'x.deleted_at IS NULL' },
+  lesson: { from: 'lessons x', live: 'x.deleted_at IS NULL' },
+  quiz: { from: 'quizzes x JOIN lessons l ON x.lesson_id = l.id', live: 'l.deleted_at IS NULL' }
+};
+
+// URL segments (/admin/translations/courses/3) to content types
+const TRANSLATION_ROUTE_TYPES = { tracks: 'track', courses: 'course', lessons: 'lesson', quizzes: 'quiz' };
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+class TranslationError extends Error {
+  constructor(message, statusCode = 400, details = []) {
+    super(message);
+    this.name = 'TranslationError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// "pt_BR" -> "pt-br"; null when the value is not a language tag
+const normalizeLocale = (value) => {
+  if (typeof value !== 'string') return null;
+  const locale = value.trim().toLowerCase().replace(/_/g, '-');
+  return LOCALE_PATTERN.test(locale) && locale.length <= 20 ? locale : null;
+};
+
+// "de-CH, de;q=0.9, *;q=0.1" -> ['de-ch', 'de'], most preferred first
+const parseAcceptLanguage = (header) => {
+  if (typeof header !== 'string') return [];
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { locale: normalizeLocale(tag), quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.locale);
+};
+
+// Locales to look translations up in, in order of preference. ?lang wins over
+// Accept-Language; a regional locale is followed by its language ("de-ch" then "de"), and
+// the list stops at the source locale because the source text is used from there on.
+const negotiateLocales = ({ lang, acceptLanguage }, sourceLocale = DEFAULT_SOURCE_LOCALE) => {
+  const requested = normalizeLocale(lang) ? [normalizeLocale(lang)] : parseAcceptLanguage(acceptLanguage);
+
+  const locales = [];
+  for (const locale of requested.flatMap(locale => [locale, locale.split('-')[0]])) {
+    if (locale === sourceLocale) break;
+    if (!locales.includes(locale)) locales.push(locale);
+  }
+  return locales;
+};
+
+// entries: [{ type, id, target, fields: { title: 'courseTitle', ... } }] - the content whose
+// fields appear in a response, and the keys they appear under in target
+const translationEntry = (type, id, target, fields = null) => ({
+  type,
+  id,
+  target,
+  fields: fields || Object.fromEntries(TRANSLATABLE_FIELDS[type].map(field => [field, field]))
+});
+
+const buildTranslationLookup = (locales, entries) => {
+  const params = [locales];
+  const conditions = TRANSLATION_TYPES
+    .map(type => [type, [...new Set(entries.filter(entry => entry.type === type).map(entry => entry.id))]])
+    .filter(([, ids]) => ids.length > 0)
+    .map(([type, ids]) => {
+      params.push(type, ids);
+      return `(content_type = $${params.length - 1} AND content_id = ANY($${params.length}::int[]))`;
+    });
+
+  return {
+    text: `
+      SELECT content_type, content_id, locale, field, value
+      FROM content_translations
+      WHERE locale = ANY($1::text[]) AND (${conditions.join(' OR ')})
+    `,
+    values: params
+  };
+};
+
+// Write the preferred translation of each field into its target. Returns the locales the
+// response ended up in, with the source locale last when any field fell back to it.
+const applyTranslations = (entries, rows, locales, sourceLocale = DEFAULT_SOURCE_LOCALE) => {
+  const translations = new Map(rows.map(row => [`${row.content_type}:${row.content_id}:${row.field}:${row.locale}`, row.value]));
+  const used = new Set();
+
+  for (const { type, id, target, fields } of entries) {
+    for (const [field, key] of Object.entries(fields)) {
+      if (target[key] === null || target[key] === undefined || target[key] === '') continue;
+      const locale = locales.find(candidate => translations.has(`${type}:${id}:${field}:${candidate}`));
+      if (locale) {
+        target[key] = translations.get(`${type}:${id}:${field}:${locale}`);
+        used.add(locale);
+      } else {
+        used.add(sourceLocale);
+      }
+    }
+  }
+
+  return [...locales.filter(locale => used.has(locale)), ...(used.has(sourceLocale) || used.size === 0 ? [sourceLocale] : [])];
+};
+
+// Fingerprint of the source text a translation was made from; matches Postgres md5()
+const sourceHash = (text) => crypto.createHash('md5').update(String(text || ''), 'utf8').digest('hex');
+
+// Check the { field: value } map of a translation update; null removes a field
+const validateTranslationFields = (type, fields) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    return ['fields: must be an object with at least one field'];
+  }
+
+  const errors = [];
+  for (const [field, value] of Object.entries(fields)) {
+    if (!TRANSLATABLE_FIELDS[type].includes(field)) {
+      errors.push(`fields.${field}: not translatable; use ${TRANSLATABLE_FIELDS[type].join(', ')}`);
+    } else if (value !== null && (typeof value !== 'string' || value.trim() === '')) {
+      errors.push(`fields.${field}: must be non-empty text, or null to remove the translation`);
+    } else if (field === 'title' && value && value.length > 255) {
+      errors.push('fields.title: must be at most 255 characters');
+    }
+  }
+  return errors;
+};
+
+const sourceFieldsQuery = (type) => {
+  const { from, live } = TRANSLATION_SOURCES[type];
+  return `SELECT x.id, ${TRANSLATABLE_FIELDS[type].map(field => `x.${field}`).join(', ')}
+          FROM ${from} WHERE x.id = $1 AND ${live}`;
+};
+
+// One row per (content, field) with source text, across every translatable type
+const sourceFieldsSelect = (type) => {
+  const { from, live } = TRANSLATION_SOURCES[type];
+  const values = TRANSLATABLE_FIELDS[type].map(field => `('${field}', x.${field})`).join(', ');
+  return `
+    SELECT '${type}'::text AS content_type, x.id AS content_id, x.title, f.field, f.value
+    FROM ${from} CROSS JOIN LATERAL (VALUES ${values}) AS f(field, value)
+    WHERE ${live} AND COALESCE(f.value, '') <> ''`;
+};
+const SOURCE_FIELDS_CTE = `source_fields AS (${TRANSLATION_TYPES.map(sourceFieldsSelect).join('\n    UNION ALL')}\n  )`;
+
+// Counts of translated, missing and outdated fields per locale and type
+const buildCompletenessQuery = (locales) => ({
+  text: `
+    WITH ${SOURCE_FIELDS_CTE}
+    SELECT s.content_type, loc.locale,
+           COUNT(*) AS total,
+           COUNT(tr.id) AS translated,
+           COUNT(tr.id) FILTER (WHERE tr.source_hash IS DISTINCT FROM md5(s.value)) AS outdated
+    FROM source_fields s
+    CROSS JOIN unnest($1::text[]) AS loc(locale)
+    LEFT JOIN content_translations tr
+      ON tr.content_type = s.content_type AND tr.content_id = s.content_id
+     AND tr.field = s.field AND tr.locale = loc.locale
+    GROUP BY s.content_type, loc.locale
+  `,
+  values: [locales]
+});
+
+// Content with missing or outdated fields in one locale
+const buildMissingTranslationsQuery = (locale, { type = null, limit = 100 } = {}) => ({
+  text: `
+    WITH ${SOURCE_FIELDS_CTE}
+    SELECT s.content_type, s.content_id, s.title,
+           COALESCE(array_agg(s.field ORDER BY s.field) FILTER (WHERE tr.id IS NULL), '{}') AS missing,
+           COALESCE(array_agg(s.field ORDER BY s.field) FILTER (
+             WHERE tr.id IS NOT NULL AND tr.source_hash IS DISTINCT FROM md5(s.value)
+           ), '{}') AS outdated
+    FROM source_fields s
+    LEFT JOIN content_translations tr
+      ON tr.content_type = s.content_type AND tr.content_id = s.content_id
+     AND tr.field = s.field AND tr.locale = $1
+    WHERE ($2::text IS NULL OR s.content_type = $2)
+    GROUP BY s.content_type, s.content_id, s.title
+    HAVING COUNT(*) FILTER (WHERE tr.id IS NULL OR tr.source_hash IS DISTINCT FROM md5(s.value)) > 0
+    ORDER BY s.content_type, s.content_id
+    LIMIT $3
+  `,
+  values: [locale, type, limit]
+});
+
+const completeness = ({ total, translated, outdated }) => ({
+  total,
+  translated,
+  missing: total - translated,
+  outdated,
+  percentComplete: total === 0 ? 100 : Math.round(((translated - outdated) / total) * 100)
+});
+
+// Shape completeness rows into one entry per locale with a breakdown per type
+const formatCompletenessReport = (rows, locales) => locales.map(locale => {
+  const byType = {};
+  const totals = { total: 0, translated: 0, outdated: 0 };
+  for (const type of TRANSLATION_TYPES) {
+    const row = rows.find(r => r.locale === locale && r.content_type === type);
+    const counts = {
+      total: parseInt(row?.total) || 0,
+      translated: parseInt(row?.translated) || 0,
+      outdated: parseInt(row?.outdated) || 0
+    };
+    byType[type] = completeness(counts);
+    Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+  }
+  return { locale, ...completeness(totals), byType };
+});
+
+// A content item's translations as { locale: { field: { value, outdated, updatedAt } } }
+const groupTranslations = (source, rows) => {
+  const translations = {};
+  for (const row of rows) {
+    translations[row.locale] = translations[row.locale] || {};
+    translations[row.locale][row.field] = {
+      value: row.value,
+      outdated: row.source_hash !== sourceHash(source[row.field]),
+      updatedAt: row.updated_at
+    };
+  }
+  return translations;
+};
+
+module.exports = {
+  DEFAULT_SOURCE_LOCALE,
+  TRANSLATABLE_FIELDS,
+  TRANSLATION_TYPES,
+  TRANSLATION_ROUTE_TYPES,
+  TranslationError,
+  normalizeLocale,
+  parseAcceptLanguage,
+  negotiateLocales,
+  translationEntry,
+  buildTranslationLookup,
+  applyTranslations,
+  sourceHash,
+  validateTranslationFields,
+  sourceFieldsQuery,
+  buildCompletenessQuery,
+  buildMissingTranslationsQuery,
+  formatCompletenessReport,
+  groupTranslations
+};
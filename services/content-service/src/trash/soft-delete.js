@@ -0,0 +1,79 @@
+// Soft Delete
+// Deleting a track, course or lesson stamps deleted_at instead of removing the row, so the
+// content (and learner progress that refers to it) can be brought back from the trash.
+// Children that are still live are trashed with their parent and share its deleted_at,
+// which is how a restore knows which children to bring back with it. Trashed rows are
+// purged for good once they have been in the trash for the retention period.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// descendants: rows trashed and restored together with the parent; $1 is the parent ids
+// parent: the row that has to be live before this one can be restored
+const TRASH_TARGETS = {
+  track: {
+    table: 'learning_tracks',
+    descendants: [
+      { table: 'courses', condition: 'track_id = ANY($1)' },
+      { table: 'lessons', condition: 'course_id IN (SELECT id FROM courses WHERE track_id = ANY($1))' }
+    ]
+  },
+  course: {
+    table: 'courses',
+    parent: { type: 'track', table: 'learning_tracks', column: 'track_id' },
+    descendants: [
+      { table: 'lessons', condition: 'course_id = ANY($1)' }
+    ]
+  },
+  lesson: {
+    table: 'lessons',
+    parent: { type: 'course', table: 'courses', column: 'course_id' },
+    descendants: []
+  }
+};
+
+// Route segments (/admin/trash/:type) and ?type= values
+const TRASH_TYPES = {
+  tracks: 'track',
+  courses: 'course',
+  lessons: 'lesson'
+};
+
+class TrashError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TrashError';
+    this.statusCode = statusCode;
+  }
+}
+
+// ?type= accepts tracks, courses, lessons or all (the default)
+const parseTrashType = (value) => {
+  if (value === undefined || value === '' || value === 'all') {
+    return Object.values(TRASH_TYPES);
+  }
+  const type = TRASH_TYPES[value];
+  if (!type) {
+    throw new TrashError(`Invalid type. Supported: all, ${Object.keys(TRASH_TYPES).join(', ')}`);
+  }
+  return [type];
+};
+
+const parseRetentionDays = (value) => {
+  const days = parseInt(value);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// When a row trashed at deletedAt becomes due for purging
+const purgeDate = (deletedAt, retentionDays) => new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  TRASH_TARGETS,
+  TRASH_TYPES,
+  TrashError,
+  parseTrashType,
+  parseRetentionDays,
+  purgeDate
+};
@@ -0,0 +1,76 @@
+// Editorial Workflow
+// Tracks and courses move through draft -> in_review -> approved -> published -> archived.
+// is_published is generated from status, so only published content reaches the public
+// endpoints. Approved content can be scheduled; the publish scheduler moves it to
+// published once publish_at has passed.
+
+const WORKFLOW_STATUSES = ['draft', 'in_review', 'approved', 'published', 'archived'];
+
+const REVIEWER_ROLES = ['admin', 'reviewer'];
+
+// Tables of the content types that go through the workflow
+const WORKFLOW_TARGETS = {
+  track: 'learning_tracks',
+  course: 'courses'
+};
+
+// from: statuses the action applies to; to: resulting status; reviewer: needs a REVIEWER_ROLES user
+const WORKFLOW_ACTIONS = {
+  submit: { from: ['draft'], to: 'in_review' },
+  approve: { from: ['in_review'], to: 'approved', reviewer: true },
+  request_changes: { from: ['in_review'], to: 'draft', reviewer: true },
+  schedule: { from: ['approved'], to: 'approved' },
+  unschedule: { from: ['approved'], to: 'approved' },
+  publish: { from: ['approved'], to: 'published' },
+  unpublish: { from: ['published'], to: 'draft' },
+  archive: { from: ['draft', 'in_review', 'approved', 'published'], to: 'archived' },
+  reopen: { from: ['archived'], to: 'draft' }
+};
+
+class WorkflowError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+  }
+}
+
+const canReview = (user) => REVIEWER_ROLES.includes(user.role);
+
+// Work out the outcome of applying an action to content in currentStatus.
+// Returns { status, publishAt }; publishAt is only kept while a schedule is pending.
+const resolveTransition = (action, currentStatus, user, { publishAt, now = new Date() } = {}) => {
+  const rule = WORKFLOW_ACTIONS[action];
+  if (!rule) {
+    throw new WorkflowError(`Unknown action "${action}". Supported: ${Object.keys(WORKFLOW_ACTIONS).join(', ')}`);
+  }
+  if (rule.reviewer && !canReview(user)) {
+    throw new WorkflowError('Reviewer access required', 403);
+  }
+  if (!rule.from.includes(currentStatus)) {
+    throw new WorkflowError(`Cannot ${action.replace('_', ' ')} content that is ${currentStatus.replace('_', ' ')}`, 409);
+  }
+
+  if (action === 'schedule') {
+    const scheduledAt = publishAt ? new Date(publishAt) : null;
+    if (!scheduledAt || isNaN(scheduledAt.getTime())) {
+      throw new WorkflowError('publishAt must be a valid date');
+    }
+    if (scheduledAt <= now) {
+      throw new WorkflowError('publishAt must be in the future');
+    }
+    return { status: rule.to, publishAt: scheduledAt };
+  }
+
+  return { status: rule.to, publishAt: null };
+};
+
+module.exports = {
+  WORKFLOW_STATUSES,
+  REVIEWER_ROLES,
+  WORKFLOW_TARGETS,
+  WORKFLOW_ACTIONS,
+  WorkflowError,
+  canReview,
+  resolveTransition
+};
@@ -252,6 +252,49 @@ app.put('/courses/:courseId', authenticateToken, [
 
     const trackId = courseInfo.rows[0].track_id;
 
+    // Required prerequisites of the course and its track that the learner has not met yet.
+    // A track is met once every published course in it is completed; prerequisites on
+    // unpublished content are ignored.
+    const missingPrerequisites = await pool.query(`
+      SELECT p.prerequisite_type, p.prerequisite_id, COALESCE(pc.title, pt.title, s.name) as title
+      FROM prerequisites p
+      LEFT JOIN courses pc ON p.prerequisite_type = 'course' AND pc.id = p.prerequisite_id
+      LEFT JOIN learning_tracks pt ON p.prerequisite_type = 'track' AND pt.id = p.prerequisite_id
+      LEFT JOIN skills s ON p.prerequisite_type = 'skill' AND s.id = p.prerequisite_id
+      WHERE p.is_required = true
+        AND ((p.content_type = 'course' AND p.content_id = $1) OR (p.content_type = 'track' AND p.content_id = $2))
+        AND CASE p.prerequisite_type
+          WHEN 'course' THEN pc.is_published = true AND NOT EXISTS (
+            SELECT 1 FROM user_progress up
+            WHERE up.user_id = $3 AND up.course_id = p.prerequisite_id AND up.is_completed = true
+          )
+          WHEN 'track' THEN pt.is_published = true AND EXISTS (
+            SELECT 1 FROM courses tc
+            WHERE tc.track_id = p.prerequisite_id AND tc.is_published = true
+              AND NOT EXISTS (
+                SELECT 1 FROM user_progress up
+                WHERE up.user_id = $3 AND up.course_id = tc.id AND up.is_completed = true
+              )
+          )
+          WHEN 'skill' THEN s.id IS NOT NULL AND NOT EXISTS (
+            SELECT 1 FROM user_skills us WHERE us.user_id = $3 AND us.skill_id = p.prerequisite_id
+          )
+          ELSE false
+        END
+      ORDER BY p.id
+    `, [courseId, trackId, userId]);
+
+    if (missingPrerequisites.rows.length > 0) {
+      return res.status(403).json({
+        error: 'Prerequisites not met',
+        missingPrerequisites: missingPrerequisites.rows.map(prerequisite => ({
+          type: prerequisite.prerequisite_type,
+          id: prerequisite.prerequisite_id,
+          title: prerequisite.title
+        }))
+      });
+    }
+
     // Upsert progress
     const result = await pool.query(`
       INSERT INTO user_progress (user_id, course_id, track_id, progress_percentage, is_completed, completed_at)
@@ -243,6 +243,8 @@ describe('Progress Service Unit Tests', () => {
       mockQuery.mockResolvedValueOnce({ 
         rows: [{ track_id: 1 }] 
       })
+      // Mock prerequisites check (none missing)
+      .mockResolvedValueOnce({ rows: [] })
       // Mock upsert progress
       .mockResolvedValueOnce({
         rows: [{
@@ -273,6 +275,8 @@ describe('Progress Service Unit Tests', () => {
       mockQuery.mockResolvedValueOnce({ 
         rows: [{ track_id: 1 }] 
       })
+      // Mock prerequisites check (none missing)
+      .mockResolvedValueOnce({ rows: [] })
       // Mock upsert progress
       .mockResolvedValueOnce({
         rows: [{
@@ -298,6 +302,27 @@ describe('Progress Service Unit Tests', () => {
       expect(response.body.progress.isCompleted).toBe(true);
     });
 
+    it('should refuse progress while required prerequisites are missing', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ track_id: 2 }] })
+        .mockResolvedValueOnce({
+          rows: [{ prerequisite_type: 'course', prerequisite_id: 4, title: 'Introduction to QA' }]
+        });
+
+      const response = await request(app)
+        .put('/courses/7')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ progressPercentage: 10 });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({
+        error: 'Prerequisites not met',
+        missingPrerequisites: [{ type: 'course', id: 4, title: 'Introduction to QA' }]
+      });
+      expect(mockQuery.mock.calls[1][1]).toEqual([7, 2, 1]);
+      expect(mockQuery).toHaveBeenCalledTimes(2);
+    });
+
     it('should validate progress percentage', async () => {
       const response = await request(app)
         .put('/courses/1')